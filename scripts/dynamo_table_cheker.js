@@ -122,6 +122,182 @@ const REQUIRED_TABLES = [
       },
     ],
   },
+  {
+    name: process.env.DYNAMODB_JOBS_TABLE || 'auto-rfp-jobs',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [
+          { AttributeName: 'companyId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_ANSWER_LIBRARY_TABLE || 'auto-rfp-answer-library',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [{ AttributeName: 'companyId', KeyType: 'HASH' }],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_ANSWER_REVISIONS_TABLE || 'auto-rfp-answer-revisions',
+    keySchema: [
+      { AttributeName: 'questionKey', KeyType: 'HASH' },
+      { AttributeName: 'version', KeyType: 'RANGE' },
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'questionKey', AttributeType: 'S' },
+      { AttributeName: 'version', AttributeType: 'N' },
+    ],
+    globalSecondaryIndexes: [],
+  },
+  {
+    name: process.env.DYNAMODB_EXPORTS_TABLE || 'auto-rfp-exports',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'proposalId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'ProposalIdIndex',
+        KeySchema: [
+          { AttributeName: 'proposalId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_PROPOSAL_TEMPLATES_TABLE || 'auto-rfp-proposal-templates',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [
+          { AttributeName: 'companyId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_SESSIONS_TABLE || 'auto-rfp-sessions',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'UserIdIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_USER_MFA_TABLE || 'auto-rfp-user-mfa',
+    keySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [],
+  },
+  {
+    name: process.env.DYNAMODB_SSO_CONNECTIONS_TABLE || 'auto-rfp-sso-connections',
+    keySchema: [{ AttributeName: 'companyId', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'companyId', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [],
+  },
+  {
+    name: process.env.DYNAMODB_SCIM_TOKENS_TABLE || 'auto-rfp-scim-tokens',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [
+          { AttributeName: 'companyId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_USER_GROUPS_TABLE || 'auto-rfp-user-groups',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [
+          { AttributeName: 'companyId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
+  {
+    name: process.env.DYNAMODB_API_KEYS_TABLE || 'auto-rfp-api-keys',
+    keySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    attributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'companyId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+    ],
+    globalSecondaryIndexes: [
+      {
+        IndexName: 'CompanyIdIndex',
+        KeySchema: [
+          { AttributeName: 'companyId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+  },
 ];
 
 async function checkTables() {
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { jobService, startReminderScheduler } = await import('../src/workers/index.js');
+const { getQueue } = await import('../src/services/queue.service.js');
+
+console.log('═══════════════════════════════════════════════');
+console.log('   ⚙️  Effred RFP Job Worker');
+console.log('═══════════════════════════════════════════════');
+console.log(`📬 Queue backend: ${getQueue().name}`);
+
+const reminderScheduler = startReminderScheduler();
+
+const shutdown = () => {
+  console.log('\n🛑 Stopping worker after the current message...');
+  clearInterval(reminderScheduler);
+  getQueue().stop?.();
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+await jobService.startConsumer();
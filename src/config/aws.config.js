@@ -55,6 +55,17 @@ export const TABLES = {
   INVOICES: process.env.DYNAMODB_INVOICES_TABLE || 'auto-rfp-invoices',
   USAGE_RECORDS: process.env.DYNAMODB_USAGE_RECORDS_TABLE || 'auto-rfp-usage-records',
   PAYMENT_METHODS: process.env.DYNAMODB_PAYMENT_METHODS_TABLE || 'auto-rfp-payment-methods',
+  JOBS: process.env.DYNAMODB_JOBS_TABLE || 'auto-rfp-jobs',
+  ANSWER_LIBRARY: process.env.DYNAMODB_ANSWER_LIBRARY_TABLE || 'auto-rfp-answer-library',
+  ANSWER_REVISIONS: process.env.DYNAMODB_ANSWER_REVISIONS_TABLE || 'auto-rfp-answer-revisions',
+  EXPORTS: process.env.DYNAMODB_EXPORTS_TABLE || 'auto-rfp-exports',
+  PROPOSAL_TEMPLATES: process.env.DYNAMODB_PROPOSAL_TEMPLATES_TABLE || 'auto-rfp-proposal-templates',
+  SESSIONS: process.env.DYNAMODB_SESSIONS_TABLE || 'auto-rfp-sessions',
+  USER_MFA: process.env.DYNAMODB_USER_MFA_TABLE || 'auto-rfp-user-mfa',
+  SSO_CONNECTIONS: process.env.DYNAMODB_SSO_CONNECTIONS_TABLE || 'auto-rfp-sso-connections',
+  SCIM_TOKENS: process.env.DYNAMODB_SCIM_TOKENS_TABLE || 'auto-rfp-scim-tokens',
+  USER_GROUPS: process.env.DYNAMODB_USER_GROUPS_TABLE || 'auto-rfp-user-groups',
+  API_KEYS: process.env.DYNAMODB_API_KEYS_TABLE || 'auto-rfp-api-keys',
 };
 
 // Log table configuration
@@ -14,6 +14,14 @@ import uploadRoutes from './routes/upload.routes.js';
 import proposalRoutes from './routes/proposal.routes.js';
 import aiRoutes from './routes/ai.routes.js';
 import knowledgeRoutes from './routes/knowledge.routes.js';
+import jobRoutes from './routes/job.routes.js';
+import libraryRoutes from './routes/library.routes.js';
+import mockIdpRoutes from './routes/mockIdp.routes.js';
+import scimRoutes from './routes/scim.routes.js';
+
+// Register background job handlers
+import './workers/index.js';
+import { getQueue } from './services/queue.service.js';
 
 // Import middleware
 import { errorHandler } from './middleware/error.middleware.js';
@@ -21,6 +29,9 @@ import { errorHandler } from './middleware/error.middleware.js';
 // Import email verification (optional)
 import { verifyEmailConfig } from './utils/email.js';
 
+// Fail at startup rather than on the first upload if the job queue is misconfigured
+getQueue();
+
 const app = express();
 
 // Middleware
@@ -48,7 +59,25 @@ app.get('/api-docs', (req, res) => {
         'POST /api/v1/auth/register': 'Register new user',
         'POST /api/v1/auth/login': 'Login',
         'POST /api/v1/auth/forgot-password': 'Request password reset',
-        'POST /api/v1/auth/reset-password': 'Reset password with token',
+        'POST /api/v1/auth/reset-password': 'Reset password with token (signs out all sessions)',
+        'POST /api/v1/auth/login/mfa': 'Second login step with MFA code or recovery code',
+        'POST /api/v1/auth/login/mfa/enroll': 'Start required MFA setup during login',
+        'POST /api/v1/auth/login/mfa/enroll/verify': 'Confirm MFA setup and finish login',
+        'GET /api/v1/auth/mfa': 'MFA status',
+        'POST /api/v1/auth/mfa/enroll': 'Start MFA setup (secret and otpauth URL)',
+        'POST /api/v1/auth/mfa/enroll/verify': 'Confirm MFA setup, get recovery codes',
+        'POST /api/v1/auth/mfa/recovery-codes': 'Replace recovery codes',
+        'POST /api/v1/auth/mfa/disable': 'Turn MFA off',
+        'POST /api/v1/auth/sso/start': 'Start SSO login (by email domain or companyId)',
+        'GET /api/v1/auth/sso/authorize': 'Browser redirect to the identity provider',
+        'GET /api/v1/auth/sso/oidc/callback': 'OIDC redirect URI',
+        'POST /api/v1/auth/sso/saml/:companyId/acs': 'SAML assertion consumer service',
+        'GET /api/v1/auth/sso/saml/:companyId/metadata': 'SAML service provider metadata',
+        'POST /api/v1/auth/refresh': 'Rotate refresh token and get a new access token',
+        'POST /api/v1/auth/logout': 'Sign out of the current session',
+        'POST /api/v1/auth/logout-all': 'Sign out of all sessions',
+        'GET /api/v1/auth/sessions': 'List active sessions',
+        'DELETE /api/v1/auth/sessions/:sessionId': 'Sign out one session',
       },
       superadmin: {
         'GET /api/v1/superadmin/companies': 'List all companies',
@@ -57,11 +86,17 @@ app.get('/api-docs', (req, res) => {
         'POST /api/v1/superadmin/companies/:id/activate': 'Activate company',
         'PATCH /api/v1/superadmin/companies/:id/limits': 'Update company limits',
         'GET /api/v1/superadmin/companies/:id/usage': 'Get company usage',
+        'GET /api/v1/superadmin/companies/:id/sso': 'Get company SSO connection',
+        'PUT /api/v1/superadmin/companies/:id/sso': 'Configure company SSO',
+        'DELETE /api/v1/superadmin/companies/:id/sso': 'Remove company SSO',
         'POST /api/v1/superadmin/company-admins': 'Create company admin',
         'POST /api/v1/superadmin/company-admins/:id/enable-login': 'Enable admin login',
         'POST /api/v1/superadmin/company-admins/:id/disable-login': 'Disable admin login',
         'POST /api/v1/superadmin/company-admins/:id/reset-password': 'Reset admin password',
+        'DELETE /api/v1/superadmin/users/:id/sessions': 'Sign a user out of all sessions',
+        'DELETE /api/v1/superadmin/users/:id/mfa': 'Reset user MFA',
         'GET /api/v1/superadmin/search': 'Search companies/admins',
+        'POST /api/v1/superadmin/reminders/run': 'Queue deadline reminder scan',
       },
       admin: {
         'POST /api/v1/admin/users': 'Create user',
@@ -69,37 +104,94 @@ app.get('/api-docs', (req, res) => {
         'POST /api/v1/admin/users/:id/reset-password': 'Reset user password',
         'POST /api/v1/admin/users/:id/disable-login': 'Disable user login',
         'POST /api/v1/admin/users/:id/enable-login': 'Enable user login',
+        'GET /api/v1/admin/users/:id/sessions': 'List user sessions',
+        'DELETE /api/v1/admin/users/:id/sessions': 'Sign a user out (all sessions or ?sessionId=)',
+        'DELETE /api/v1/admin/users/:id/mfa': 'Reset user MFA',
+        'GET /api/v1/admin/sso': 'Get SSO connection',
+        'PUT /api/v1/admin/sso': 'Configure SSO (OIDC or SAML)',
+        'DELETE /api/v1/admin/sso': 'Remove SSO',
+        'POST /api/v1/admin/scim/tokens': 'Create SCIM provisioning token (shown once)',
+        'GET /api/v1/admin/scim/tokens': 'List SCIM tokens',
+        'DELETE /api/v1/admin/scim/tokens/:tokenId': 'Revoke SCIM token',
+        'POST /api/v1/admin/api-keys': 'Create API key with scopes and expiry (shown once)',
+        'GET /api/v1/admin/api-keys': 'List API keys and available scopes',
+        'DELETE /api/v1/admin/api-keys/:keyId': 'Revoke API key',
+        'GET /api/v1/admin/security-settings': 'Get MFA requirement',
+        'PUT /api/v1/admin/security-settings': 'Require MFA for all company users',
         'GET /api/v1/admin/usage/summary': 'Get usage summary',
         'POST /api/v1/admin/logo': 'Upload company logo',
+        'GET /api/v1/admin/export-template': 'Get PDF/DOCX export branding',
+        'PUT /api/v1/admin/export-template': 'Set export colors, font, cover page, contents, headers/footers and notice',
+        'POST /api/v1/admin/export-template/docx': 'Upload DOCX template with placeholders',
+        'DELETE /api/v1/admin/export-template/docx': 'Remove DOCX template',
+        'GET /api/v1/admin/ai-settings': 'Get company LLM provider and model',
+        'PUT /api/v1/admin/ai-settings': 'Set company LLM provider and model',
+        'GET /api/v1/admin/workflow-settings': 'Get approval requirement and reviewers',
+        'PUT /api/v1/admin/workflow-settings': 'Set approval requirement and reviewers',
         'POST /api/v1/admin/rfp/bulk-upload': 'Bulk upload RFPs',
         'POST /api/v1/admin/search-qa': 'AI-powered Q&A search',
-        'POST /api/v1/admin/export': 'Export data',
+        'POST /api/v1/admin/export': 'Export proposal (pdf/docx/txt/md/html/xlsx) and get signed download URL',
+        'POST /api/v1/admin/exports/bulk': 'Queue ZIP export of proposals by IDs or filter (status, dates, client, owner)',
+        'GET /api/v1/admin/exports/bulk/:jobId': 'Bulk export progress and archive download URL',
       },
       user: {
         'GET /api/v1/user/profile': 'Get own profile',
         'PATCH /api/v1/user/profile': 'Update own profile',
         'GET /api/v1/user/company-admin-contact': 'Get admin contact',
-        'POST /api/v1/user/upload-rfp': 'Upload RFP',
+        'POST /api/v1/user/upload-rfp': 'Upload RFP and queue question extraction (returns jobId)',
         'POST /api/v1/user/search-qa': 'Search Q&A',
         'GET /api/v1/user/usage': 'Get own usage',
-        'POST /api/v1/user/export': 'Export data',
+        'GET /api/v1/user/notifications': 'Get notification preferences',
+        'PUT /api/v1/user/notifications': 'Opt in/out of reminder emails',
+        'POST /api/v1/user/export': 'Export proposal (pdf/docx/txt/md/html/xlsx) and get signed download URL',
       },
       upload: {
-        'POST /api/v1/upload/rfp': 'Upload RFP document',
+        'POST /api/v1/upload/rfp': 'Upload RFP document (processed in background, optional answer carry-over)',
+        'POST /api/v1/upload/rfp/:proposalId/amendments': 'Upload revised RFP or addendum and diff its questions',
+        'POST /api/v1/upload/questionnaire/preview': 'Preview XLSX/CSV questionnaire sheets and columns',
+        'POST /api/v1/upload/questionnaire': 'Import XLSX/CSV questionnaire with column mapping and optional answer carry-over',
         'POST /api/v1/upload/knowledge': 'Upload knowledge document',
         'POST /api/v1/upload/attachment': 'Upload attachment',
       },
       proposals: {
         'GET /api/v1/proposals': 'List proposals',
+        'GET /api/v1/proposals/assignments/me': 'Questions assigned to me or awaiting my review',
+        'GET /api/v1/proposals/deadlines': 'Approaching and overdue proposal dates',
+        'GET /api/v1/proposals/templates': 'List proposal templates',
+        'GET /api/v1/proposals/templates/:templateId': 'Get proposal template',
+        'DELETE /api/v1/proposals/templates/:templateId': 'Delete proposal template',
+        'POST /api/v1/proposals/templates/:templateId/proposals': 'Create proposal from template',
+        'PUT /api/v1/proposals/:id/schedule': 'Set submission deadline, Q&A cutoff and milestones',
+        'PATCH /api/v1/proposals/:id/milestones/:milestoneId': 'Complete or reopen milestone',
         'GET /api/v1/proposals/:id': 'Get proposal',
-        'PATCH /api/v1/proposals/:id': 'Update proposal',
-        'PUT /api/v1/proposals/:id/questions/:questionId/answer': 'Update answer',
+        'PATCH /api/v1/proposals/:id': 'Update proposal (optional version, 409 if outdated)',
+        'POST /api/v1/proposals/:id/clone': 'Clone proposal with questions, answers and metadata',
+        'POST /api/v1/proposals/:id/template': 'Save proposal as template',
+        'PUT /api/v1/proposals/:id/questions/:questionId/answer': 'Update answer (optional question version, 409 if outdated)',
+        'POST /api/v1/proposals/:id/questions/:questionId/status': 'Move question through review workflow',
+        'PATCH /api/v1/proposals/:id/questions/:questionId/assignment': 'Assign question to SME/reviewer',
+        'PATCH /api/v1/proposals/:id/questions/:questionId/claims/:claimId': 'Resolve unsupported claim',
+        'GET /api/v1/proposals/:id/questions/:questionId/revisions': 'List answer revisions',
+        'GET /api/v1/proposals/:id/questions/:questionId/revisions/diff': 'Word-level diff between two revisions',
+        'GET /api/v1/proposals/:id/questions/:questionId/revisions/:version': 'Get answer revision',
+        'POST /api/v1/proposals/:id/questions/:questionId/revisions/:version/restore': 'Restore answer revision',
+        'GET /api/v1/proposals/:id/export/spreadsheet': 'Download answered questionnaire workbook',
+        'GET /api/v1/proposals/:id/compliance-matrix': 'Get compliance matrix',
+        'POST /api/v1/proposals/:id/compliance-matrix': 'Generate compliance matrix from questions',
+        'PATCH /api/v1/proposals/:id/compliance-matrix/rows/:rowId': 'Edit compliance matrix row',
+        'GET /api/v1/proposals/:id/compliance-matrix/export': 'Download compliance matrix (xlsx/docx/pdf)',
+        'GET /api/v1/proposals/:id/exports': 'Proposal export history',
+        'GET /api/v1/proposals/:id/exports/:exportId/download': 'New signed download URL for an export',
+        'GET /api/v1/proposals/:id/amendments': 'Amendment history and questions needing review',
+        'GET /api/v1/proposals/:id/amendments/:amendmentId': 'Question changes of an amendment',
         'DELETE /api/v1/proposals/:id': 'Delete proposal',
       },
       ai: {
         'POST /api/v1/ai/generate-answer': 'Generate answer',
+        'POST /api/v1/ai/generate-answer/stream': 'Generate answer (Server-Sent Events)',
         'POST /api/v1/ai/improve-answer': 'Improve answer',
         'POST /api/v1/ai/generate-summary': 'Generate summary',
+        'POST /api/v1/ai/generate-summary/stream': 'Generate summary (Server-Sent Events)',
         'POST /api/v1/ai/bulk-generate': 'Bulk generate answers',
       },
       knowledge: {
@@ -110,6 +202,34 @@ app.get('/api-docs', (req, res) => {
         'PUT /api/v1/knowledge/:id': 'Update knowledge document',
         'DELETE /api/v1/knowledge/:id': 'Delete knowledge document',
       },
+      jobs: {
+        'GET /api/v1/jobs/:id': 'Get background job status',
+      },
+      library: {
+        'POST /api/v1/library/match': 'Find approved answers to similar questions',
+        'POST /api/v1/library/harvest/:proposalId': 'Save approved answers of a proposal',
+        'GET /api/v1/library': 'List answer library entries',
+        'GET /api/v1/library/:id': 'Get answer library entry',
+        'POST /api/v1/library': 'Save answer to library',
+        'PUT /api/v1/library/:id': 'Update answer library entry',
+        'DELETE /api/v1/library/:id': 'Delete answer library entry',
+      },
+      scim: {
+        'GET /scim/v2/ServiceProviderConfig': 'Supported SCIM features (company SCIM token)',
+        'GET /scim/v2/ResourceTypes': 'SCIM resource types',
+        'GET /scim/v2/Users': 'List users (filter=userName eq "...")',
+        'POST /scim/v2/Users': 'Provision user (counts against maxUsers)',
+        'GET /scim/v2/Users/:id': 'Get user',
+        'PUT /scim/v2/Users/:id': 'Replace user',
+        'PATCH /scim/v2/Users/:id': 'Update or deactivate user',
+        'DELETE /scim/v2/Users/:id': 'Delete user',
+        'GET /scim/v2/Groups': 'List groups',
+        'POST /scim/v2/Groups': 'Create group',
+        'GET /scim/v2/Groups/:id': 'Get group',
+        'PUT /scim/v2/Groups/:id': 'Replace group',
+        'PATCH /scim/v2/Groups/:id': 'Update group members or name',
+        'DELETE /scim/v2/Groups/:id': 'Delete group',
+      },
     },
   });
 });
@@ -123,6 +243,14 @@ app.use('/api/v1/upload', uploadRoutes);
 app.use('/api/v1/proposals', proposalRoutes);
 app.use('/api/v1/ai', aiRoutes);
 app.use('/api/v1/knowledge', knowledgeRoutes);
+app.use('/api/v1/jobs', jobRoutes);
+app.use('/api/v1/library', libraryRoutes);
+app.use('/scim/v2', scimRoutes);
+
+// Local OIDC identity provider for SSO development and tests
+if (process.env.SSO_MOCK_IDP_ENABLED === 'true' && process.env.NODE_ENV !== 'production') {
+  app.use('/mock-idp', mockIdpRoutes);
+}
 
 // 404 handler
 app.use((req, res) => {
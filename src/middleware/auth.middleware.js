@@ -2,10 +2,60 @@ import jwt from 'jsonwebtoken';
 import { AppError } from './error.middleware.js';
 import { GetCommand } from '@aws-sdk/lib-dynamodb';
 import { docClient, TABLES } from '../config/aws.config.js';
+import { sessionService } from '../services/session.service.js';
+import { apiKeyService, getRequiredScope, API_KEY_PREFIX } from '../services/apiKey.service.js';
+
+/**
+ * Identity for a request made with a company API key. The key acts as a regular member
+ * of its company (so company limits apply) and is attributed by its own ID.
+ */
+const authenticateApiKey = async (req, key) => {
+  const scope = getRequiredScope(req);
+
+  if (!scope) {
+    throw new AppError('API keys cannot be used for this endpoint', 403);
+  }
+
+  const apiKey = await apiKeyService.authenticate(key, req.ip);
+
+  if (!apiKey) {
+    throw new AppError('Invalid, expired or revoked API key', 401);
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    throw new AppError(`API key is missing the ${scope} scope`, 403);
+  }
+
+  const companyResponse = await docClient.send(new GetCommand({
+    TableName: TABLES.COMPANIES,
+    Key: { id: apiKey.companyId },
+  }));
+
+  if (!companyResponse.Item) {
+    throw new AppError('Invalid, expired or revoked API key', 401);
+  }
+
+  if (companyResponse.Item.subscriptionStatus === 'deactivated') {
+    throw new AppError('Company subscription is deactivated. Contact support.', 403);
+  }
+
+  return {
+    id: apiKey.id,
+    email: null,
+    name: apiKey.name,
+    role: 'user',
+    companyId: apiKey.companyId,
+    loginStatus: 'enabled',
+    isActive: true,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+};
 
 /**
  * Authenticate user from JWT token
- * Verifies token and attaches user info to request
+ * Verifies token and its session, and attaches user info to request.
+ * Company API keys are accepted too, on the endpoints their scopes cover.
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -17,9 +67,25 @@ export const authenticate = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
+    if (token?.startsWith(API_KEY_PREFIX)) {
+      req.user = await authenticateApiKey(req, token);
+      return next();
+    }
+
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens stop working as soon as their session is revoked (logout, admin, reuse detection)
+    if (!decoded.sid) {
+      throw new AppError('Session required. Please login again.', 401);
+    }
+
+    const session = await sessionService.getSession(decoded.sid);
+
+    if (!sessionService.isActive(session) || session.userId !== decoded.id) {
+      throw new AppError('Session has ended. Please login again.', 401);
+    }
+
     // Get fresh user data from database to check current status
     const userResponse = await docClient.send(new GetCommand({
       TableName: TABLES.USERS,
@@ -63,17 +129,19 @@ export const authenticate = async (req, res, next) => {
       companyId: user.companyId,
       loginStatus: user.loginStatus,
       isActive: user.isActive,
+      sessionId: session.id,
     };
 
     next();
   } catch (error) {
+    // Mounted without asyncHandler, so errors are handed to Express rather than thrown
     if (error.name === 'JsonWebTokenError') {
-      throw new AppError('Invalid token', 401);
+      return next(new AppError('Invalid token', 401));
     }
     if (error.name === 'TokenExpiredError') {
-      throw new AppError('Token expired. Please login again.', 401);
+      return next(new AppError('Token expired. Please login again.', 401));
     }
-    throw error;
+    next(error);
   }
 };
 
@@ -372,6 +440,13 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    const session = decoded.sid ? await sessionService.getSession(decoded.sid) : null;
+
+    if (!sessionService.isActive(session) || session.userId !== decoded.id) {
+      req.user = null;
+      return next();
+    }
+
     // Get user data
     const userResponse = await docClient.send(new GetCommand({
       TableName: TABLES.USERS,
@@ -385,6 +460,7 @@ export const optionalAuth = async (req, res, next) => {
         name: userResponse.Item.name,
         role: userResponse.Item.role,
         companyId: userResponse.Item.companyId,
+        sessionId: session.id,
       };
     } else {
       req.user = null;
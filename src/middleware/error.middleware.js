@@ -1,9 +1,10 @@
 import { logger } from '../utils/logger.js';
 
 export class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, details = null) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -20,6 +21,7 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(err.statusCode).json({
       error: err.message,
       statusCode: err.statusCode,
+      ...err.details,
     });
   }
 
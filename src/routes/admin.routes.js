@@ -10,6 +10,28 @@ import { v4 as uuidv4 } from 'uuid';
 import { PutObjectCommand } from '@aws-sdk/client-s3';
 import { extractTextFromPDF, extractTextFromDocx } from '../services/document.service.js';
 import { invokeModel } from '../services/ai.service.js';
+import { companyService } from '../services/company.service.js';
+import { getSelectableProviders, getLLMProvider, getCompanyModelOptions } from '../services/llm.service.js';
+import { userService } from '../services/user.service.js';
+import { s3Service } from '../services/s3.service.js';
+import { proposalService } from '../services/proposal.service.js';
+import { exportHistoryService } from '../services/exportHistory.service.js';
+import { bulkExportService } from '../services/bulkExport.service.js';
+import { jobService } from '../services/job.service.js';
+import { sessionService } from '../services/session.service.js';
+import { mfaService } from '../services/mfa.service.js';
+import { ssoService, getApiBaseUrl } from '../services/sso.service.js';
+import { scimService } from '../services/scim.service.js';
+import { apiKeyService, API_KEY_SCOPES } from '../services/apiKey.service.js';
+import { BULK_EXPORT_JOB } from '../workers/export.worker.js';
+import {
+  EXPORT_FONTS,
+  EXECUTIVE_SUMMARY_PLACEMENTS,
+  TEMPLATE_PLACEHOLDERS,
+  resolveExportTemplate,
+  normalizeExportTemplate,
+  listTemplatePlaceholders,
+} from '../services/branding.service.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -252,7 +274,9 @@ router.post(
       },
     }));
 
-    res.json({ message: 'User login disabled successfully' });
+    const sessionsRevoked = await sessionService.revokeUserSessions(user.id, 'login_disabled', { revokedBy: req.user.id });
+
+    res.json({ message: 'User login disabled successfully', sessionsRevoked });
   })
 );
 
@@ -294,6 +318,343 @@ router.post(
   })
 );
 
+/**
+ * @route   GET /api/v1/admin/users/:id/sessions
+ * @desc    Active sessions (devices) of a user
+ */
+router.get(
+  '/users/:id/sessions',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const usersResponse = await docClient.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'id = :id AND companyId = :companyId',
+      ExpressionAttributeValues: { 
+        ':id': id,
+        ':companyId': req.user.companyId,
+      },
+    }));
+
+    if (!usersResponse.Items || usersResponse.Items.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    const sessions = await sessionService.listUserSessions(id);
+
+    res.json({
+      sessions: sessions.map(session => sessionService.toPublicSession(session, req.user.sessionId)),
+      count: sessions.length,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id/sessions
+ * @desc    Sign a user out of all sessions, or one session with ?sessionId=
+ */
+router.delete(
+  '/users/:id/sessions',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { sessionId } = req.query;
+
+    const usersResponse = await docClient.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'id = :id AND companyId = :companyId',
+      ExpressionAttributeValues: { 
+        ':id': id,
+        ':companyId': req.user.companyId,
+      },
+    }));
+
+    if (!usersResponse.Items || usersResponse.Items.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (sessionId) {
+      const session = await sessionService.getSession(sessionId);
+
+      if (!session || session.userId !== id) {
+        throw new AppError('Session not found', 404);
+      }
+
+      const revoked = await sessionService.revokeSession(session.id, 'admin', req.user.id);
+      return res.json({ message: 'Session revoked', sessionsRevoked: revoked ? 1 : 0 });
+    }
+
+    const sessionsRevoked = await sessionService.revokeUserSessions(id, 'admin', { revokedBy: req.user.id });
+
+    res.json({ message: 'User signed out of all sessions', sessionsRevoked });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id/mfa
+ * @desc    Reset a user's MFA (lost device); the user sets it up again at next login if required
+ */
+router.delete(
+  '/users/:id/mfa',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const usersResponse = await docClient.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'id = :id AND companyId = :companyId',
+      ExpressionAttributeValues: { 
+        ':id': id,
+        ':companyId': req.user.companyId,
+      },
+    }));
+
+    if (!usersResponse.Items || usersResponse.Items.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    const user = usersResponse.Items[0];
+
+    await mfaService.disable(user);
+
+    res.json({ message: 'User MFA reset successfully' });
+  })
+);
+
+// ============================================
+// SECURITY SETTINGS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/security-settings
+ * @desc    Get whether MFA is required for all company users and admins
+ */
+router.get(
+  '/security-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const users = await userService.listCompanyUsers(req.user.companyId);
+
+    res.json({
+      requireMfa: Boolean(req.company.settings?.requireMfa),
+      usersWithMfa: users.filter(user => user.mfaEnabled).length,
+      totalUsers: users.length,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/security-settings
+ * @desc    Make MFA mandatory (or optional) for all company users and admins.
+ *          Turning it on signs out users without MFA so they set it up at next login.
+ */
+router.put(
+  '/security-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const { requireMfa } = req.body;
+
+    if (typeof requireMfa !== 'boolean') {
+      throw new AppError('requireMfa must be a boolean', 400);
+    }
+
+    let sessionsRevoked = 0;
+
+    if (requireMfa && !req.company.settings?.requireMfa) {
+      // The admin would otherwise lock themselves out at their next login
+      const admin = await userService.getUserByEmail(req.user.email);
+      if (req.user.role !== 'superadmin' && !admin?.mfaEnabled) {
+        throw new AppError('Enable MFA on your own account before requiring it', 400);
+      }
+
+      const users = await userService.listCompanyUsers(req.user.companyId);
+
+      for (const user of users.filter(u => !u.mfaEnabled)) {
+        sessionsRevoked += await sessionService.revokeUserSessions(user.id, 'mfa_required', { revokedBy: req.user.id });
+      }
+    }
+
+    const company = await companyService.updateSettings(req.user.companyId, { requireMfa });
+
+    res.json({
+      message: 'Security settings updated successfully',
+      requireMfa: Boolean(company.settings.requireMfa),
+      sessionsRevoked,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/sso
+ * @desc    Get the company's SSO connection and the URLs to register with the identity provider
+ */
+router.get(
+  '/sso',
+  asyncHandler(async (req, res) => {
+    const connection = await ssoService.getConnection(req.user.companyId);
+    const baseUrl = getApiBaseUrl(req);
+
+    res.json({
+      connection: connection ? ssoService.toPublicConnection(connection, baseUrl) : null,
+      serviceProvider: ssoService.getServiceProviderInfo(req.user.companyId, baseUrl),
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/sso
+ * @desc    Configure SSO (OIDC discovery URL and client, or SAML metadata), JIT provisioning
+ *          and whether password login is disabled. Email domains are added by a superadmin
+ *          once ownership is verified; company admins can only keep or remove them.
+ */
+router.put(
+  '/sso',
+  asyncHandler(async (req, res) => {
+    const connection = await ssoService.saveConnection(req.user.companyId, req.body, req.user.id);
+
+    res.json({
+      message: 'SSO settings updated successfully',
+      connection: ssoService.toPublicConnection(connection, getApiBaseUrl(req)),
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/sso
+ * @desc    Remove the company's SSO connection (password login works again)
+ */
+router.delete(
+  '/sso',
+  asyncHandler(async (req, res) => {
+    const connection = await ssoService.getConnection(req.user.companyId);
+
+    if (!connection) {
+      throw new AppError('SSO is not configured', 404);
+    }
+
+    await ssoService.deleteConnection(req.user.companyId);
+
+    res.json({ message: 'SSO removed successfully' });
+  })
+);
+
+// ============================================
+// SCIM PROVISIONING
+// ============================================
+
+/**
+ * @route   POST /api/v1/admin/scim/tokens
+ * @desc    Create a SCIM token for the company directory (the token is only shown in this response)
+ */
+router.post(
+  '/scim/tokens',
+  asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    const { token, record } = await scimService.createToken(req.user.companyId, { name }, req.user.id);
+
+    res.status(201).json({
+      message: 'SCIM token created. Copy it now, it will not be shown again.',
+      token,
+      scimToken: scimService.toPublicToken(record),
+      scimBaseUrl: `${getApiBaseUrl(req)}/scim/v2`,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/scim/tokens
+ * @desc    List the company's SCIM tokens
+ */
+router.get(
+  '/scim/tokens',
+  asyncHandler(async (req, res) => {
+    const tokens = await scimService.listTokens(req.user.companyId);
+
+    res.json({
+      tokens: tokens.map(token => scimService.toPublicToken(token)),
+      count: tokens.length,
+      scimBaseUrl: `${getApiBaseUrl(req)}/scim/v2`,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/scim/tokens/:tokenId
+ * @desc    Revoke a SCIM token (the directory can no longer provision users with it)
+ */
+router.delete(
+  '/scim/tokens/:tokenId',
+  asyncHandler(async (req, res) => {
+    const revoked = await scimService.revokeToken(req.user.companyId, req.params.tokenId, req.user.id);
+
+    if (!revoked) {
+      throw new AppError('SCIM token not found or already revoked', 404);
+    }
+
+    res.json({ message: 'SCIM token revoked successfully' });
+  })
+);
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * @route   POST /api/v1/admin/api-keys
+ * @desc    Create a company API key with scopes and expiry (the key is only shown in this response)
+ */
+router.post(
+  '/api-keys',
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { key, record } = await apiKeyService.createKey(
+      req.user.companyId,
+      { name, scopes, expiresInDays },
+      req.user.id
+    );
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: apiKeyService.toPublicKey(record),
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/api-keys
+ * @desc    List the company's API keys (with last use) and the scopes keys can have
+ */
+router.get(
+  '/api-keys',
+  asyncHandler(async (req, res) => {
+    const keys = await apiKeyService.listKeys(req.user.companyId);
+
+    res.json({
+      apiKeys: keys.map(key => apiKeyService.toPublicKey(key)),
+      count: keys.length,
+      availableScopes: API_KEY_SCOPES,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/api-keys/:keyId
+ * @desc    Revoke an API key (takes effect immediately)
+ */
+router.delete(
+  '/api-keys/:keyId',
+  asyncHandler(async (req, res) => {
+    const revoked = await apiKeyService.revokeKey(req.user.companyId, req.params.keyId, req.user.id);
+
+    if (!revoked) {
+      throw new AppError('API key not found or already revoked', 404);
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  })
+);
+
 // ============================================
 // COMPANY LOGO & PROFILE
 // ============================================
@@ -330,9 +691,10 @@ router.post(
     await docClient.send(new UpdateCommand({
       TableName: TABLES.COMPANIES,
       Key: { id: req.user.companyId },
-      UpdateExpression: 'SET logoUrl = :logoUrl, updatedAt = :updatedAt',
+      UpdateExpression: 'SET logoUrl = :logoUrl, logoS3Key = :logoS3Key, updatedAt = :updatedAt',
       ExpressionAttributeValues: {
         ':logoUrl': logoUrl,
+        ':logoS3Key': fileKey,
         ':updatedAt': new Date().toISOString(),
       },
     }));
@@ -344,6 +706,252 @@ router.post(
   })
 );
 
+// ============================================
+// EXPORT TEMPLATE
+// ============================================
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * @route   GET /api/v1/admin/export-template
+ * @desc    Get the branding applied to PDF and DOCX proposal exports
+ */
+router.get(
+  '/export-template',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    res.json({
+      template: resolveExportTemplate(req.company),
+      logoUrl: req.company.logoUrl || null,
+      fonts: Object.keys(EXPORT_FONTS),
+      executiveSummaryPlacements: EXECUTIVE_SUMMARY_PLACEMENTS,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/export-template
+ * @desc    Set export colors, font, cover page, table of contents, executive summary placement,
+ *          header/footer text and confidentiality notice
+ */
+router.put(
+  '/export-template',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const exportTemplate = normalizeExportTemplate(req.body, req.company.exportTemplate);
+
+    await companyService.updateBranding(req.user.companyId, { exportTemplate });
+
+    res.json({
+      message: 'Export template updated successfully',
+      template: exportTemplate,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/export-template/docx
+ * @desc    Upload a DOCX template whose placeholders are filled with proposal content on DOCX export
+ */
+router.post(
+  '/export-template/docx',
+  checkCompanyLimits,
+  upload.single('template'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('Template file is required', 400);
+    }
+
+    if (req.file.mimetype !== DOCX_MIME_TYPE && !req.file.originalname.toLowerCase().endsWith('.docx')) {
+      throw new AppError('Template must be a DOCX file', 400);
+    }
+
+    const placeholders = await listTemplatePlaceholders(req.file.buffer);
+    const known = [...TEMPLATE_PLACEHOLDERS.inline, ...TEMPLATE_PLACEHOLDERS.block];
+
+    const { key } = await s3Service.uploadFile(
+      { ...req.file, mimetype: DOCX_MIME_TYPE },
+      `companies/${req.user.companyId}/export-templates`
+    );
+
+    const previous = resolveExportTemplate(req.company);
+    const exportTemplate = {
+      ...previous,
+      docxTemplateKey: key,
+      docxTemplateFileName: req.file.originalname,
+    };
+
+    await companyService.updateBranding(req.user.companyId, { exportTemplate });
+
+    if (previous.docxTemplateKey) {
+      await s3Service.deleteFile(previous.docxTemplateKey).catch(() => {});
+    }
+
+    res.status(201).json({
+      message: 'DOCX template uploaded successfully',
+      template: exportTemplate,
+      placeholders,
+      unknownPlaceholders: placeholders.filter(name => !known.includes(name)),
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/export-template/docx
+ * @desc    Remove the DOCX template (DOCX exports use the generated layout again)
+ */
+router.delete(
+  '/export-template/docx',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const previous = resolveExportTemplate(req.company);
+
+    if (!previous.docxTemplateKey) {
+      throw new AppError('No DOCX template uploaded', 404);
+    }
+
+    const exportTemplate = {
+      ...previous,
+      docxTemplateKey: null,
+      docxTemplateFileName: null,
+    };
+
+    await companyService.updateBranding(req.user.companyId, { exportTemplate });
+    await s3Service.deleteFile(previous.docxTemplateKey).catch(() => {});
+
+    res.json({
+      message: 'DOCX template removed successfully',
+      template: exportTemplate,
+    });
+  })
+);
+
+// ============================================
+// AI MODEL SETTINGS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/ai-settings
+ * @desc    Get the LLM provider and model used for the company
+ */
+router.get(
+  '/ai-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const selection = getCompanyModelOptions(req.company);
+    const provider = getLLMProvider(selection.provider);
+
+    res.json({
+      provider: req.company.settings?.llmProvider || null,
+      modelId: req.company.settings?.llmModel || null,
+      effective: {
+        provider: provider.name,
+        modelId: selection.modelId || provider.defaultModel,
+      },
+      availableProviders: getSelectableProviders(),
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/ai-settings
+ * @desc    Choose the LLM provider and model for the company (null resets to the platform default)
+ */
+router.put(
+  '/ai-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const { provider, modelId } = req.body;
+
+    if (provider === undefined && modelId === undefined) {
+      throw new AppError('provider or modelId is required', 400);
+    }
+
+    const selectableProviders = getSelectableProviders();
+
+    if (provider && !selectableProviders.includes(provider)) {
+      throw new AppError(`provider must be one of ${selectableProviders.join(', ')}`, 400);
+    }
+
+    const settings = {};
+    if (provider !== undefined) settings.llmProvider = provider || null;
+    if (modelId !== undefined) settings.llmModel = modelId || null;
+
+    const company = await companyService.updateSettings(req.user.companyId, settings);
+
+    res.json({
+      message: 'AI settings updated successfully',
+      provider: company.settings.llmProvider || null,
+      modelId: company.settings.llmModel || null,
+    });
+  })
+);
+
+// ============================================
+// REVIEW WORKFLOW SETTINGS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/workflow-settings
+ * @desc    Get approval requirement and designated reviewers
+ */
+router.get(
+  '/workflow-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    res.json({
+      requireApproval: Boolean(req.company.settings?.requireApproval),
+      reviewerIds: req.company.settings?.reviewerIds || [],
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/workflow-settings
+ * @desc    Turn the approval requirement on/off and designate reviewers
+ */
+router.put(
+  '/workflow-settings',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const { requireApproval, reviewerIds } = req.body;
+
+    if (requireApproval === undefined && reviewerIds === undefined) {
+      throw new AppError('requireApproval or reviewerIds is required', 400);
+    }
+
+    const settings = {};
+
+    if (requireApproval !== undefined) {
+      settings.requireApproval = Boolean(requireApproval);
+    }
+
+    if (reviewerIds !== undefined) {
+      if (!Array.isArray(reviewerIds)) {
+        throw new AppError('reviewerIds must be an array of user IDs', 400);
+      }
+
+      for (const userId of reviewerIds) {
+        const user = await userService.getUserById(userId);
+        if (!user || user.companyId !== req.user.companyId) {
+          throw new AppError(`User not found in company: ${userId}`, 400);
+        }
+      }
+
+      settings.reviewerIds = [...new Set(reviewerIds)];
+    }
+
+    const company = await companyService.updateSettings(req.user.companyId, settings);
+
+    res.json({
+      message: 'Workflow settings updated successfully',
+      requireApproval: Boolean(company.settings.requireApproval),
+      reviewerIds: company.settings.reviewerIds || [],
+    });
+  })
+);
+
 // ============================================
 // USAGE & BILLING
 // ============================================
@@ -449,6 +1057,83 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/v1/admin/exports/bulk
+ * @desc    Export many proposals (listed by proposalIds, or matched by a filter on status,
+ *          createdFrom/createdTo, clientName and ownerId) into a ZIP archive with a manifest CSV.
+ *          Runs as a background job; poll GET /exports/bulk/:jobId for progress and the download URL
+ */
+router.post(
+  '/exports/bulk',
+  checkCompanyLimits,
+  asyncHandler(async (req, res) => {
+    const request = bulkExportService.normalizeRequest(req.body);
+
+    // Check export limit
+    if (req.company.limits.exportsUsed >= req.company.limits.maxMonthlyExports) {
+      throw new AppError(`Monthly export limit (${req.company.limits.maxMonthlyExports}) reached. Contact SuperAdmin.`, 403);
+    }
+
+    const proposalIds = await bulkExportService.resolveProposalIds(req.user.companyId, request);
+
+    const job = await jobService.enqueue({
+      type: BULK_EXPORT_JOB,
+      companyId: req.user.companyId,
+      createdBy: req.user.id,
+      payload: {
+        format: request.format,
+        proposalIds,
+        filter: request.filter,
+      },
+    });
+
+    res.status(202).json({
+      message: 'Bulk export queued',
+      jobId: job.id,
+      format: request.format,
+      proposalCount: proposalIds.length,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/exports/bulk/:jobId
+ * @desc    Get bulk export progress; includes a time-limited download URL once the archive is ready
+ */
+router.get(
+  '/exports/bulk/:jobId',
+  asyncHandler(async (req, res) => {
+    const job = await jobService.getJob(req.params.jobId);
+
+    if (!job || job.type !== BULK_EXPORT_JOB) {
+      throw new AppError('Bulk export not found', 404);
+    }
+
+    if (job.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const response = {
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      format: job.payload.format,
+      proposalCount: job.payload.proposalIds.length,
+      error: job.error,
+      result: job.result,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null,
+    };
+
+    if (job.status === 'completed' && job.result?.fileKey) {
+      Object.assign(response, await exportHistoryService.getDownloadUrl(job.result));
+    }
+
+    res.json(response);
+  })
+);
+
 // ============================================
 // AI SEARCH & Q&A
 // ============================================
@@ -483,7 +1168,7 @@ Context: ${context || 'No additional context provided'}
 Based on the company's stored RFP data and knowledge base, provide a comprehensive answer to this question.
 `;
 
-    const response = await invokeModel(prompt);
+    const response = await invokeModel(prompt, getCompanyModelOptions(req.company));
 
     // Increment search count
     await docClient.send(new UpdateCommand({
@@ -511,7 +1196,8 @@ Based on the company's stored RFP data and knowledge base, provide a comprehensi
 
 /**
  * @route   POST /api/v1/admin/export
- * @desc    Export data (check export limit)
+ * @desc    Export a proposal (pdf, docx, txt, md, html, xlsx) and get a time-limited download URL;
+ *          the export limit is only charged when the export succeeds
  */
 router.post(
   '/export',
@@ -528,28 +1214,30 @@ router.post(
       throw new AppError(`Monthly export limit (${req.company.limits.maxMonthlyExports}) reached. Contact SuperAdmin.`, 403);
     }
 
-    // TODO: Implement actual export logic
+    const proposal = await proposalService.getProposal(proposalId);
 
-    // Increment export count
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.COMPANIES,
-      Key: { id: req.user.companyId },
-      UpdateExpression: 'SET #limits.#exportsUsed = #limits.#exportsUsed + :inc, #usage.#totalExports = #usage.#totalExports + :inc',
-      ExpressionAttributeNames: {
-        '#limits': 'limits',
-        '#exportsUsed': 'exportsUsed',
-        '#usage': 'usage',
-        '#totalExports': 'totalExports',
-      },
-      ExpressionAttributeValues: {
-        ':inc': 1,
-      },
-    }));
+    if (!proposal) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { record, downloadUrl, expiresAt, company } = await exportHistoryService.createExport({
+      proposal,
+      format,
+      company: req.company,
+      user: req.user,
+    });
 
     res.json({
       message: 'Export completed successfully',
       format,
-      exportsRemaining: req.company.limits.maxMonthlyExports - req.company.limits.exportsUsed - 1,
+      export: record,
+      downloadUrl,
+      expiresAt,
+      exportsRemaining: company.limits.maxMonthlyExports - company.limits.exportsUsed,
     });
   })
 );
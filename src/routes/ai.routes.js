@@ -3,13 +3,93 @@ import { GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate, checkLimit } from '../middleware/auth.middleware.js';
 import { docClient, TABLES } from '../config/aws.config.js';
-import { generateAnswer, improveAnswer, generateSummary, searchKnowledgeBase } from '../services/ai.service.js';
+import {
+  generateAnswer,
+  streamAnswer,
+  improveAnswer,
+  generateSummary,
+  streamSummary,
+} from '../services/ai.service.js';
+import { knowledgeService } from '../services/knowledge.service.js';
+import { companyService } from '../services/company.service.js';
+import { proposalService, resolveExpectedVersion, getVersion } from '../services/proposal.service.js';
+import { revisionService } from '../services/revision.service.js';
+import { getCompanyModelOptions } from '../services/llm.service.js';
+import { openEventStream } from '../utils/sse.js';
+import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
 
+/**
+ * Model selection of the company that owns the data being generated for
+ * (req.company is only loaded by checkLimit, which superadmins skip)
+ */
+const getModelOptions = async (req, companyId) => {
+  const company = req.company?.id === companyId
+    ? req.company
+    : await companyService.getCompany(companyId);
+
+  return getCompanyModelOptions(company);
+};
+
+/**
+ * Add to the company's monthly AI usage
+ */
+const incrementSearchCount = async (companyId, count = 1) => {
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.COMPANIES,
+      Key: { id: companyId },
+      UpdateExpression: 'SET #limits.#searchesUsed = #limits.#searchesUsed + :inc',
+      ExpressionAttributeNames: {
+        '#limits': 'limits',
+        '#searchesUsed': 'searchesUsed',
+      },
+      ExpressionAttributeValues: {
+        ':inc': count,
+      },
+    })
+  );
+};
+
+/**
+ * Run a streaming generation over SSE. generate({ signal, onToken, send }) produces
+ * the result while tokens are sent as `token` events; persist(result) runs once generation has finished and its return value is
+ * sent as the `done` event. Nothing is persisted if the client disconnects.
+ */
+const streamGeneration = async (res, generate, persist) => {
+  const stream = openEventStream(res);
+
+  try {
+    const result = await generate({
+      signal: stream.signal,
+      onToken: text => stream.send('token', { text }),
+      send: (event, data) => stream.send(event, data),
+    });
+
+    if (stream.isClosed()) return;
+
+    stream.send('done', await persist(result));
+  } catch (error) {
+    if (stream.signal.aborted) {
+      logger.info('AI stream cancelled by client');
+      return;
+    }
+
+    logger.error('Error streaming AI response:', error);
+    stream.send('error', {
+      error: error.message,
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      ...error.details,
+    });
+  } finally {
+    stream.close();
+  }
+};
+
 /**
  * @route   POST /api/v1/ai/generate-answer
  * @desc    Generate draft answer for a question
@@ -44,34 +124,45 @@ router.post(
       throw new AppError('Access denied', 403);
     }
 
-    // Search knowledge base (simplified - you can enhance this)
-    const context = ''; // TODO: Implement knowledge base search
+    // The draft is only saved if nobody edits the question while it is generated
+    const questions = proposal.questions || [];
+    const questionIndex = questions.findIndex(q => q.id === questionId);
+    const expectedVersion = questionIndex !== -1
+      ? resolveExpectedVersion(questions[questionIndex], req.body.version)
+      : null;
+
+    // Retrieve supporting passages from the company's knowledge base
+    const passages = await knowledgeService.retrieveRelevantPassages(proposal.companyId, question);
 
     // Generate answer
-    const result = await generateAnswer(question, context);
+    const result = await generateAnswer(question, passages, await getModelOptions(req, proposal.companyId));
+
+    // A canned fallback is returned to the caller but never saved or charged
+    if (result.isFallback) {
+      return res.json({
+        message: 'AI model unavailable, fallback answer was not saved',
+        ...result,
+      });
+    }
 
     // Update question with draft answer
-    const questions = proposal.questions || [];
-    const questionIndex = questions.findIndex(q => q.id === questionId);
-
     if (questionIndex !== -1) {
-      questions[questionIndex].draftAnswer = result.answer;
-      questions[questionIndex].confidence = result.confidence;
-      questions[questionIndex].sources = result.sources;
-      questions[questionIndex].status = 'draft';
-      questions[questionIndex].generatedAt = result.generatedAt;
-
-      await docClient.send(
-        new UpdateCommand({
-          TableName: TABLES.PROPOSALS,
-          Key: { id: proposalId },
-          UpdateExpression: 'SET questions = :questions, updatedAt = :updatedAt',
-          ExpressionAttributeValues: {
-            ':questions': questions,
-            ':updatedAt': new Date().toISOString(),
-          },
-        })
+      const previous = questions[questionIndex];
+      questions[questionIndex] = await proposalService.saveQuestion(
+        proposalId,
+        questionIndex,
+        proposalService.applyGeneratedAnswer(previous, result),
+        expectedVersion
       );
+
+      await revisionService.recordRevision({
+        proposalId,
+        companyId: proposal.companyId,
+        previous,
+        current: questions[questionIndex],
+        source: 'ai_generate',
+        authorId: req.user.id,
+      });
     }
 
     // Update search count
@@ -97,23 +188,188 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/v1/ai/generate-answer/stream
+ * @desc    Generate draft answer for a question, streamed as Server-Sent Events
+ *          (`sources`, then `token` events, then `done` with the saved answer)
+ * @access  Private
+ */
+router.post(
+  '/generate-answer/stream',
+  checkLimit('searches'),
+  asyncHandler(async (req, res) => {
+    const { proposalId, questionId, question } = req.body;
+
+    if (!proposalId || !questionId || !question) {
+      throw new AppError('proposalId, questionId, and question are required', 400);
+    }
+
+    // Get proposal
+    const proposalResponse = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposalId },
+      })
+    );
+
+    if (!proposalResponse.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    const proposal = proposalResponse.Item;
+
+    // Check access
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    // The draft is only saved if nobody edits the question while it is streamed
+    const questions = proposal.questions || [];
+    const questionIndex = questions.findIndex(q => q.id === questionId);
+    const expectedVersion = questionIndex !== -1
+      ? resolveExpectedVersion(questions[questionIndex], req.body.version)
+      : null;
+
+    // Retrieve supporting passages from the company's knowledge base
+    const passages = await knowledgeService.retrieveRelevantPassages(proposal.companyId, question);
+    const modelOptions = await getModelOptions(req, proposal.companyId);
+
+    await streamGeneration(
+      res,
+      ({ signal, onToken, send }) => {
+        send('sources', {
+          sources: passages.map(p => ({ documentId: p.documentId, title: p.title, score: p.score })),
+        });
+        return streamAnswer(question, passages, { ...modelOptions, signal, onToken });
+      },
+      async (result) => {
+        if (result.isFallback) {
+          return {
+            message: 'AI model unavailable, fallback answer was not saved',
+            questionId,
+            ...result,
+          };
+        }
+
+        if (questionIndex !== -1) {
+          const previous = questions[questionIndex];
+          questions[questionIndex] = await proposalService.saveQuestion(
+            proposalId,
+            questionIndex,
+            proposalService.applyGeneratedAnswer(previous, result),
+            expectedVersion
+          );
+
+          await revisionService.recordRevision({
+            proposalId,
+            companyId: proposal.companyId,
+            previous,
+            current: questions[questionIndex],
+            source: 'ai_generate',
+            authorId: req.user.id,
+          });
+        }
+
+        await incrementSearchCount(req.user.companyId);
+
+        return {
+          message: 'Answer generated successfully',
+          questionId,
+          ...result,
+        };
+      }
+    );
+  })
+);
+
 /**
  * @route   POST /api/v1/ai/improve-answer
  * @desc    Improve existing answer based on feedback
+ *          (with proposalId and questionId the improved answer is saved as the question's draft)
  * @access  Private
  */
 router.post(
   '/improve-answer',
   checkLimit('searches'),
   asyncHandler(async (req, res) => {
-    const { currentAnswer, feedback, question } = req.body;
+    const { currentAnswer, feedback, question, proposalId, questionId } = req.body;
 
     if (!currentAnswer || !feedback || !question) {
       throw new AppError('currentAnswer, feedback, and question are required', 400);
     }
 
+    if (Boolean(proposalId) !== Boolean(questionId)) {
+      throw new AppError('proposalId and questionId must be provided together', 400);
+    }
+
+    let proposal = null;
+    let questionIndex = -1;
+    let expectedVersion = null;
+    if (proposalId) {
+      const proposalResponse = await docClient.send(
+        new GetCommand({
+          TableName: TABLES.PROPOSALS,
+          Key: { id: proposalId },
+        })
+      );
+
+      if (!proposalResponse.Item) {
+        throw new AppError('Proposal not found', 404);
+      }
+
+      proposal = proposalResponse.Item;
+
+      // Check access
+      if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+        throw new AppError('Access denied', 403);
+      }
+
+      questionIndex = (proposal.questions || []).findIndex(q => q.id === questionId);
+
+      if (questionIndex === -1) {
+        throw new AppError('Question not found', 404);
+      }
+
+      expectedVersion = resolveExpectedVersion(proposal.questions[questionIndex], req.body.version);
+    }
+
     // Generate improved answer
-    const improvedAnswer = await improveAnswer(currentAnswer, feedback, question);
+    const improvedAnswer = await improveAnswer(
+      currentAnswer,
+      feedback,
+      question,
+      await getModelOptions(req, proposal ? proposal.companyId : req.user.companyId)
+    );
+
+    let updatedQuestion = null;
+    let revision = null;
+    if (proposal) {
+      const previous = proposal.questions[questionIndex];
+
+      // Same rule as a manual edit: a rewritten answer goes back to drafted
+      updatedQuestion = await proposalService.saveQuestion(
+        proposalId,
+        questionIndex,
+        {
+          ...previous,
+          draftAnswer: improvedAnswer,
+          status: 'drafted',
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.user.id,
+        },
+        expectedVersion
+      );
+
+      revision = await revisionService.recordRevision({
+        proposalId,
+        companyId: proposal.companyId,
+        previous,
+        current: updatedQuestion,
+        source: 'ai_improve',
+        authorId: req.user.id,
+        note: feedback,
+      });
+    }
 
     // Update search count
     await docClient.send(
@@ -135,6 +391,10 @@ router.post(
       message: 'Answer improved successfully',
       improvedAnswer,
       improvedAt: new Date().toISOString(),
+      ...(updatedQuestion && {
+        question: updatedQuestion,
+        revision: revision ? revision.version : null,
+      }),
     });
   })
 );
@@ -174,7 +434,7 @@ router.post(
     }
 
     // Generate summary
-    const summary = await generateSummary(proposal);
+    const summary = await generateSummary(proposal, await getModelOptions(req, proposal.companyId));
 
     // Update proposal with summary
     await docClient.send(
@@ -212,9 +472,74 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/v1/ai/generate-summary/stream
+ * @desc    Generate executive summary for proposal, streamed as Server-Sent Events
+ *          (`token` events, then `done` with the saved summary)
+ * @access  Private
+ */
+router.post(
+  '/generate-summary/stream',
+  checkLimit('searches'),
+  asyncHandler(async (req, res) => {
+    const { proposalId } = req.body;
+
+    if (!proposalId) {
+      throw new AppError('proposalId is required', 400);
+    }
+
+    // Get proposal
+    const proposalResponse = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposalId },
+      })
+    );
+
+    if (!proposalResponse.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    const proposal = proposalResponse.Item;
+
+    // Check access
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const modelOptions = await getModelOptions(req, proposal.companyId);
+
+    await streamGeneration(
+      res,
+      ({ signal, onToken }) => streamSummary(proposal, { ...modelOptions, signal, onToken }),
+      async (summary) => {
+        await docClient.send(
+          new UpdateCommand({
+            TableName: TABLES.PROPOSALS,
+            Key: { id: proposalId },
+            UpdateExpression: 'SET executiveSummary = :summary, updatedAt = :updatedAt',
+            ExpressionAttributeValues: {
+              ':summary': summary,
+              ':updatedAt': new Date().toISOString(),
+            },
+          })
+        );
+
+        await incrementSearchCount(req.user.companyId);
+
+        return {
+          message: 'Summary generated successfully',
+          summary,
+        };
+      }
+    );
+  })
+);
+
 /**
  * @route   POST /api/v1/ai/bulk-generate
- * @desc    Generate answers for all pending questions
+ * @desc    Generate answers for all pending questions (each saved answer counts as a search;
+ *          generation stops once the monthly limit is reached)
  * @access  Private
  */
 router.post(
@@ -254,64 +579,77 @@ router.post(
     }
 
     // Generate answers for all pending questions
+    const modelOptions = await getModelOptions(req, proposal.companyId);
     const results = [];
 
-    for (const question of pendingQuestions) {
+    for (let i = 0; i < pendingQuestions.length; i++) {
+      const question = pendingQuestions[i];
+
+      // Each answer is charged before it is generated; stop once the quota runs out
+      if (!await companyService.chargeSearch(proposal.companyId)) {
+        pendingQuestions.slice(i).forEach(skipped => results.push({
+          questionId: skipped.id,
+          success: false,
+          limitReached: true,
+          error: 'Monthly search limit reached',
+        }));
+        break;
+      }
+
+      let saved = null;
+
       try {
-        const result = await generateAnswer(question.question, '');
-        
-        // Update question
-        const index = questions.findIndex(q => q.id === question.id);
-        if (index !== -1) {
-          questions[index].draftAnswer = result.answer;
-          questions[index].confidence = result.confidence;
-          questions[index].sources = result.sources;
-          questions[index].status = 'draft';
-          questions[index].generatedAt = result.generatedAt;
+        const passages = await knowledgeService.retrieveRelevantPassages(proposal.companyId, question.question);
+        const result = await generateAnswer(question.question, passages, modelOptions);
+
+        if (result.isFallback) {
+          results.push({
+            questionId: question.id,
+            success: false,
+            isFallback: true,
+            error: 'AI model unavailable, fallback answer was not saved',
+          });
+          continue;
         }
 
+        // Save each question on its own; one edited during the run is left as the user wrote it
+        const index = questions.indexOf(question);
+        saved = await proposalService.saveQuestion(
+          proposalId,
+          index,
+          proposalService.applyGeneratedAnswer(question, result),
+          getVersion(question)
+        );
+
+        await revisionService.recordRevision({
+          proposalId,
+          companyId: proposal.companyId,
+          previous: question,
+          current: saved,
+          source: 'ai_generate',
+          authorId: req.user.id,
+        });
+
         results.push({
           questionId: question.id,
           success: true,
+          version: saved.version,
         });
       } catch (error) {
         results.push({
           questionId: question.id,
           success: false,
+          ...(error.statusCode === 409 && { conflict: true }),
           error: error.message,
         });
+      } finally {
+        // Fallbacks, conflicts and errors are not charged
+        if (!saved) {
+          await companyService.refundSearch(proposal.companyId);
+        }
       }
     }
 
-    // Update proposal
-    await docClient.send(
-      new UpdateCommand({
-        TableName: TABLES.PROPOSALS,
-        Key: { id: proposalId },
-        UpdateExpression: 'SET questions = :questions, updatedAt = :updatedAt',
-        ExpressionAttributeValues: {
-          ':questions': questions,
-          ':updatedAt': new Date().toISOString(),
-        },
-      })
-    );
-
-    // Update search count
-    await docClient.send(
-      new UpdateCommand({
-        TableName: TABLES.COMPANIES,
-        Key: { id: req.user.companyId },
-        UpdateExpression: 'SET #limits.#searchesUsed = #limits.#searchesUsed + :inc',
-        ExpressionAttributeNames: {
-          '#limits': 'limits',
-          '#searchesUsed': 'searchesUsed',
-        },
-        ExpressionAttributeValues: {
-          ':inc': pendingQuestions.length,
-        },
-      })
-    );
-
     const successCount = results.filter(r => r.success).length;
 
     res.json({
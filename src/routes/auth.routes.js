@@ -1,14 +1,236 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
-import { PutCommand, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { authenticate, rateLimit } from '../middleware/auth.middleware.js';
+import { PutCommand, GetCommand, UpdateCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
 import { docClient, TABLES } from '../config/aws.config.js';
 import { v4 as uuidv4 } from 'uuid';
+import { sessionService } from '../services/session.service.js';
+import { mfaService } from '../services/mfa.service.js';
+import { ssoService, getApiBaseUrl } from '../services/sso.service.js';
 
 const router = express.Router();
 
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+/**
+ * User and company of a session or MFA challenge, checked the same way as at login
+ * @throws {AppError} If the account or company can no longer sign in
+ */
+const loadActiveUser = async (email, userId) => {
+  const userResponse = await docClient.send(new GetCommand({
+    TableName: TABLES.USERS,
+    Key: { email },
+  }));
+
+  const user = userResponse.Item;
+
+  if (!user || user.id !== userId) {
+    throw new AppError('User not found', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account is deactivated. Contact your administrator.', 403);
+  }
+
+  if (user.loginStatus === 'disabled') {
+    throw new AppError('Login is disabled for this account. Contact your administrator.', 403);
+  }
+
+  let company = null;
+
+  if (user.role !== 'superadmin') {
+    const companyResponse = await docClient.send(new GetCommand({
+      TableName: TABLES.COMPANIES,
+      Key: { id: user.companyId },
+    }));
+
+    company = companyResponse.Item || null;
+
+    if (company && company.subscriptionStatus === 'deactivated') {
+      throw new AppError('Company subscription is deactivated. Contact support.', 403);
+    }
+  }
+
+  return { user, company };
+};
+
+/**
+ * Last step of every login: track usage and open a session for this device
+ * @param {string} authMethod - password or sso
+ * @returns {Promise<Object>} Response fields (tokens and user)
+ */
+const completeLogin = async (req, user, authMethod = 'password') => {
+  // Update login counts and timestamp
+  const now = new Date().toISOString();
+  
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.USERS,
+    Key: { email: user.email },
+    UpdateExpression: 'SET #usage.#totalLogins = #usage.#totalLogins + :inc, #usage.#lastLoginAt = :now',
+    ExpressionAttributeNames: {
+      '#usage': 'usage',
+      '#totalLogins': 'totalLogins',
+      '#lastLoginAt': 'lastLoginAt',
+    },
+    ExpressionAttributeValues: {
+      ':inc': 1,
+      ':now': now,
+    },
+  }));
+
+  // Update company login count
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.COMPANIES,
+    Key: { id: user.companyId },
+    UpdateExpression: 'SET #usage.#totalLogins = #usage.#totalLogins + :inc, #usage.#lastLoginAt = :now',
+    ExpressionAttributeNames: {
+      '#usage': 'usage',
+      '#totalLogins': 'totalLogins',
+      '#lastLoginAt': 'lastLoginAt',
+    },
+    ExpressionAttributeValues: {
+      ':inc': 1,
+      ':now': now,
+    },
+  }));
+
+  // Open a session for this device
+  const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await sessionService.startSession(user, {
+    ...getClientInfo(req),
+    authMethod,
+  });
+
+  const { password: _, resetToken, resetTokenExpiry, ...userWithoutPassword } = user;
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    refreshTokenExpiresAt,
+    user: userWithoutPassword,
+  };
+};
+
+// Second-factor attempts per client
+const mfaRateLimit = rateLimit(10, 60000);
+
+/**
+ * Second step a login needs before it gets a session, for password and SSO logins alike
+ * @param {string} authMethod - password or sso
+ * @returns {Object|null} Response fields with the challenge, or null if no second step is needed
+ */
+const getMfaStep = (user, company, authMethod) => {
+  if (user.mfaEnabled) {
+    return {
+      message: 'MFA code required',
+      mfaRequired: true,
+      ...mfaService.createChallenge(user, 'mfa_login', authMethod),
+    };
+  }
+
+  if (mfaService.isRequired(user, company)) {
+    return {
+      message: 'Your company requires MFA. Set it up to finish signing in.',
+      mfaEnrollmentRequired: true,
+      ...mfaService.createChallenge(user, 'mfa_enrollment', authMethod),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Send the browser back to the frontend after SSO. The refresh token travels in the URL
+ * fragment (never sent to servers) and is single-use: the frontend exchanges it at
+ * POST /auth/refresh for its first access token. When MFA is enabled or required, the
+ * fragment carries the MFA challenge instead, finished at POST /auth/login/mfa (or
+ * /auth/login/mfa/enroll) like a password login.
+ */
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/sso/callback#${new URLSearchParams(params).toString()}`);
+};
+
+// Ties an SSO sign-in to the browser that started it (see ssoService.startLogin)
+const SSO_BINDING_COOKIE = 'sso_binding';
+
+const getSsoCookieOptions = (req) => {
+  const secure = getApiBaseUrl(req).startsWith('https://');
+
+  return {
+    httpOnly: true,
+    secure,
+    // SAML responses arrive as a cross-site POST, which only carries SameSite=None cookies
+    sameSite: secure ? 'none' : 'lax',
+    path: '/api/v1/auth/sso',
+  };
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return pair ? decodeURIComponent(pair.substring(name.length + 1)) : null;
+};
+
+/**
+ * Enabled SSO connection for an email's domain, or for a company
+ * @throws {AppError} 404 if there is none
+ */
+const findSsoConnection = async ({ email, companyId }) => {
+  if (!email && !companyId) {
+    throw new AppError('email or companyId is required', 400);
+  }
+
+  const connection = companyId
+    ? await ssoService.getConnection(companyId)
+    : await ssoService.findConnectionForEmail(email);
+
+  if (!connection?.enabled) {
+    throw new AppError('SSO is not configured for this account', 404);
+  }
+
+  return connection;
+};
+
+/**
+ * Finish an SSO login started by /sso/authorize
+ * @param {Function} complete - async (binding) => { connection, request, identity }
+ */
+const finishSsoLogin = async (req, res, complete) => {
+  const binding = readCookie(req, SSO_BINDING_COOKIE);
+  res.clearCookie(SSO_BINDING_COOKIE, getSsoCookieOptions(req));
+
+  try {
+    const { connection, request, identity } = await complete(binding);
+    const provisioned = await ssoService.resolveUser(connection, identity);
+    const { user, company } = await loadActiveUser(provisioned.email, provisioned.id);
+    const returnTo = request.returnTo ? { returnTo: request.returnTo } : {};
+
+    // Company MFA applies to SSO logins too, whatever the IdP itself enforces
+    const mfaStep = getMfaStep(user, company, 'sso');
+
+    if (mfaStep) {
+      const { message, ...challenge } = mfaStep;
+      return redirectToFrontend(res, { ...challenge, ...returnTo });
+    }
+
+    const { refreshToken } = await completeLogin(req, user, 'sso');
+
+    redirectToFrontend(res, { refreshToken, ...returnTo });
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+    redirectToFrontend(res, { error: error.message });
+  }
+};
+
 /**
  * @route   POST /api/v1/auth/register
  * @desc    Register new user (creates company too)
@@ -126,23 +348,16 @@ router.post(
       Item: user,
     }));
 
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name, 
-        role: user.role,
-        companyId: user.companyId,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await sessionService.startSession(user, getClientInfo(req));
 
     const { password: _, ...userWithoutPassword } = user;
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
       user: userWithoutPassword,
     });
   })
@@ -150,7 +365,8 @@ router.post(
 
 /**
  * @route   POST /api/v1/auth/login
- * @desc    Login with login status check and usage tracking
+ * @desc    Login with login status check and usage tracking. When MFA is enabled or
+ *          required, returns a challenge token for the second step instead of a session.
  */
 router.post(
   '/login',
@@ -183,80 +399,203 @@ router.post(
       throw new AppError('Login is disabled for this account. Contact your administrator.', 403);
     }
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, user.password);
+    // Verify password (users created by SSO have none)
+    const isValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
 
     if (!isValid) {
       throw new AppError('Invalid credentials', 401);
     }
 
+    if (user.role !== 'superadmin' && await ssoService.isPasswordLoginDisabled(user.companyId)) {
+      throw new AppError('Your company signs in with single sign-on. Use SSO to log in.', 403);
+    }
+
     // Get company to check subscription status
     const companyResponse = await docClient.send(new GetCommand({
       TableName: TABLES.COMPANIES,
       Key: { id: user.companyId },
     }));
 
-    if (companyResponse.Item && companyResponse.Item.subscriptionStatus === 'deactivated') {
+    const company = companyResponse.Item;
+
+    if (company && company.subscriptionStatus === 'deactivated') {
       throw new AppError('Company subscription is deactivated. Contact support.', 403);
     }
 
-    // Update login counts and timestamp
-    const now = new Date().toISOString();
-    
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.USERS,
-      Key: { email },
-      UpdateExpression: 'SET #usage.#totalLogins = #usage.#totalLogins + :inc, #usage.#lastLoginAt = :now',
-      ExpressionAttributeNames: {
-        '#usage': 'usage',
-        '#totalLogins': 'totalLogins',
-        '#lastLoginAt': 'lastLoginAt',
-      },
-      ExpressionAttributeValues: {
-        ':inc': 1,
-        ':now': now,
-      },
-    }));
+    // With MFA the password only earns a challenge; the session comes with the second factor
+    const mfaStep = getMfaStep(user, company, 'password');
 
-    // Update company login count
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.COMPANIES,
-      Key: { id: user.companyId },
-      UpdateExpression: 'SET #usage.#totalLogins = #usage.#totalLogins + :inc, #usage.#lastLoginAt = :now',
-      ExpressionAttributeNames: {
-        '#usage': 'usage',
-        '#totalLogins': 'totalLogins',
-        '#lastLoginAt': 'lastLoginAt',
-      },
-      ExpressionAttributeValues: {
-        ':inc': 1,
-        ':now': now,
-      },
-    }));
+    if (mfaStep) {
+      return res.json(mfaStep);
+    }
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name, 
-        role: user.role,
-        companyId: user.companyId,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    res.json({
+      message: 'Login successful',
+      ...(await completeLogin(req, user)),
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/login/mfa
+ * @desc    Second login step: exchange the MFA challenge and an authenticator code
+ *          (or a recovery code) for a session
+ */
+router.post(
+  '/login/mfa',
+  mfaRateLimit,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    const { password: _, resetToken, resetTokenExpiry, ...userWithoutPassword } = user;
+    const challenge = mfaService.verifyChallenge(challengeToken, 'mfa_login');
+    const { user } = await loadActiveUser(challenge.email, challenge.id);
+
+    const { method, recoveryCodesRemaining } = await mfaService.verify(
+      user.id,
+      { code, recoveryCode },
+      { challengeIssuedAt: challenge.issuedAt }
+    );
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userWithoutPassword,
+      ...(await completeLogin(req, user, challenge.authMethod)),
+      ...(method === 'recovery_code' && { recoveryCodesRemaining }),
     });
   })
 );
 
+/**
+ * @route   POST /api/v1/auth/login/mfa/enroll
+ * @desc    Start MFA setup during login when the company requires MFA
+ */
+router.post(
+  '/login/mfa/enroll',
+  asyncHandler(async (req, res) => {
+    const challenge = mfaService.verifyChallenge(req.body.challengeToken, 'mfa_enrollment');
+    const { user } = await loadActiveUser(challenge.email, challenge.id);
+
+    const enrollment = await mfaService.startEnrollment(user);
+
+    res.json(enrollment);
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/login/mfa/enroll/verify
+ * @desc    Confirm MFA setup with a code and finish signing in (returns the recovery codes once)
+ */
+router.post(
+  '/login/mfa/enroll/verify',
+  mfaRateLimit,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const challenge = mfaService.verifyChallenge(challengeToken, 'mfa_enrollment');
+    const { user } = await loadActiveUser(challenge.email, challenge.id);
+
+    const recoveryCodes = await mfaService.confirmEnrollment(user, code);
+
+    res.json({
+      message: 'MFA enabled. Login successful',
+      ...(await completeLogin(req, { ...user, mfaEnabled: true }, challenge.authMethod)),
+      recoveryCodes,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/sso/start
+ * @desc    Find the SSO connection for the company owning the email's domain (or companyId).
+ *          Returns the URL to send the browser to (/sso/authorize, which continues to the IdP).
+ */
+router.post(
+  '/sso/start',
+  asyncHandler(async (req, res) => {
+    const { email, companyId, returnTo } = req.body;
+    const connection = await findSsoConnection({ email, companyId });
+
+    const params = new URLSearchParams({
+      ...(email ? { email } : { companyId }),
+      ...(typeof returnTo === 'string' && { returnTo }),
+    });
+
+    res.json({
+      protocol: connection.protocol,
+      redirectUrl: `${getApiBaseUrl(req)}/api/v1/auth/sso/authorize?${params.toString()}`,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/auth/sso/authorize
+ * @desc    Browser entry point of an SSO login (?email or ?companyId, returnTo): sets the
+ *          browser binding cookie and redirects to the identity provider
+ */
+router.get(
+  '/sso/authorize',
+  asyncHandler(async (req, res) => {
+    const [email, companyId, returnTo] = ['email', 'companyId', 'returnTo']
+      .map(name => (typeof req.query[name] === 'string' ? req.query[name] : undefined));
+
+    try {
+      const connection = await findSsoConnection({ email, companyId });
+      const { redirectUrl, binding } = await ssoService.startLogin(connection, {
+        baseUrl: getApiBaseUrl(req),
+        loginHint: email,
+        returnTo,
+      });
+
+      res.cookie(SSO_BINDING_COOKIE, binding, getSsoCookieOptions(req));
+      res.redirect(redirectUrl);
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      redirectToFrontend(res, { error: error.message });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/v1/auth/sso/oidc/callback
+ * @desc    OIDC redirect URI: signs the user in (or issues the MFA challenge) and redirects to the frontend
+ */
+router.get(
+  '/sso/oidc/callback',
+  asyncHandler(async (req, res) => {
+    await finishSsoLogin(req, res, binding => ssoService.completeOidcLogin(req.query, getApiBaseUrl(req), binding));
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/sso/saml/:companyId/acs
+ * @desc    SAML assertion consumer service: signs the user in (or issues the MFA challenge)
+ *          and redirects to the frontend
+ */
+router.post(
+  '/sso/saml/:companyId/acs',
+  asyncHandler(async (req, res) => {
+    await finishSsoLogin(req, res, binding => ssoService.completeSamlLogin(req.params.companyId, req.body, getApiBaseUrl(req), binding));
+  })
+);
+
+/**
+ * @route   GET /api/v1/auth/sso/saml/:companyId/metadata
+ * @desc    SAML service provider metadata to register with the identity provider
+ */
+router.get(
+  '/sso/saml/:companyId/metadata',
+  asyncHandler(async (req, res) => {
+    const connection = await ssoService.getConnection(req.params.companyId);
+
+    if (connection?.protocol !== 'saml') {
+      throw new AppError('SAML is not configured for this company', 404);
+    }
+
+    res.type('application/xml').send(ssoService.getSamlMetadata(req.params.companyId, getApiBaseUrl(req)));
+  })
+);
+
 /**
  * @route   POST /api/v1/auth/forgot-password
  * @desc    Request password reset
@@ -358,7 +697,210 @@ router.post(
       },
     }));
 
-    res.json({ message: 'Password reset successfully' });
+    // Whoever knew the old password is signed out everywhere
+    const sessionsRevoked = await sessionService.revokeUserSessions(user.id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully', sessionsRevoked });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; reusing one revokes its session.
+ */
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      throw new AppError('Refresh token is required', 400);
+    }
+
+    const tokens = await sessionService.refresh(
+      refreshToken,
+      async (session) => (await loadActiveUser(session.email, session.userId)).user,
+      getClientInfo(req)
+    );
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Sign out of the current session
+ * @access  Private
+ */
+router.post(
+  '/logout',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await sessionService.revokeSession(req.user.sessionId, 'logout', req.user.id);
+
+    res.json({ message: 'Logged out successfully' });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Sign out of every session of the current user, optionally keeping the current one
+ * @access  Private
+ */
+router.post(
+  '/logout-all',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { keepCurrent = false } = req.body;
+
+    const sessionsRevoked = await sessionService.revokeUserSessions(req.user.id, 'logout_all', {
+      revokedBy: req.user.id,
+      ...(keepCurrent && { exceptSessionId: req.user.sessionId }),
+    });
+
+    res.json({
+      message: 'Logged out of all sessions',
+      sessionsRevoked,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    Active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listUserSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => sessionService.toPublicSession(session, req.user.sessionId)),
+      count: sessions.length,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const session = await sessionService.getSession(req.params.sessionId);
+
+    if (!session || session.userId !== req.user.id) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await sessionService.revokeSession(session.id, 'logout', req.user.id);
+
+    res.json({ message: 'Session revoked' });
+  })
+);
+
+/**
+ * @route   GET /api/v1/auth/mfa
+ * @desc    MFA status of the current user
+ * @access  Private
+ */
+router.get(
+  '/mfa',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { company } = await loadActiveUser(req.user.email, req.user.id);
+
+    res.json(await mfaService.getStatus(req.user, company));
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/enroll
+ * @desc    Start MFA setup: returns the secret and an otpauth:// URL to show as a QR code
+ * @access  Private
+ */
+router.post(
+  '/mfa/enroll',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const enrollment = await mfaService.startEnrollment(req.user);
+
+    res.json(enrollment);
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/enroll/verify
+ * @desc    Confirm MFA setup with a code from the authenticator app (returns the recovery codes once)
+ * @access  Private
+ */
+router.post(
+  '/mfa/enroll/verify',
+  authenticate,
+  mfaRateLimit,
+  asyncHandler(async (req, res) => {
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user, req.body.code);
+
+    res.json({
+      message: 'MFA enabled',
+      recoveryCodes,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/recovery-codes
+ * @desc    Replace the recovery codes (requires a current code)
+ * @access  Private
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  mfaRateLimit,
+  asyncHandler(async (req, res) => {
+    await mfaService.verify(req.user.id, { code: req.body.code });
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes replaced',
+      recoveryCodes,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/disable
+ * @desc    Turn MFA off (requires a code or recovery code; not allowed when the company requires MFA)
+ * @access  Private
+ */
+router.post(
+  '/mfa/disable',
+  authenticate,
+  mfaRateLimit,
+  asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+    const { company } = await loadActiveUser(req.user.email, req.user.id);
+
+    if (mfaService.isRequired(req.user, company)) {
+      throw new AppError('Your company requires MFA', 403);
+    }
+
+    await mfaService.verify(req.user.id, { code, recoveryCode });
+    await mfaService.disable(req.user);
+
+    res.json({ message: 'MFA disabled' });
   })
 );
 
@@ -0,0 +1,40 @@
+import express from 'express';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { jobService } from '../services/job.service.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/jobs/:id
+ * @desc    Get background job status and progress
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const job = await jobService.getJob(id);
+
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+
+    // Check access
+    if (job.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { payload, ...jobResponse } = job;
+
+    res.json({
+      job: jobResponse,
+    });
+  })
+);
+
+export default router;
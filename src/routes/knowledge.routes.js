@@ -4,6 +4,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { docClient, TABLES } from '../config/aws.config.js';
+import { knowledgeService } from '../services/knowledge.service.js';
 
 const router = express.Router();
 
@@ -18,58 +19,52 @@ router.use(authenticate);
 router.post(
   '/search',
   asyncHandler(async (req, res) => {
-    const { query, category, tags, limit = 10 } = req.body;
+    const { query, category, tags, limit = 10, mode = 'hybrid' } = req.body;
 
     if (!query) {
       throw new AppError('Search query is required', 400);
     }
 
-    // Build filter expression
-    let filterExpression = 'companyId = :companyId';
-    const expressionValues = {
-      ':companyId': req.user.companyId,
-    };
-
-    if (category) {
-      filterExpression += ' AND category = :category';
-      expressionValues[':category'] = category;
+    if (!['keyword', 'semantic', 'hybrid'].includes(mode)) {
+      throw new AppError('mode must be one of keyword, semantic, hybrid', 400);
     }
 
-    const params = {
-      TableName: TABLES.KNOWLEDGE,
-      FilterExpression: filterExpression,
-      ExpressionAttributeValues: expressionValues,
-      Limit: parseInt(limit),
-    };
+    const maxResults = parseInt(limit);
+
+    const [passages, documents] = await Promise.all([
+      knowledgeService.search(req.user.companyId, query, { topK: maxResults * 3, mode }),
+      knowledgeService.listCompanyDocuments(req.user.companyId),
+    ]);
+
+    const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+    const resultsById = new Map();
+
+    // Group matching passages under their document, best passage first
+    passages.forEach(passage => {
+      const doc = documentsById.get(passage.documentId);
+      if (!doc) return;
+      if (category && doc.category !== category) return;
+      if (tags && tags.length > 0 && !(doc.tags || []).some(tag => tags.includes(tag))) return;
+
+      if (!resultsById.has(doc.id)) {
+        resultsById.set(doc.id, { ...doc, relevanceScore: passage.score, passages: [] });
+      }
+
+      resultsById.get(doc.id).passages.push({
+        snippet: passage.snippet,
+        score: passage.score,
+        lexicalScore: passage.lexicalScore,
+        vectorScore: passage.vectorScore,
+      });
+    });
 
-    const response = await docClient.send(new ScanCommand(params));
-    let results = response.Items || [];
-
-    // Simple keyword search in title and content
-    const searchTerms = query.toLowerCase().split(/\s+/);
-    
-    results = results
-      .map(item => {
-        const title = (item.title || '').toLowerCase();
-        const content = (item.content || '').toLowerCase();
-        const itemTags = item.tags || [];
-        
-        let score = 0;
-        
-        searchTerms.forEach(term => {
-          if (title.includes(term)) score += 5;
-          if (content.includes(term)) score += 2;
-          if (itemTags.some(tag => tag.toLowerCase().includes(term))) score += 3;
-        });
-        
-        return { ...item, relevanceScore: score };
-      })
-      .filter(item => item.relevanceScore > 0)
+    const results = [...resultsById.values()]
       .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, parseInt(limit));
+      .slice(0, maxResults);
 
     res.json({
       query,
+      mode,
       results,
       count: results.length,
     });
@@ -182,6 +177,13 @@ router.post(
       })
     );
 
+    // Make the document searchable (the DynamoDB record stays the source of truth)
+    try {
+      await knowledgeService.indexDocument(document);
+    } catch (error) {
+      console.error('Error indexing knowledge document:', error);
+    }
+
     res.status(201).json({
       message: 'Knowledge document created successfully',
       document,
@@ -243,7 +245,7 @@ router.put(
 
     expressionAttributeValues[':updatedAt'] = new Date().toISOString();
 
-    await docClient.send(
+    const updated = await docClient.send(
       new UpdateCommand({
         TableName: TABLES.KNOWLEDGE,
         Key: { id },
@@ -254,6 +256,14 @@ router.put(
       })
     );
 
+    if (title || content) {
+      try {
+        await knowledgeService.indexDocument(updated.Attributes);
+      } catch (error) {
+        console.error('Error re-indexing knowledge document:', error);
+      }
+    }
+
     res.json({
       message: 'Document updated successfully',
     });
@@ -295,6 +305,12 @@ router.delete(
       })
     );
 
+    try {
+      await knowledgeService.removeDocument(existing.Item);
+    } catch (error) {
+      console.error('Error removing knowledge document from index:', error);
+    }
+
     res.json({
       message: 'Document deleted successfully',
     });
@@ -0,0 +1,316 @@
+import express from 'express';
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { answerLibraryService } from '../services/library.service.js';
+import { userService } from '../services/user.service.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * Company whose library a request works on. Superadmins have no company of their own
+ * and name it with the companyId query parameter.
+ * @throws {AppError} 400 if a superadmin does not give companyId
+ */
+const getLibraryCompanyId = (req) => {
+  if (req.user.role !== 'superadmin') {
+    return req.user.companyId;
+  }
+
+  if (!req.query.companyId) {
+    throw new AppError('companyId query parameter is required for superadmins', 400);
+  }
+
+  return req.query.companyId;
+};
+
+/**
+ * Load a library entry and check that it belongs to the user's company
+ */
+const getAccessibleEntry = async (req) => {
+  const entry = await answerLibraryService.getEntry(req.params.id);
+
+  if (!entry) {
+    throw new AppError('Library entry not found', 404);
+  }
+
+  if (entry.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    throw new AppError('Access denied', 403);
+  }
+
+  return entry;
+};
+
+/**
+ * Load a proposal and check that it belongs to the user's company
+ */
+const getAccessibleProposal = async (req, proposalId) => {
+  const response = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.PROPOSALS,
+      Key: { id: proposalId },
+    })
+  );
+
+  if (!response.Item) {
+    throw new AppError('Proposal not found', 404);
+  }
+
+  if (response.Item.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    throw new AppError('Access denied', 403);
+  }
+
+  return response.Item;
+};
+
+/**
+ * @throws {AppError} 400 unless tags (when given) is an array of strings
+ */
+const assertTags = (tags) => {
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    throw new AppError('tags must be an array of strings', 400);
+  }
+};
+
+/**
+ * Entry owners must belong to the entry's company
+ * @throws {AppError} 400 if ownerId (when given) is not a user of the company
+ */
+const assertOwnerInCompany = async (ownerId, companyId) => {
+  if (ownerId === undefined || ownerId === null || ownerId === '') {
+    return;
+  }
+
+  const owner = typeof ownerId === 'string' ? await userService.getUserById(ownerId) : null;
+
+  if (!owner || owner.companyId !== companyId) {
+    throw new AppError(`User not found in company: ${ownerId}`, 400);
+  }
+};
+
+/**
+ * @route   POST /api/v1/library/match
+ * @desc    Find previously approved answers to questions similar to a new one
+ * @access  Private
+ */
+router.post(
+  '/match',
+  asyncHandler(async (req, res) => {
+    const { question, limit = 5, minScore, includeExpired = false, tags = [] } = req.body;
+
+    if (!question) {
+      throw new AppError('Question is required', 400);
+    }
+
+    assertTags(tags);
+
+    const matches = await answerLibraryService.findMatches(getLibraryCompanyId(req), question, {
+      topK: parseInt(limit),
+      ...(minScore !== undefined && { minScore: parseFloat(minScore) }),
+      includeExpired,
+      tags,
+    });
+
+    res.json({
+      question,
+      matches,
+      count: matches.length,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/library/harvest/:proposalId
+ * @desc    Save every approved answer of a proposal into the library
+ * @access  Private
+ */
+router.post(
+  '/harvest/:proposalId',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req, req.params.proposalId);
+    const entries = await answerLibraryService.harvestProposal(proposal, req.user.id);
+
+    res.json({
+      message: `${entries.length} approved answers saved to the library`,
+      entries,
+      count: entries.length,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/library
+ * @desc    List answer library entries
+ * @access  Private
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { tag, category, expired } = req.query;
+
+    let entries = await answerLibraryService.listCompanyEntries(getLibraryCompanyId(req));
+
+    if (tag) {
+      entries = entries.filter(entry => (entry.tags || []).includes(tag));
+    }
+    if (category) {
+      entries = entries.filter(entry => entry.category === category);
+    }
+    if (expired !== undefined) {
+      entries = entries.filter(entry => answerLibraryService.isExpired(entry) === (expired === 'true'));
+    }
+
+    res.json({
+      entries,
+      count: entries.length,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/library/:id
+ * @desc    Get answer library entry
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const entry = await getAccessibleEntry(req);
+
+    res.json({
+      entry,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/library
+ * @desc    Save an answer to the library, either directly or from an approved proposal question
+ * @access  Private
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { question, answer, category, tags, ownerId, reviewDate, proposalId, questionId } = req.body;
+
+    if (reviewDate && isNaN(Date.parse(reviewDate))) {
+      throw new AppError('reviewDate must be a valid date', 400);
+    }
+
+    assertTags(tags);
+
+    if (proposalId) {
+      const proposal = await getAccessibleProposal(req, proposalId);
+      await assertOwnerInCompany(ownerId, proposal.companyId);
+
+      const source = (proposal.questions || []).find(q => q.id === questionId);
+
+      if (!source) {
+        throw new AppError('Question not found', 404);
+      }
+
+      if (!source.finalAnswer) {
+        throw new AppError('Only questions with a final answer can be saved to the library', 400);
+      }
+
+      const entry = await answerLibraryService.saveFromQuestion(proposal, source, {
+        createdBy: req.user.id,
+        tags,
+        ownerId,
+        reviewDate,
+      });
+
+      return res.status(201).json({
+        message: 'Answer saved to library',
+        entry,
+      });
+    }
+
+    if (!question || !answer) {
+      throw new AppError('Question and answer are required', 400);
+    }
+
+    const companyId = getLibraryCompanyId(req);
+
+    await assertOwnerInCompany(ownerId, companyId);
+
+    const entry = await answerLibraryService.createEntry({
+      companyId,
+      question,
+      answer,
+      category,
+      tags,
+      ownerId,
+      reviewDate,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'Answer saved to library',
+      entry,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/library/:id
+ * @desc    Update answer library entry
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const existing = await getAccessibleEntry(req);
+
+    const { question, answer, category, tags, ownerId, reviewDate } = req.body;
+
+    if (reviewDate && isNaN(Date.parse(reviewDate))) {
+      throw new AppError('reviewDate must be a valid date', 400);
+    }
+
+    assertTags(tags);
+    await assertOwnerInCompany(ownerId, existing.companyId);
+
+    const updates = {};
+    if (question) updates.question = question;
+    if (answer) updates.answer = answer;
+    if (category) updates.category = category;
+    if (tags) updates.tags = tags;
+    if (ownerId) updates.ownerId = ownerId;
+    if (reviewDate) updates.reviewDate = reviewDate;
+
+    if (Object.keys(updates).length === 0) {
+      throw new AppError('No fields to update', 400);
+    }
+
+    const entry = await answerLibraryService.updateEntry(req.params.id, updates);
+
+    res.json({
+      message: 'Library entry updated successfully',
+      entry,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/library/:id
+ * @desc    Delete answer library entry
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    await getAccessibleEntry(req);
+    await answerLibraryService.deleteEntry(req.params.id);
+
+    res.json({
+      message: 'Library entry deleted successfully',
+    });
+  })
+);
+
+export default router;
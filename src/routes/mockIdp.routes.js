@@ -0,0 +1,168 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+/**
+ * Local OpenID Connect identity provider for development and tests.
+ * Mounted at /mock-idp only when SSO_MOCK_IDP_ENABLED=true outside production.
+ *
+ * Point a company's OIDC connection at {API}/mock-idp/.well-known/openid-configuration
+ * (any client ID and secret are accepted). /authorize signs in whoever is named by
+ * login_hint (or entered in its form) without a password.
+ */
+const router = express.Router();
+
+const KEY_ID = 'mock-idp-1';
+const CODE_TTL_MS = 60 * 1000;
+
+// Generated per process; relying parties refetch the key set when the key ID changes
+let signingKey = null;
+const getSigningKey = () => {
+  if (!signingKey) {
+    signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+  return signingKey;
+};
+
+// Authorization codes waiting to be exchanged
+const codes = new Map();
+
+const getIssuer = (req) => `${process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.baseUrl}`;
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[char]));
+
+/**
+ * @route   GET /mock-idp/.well-known/openid-configuration
+ * @desc    Discovery document
+ */
+router.get('/.well-known/openid-configuration', (req, res) => {
+  const issuer = getIssuer(req);
+
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name'],
+  });
+});
+
+/**
+ * @route   GET /mock-idp/jwks
+ * @desc    Public signing key
+ */
+router.get('/jwks', (req, res) => {
+  const jwk = getSigningKey().publicKey.export({ format: 'jwk' });
+
+  res.json({
+    keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }],
+  });
+});
+
+/**
+ * @route   GET /mock-idp/authorize
+ * @desc    Sign in as login_hint (or show a form asking for an email) and redirect back with a code
+ */
+router.get('/authorize', (req, res) => {
+  const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, state, nonce, login_hint: loginHint, name } = req.query;
+
+  if (responseType !== 'code' || !clientId || !redirectUri) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'response_type=code, client_id and redirect_uri are required' });
+  }
+
+  if (!loginHint) {
+    const hidden = Object.entries(req.query)
+      .filter(([key]) => key !== 'login_hint' && key !== 'name')
+      .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+      .join('');
+
+    return res.type('html').send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body>
+  <h1>Mock identity provider</h1>
+  <form method="get" action="${escapeHtml(req.baseUrl)}/authorize">
+    ${hidden}
+    <p><label>Email <input type="email" name="login_hint" required></label></p>
+    <p><label>Name <input type="text" name="name"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    email: loginHint,
+    name: name || loginHint.split('@')[0],
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+
+  res.redirect(url.toString());
+});
+
+/**
+ * @route   POST /mock-idp/token
+ * @desc    Exchange an authorization code for an ID token
+ */
+router.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri } = req.body;
+
+  let clientId = req.body.client_id;
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Basic ')) {
+    clientId = decodeURIComponent(Buffer.from(authorization.substring(6), 'base64').toString().split(':')[0]);
+  }
+
+  const grant = codes.get(code);
+  // Codes work once
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+    || grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email.toLowerCase()).digest('hex').substring(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: grant.name,
+      ...(grant.nonce && { nonce: grant.nonce }),
+    },
+    getSigningKey().privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: getIssuer(req),
+      audience: clientId,
+      expiresIn: '5m',
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+export default router;
@@ -3,6 +3,34 @@ import { GetCommand, QueryCommand, UpdateCommand, DeleteCommand, ScanCommand } f
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate, checkCompanyAccess } from '../middleware/auth.middleware.js';
 import { docClient, TABLES } from '../config/aws.config.js';
+import { documentExportService } from '../services/export.service.js';
+import { exportHistoryService } from '../services/exportHistory.service.js';
+import { answerLibraryService, PROPOSAL_COMPLETED_STATUSES } from '../services/library.service.js';
+import { companyService } from '../services/company.service.js';
+import { userService } from '../services/user.service.js';
+import { proposalService, resolveExpectedVersion, ConflictError } from '../services/proposal.service.js';
+import { revisionService } from '../services/revision.service.js';
+import { proposalTemplateService } from '../services/proposalTemplate.service.js';
+import { diffWords, summarizeDiff } from '../utils/diff.js';
+import {
+  normalizeQuestionStatus,
+  transitionQuestion,
+  canAssignReviewer,
+  getUnapprovedMandatoryQuestions,
+  PROPOSAL_SUBMIT_STATUSES,
+} from '../services/workflow.service.js';
+import {
+  INACTIVE_PROPOSAL_STATUSES,
+  normalizeSchedule,
+  classifyDueDate,
+  getScheduleItems,
+} from '../services/deadline.service.js';
+import {
+  buildComplianceRows,
+  updateComplianceRow,
+  summarizeCompliance,
+} from '../services/compliance.service.js';
+import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
@@ -53,50 +81,908 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/v1/proposals/assignments/me
+ * @desc    Get questions assigned to the current user or waiting for their review
+ * @access  Private
+ */
+router.get(
+  '/assignments/me',
+  asyncHandler(async (req, res) => {
+    const response = await docClient.send(
+      new ScanCommand({
+        TableName: TABLES.PROPOSALS,
+        FilterExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: {
+          ':companyId': req.user.companyId,
+        },
+      })
+    );
+
+    const toItem = (proposal, question) => ({
+      proposalId: proposal.id,
+      proposalTitle: proposal.title,
+      questionId: question.id,
+      question: question.question,
+      status: normalizeQuestionStatus(question.status),
+      dueDate: question.dueDate || proposal.submissionDeadline || null,
+    });
+
+    const assigned = [];
+    const toReview = [];
+
+    (response.Items || [])
+      .filter(proposal => proposal.status !== 'deleted')
+      .forEach(proposal => {
+        (proposal.questions || []).forEach(question => {
+          const status = normalizeQuestionStatus(question.status);
+
+          if (question.assigneeId === req.user.id && !['approved', 'in_review'].includes(status)) {
+            assigned.push(toItem(proposal, question));
+          }
+          if (question.reviewerId === req.user.id && status === 'in_review') {
+            toReview.push(toItem(proposal, question));
+          }
+        });
+      });
+
+    res.json({
+      assigned,
+      toReview,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/deadlines
+ * @desc    Get approaching and overdue dates of the company's active proposals
+ *          (?days= overrides the reminder lead time)
+ * @access  Private
+ */
+router.get(
+  '/deadlines',
+  asyncHandler(async (req, res) => {
+    const days = req.query.days !== undefined ? parseFloat(req.query.days) : undefined;
+
+    if (days !== undefined && (Number.isNaN(days) || days < 0)) {
+      throw new AppError('days must be a positive number', 400);
+    }
+
+    const response = await docClient.send(
+      new ScanCommand({
+        TableName: TABLES.PROPOSALS,
+        FilterExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: {
+          ':companyId': req.user.companyId,
+        },
+      })
+    );
+
+    const now = new Date();
+    const deadlines = [];
+
+    (response.Items || [])
+      .filter(proposal => !INACTIVE_PROPOSAL_STATUSES.includes(proposal.status))
+      .forEach(proposal => {
+        getScheduleItems(proposal).forEach(item => {
+          const stage = classifyDueDate(item.dueDate, now, days);
+          if (!stage) return;
+
+          deadlines.push({
+            proposalId: proposal.id,
+            proposalTitle: proposal.title,
+            ...item,
+            stage,
+          });
+        });
+      });
+
+    deadlines.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    res.json({
+      overdue: deadlines.filter(d => d.stage === 'overdue'),
+      approaching: deadlines.filter(d => d.stage === 'approaching'),
+    });
+  })
+);
+
+/**
+ * Load a proposal the user may access
+ */
+const getAccessibleProposal = async (req) => {
+  const proposal = await proposalService.getProposal(req.params.id);
+
+  if (!proposal) {
+    throw new AppError('Proposal not found', 404);
+  }
+
+  // Check access
+  if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    throw new AppError('Access denied', 403);
+  }
+
+  return proposal;
+};
+
+/**
+ * @route   GET /api/v1/proposals/templates
+ * @desc    List the company's proposal templates
+ * @access  Private
+ */
+router.get(
+  '/templates',
+  asyncHandler(async (req, res) => {
+    const templates = await proposalTemplateService.listCompanyTemplates(req.user.companyId);
+
+    res.json({
+      templates: templates.map(({ questions, ...template }) => template),
+      count: templates.length,
+    });
+  })
+);
+
+/**
+ * Load a template the user may access
+ */
+const getAccessibleTemplate = async (req) => {
+  const template = await proposalTemplateService.getTemplate(req.params.templateId);
+
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+
+  if (template.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    throw new AppError('Access denied', 403);
+  }
+
+  return template;
+};
+
+/**
+ * @route   GET /api/v1/proposals/templates/:templateId
+ * @desc    Get a proposal template with its questions and answers
+ * @access  Private
+ */
+router.get(
+  '/templates/:templateId',
+  asyncHandler(async (req, res) => {
+    const template = await getAccessibleTemplate(req);
+
+    res.json({
+      template,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/proposals/templates/:templateId
+ * @desc    Delete a proposal template (its creator or a company admin)
+ * @access  Private
+ */
+router.delete(
+  '/templates/:templateId',
+  asyncHandler(async (req, res) => {
+    const template = await getAccessibleTemplate(req);
+
+    if (template.createdBy !== req.user.id && !['company_admin', 'superadmin'].includes(req.user.role)) {
+      throw new AppError('Only the template creator or a company admin can delete it', 403);
+    }
+
+    await proposalTemplateService.deleteTemplate(template.id);
+
+    res.json({
+      message: 'Template deleted successfully',
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/proposals/templates/:templateId/proposals
+ * @desc    Start a new draft proposal from a template
+ * @access  Private
+ */
+router.post(
+  '/templates/:templateId/proposals',
+  asyncHandler(async (req, res) => {
+    const template = await getAccessibleTemplate(req);
+    const { title, clientName, description } = req.body;
+
+    const proposal = await proposalTemplateService.createProposalFromTemplate(template, {
+      title,
+      clientName,
+      description,
+      user: req.user,
+    });
+
+    res.status(201).json({
+      message: 'Proposal created from template',
+      proposal,
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/proposals/:id
  * @desc    Get single proposal with all questions
  * @access  Private
  */
-router.get(
-  '/:id',
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const response = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id },
+      })
+    );
+
+    if (!response.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    const proposal = response.Item;
+
+    // Check if user has access to this proposal
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    res.json({
+      proposal,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/proposals/:id/clone
+ * @desc    Copy a proposal's questions, answers, sections and metadata into a new draft
+ *          (includeAnswers: false copies the questions only)
+ * @access  Private
+ */
+router.post(
+  '/:id/clone',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const { title, clientName, description, includeAnswers } = req.body;
+
+    const clone = await proposalTemplateService.cloneProposal(proposal, {
+      title,
+      clientName,
+      description,
+      includeAnswers: includeAnswers !== false,
+      user: req.user,
+    });
+
+    res.status(201).json({
+      message: 'Proposal cloned successfully',
+      proposal: clone,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/proposals/:id/template
+ * @desc    Save a proposal as a reusable template
+ * @access  Private
+ */
+router.post(
+  '/:id/template',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const { name, description, includeAnswers } = req.body;
+
+    const template = await proposalTemplateService.createTemplate(proposal, {
+      name,
+      description,
+      includeAnswers: includeAnswers !== false,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/export/spreadsheet
+ * @desc    Download the original questionnaire workbook with answers filled in
+ * @access  Private
+ */
+router.get(
+  '/:id/export/spreadsheet',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const response = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id },
+      })
+    );
+
+    if (!response.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    const proposal = response.Item;
+
+    // Check access
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    if (proposal.sourceFormat !== 'spreadsheet') {
+      throw new AppError('Proposal was not imported from a spreadsheet', 400);
+    }
+
+    const buffer = await documentExportService.exportProposalToSpreadsheet(id);
+
+    res.setHeader('Content-Type', proposal.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="answered-${proposal.fileName}"`);
+    res.send(buffer);
+  })
+);
+
+const COMPLIANCE_EXPORT_FORMATS = ['xlsx', 'docx', 'pdf'];
+
+/**
+ * @route   GET /api/v1/proposals/:id/compliance-matrix
+ * @desc    Get the proposal's compliance matrix (a preview generated from its questions if none is saved)
+ * @access  Private
+ */
+router.get(
+  '/:id/compliance-matrix',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const matrix = proposal.complianceMatrix;
+    const rows = matrix?.rows || buildComplianceRows(proposal);
+
+    res.json({
+      saved: Boolean(matrix),
+      generatedAt: matrix?.generatedAt || null,
+      updatedAt: matrix?.updatedAt || null,
+      rows,
+      summary: summarizeCompliance(rows),
+      version: proposal.version || 0,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/proposals/:id/compliance-matrix
+ * @desc    Generate the compliance matrix from the proposal's questions
+ *          (regenerating keeps requirement ids and fields edited by hand)
+ * @access  Private
+ */
+router.post(
+  '/:id/compliance-matrix',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const now = new Date().toISOString();
+
+    const complianceMatrix = {
+      rows: buildComplianceRows(proposal),
+      generatedAt: now,
+      generatedBy: req.user.id,
+      updatedAt: now,
+      updatedBy: req.user.id,
+    };
+
+    const updated = await proposalService.updateProposal(proposal.id, { complianceMatrix }, {
+      expectedVersion: resolveExpectedVersion(proposal, req.body.version),
+    });
+
+    res.status(201).json({
+      message: 'Compliance matrix generated',
+      rows: complianceMatrix.rows,
+      summary: summarizeCompliance(complianceMatrix.rows),
+      version: updated.version,
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/v1/proposals/:id/compliance-matrix/rows/:rowId
+ * @desc    Edit a compliance matrix row (requirementId, section, requirement, status, responseReference, notes)
+ * @access  Private
+ */
+router.patch(
+  '/:id/compliance-matrix/rows/:rowId',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+
+    if (!proposal.complianceMatrix) {
+      throw new AppError('Compliance matrix has not been generated', 404);
+    }
+
+    const rows = proposal.complianceMatrix.rows;
+    const rowIndex = rows.findIndex(row => row.id === req.params.rowId);
+
+    if (rowIndex === -1) {
+      throw new AppError('Compliance matrix row not found', 404);
+    }
+
+    rows[rowIndex] = updateComplianceRow(rows[rowIndex], req.body);
+
+    const updated = await proposalService.updateProposal(proposal.id, {
+      complianceMatrix: {
+        ...proposal.complianceMatrix,
+        rows,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.id,
+      },
+    }, {
+      expectedVersion: resolveExpectedVersion(proposal, req.body.version),
+    });
+
+    res.json({
+      message: 'Compliance matrix row updated',
+      row: rows[rowIndex],
+      summary: summarizeCompliance(rows),
+      version: updated.version,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/compliance-matrix/export
+ * @desc    Download the compliance matrix (?format=xlsx|docx|pdf)
+ * @access  Private
+ */
+router.get(
+  '/:id/compliance-matrix/export',
+  asyncHandler(async (req, res) => {
+    const { format = 'xlsx' } = req.query;
+
+    if (!COMPLIANCE_EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of ${COMPLIANCE_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const proposal = await getAccessibleProposal(req);
+    const { buffer, contentType, extension } = await documentExportService.exportComplianceMatrix(proposal.id, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="compliance-matrix-${proposal.id}.${extension}"`);
+    res.send(buffer);
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/exports
+ * @desc    Export history of the proposal (newest first)
+ * @access  Private
+ */
+router.get(
+  '/:id/exports',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const exports = await exportHistoryService.listProposalExports(proposal.id);
+
+    res.json({
+      exports,
+      count: exports.length,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/exports/:exportId/download
+ * @desc    New time-limited download URL for a completed export (not charged again)
+ * @access  Private
+ */
+router.get(
+  '/:id/exports/:exportId/download',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const record = await exportHistoryService.getExport(req.params.exportId);
+
+    if (!record || record.proposalId !== proposal.id) {
+      throw new AppError('Export not found', 404);
+    }
+
+    if (record.status !== 'completed') {
+      throw new AppError('Export did not complete', 409);
+    }
+
+    res.json({
+      export: record,
+      ...(await exportHistoryService.getDownloadUrl(record)),
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/amendments
+ * @desc    Amendment history of a proposal (revised RFPs and addenda), newest first
+ * @access  Private
+ */
+router.get(
+  '/:id/amendments',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+
+    const amendments = [...(proposal.amendments || [])]
+      .reverse()
+      .map(({ changes, ...amendment }) => amendment);
+
+    res.json({
+      amendments,
+      count: amendments.length,
+      // Questions changed by an amendment that have not been approved since
+      needsReview: (proposal.questions || [])
+        .filter(q => q.amendmentReview?.needsReview)
+        .map(q => ({ questionId: q.id, amendmentId: q.amendmentReview.amendmentId, change: q.amendmentReview.change })),
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/amendments/:amendmentId
+ * @desc    Question changes of an amendment (added, removed, reworded with word diff)
+ * @access  Private
+ */
+router.get(
+  '/:id/amendments/:amendmentId',
+  asyncHandler(async (req, res) => {
+    const proposal = await getAccessibleProposal(req);
+    const amendment = (proposal.amendments || []).find(a => a.id === req.params.amendmentId);
+
+    if (!amendment) {
+      throw new AppError('Amendment not found', 404);
+    }
+
+    res.json({
+      amendment,
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/v1/proposals/:id
+ * @desc    Update proposal
+ * @access  Private
+ */
+router.patch(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { title, clientName, description, status } = req.body;
+
+    // Get existing proposal
+    const existing = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id },
+      })
+    );
+
+    if (!existing.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    // Check access
+    if (existing.Item.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Build update expression
+    const updates = {};
+    if (title) updates.title = title;
+    if (clientName) updates.clientName = clientName;
+    if (description !== undefined) updates.description = description;
+    if (status) updates.status = status;
+
+    if (Object.keys(updates).length === 0) {
+      throw new AppError('No fields to update', 400);
+    }
+
+    const expectedVersion = resolveExpectedVersion(existing.Item, req.body.version);
+
+    // A proposal can only be submitted once every mandatory question is approved
+    const isSubmitting = PROPOSAL_SUBMIT_STATUSES.includes(status)
+      && !PROPOSAL_SUBMIT_STATUSES.includes(existing.Item.status);
+
+    if (isSubmitting) {
+      const unapproved = getUnapprovedMandatoryQuestions(existing.Item);
+
+      if (unapproved.length > 0) {
+        throw new AppError(
+          `${unapproved.length} mandatory question(s) must be approved before submitting: ` +
+            unapproved.map(q => q.id).join(', '),
+          400
+        );
+      }
+    }
+
+    const updateExpression = Object.keys(updates)
+      .map((key, i) => `#field${i} = :value${i}`)
+      .join(', ');
+
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    Object.keys(updates).forEach((key, i) => {
+      expressionAttributeNames[`#field${i}`] = key;
+      expressionAttributeValues[`:value${i}`] = updates[key];
+    });
+
+    expressionAttributeNames['#version'] = 'version';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+    expressionAttributeValues[':expectedVersion'] = expectedVersion;
+    expressionAttributeValues[':nextVersion'] = expectedVersion + 1;
+
+    let conditionExpression = expectedVersion === 0
+      ? '(attribute_not_exists(#version) OR #version = :expectedVersion)'
+      : '#version = :expectedVersion';
+
+    // Question saves change updatedAt but not the proposal version, so the approval check
+    // above only holds if no question changed since the proposal was read
+    if (isSubmitting) {
+      if (existing.Item.updatedAt) {
+        conditionExpression += ' AND updatedAt = :readUpdatedAt';
+        expressionAttributeValues[':readUpdatedAt'] = existing.Item.updatedAt;
+      } else {
+        conditionExpression += ' AND attribute_not_exists(updatedAt)';
+      }
+    }
+
+    // Reject the update if the proposal changed since it was read
+    let updated;
+    try {
+      updated = await docClient.send(
+        new UpdateCommand({
+          TableName: TABLES.PROPOSALS,
+          Key: { id },
+          UpdateExpression: `SET ${updateExpression}, updatedAt = :updatedAt, #version = :nextVersion`,
+          ConditionExpression: conditionExpression,
+          ExpressionAttributeNames: expressionAttributeNames,
+          ExpressionAttributeValues: expressionAttributeValues,
+          ReturnValues: 'ALL_NEW',
+        })
+      );
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        const current = await proposalService.getProposal(id);
+        throw new ConflictError('Proposal was changed by someone else, reload and retry', current);
+      }
+      throw error;
+    }
+
+    // Finishing a proposal saves its approved answers to the answer library
+    if (
+      PROPOSAL_COMPLETED_STATUSES.includes(status) &&
+      !PROPOSAL_COMPLETED_STATUSES.includes(existing.Item.status)
+    ) {
+      try {
+        await answerLibraryService.harvestProposal(updated.Attributes, req.user.id);
+      } catch (error) {
+        logger.error('Error saving approved answers to the library:', error);
+      }
+    }
+
+    res.json({
+      message: 'Proposal updated successfully',
+      version: updated.Attributes.version,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/proposals/:id/schedule
+ * @desc    Set submission deadline, Q&A cutoff and milestones (omitted fields are kept, null clears a date)
+ * @access  Private
+ */
+router.put(
+  '/:id/schedule',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const proposal = await proposalService.getProposal(id);
+
+    if (!proposal) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    // Check access
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const schedule = normalizeSchedule(req.body, proposal);
+
+    if (Object.keys(schedule).length === 0) {
+      throw new AppError('No fields to update', 400);
+    }
+
+    // Milestone owners must belong to the proposal's company
+    for (const ownerId of new Set((schedule.milestones || []).map(m => m.ownerId).filter(Boolean))) {
+      const owner = await userService.getUserById(ownerId);
+      if (!owner || owner.companyId !== proposal.companyId) {
+        throw new AppError(`User not found in company: ${ownerId}`, 400);
+      }
+    }
+
+    const updated = await proposalService.updateProposal(id, schedule, {
+      expectedVersion: resolveExpectedVersion(proposal, req.body.version),
+    });
+
+    res.json({
+      message: 'Schedule updated successfully',
+      submissionDeadline: updated.submissionDeadline || null,
+      qaCutoff: updated.qaCutoff || null,
+      milestones: updated.milestones || [],
+      version: updated.version,
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/v1/proposals/:id/milestones/:milestoneId
+ * @desc    Mark a milestone as completed (or reopen it with completed: false)
+ * @access  Private
+ */
+router.patch(
+  '/:id/milestones/:milestoneId',
+  asyncHandler(async (req, res) => {
+    const { id, milestoneId } = req.params;
+    const { completed } = req.body;
+
+    if (typeof completed !== 'boolean') {
+      throw new AppError('completed must be true or false', 400);
+    }
+
+    const proposal = await proposalService.getProposal(id);
+
+    if (!proposal) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    // Check access
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const milestones = proposal.milestones || [];
+    const milestone = milestones.find(m => m.id === milestoneId);
+
+    if (!milestone) {
+      throw new AppError('Milestone not found', 404);
+    }
+
+    milestone.completedAt = completed ? new Date().toISOString() : null;
+    milestone.completedBy = completed ? req.user.id : null;
+
+    const updated = await proposalService.updateProposal(id, { milestones }, {
+      expectedVersion: resolveExpectedVersion(proposal, req.body.version),
+    });
+
+    res.json({
+      message: completed ? 'Milestone completed' : 'Milestone reopened',
+      milestone,
+      version: updated.version,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/proposals/:id/questions/:questionId/answer
+ * @desc    Update answer for a specific question
+ * @access  Private
+ */
+router.put(
+  '/:id/questions/:questionId/answer',
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const { id, questionId } = req.params;
+    const { draftAnswer, finalAnswer, status } = req.body;
 
-    const response = await docClient.send(
+    // Get existing proposal
+    const existing = await docClient.send(
       new GetCommand({
         TableName: TABLES.PROPOSALS,
         Key: { id },
       })
     );
 
-    if (!response.Item) {
+    if (!existing.Item) {
       throw new AppError('Proposal not found', 404);
     }
 
-    const proposal = response.Item;
-
-    // Check if user has access to this proposal
-    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    // Check access
+    if (existing.Item.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
       throw new AppError('Access denied', 403);
     }
 
+    const proposal = existing.Item;
+    const questions = proposal.questions || [];
+
+    // Find and update the question
+    const questionIndex = questions.findIndex(q => q.id === questionId);
+
+    if (questionIndex === -1) {
+      throw new AppError('Question not found', 404);
+    }
+
+    const previous = questions[questionIndex];
+    const expectedVersion = resolveExpectedVersion(previous, req.body.version);
+    const question = {
+      ...questions[questionIndex],
+      status: normalizeQuestionStatus(questions[questionIndex].status),
+    };
+
+    if (draftAnswer !== undefined) {
+      question.draftAnswer = draftAnswer;
+    }
+    if (finalAnswer !== undefined) {
+      question.finalAnswer = finalAnswer;
+    }
+
+    // Rewriting an answer sends it back to drafted, also when it is under review
+    const answerChanged = draftAnswer !== undefined || finalAnswer !== undefined;
+    if (answerChanged) {
+      question.status = 'drafted';
+    }
+
+    if (status && status !== question.status) {
+      const company = await companyService.getCompany(proposal.companyId);
+      questions[questionIndex] = transitionQuestion(question, status, {
+        user: req.user,
+        company,
+        comment: req.body.comment,
+      });
+    } else {
+      questions[questionIndex] = question;
+    }
+
+    questions[questionIndex].updatedAt = new Date().toISOString();
+    questions[questionIndex].updatedBy = req.user.id;
+
+    // Update only this question, failing if it changed since it was read
+    questions[questionIndex] = await proposalService.saveQuestion(
+      id,
+      questionIndex,
+      questions[questionIndex],
+      expectedVersion
+    );
+
+    const revision = answerChanged
+      ? await revisionService.recordRevision({
+        proposalId: id,
+        companyId: proposal.companyId,
+        previous,
+        current: questions[questionIndex],
+        source: 'human_edit',
+        authorId: req.user.id,
+        note: req.body.note,
+      })
+      : null;
+
     res.json({
-      proposal,
+      message: 'Answer updated successfully',
+      question: questions[questionIndex],
+      revision: revision ? revision.version : null,
     });
   })
 );
 
 /**
- * @route   PATCH /api/v1/proposals/:id
- * @desc    Update proposal
+ * @route   POST /api/v1/proposals/:id/questions/:questionId/status
+ * @desc    Move a question through the review workflow
+ *          (pending → drafted → in_review → approved/rejected)
  * @access  Private
  */
-router.patch(
-  '/:id',
+router.post(
+  '/:id/questions/:questionId/status',
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { title, clientName, description, status } = req.body;
+    const { id, questionId } = req.params;
+    const { status, comment } = req.body;
+
+    if (!status) {
+      throw new AppError('status is required', 400);
+    }
 
     // Get existing proposal
     const existing = await docClient.send(
@@ -115,58 +1001,125 @@ router.patch(
       throw new AppError('Access denied', 403);
     }
 
-    // Build update expression
-    const updates = {};
-    if (title) updates.title = title;
-    if (clientName) updates.clientName = clientName;
-    if (description !== undefined) updates.description = description;
-    if (status) updates.status = status;
+    const questions = existing.Item.questions || [];
+    const questionIndex = questions.findIndex(q => q.id === questionId);
 
-    if (Object.keys(updates).length === 0) {
-      throw new AppError('No fields to update', 400);
+    if (questionIndex === -1) {
+      throw new AppError('Question not found', 404);
     }
 
-    const updateExpression = Object.keys(updates)
-      .map((key, i) => `#field${i} = :value${i}`)
-      .join(', ');
+    const expectedVersion = resolveExpectedVersion(questions[questionIndex], req.body.version);
+    const company = await companyService.getCompany(existing.Item.companyId);
+    const question = transitionQuestion(questions[questionIndex], status, {
+      user: req.user,
+      company,
+      comment,
+    });
 
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = {};
+    questions[questionIndex] = await proposalService.saveQuestion(id, questionIndex, question, expectedVersion);
 
-    Object.keys(updates).forEach((key, i) => {
-      expressionAttributeNames[`#field${i}`] = key;
-      expressionAttributeValues[`:value${i}`] = updates[key];
+    res.json({
+      message: `Question moved to ${status}`,
+      question: questions[questionIndex],
     });
+  })
+);
 
-    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+/**
+ * @route   PATCH /api/v1/proposals/:id/questions/:questionId/assignment
+ * @desc    Assign a question to a subject-matter expert and/or reviewer (null to unassign).
+ *          With requireApproval on, only company admins and reviewers can set reviewerId.
+ * @access  Private
+ */
+router.patch(
+  '/:id/questions/:questionId/assignment',
+  asyncHandler(async (req, res) => {
+    const { id, questionId } = req.params;
+    const { assigneeId, reviewerId } = req.body;
 
-    await docClient.send(
-      new UpdateCommand({
+    if (assigneeId === undefined && reviewerId === undefined) {
+      throw new AppError('assigneeId or reviewerId is required', 400);
+    }
+
+    // Get existing proposal
+    const existing = await docClient.send(
+      new GetCommand({
         TableName: TABLES.PROPOSALS,
         Key: { id },
-        UpdateExpression: `SET ${updateExpression}, updatedAt = :updatedAt`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: 'ALL_NEW',
       })
     );
 
+    if (!existing.Item) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    // Check access
+    if (existing.Item.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    const questions = existing.Item.questions || [];
+    const questionIndex = questions.findIndex(q => q.id === questionId);
+
+    if (questionIndex === -1) {
+      throw new AppError('Question not found', 404);
+    }
+
+    const question = questions[questionIndex];
+    const expectedVersion = resolveExpectedVersion(question, req.body.version);
+
+    if (reviewerId !== undefined) {
+      const company = await companyService.getCompany(existing.Item.companyId);
+
+      if (!canAssignReviewer(req.user, company)) {
+        throw new AppError('Only company admins and reviewers can choose the reviewer of a question', 403);
+      }
+    }
+
+    // Nobody reviews their own answer
+    const nextAssigneeId = assigneeId !== undefined ? assigneeId || null : question.assigneeId || null;
+    const nextReviewerId = reviewerId !== undefined ? reviewerId || null : question.reviewerId || null;
+
+    if (nextReviewerId && nextReviewerId === nextAssigneeId) {
+      throw new AppError('The reviewer of a question cannot also be its assignee', 400);
+    }
+
+    // Assignees and reviewers must belong to the proposal's company
+    for (const userId of [assigneeId, reviewerId]) {
+      if (!userId) continue;
+
+      const user = await userService.getUserById(userId);
+      if (!user || user.companyId !== existing.Item.companyId) {
+        throw new AppError(`User not found in company: ${userId}`, 400);
+      }
+    }
+
+    if (assigneeId !== undefined) question.assigneeId = assigneeId || null;
+    if (reviewerId !== undefined) question.reviewerId = reviewerId || null;
+    question.assignedBy = req.user.id;
+    question.assignedAt = new Date().toISOString();
+
     res.json({
-      message: 'Proposal updated successfully',
+      message: 'Question assignment updated',
+      question: await proposalService.saveQuestion(id, questionIndex, question, expectedVersion),
     });
   })
 );
 
 /**
- * @route   PUT /api/v1/proposals/:id/questions/:questionId/answer
- * @desc    Update answer for a specific question
+ * @route   PATCH /api/v1/proposals/:id/questions/:questionId/claims/:claimId
+ * @desc    Resolve an unsupported claim found in a generated answer
  * @access  Private
  */
-router.put(
-  '/:id/questions/:questionId/answer',
+router.patch(
+  '/:id/questions/:questionId/claims/:claimId',
   asyncHandler(async (req, res) => {
-    const { id, questionId } = req.params;
-    const { draftAnswer, finalAnswer, status } = req.body;
+    const { id, questionId, claimId } = req.params;
+    const { resolution, note } = req.body;
+
+    if (!['verified', 'removed'].includes(resolution)) {
+      throw new AppError('resolution must be one of verified, removed', 400);
+    }
 
     // Get existing proposal
     const existing = await docClient.send(
@@ -185,45 +1138,225 @@ router.put(
       throw new AppError('Access denied', 403);
     }
 
-    const proposal = existing.Item;
-    const questions = proposal.questions || [];
-
-    // Find and update the question
+    const questions = existing.Item.questions || [];
     const questionIndex = questions.findIndex(q => q.id === questionId);
 
     if (questionIndex === -1) {
       throw new AppError('Question not found', 404);
     }
 
-    if (draftAnswer !== undefined) {
-      questions[questionIndex].draftAnswer = draftAnswer;
+    const question = questions[questionIndex];
+    const expectedVersion = resolveExpectedVersion(question, req.body.version);
+
+    const claim = (question.unsupportedClaims || []).find(c => c.id === claimId);
+
+    if (!claim) {
+      throw new AppError('Claim not found', 404);
     }
-    if (finalAnswer !== undefined) {
-      questions[questionIndex].finalAnswer = finalAnswer;
+
+    claim.status = 'resolved';
+    claim.resolution = resolution;
+    claim.note = note || '';
+    claim.resolvedBy = req.user.id;
+    claim.resolvedAt = new Date().toISOString();
+
+    const saved = await proposalService.saveQuestion(id, questionIndex, question, expectedVersion);
+
+    res.json({
+      message: 'Claim resolved successfully',
+      claim,
+      openClaims: question.unsupportedClaims.filter(c => c.status === 'open').length,
+      version: saved.version,
+    });
+  })
+);
+
+/**
+ * Load a proposal the user may access together with one of its questions
+ */
+const getProposalQuestion = async (req) => {
+  const { id, questionId } = req.params;
+
+  const existing = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.PROPOSALS,
+      Key: { id },
+    })
+  );
+
+  if (!existing.Item) {
+    throw new AppError('Proposal not found', 404);
+  }
+
+  // Check access
+  if (existing.Item.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+    throw new AppError('Access denied', 403);
+  }
+
+  const questions = existing.Item.questions || [];
+  const questionIndex = questions.findIndex(q => q.id === questionId);
+
+  if (questionIndex === -1) {
+    throw new AppError('Question not found', 404);
+  }
+
+  return { proposal: existing.Item, questions, questionIndex };
+};
+
+const REVISION_DIFF_FIELDS = ['answer', 'draftAnswer', 'finalAnswer'];
+
+/**
+ * Text of a revision compared by the diff endpoint ('answer' is the final answer if set, else the draft)
+ */
+const getRevisionText = (revision, field) => {
+  if (field === 'answer') {
+    return revision.finalAnswer || revision.draftAnswer || '';
+  }
+  return revision[field] || '';
+};
+
+/**
+ * @route   GET /api/v1/proposals/:id/questions/:questionId/revisions
+ * @desc    List the answer revisions of a question (newest first)
+ * @access  Private
+ */
+router.get(
+  '/:id/questions/:questionId/revisions',
+  asyncHandler(async (req, res) => {
+    const { id, questionId } = req.params;
+
+    await getProposalQuestion(req);
+
+    const revisions = await revisionService.listRevisions(id, questionId);
+    revisions.sort((a, b) => b.version - a.version);
+
+    res.json({
+      revisions,
+      count: revisions.length,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/questions/:questionId/revisions/diff
+ * @desc    Word-level diff between two revisions (?from=&to=, to defaults to the latest;
+ *          ?field=answer|draftAnswer|finalAnswer)
+ * @access  Private
+ */
+router.get(
+  '/:id/questions/:questionId/revisions/diff',
+  asyncHandler(async (req, res) => {
+    const { id, questionId } = req.params;
+    const { from, to, field = 'answer' } = req.query;
+
+    if (!from) {
+      throw new AppError('from is required', 400);
     }
-    if (status) {
-      questions[questionIndex].status = status;
+
+    if (!REVISION_DIFF_FIELDS.includes(field)) {
+      throw new AppError(`field must be one of ${REVISION_DIFF_FIELDS.join(', ')}`, 400);
     }
 
-    questions[questionIndex].updatedAt = new Date().toISOString();
-    questions[questionIndex].updatedBy = req.user.id;
+    await getProposalQuestion(req);
 
-    // Update proposal
-    await docClient.send(
-      new UpdateCommand({
-        TableName: TABLES.PROPOSALS,
-        Key: { id },
-        UpdateExpression: 'SET questions = :questions, updatedAt = :updatedAt',
-        ExpressionAttributeValues: {
-          ':questions': questions,
-          ':updatedAt': new Date().toISOString(),
-        },
-      })
+    const [fromRevision, toRevision] = await Promise.all([
+      revisionService.getRevision(id, questionId, from),
+      to
+        ? revisionService.getRevision(id, questionId, to)
+        : revisionService.getLatestRevision(id, questionId),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    const changes = diffWords(getRevisionText(fromRevision, field), getRevisionText(toRevision, field));
+
+    res.json({
+      field,
+      from: fromRevision,
+      to: toRevision,
+      changes,
+      summary: summarizeDiff(changes),
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/proposals/:id/questions/:questionId/revisions/:version
+ * @desc    Get one answer revision
+ * @access  Private
+ */
+router.get(
+  '/:id/questions/:questionId/revisions/:version',
+  asyncHandler(async (req, res) => {
+    const { id, questionId, version } = req.params;
+
+    await getProposalQuestion(req);
+
+    const revision = await revisionService.getRevision(id, questionId, version);
+
+    if (!revision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    res.json({ revision });
+  })
+);
+
+/**
+ * @route   POST /api/v1/proposals/:id/questions/:questionId/revisions/:version/restore
+ * @desc    Restore the answer of an older revision (recorded as a new revision;
+ *          the question goes back to drafted)
+ * @access  Private
+ */
+router.post(
+  '/:id/questions/:questionId/revisions/:version/restore',
+  asyncHandler(async (req, res) => {
+    const { id, questionId, version } = req.params;
+
+    const { proposal, questions, questionIndex } = await getProposalQuestion(req);
+
+    const revision = await revisionService.getRevision(id, questionId, version);
+
+    if (!revision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    const previous = questions[questionIndex];
+    const expectedVersion = resolveExpectedVersion(previous, req.body.version);
+    const company = await companyService.getCompany(proposal.companyId);
+
+    const question = transitionQuestion(
+      {
+        ...previous,
+        status: normalizeQuestionStatus(previous.status),
+        draftAnswer: revision.draftAnswer,
+        finalAnswer: revision.finalAnswer,
+      },
+      'drafted',
+      { user: req.user, company }
     );
+    question.updatedAt = new Date().toISOString();
+    question.updatedBy = req.user.id;
+
+    questions[questionIndex] = await proposalService.saveQuestion(id, questionIndex, question, expectedVersion);
+
+    const restored = await revisionService.recordRevision({
+      proposalId: id,
+      companyId: proposal.companyId,
+      previous,
+      current: questions[questionIndex],
+      source: 'restore',
+      authorId: req.user.id,
+      note: req.body.note,
+      restoredFrom: revision.version,
+    });
 
     res.json({
-      message: 'Answer updated successfully',
+      message: `Answer restored from revision ${revision.version}`,
       question: questions[questionIndex],
+      revision: restored ? restored.version : null,
     });
   })
 );
@@ -0,0 +1,319 @@
+import express from 'express';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import { companyService } from '../services/company.service.js';
+import { scimService, scimError, SCIM_SCHEMAS } from '../services/scim.service.js';
+import { getApiBaseUrl } from '../services/sso.service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * SCIM 2.0 (RFC 7643/7644) provisioning API for company directories.
+ * Mounted at /scim/v2; every request needs a company SCIM token as its bearer token
+ * (company admins create them at POST /api/v1/admin/scim/tokens).
+ */
+const router = express.Router();
+
+// Directories send application/scim+json, which the app-wide parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+const sendScim = (res, statusCode, body) => res.status(statusCode).type('application/scim+json').json(body);
+
+// Company the token belongs to, and the base URL resource locations are built from
+const authenticateScim = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw scimError('Bearer token required', 401);
+  }
+
+  const token = await scimService.authenticate(authHeader.substring(7).trim());
+
+  if (!token) {
+    throw scimError('Invalid or revoked SCIM token', 401);
+  }
+
+  const company = await companyService.getCompany(token.companyId);
+
+  if (!company) {
+    throw scimError('Invalid or revoked SCIM token', 401);
+  }
+
+  if (company.subscriptionStatus === 'deactivated') {
+    throw scimError('Company subscription is deactivated. Contact support.', 403);
+  }
+
+  req.scim = {
+    companyId: company.id,
+    tokenId: token.id,
+    baseUrl: `${getApiBaseUrl(req)}${req.baseUrl}`,
+  };
+
+  next();
+};
+
+router.use(asyncHandler(authenticateScim));
+
+// ============================================
+// DISCOVERY
+// ============================================
+
+/**
+ * @route   GET /scim/v2/ServiceProviderConfig
+ * @desc    Supported SCIM features
+ * @access  SCIM token
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  sendScim(res, 200, {
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 200 },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'Company SCIM token created by a company admin',
+      primary: true,
+    }],
+    meta: {
+      resourceType: 'ServiceProviderConfig',
+      location: `${req.scim.baseUrl}/ServiceProviderConfig`,
+    },
+  });
+});
+
+/**
+ * @route   GET /scim/v2/ResourceTypes
+ * @desc    User and Group resource types
+ * @access  SCIM token
+ */
+router.get('/ResourceTypes', (req, res) => {
+  const resourceTypes = [
+    {
+      schemas: [SCIM_SCHEMAS.RESOURCE_TYPE],
+      id: 'User',
+      name: 'User',
+      endpoint: '/Users',
+      schema: SCIM_SCHEMAS.USER,
+      schemaExtensions: [{ schema: SCIM_SCHEMAS.ENTERPRISE_USER, required: false }],
+      meta: { resourceType: 'ResourceType', location: `${req.scim.baseUrl}/ResourceTypes/User` },
+    },
+    {
+      schemas: [SCIM_SCHEMAS.RESOURCE_TYPE],
+      id: 'Group',
+      name: 'Group',
+      endpoint: '/Groups',
+      schema: SCIM_SCHEMAS.GROUP,
+      meta: { resourceType: 'ResourceType', location: `${req.scim.baseUrl}/ResourceTypes/Group` },
+    },
+  ];
+
+  sendScim(res, 200, {
+    schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+    totalResults: resourceTypes.length,
+    startIndex: 1,
+    itemsPerPage: resourceTypes.length,
+    Resources: resourceTypes,
+  });
+});
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * @route   GET /scim/v2/Users
+ * @desc    List company users (?filter=userName eq "...", startIndex, count)
+ * @access  SCIM token
+ */
+router.get(
+  '/Users',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.listUsers(req.scim.companyId, req.query, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   POST /scim/v2/Users
+ * @desc    Provision a user (takes one of the company's user slots)
+ * @access  SCIM token
+ */
+router.post(
+  '/Users',
+  asyncHandler(async (req, res) => {
+    const user = await scimService.createUser(req.scim.companyId, req.body, req.scim.baseUrl);
+
+    res.location(user.meta.location);
+    sendScim(res, 201, user);
+  })
+);
+
+/**
+ * @route   GET /scim/v2/Users/:id
+ * @desc    Get a user
+ * @access  SCIM token
+ */
+router.get(
+  '/Users/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.getScimUser(req.scim.companyId, req.params.id, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   PUT /scim/v2/Users/:id
+ * @desc    Replace a user's attributes
+ * @access  SCIM token
+ */
+router.put(
+  '/Users/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.replaceUser(req.scim.companyId, req.params.id, req.body, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   PATCH /scim/v2/Users/:id
+ * @desc    Update a user (e.g. active=false to deactivate and sign them out)
+ * @access  SCIM token
+ */
+router.patch(
+  '/Users/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.patchUser(req.scim.companyId, req.params.id, req.body, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   DELETE /scim/v2/Users/:id
+ * @desc    Delete a user and free their user slot
+ * @access  SCIM token
+ */
+router.delete(
+  '/Users/:id',
+  asyncHandler(async (req, res) => {
+    await scimService.deleteUser(req.scim.companyId, req.params.id);
+    res.status(204).end();
+  })
+);
+
+// ============================================
+// GROUPS
+// ============================================
+
+/**
+ * @route   GET /scim/v2/Groups
+ * @desc    List company groups (?filter=displayName eq "...", startIndex, count)
+ * @access  SCIM token
+ */
+router.get(
+  '/Groups',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.listScimGroups(req.scim.companyId, req.query, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   POST /scim/v2/Groups
+ * @desc    Create a group
+ * @access  SCIM token
+ */
+router.post(
+  '/Groups',
+  asyncHandler(async (req, res) => {
+    const group = await scimService.createGroup(req.scim.companyId, req.body, req.scim.baseUrl);
+
+    res.location(group.meta.location);
+    sendScim(res, 201, group);
+  })
+);
+
+/**
+ * @route   GET /scim/v2/Groups/:id
+ * @desc    Get a group
+ * @access  SCIM token
+ */
+router.get(
+  '/Groups/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.getScimGroup(req.scim.companyId, req.params.id, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   PUT /scim/v2/Groups/:id
+ * @desc    Replace a group's name and members
+ * @access  SCIM token
+ */
+router.put(
+  '/Groups/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.replaceGroup(req.scim.companyId, req.params.id, req.body, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   PATCH /scim/v2/Groups/:id
+ * @desc    Add or remove members, or rename a group
+ * @access  SCIM token
+ */
+router.patch(
+  '/Groups/:id',
+  asyncHandler(async (req, res) => {
+    sendScim(res, 200, await scimService.patchGroup(req.scim.companyId, req.params.id, req.body, req.scim.baseUrl));
+  })
+);
+
+/**
+ * @route   DELETE /scim/v2/Groups/:id
+ * @desc    Delete a group (its members are not affected)
+ * @access  SCIM token
+ */
+router.delete(
+  '/Groups/:id',
+  asyncHandler(async (req, res) => {
+    await scimService.deleteGroup(req.scim.companyId, req.params.id);
+    res.status(204).end();
+  })
+);
+
+router.use((req, res) => {
+  sendScim(res, 404, {
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: '404',
+    detail: `${req.method} ${req.originalUrl} not found`,
+  });
+});
+
+// Directories expect SCIM error bodies rather than the API's usual error format
+router.use((err, req, res, next) => {
+  let statusCode = 500;
+  let detail = 'Internal Server Error';
+  let scimType = null;
+
+  if (err instanceof AppError) {
+    statusCode = err.statusCode;
+    detail = err.message;
+    scimType = err.details?.scimType || null;
+  } else if (err.type === 'entity.parse.failed') {
+    statusCode = 400;
+    detail = 'Request body is not valid JSON';
+    scimType = 'invalidSyntax';
+  } else {
+    logger.error(`Unhandled SCIM Error: ${err.message}`, {
+      stack: err.stack,
+      path: req.path,
+      method: req.method,
+    });
+  }
+
+  sendScim(res, statusCode, {
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: String(statusCode),
+    ...(scimType && { scimType }),
+    detail,
+  });
+});
+
+export default router;
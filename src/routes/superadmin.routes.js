@@ -7,6 +7,11 @@ import { PutCommand, GetCommand, QueryCommand, UpdateCommand, ScanCommand } from
 import { docClient, TABLES } from '../config/aws.config.js';
 import { v4 as uuidv4 } from 'uuid';
 import { sendEmail } from '../utils/email.js';
+import { jobService } from '../services/job.service.js';
+import { sessionService } from '../services/session.service.js';
+import { mfaService } from '../services/mfa.service.js';
+import { ssoService, getApiBaseUrl } from '../services/sso.service.js';
+import { REMINDER_SCAN_JOB } from '../workers/reminder.worker.js';
 
 const router = express.Router();
 
@@ -239,6 +244,81 @@ router.get(
 // COMPANY ADMIN MANAGEMENT (ENHANCED)
 // ============================================
 
+/**
+ * @route   GET /api/v1/superadmin/companies/:id/sso
+ * @desc    Get a company's SSO connection
+ */
+router.get(
+  '/companies/:id/sso',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const companyResponse = await docClient.send(new GetCommand({
+      TableName: TABLES.COMPANIES,
+      Key: { id },
+    }));
+
+    if (!companyResponse.Item) {
+      throw new AppError('Company not found', 404);
+    }
+
+    const connection = await ssoService.getConnection(id);
+    const baseUrl = getApiBaseUrl(req);
+
+    res.json({
+      connection: connection ? ssoService.toPublicConnection(connection, baseUrl) : null,
+      serviceProvider: ssoService.getServiceProviderInfo(id, baseUrl),
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/superadmin/companies/:id/sso
+ * @desc    Configure a company's SSO connection
+ */
+router.put(
+  '/companies/:id/sso',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const companyResponse = await docClient.send(new GetCommand({
+      TableName: TABLES.COMPANIES,
+      Key: { id },
+    }));
+
+    if (!companyResponse.Item) {
+      throw new AppError('Company not found', 404);
+    }
+
+    const connection = await ssoService.saveConnection(id, req.body, req.user.id, { canClaimDomains: true });
+
+    res.json({
+      message: 'SSO settings updated successfully',
+      connection: ssoService.toPublicConnection(connection, getApiBaseUrl(req)),
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/superadmin/companies/:id/sso
+ * @desc    Remove a company's SSO connection
+ */
+router.delete(
+  '/companies/:id/sso',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const connection = await ssoService.getConnection(id);
+
+    if (!connection) {
+      throw new AppError('SSO is not configured for this company', 404);
+    }
+
+    await ssoService.deleteConnection(id);
+
+    res.json({ message: 'SSO removed successfully' });
+  })
+);
+
 /**
  * @route   POST /api/v1/superadmin/company-admins
  * @desc    Create company admin with email, password, and login disabled
@@ -403,7 +483,59 @@ router.post(
       },
     }));
 
-    res.json({ message: 'Login disabled for company admin' });
+    const sessionsRevoked = await sessionService.revokeUserSessions(admin.id, 'login_disabled', { revokedBy: req.user.id });
+
+    res.json({ message: 'Login disabled for company admin', sessionsRevoked });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/superadmin/users/:id/sessions
+ * @desc    Sign any user out of all sessions
+ */
+router.delete(
+  '/users/:id/sessions',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const usersResponse = await docClient.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'id = :id',
+      ExpressionAttributeValues: { ':id': id },
+    }));
+
+    if (!usersResponse.Items || usersResponse.Items.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    const sessionsRevoked = await sessionService.revokeUserSessions(id, 'admin', { revokedBy: req.user.id });
+
+    res.json({ message: 'User signed out of all sessions', sessionsRevoked });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/superadmin/users/:id/mfa
+ * @desc    Reset any user's MFA (e.g. a company admin who lost their device)
+ */
+router.delete(
+  '/users/:id/mfa',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const usersResponse = await docClient.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'id = :id',
+      ExpressionAttributeValues: { ':id': id },
+    }));
+
+    if (!usersResponse.Items || usersResponse.Items.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    await mfaService.disable(usersResponse.Items[0]);
+
+    res.json({ message: 'User MFA reset successfully' });
   })
 );
 
@@ -611,4 +743,27 @@ router.get(
   })
 );
 
-export default router;
\ No newline at end of file
+// ============================================
+// REMINDERS
+// ============================================
+
+/**
+ * @route   POST /api/v1/superadmin/reminders/run
+ * @desc    Queue a deadline reminder scan now (normally run by the worker's scheduler)
+ */
+router.post(
+  '/reminders/run',
+  asyncHandler(async (req, res) => {
+    const job = await jobService.enqueue({
+      type: REMINDER_SCAN_JOB,
+      createdBy: req.user.id,
+    });
+
+    res.status(202).json({
+      message: 'Reminder scan queued',
+      jobId: job.id,
+    });
+  })
+);
+
+export default router;
@@ -6,7 +6,17 @@ import { v4 as uuidv4 } from 'uuid';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { s3Client, docClient, TABLES } from '../config/aws.config.js';
-import { extractTextFromFile, extractQuestionsFromText } from '../services/document.service.js';
+import { extractTextFromFile, EXTRACTION_MODES } from '../services/document.service.js';
+import { jobService } from '../services/job.service.js';
+import { RFP_PROCESS_JOB, RFP_AMENDMENT_JOB } from '../workers/rfp.worker.js';
+import { isSpreadsheet, previewWorkbook, parseQuestionnaire } from '../services/spreadsheet.service.js';
+import { knowledgeService } from '../services/knowledge.service.js';
+import { normalizeSchedule } from '../services/deadline.service.js';
+import { proposalTemplateService } from '../services/proposalTemplate.service.js';
+import { revisionService } from '../services/revision.service.js';
+import { proposalService } from '../services/proposal.service.js';
+import { companyService } from '../services/company.service.js';
+import { amendmentService, AMENDMENT_KINDS } from '../services/amendment.service.js';
 
 const router = express.Router();
 
@@ -24,10 +34,10 @@ const upload = multer({
       'text/plain',
     ];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    if (allowedTypes.includes(file.mimetype) || isSpreadsheet(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, DOC, and TXT files are allowed.'));
+      cb(new Error('Invalid file type. Only PDF, DOCX, DOC, TXT, XLSX, and CSV files are allowed.'));
     }
   },
 });
@@ -35,9 +45,24 @@ const upload = multer({
 // Apply authentication to all routes
 router.use(authenticate);
 
+/**
+ * @param {string} companyId - Company ID
+ * @param {string} hint - What the user can do instead
+ * @throws {AppError} 403 if the company has no searches left this month
+ */
+const assertSearchesRemaining = async (companyId, hint) => {
+  const company = await companyService.getCompany(companyId);
+  const remaining = company ? company.limits.maxMonthlySearches - company.limits.searchesUsed : 0;
+
+  if (remaining <= 0) {
+    throw new AppError(`Monthly search limit reached. ${hint}`, 403);
+  }
+};
+
 /**
  * @route   POST /api/v1/upload/rfp
- * @desc    Upload RFP document and extract questions
+ * @desc    Upload RFP document and queue question extraction
+ *          (carryOverFrom: prior proposal whose answers pre-fill matching questions for review)
  * @access  Private
  */
 router.post(
@@ -48,12 +73,32 @@ router.post(
       throw new AppError('No file uploaded', 400);
     }
 
-    const { title, clientName, description } = req.body;
+    const { title, clientName, description, preDraft, extractionMode = 'regex', carryOverFrom } = req.body;
 
     if (!title) {
       throw new AppError('Title is required', 400);
     }
 
+    if (!EXTRACTION_MODES.includes(extractionMode)) {
+      throw new AppError(`extractionMode must be one of ${EXTRACTION_MODES.join(', ')}`, 400);
+    }
+
+    // Optional prior proposal whose answers are carried over to matching questions
+    if (carryOverFrom) {
+      await proposalTemplateService.getCarryOverSource(carryOverFrom, req.user.companyId);
+    }
+
+    const shouldPreDraft = preDraft === true || preDraft === 'true';
+
+    // Questions are only known once the file is parsed, so the worker also stops drafting
+    // (and AI extraction) when the quota runs out; an upload that could not use any is rejected here
+    if (shouldPreDraft || extractionMode === 'ai') {
+      await assertSearchesRemaining(req.user.companyId, 'Upload with regex or hybrid extraction and without preDraft, or contact your administrator.');
+    }
+
+    // Optional submissionDeadline, qaCutoff and milestones (JSON)
+    const schedule = normalizeSchedule(req.body);
+
     // Generate unique file key
     const fileKey = `rfps/${req.user.companyId}/${req.user.id}/${uuidv4()}-${req.file.originalname}`;
 
@@ -73,19 +118,290 @@ router.post(
 
     const fileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${fileKey}`;
 
-    // Extract text from document
-    let extractedText = '';
-    let questions = [];
+    const proposalId = uuidv4();
+
+    // Extraction, question parsing and optional AI pre-drafting run in the background
+    const job = await jobService.createJob({
+      type: RFP_PROCESS_JOB,
+      companyId: req.user.companyId,
+      proposalId,
+      createdBy: req.user.id,
+      payload: {
+        fileKey,
+        bucket: process.env.S3_BUCKET_NAME,
+        mimeType: req.file.mimetype,
+        extractionMode,
+        preDraft: shouldPreDraft,
+        carryOverFrom: carryOverFrom || null,
+      },
+    });
+
+    // Create proposal; questions are filled in by the job
+    const proposal = {
+      id: proposalId,
+      title,
+      clientName: clientName || '',
+      description: description || '',
+      userId: req.user.id,
+      companyId: req.user.companyId,
+      status: 'draft',
+      version: 1,
+      ...schedule,
+      fileKey,
+      fileUrl,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      extractedText: '',
+      questions: [],
+      processingStatus: {
+        state: 'queued',
+        jobId: job.id,
+        progress: 0,
+        stage: 'queued',
+        error: null,
+        updatedAt: new Date().toISOString(),
+      },
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: req.user.id,
+    };
+
+    // Save to DynamoDB
+    await docClient.send(
+      new PutCommand({
+        TableName: TABLES.PROPOSALS,
+        Item: proposal,
+      })
+    );
+
+    await jobService.dispatch(job);
+
+    // Remove full extracted text from response
+    const { extractedText: _, ...proposalResponse } = proposal;
+
+    res.status(202).json({
+      message: 'RFP uploaded successfully, processing has started',
+      proposal: proposalResponse,
+      jobId: job.id,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/upload/rfp/:proposalId/amendments
+ * @desc    Upload a revised RFP (kind: revision) or an addendum (kind: addendum) for a proposal
+ *          and queue the comparison of its questions with the proposal's
+ * @access  Private
+ */
+router.post(
+  '/rfp/:proposalId/amendments',
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400);
+    }
+
+    const { kind = 'revision', note, extractionMode = 'regex' } = req.body;
+
+    if (!AMENDMENT_KINDS.includes(kind)) {
+      throw new AppError(`kind must be one of ${AMENDMENT_KINDS.join(', ')}`, 400);
+    }
+
+    if (!EXTRACTION_MODES.includes(extractionMode)) {
+      throw new AppError(`extractionMode must be one of ${EXTRACTION_MODES.join(', ')}`, 400);
+    }
+
+    const proposal = await proposalService.getProposal(req.params.proposalId);
+
+    if (!proposal || proposal.status === 'deleted') {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    if (proposal.companyId !== req.user.companyId && req.user.role !== 'superadmin') {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Spreadsheet answers are written back to the original workbook's cells
+    if (proposal.sourceFormat === 'spreadsheet') {
+      throw new AppError('Amendments to spreadsheet questionnaires are not supported, import the revised questionnaire instead', 400);
+    }
+
+    if (extractionMode === 'ai') {
+      await assertSearchesRemaining(proposal.companyId, 'Use regex or hybrid extraction, or contact your administrator.');
+    }
+
+    if ((proposal.amendments || []).some(a => a.status === 'processing')) {
+      throw new AppError('Another amendment of this proposal is still being processed', 409);
+    }
+
+    const fileKey = `rfps/${proposal.companyId}/${req.user.id}/${uuidv4()}-${req.file.originalname}`;
+
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: fileKey,
+        Body: req.file.buffer,
+        ContentType: req.file.mimetype,
+        Metadata: {
+          uploadedBy: req.user.id,
+          companyId: proposal.companyId,
+        },
+      })
+    );
+
+    const amendmentId = uuidv4();
+
+    const job = await jobService.createJob({
+      type: RFP_AMENDMENT_JOB,
+      companyId: proposal.companyId,
+      proposalId: proposal.id,
+      createdBy: req.user.id,
+      payload: {
+        amendmentId,
+        fileKey,
+        bucket: process.env.S3_BUCKET_NAME,
+        mimeType: req.file.mimetype,
+        extractionMode,
+      },
+    });
+
+    const amendment = await amendmentService.addAmendment(proposal.id, {
+      id: amendmentId,
+      kind,
+      fileKey,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      note,
+      jobId: job.id,
+      uploadedBy: req.user.id,
+    });
 
     try {
-      extractedText = await extractTextFromFile(req.file.buffer, req.file.mimetype);
-      questions = extractQuestionsFromText(extractedText);
+      await jobService.dispatch(job);
     } catch (error) {
-      console.error('Error extracting text:', error);
-      // Continue without extraction if it fails
+      // Otherwise the amendment stays processing and blocks every later upload
+      await amendmentService.failAmendment(proposal.id, amendmentId, 'The comparison could not be started. Upload the amendment again.');
+      throw error;
+    }
+
+    res.status(202).json({
+      message: 'Amendment uploaded successfully, comparison has started',
+      amendment,
+      jobId: job.id,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/upload/questionnaire/preview
+ * @desc    List sheets, columns and sample rows of a spreadsheet questionnaire
+ * @access  Private
+ */
+router.post(
+  '/questionnaire/preview',
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400);
+    }
+
+    if (!isSpreadsheet(req.file.mimetype, req.file.originalname)) {
+      throw new AppError('Only XLSX and CSV files can be imported as questionnaires', 400);
     }
 
-    // Create proposal
+    let sheets;
+    try {
+      sheets = await previewWorkbook(req.file.buffer, req.file.mimetype, req.file.originalname);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    res.json({
+      fileName: req.file.originalname,
+      sheets,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/upload/questionnaire
+ * @desc    Import an XLSX/CSV questionnaire as a proposal using a column mapping
+ *          (carryOverFrom: prior proposal whose answers pre-fill matching questions for review)
+ * @access  Private
+ */
+router.post(
+  '/questionnaire',
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400);
+    }
+
+    if (!isSpreadsheet(req.file.mimetype, req.file.originalname)) {
+      throw new AppError('Only XLSX and CSV files can be imported as questionnaires', 400);
+    }
+
+    const {
+      title, clientName, description, carryOverFrom,
+      sheet, questionColumn, answerColumn, sectionColumn, headerRow, startRow,
+    } = req.body;
+
+    if (!title) {
+      throw new AppError('Title is required', 400);
+    }
+
+    if (!questionColumn || !answerColumn) {
+      throw new AppError('questionColumn and answerColumn are required', 400);
+    }
+
+    // Optional submissionDeadline, qaCutoff and milestones (JSON)
+    const schedule = normalizeSchedule(req.body);
+
+    const mapping = {
+      sheet: sheet || null,
+      questionColumn,
+      answerColumn,
+      sectionColumn: sectionColumn || null,
+      headerRow: parseInt(headerRow) || 1,
+      startRow: parseInt(startRow) || (parseInt(headerRow) || 1) + 1,
+    };
+
+    // Optional prior proposal whose answers are carried over to matching questions
+    const carryOverSource = carryOverFrom
+      ? await proposalTemplateService.getCarryOverSource(carryOverFrom, req.user.companyId)
+      : null;
+
+    let questions;
+    try {
+      questions = await parseQuestionnaire(req.file.buffer, req.file.mimetype, mapping, req.file.originalname);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    let carried = [];
+    if (carryOverSource) {
+      ({ questions, carried } = await proposalTemplateService.carryOverAnswers(questions, carryOverSource));
+    }
+
+    // Keep the original workbook so answers can be written back into it
+    const fileKey = `rfps/${req.user.companyId}/${req.user.id}/${uuidv4()}-${req.file.originalname}`;
+
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: fileKey,
+        Body: req.file.buffer,
+        ContentType: req.file.mimetype,
+        Metadata: {
+          uploadedBy: req.user.id,
+          companyId: req.user.companyId,
+        },
+      })
+    );
+
+    const fileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${fileKey}`;
+
     const proposalId = uuidv4();
     const proposal = {
       id: proposalId,
@@ -95,19 +411,29 @@ router.post(
       userId: req.user.id,
       companyId: req.user.companyId,
       status: 'draft',
+      version: 1,
+      ...schedule,
       fileKey,
       fileUrl,
       fileName: req.file.originalname,
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
-      extractedText: extractedText.substring(0, 5000), // Store first 5000 chars
+      sourceFormat: 'spreadsheet',
+      spreadsheetMapping: mapping,
       questions,
+      processingStatus: {
+        state: 'completed',
+        jobId: null,
+        progress: 100,
+        stage: 'completed',
+        error: null,
+        updatedAt: new Date().toISOString(),
+      },
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       createdBy: req.user.id,
     };
 
-    // Save to DynamoDB
     await docClient.send(
       new PutCommand({
         TableName: TABLES.PROPOSALS,
@@ -115,13 +441,23 @@ router.post(
       })
     );
 
-    // Remove full extracted text from response
-    const { extractedText: _, ...proposalResponse } = proposal;
+    for (const index of carried) {
+      await revisionService.recordRevision({
+        proposalId,
+        companyId: req.user.companyId,
+        previous: null,
+        current: questions[index],
+        source: 'carry_over',
+        authorId: req.user.id,
+        note: `Carried over from proposal ${carryOverFrom}`,
+      });
+    }
 
     res.status(201).json({
-      message: 'RFP uploaded successfully',
-      proposal: proposalResponse,
+      message: 'Questionnaire imported successfully',
+      proposal,
       questionsExtracted: questions.length,
+      answersCarriedOver: carried.length,
     });
   })
 );
@@ -202,6 +538,12 @@ router.post(
       })
     );
 
+    try {
+      await knowledgeService.indexDocument(knowledgeEntry);
+    } catch (error) {
+      console.error('Error indexing knowledge document:', error);
+    }
+
     res.status(201).json({
       message: 'Knowledge document uploaded successfully',
       knowledge: knowledgeEntry,
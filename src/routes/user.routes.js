@@ -1,11 +1,16 @@
 import express from 'express';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { GetCommand, UpdateCommand, ScanCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { GetCommand, PutCommand, UpdateCommand, ScanCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
 import { docClient, TABLES, s3Client } from '../config/aws.config.js';
 import { v4 as uuidv4 } from 'uuid';
 import { PutObjectCommand } from '@aws-sdk/client-s3';
 import { invokeModel } from '../services/ai.service.js';
+import { getCompanyModelOptions } from '../services/llm.service.js';
+import { normalizeSchedule } from '../services/deadline.service.js';
+import { exportHistoryService } from '../services/exportHistory.service.js';
+import { jobService } from '../services/job.service.js';
+import { RFP_PROCESS_JOB } from '../workers/rfp.worker.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -95,6 +100,62 @@ router.patch(
   })
 );
 
+/**
+ * @route   GET /api/v1/user/notifications
+ * @desc    Get own notification preferences
+ */
+router.get(
+  '/notifications',
+  asyncHandler(async (req, res) => {
+    const userResponse = await docClient.send(new GetCommand({
+      TableName: TABLES.USERS,
+      Key: { email: req.user.email },
+    }));
+
+    if (!userResponse.Item) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.json({
+      notificationPreferences: {
+        reminders: userResponse.Item.notificationPreferences?.reminders !== false,
+      },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/user/notifications
+ * @desc    Opt in or out of deadline reminder emails
+ */
+router.put(
+  '/notifications',
+  asyncHandler(async (req, res) => {
+    const { reminders } = req.body;
+
+    if (typeof reminders !== 'boolean') {
+      throw new AppError('reminders must be true or false', 400);
+    }
+
+    const notificationPreferences = { reminders };
+
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.USERS,
+      Key: { email: req.user.email },
+      UpdateExpression: 'SET notificationPreferences = :preferences, updatedAt = :updatedAt',
+      ExpressionAttributeValues: {
+        ':preferences': notificationPreferences,
+        ':updatedAt': new Date().toISOString(),
+      },
+    }));
+
+    res.json({
+      message: 'Notification preferences updated',
+      notificationPreferences,
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/user/company-admin-contact
  * @desc    Get company admin contact information
@@ -134,7 +195,8 @@ router.get(
 
 /**
  * @route   POST /api/v1/user/upload-rfp
- * @desc    Upload RFP document
+ * @desc    Upload RFP document and queue question extraction
+ *          (same pipeline as POST /api/v1/upload/rfp with regex extraction)
  */
 router.post(
   '/upload-rfp',
@@ -146,6 +208,9 @@ router.post(
 
     const { title, clientName } = req.body;
 
+    // Optional submissionDeadline, qaCutoff and milestones (JSON)
+    const schedule = normalizeSchedule(req.body);
+
     const fileKey = `rfps/${req.user.companyId}/${req.user.id}/${uuidv4()}-${req.file.originalname}`;
 
     await s3Client.send(new PutObjectCommand({
@@ -157,8 +222,24 @@ router.post(
 
     const fileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.amazonaws.com/${fileKey}`;
 
-    // Create proposal
     const proposalId = uuidv4();
+
+    const job = await jobService.createJob({
+      type: RFP_PROCESS_JOB,
+      companyId: req.user.companyId,
+      proposalId,
+      createdBy: req.user.id,
+      payload: {
+        fileKey,
+        bucket: process.env.S3_BUCKET_NAME,
+        mimeType: req.file.mimetype,
+        extractionMode: 'regex',
+        preDraft: false,
+        carryOverFrom: null,
+      },
+    });
+
+    // Create proposal; questions are filled in by the job
     const proposal = {
       id: proposalId,
       title: title || req.file.originalname,
@@ -166,11 +247,26 @@ router.post(
       userId: req.user.id,
       companyId: req.user.companyId,
       status: 'draft',
+      version: 1,
+      ...schedule,
       fileKey,
       fileUrl,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      extractedText: '',
       questions: [],
+      processingStatus: {
+        state: 'queued',
+        jobId: job.id,
+        progress: 0,
+        stage: 'queued',
+        error: null,
+        updatedAt: new Date().toISOString(),
+      },
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      createdBy: req.user.id,
     };
 
     await docClient.send(new PutCommand({
@@ -178,10 +274,15 @@ router.post(
       Item: proposal,
     }));
 
-    res.json({
-      message: 'RFP uploaded successfully',
-      proposal,
+    await jobService.dispatch(job);
+
+    const { extractedText: _, ...proposalResponse } = proposal;
+
+    res.status(202).json({
+      message: 'RFP uploaded successfully, processing has started',
+      proposal: proposalResponse,
       fileUrl,
+      jobId: job.id,
     });
   })
 );
@@ -213,7 +314,7 @@ Context: ${context || 'No additional context provided'}
 Provide a comprehensive and accurate answer based on the company's knowledge base and best practices.
 `;
 
-    const response = await invokeModel(prompt);
+    const response = await invokeModel(prompt, getCompanyModelOptions(req.company));
 
     // Increment search count
     await docClient.send(new UpdateCommand({
@@ -314,7 +415,8 @@ router.get(
 
 /**
  * @route   POST /api/v1/user/export
- * @desc    Export proposal (with limit check)
+ * @desc    Export proposal (pdf, docx, txt, md, html, xlsx) and get a time-limited download URL;
+ *          the export limit is only charged when the export succeeds
  */
 router.post(
   '/export',
@@ -331,24 +433,29 @@ router.post(
       throw new AppError(`Monthly export limit (${req.company.limits.maxMonthlyExports}) reached. Contact your company admin.`, 403);
     }
 
-    // TODO: Implement actual export logic
-
-    // Increment export counts
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.COMPANIES,
-      Key: { id: req.user.companyId },
-      UpdateExpression: 'SET #limits.#exportsUsed = #limits.#exportsUsed + :inc, #usage.#totalExports = #usage.#totalExports + :inc',
-      ExpressionAttributeNames: {
-        '#limits': 'limits',
-        '#exportsUsed': 'exportsUsed',
-        '#usage': 'usage',
-        '#totalExports': 'totalExports',
-      },
-      ExpressionAttributeValues: {
-        ':inc': 1,
-      },
+    const proposalResponse = await docClient.send(new GetCommand({
+      TableName: TABLES.PROPOSALS,
+      Key: { id: proposalId },
     }));
 
+    const proposal = proposalResponse.Item;
+
+    if (!proposal) {
+      throw new AppError('Proposal not found', 404);
+    }
+
+    if (proposal.companyId !== req.user.companyId) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { record, downloadUrl, expiresAt, company } = await exportHistoryService.createExport({
+      proposal,
+      format,
+      company: req.company,
+      user: req.user,
+    });
+
+    // Increment user export count
     await docClient.send(new UpdateCommand({
       TableName: TABLES.USERS,
       Key: { email: req.user.email },
@@ -365,7 +472,10 @@ router.post(
     res.json({
       message: 'Export completed successfully',
       format,
-      exportsRemaining: req.company.limits.maxMonthlyExports - req.company.limits.exportsUsed - 1,
+      export: record,
+      downloadUrl,
+      expiresAt,
+      exportsRemaining: company.limits.maxMonthlyExports - company.limits.exportsUsed,
     });
   })
 );
@@ -1,60 +1,77 @@
-import { InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
-import { bedrockClient } from '../config/aws.config.js';
+import {
+  getLLMProvider,
+  ModelUnavailableError,
+} from './llm.service.js';
+import {
+  verifyCitations,
+  retrievalScore,
+  computeConfidence,
+} from './grounding.service.js';
 
 /**
- * Invoke Claude model via AWS Bedrock
+ * Invoke the configured LLM
  * @param {string} prompt - The prompt to send to the model
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options ({ provider, modelId, maxTokens, temperature, topP })
  * @returns {Promise<string>} Model response
  */
 export const invokeModel = async (prompt, options = {}) => {
+  const { provider: providerName, ...modelOptions } = options;
+
   try {
-    const {
-      maxTokens = 2000,
-      temperature = 0.7,
-      topP = 0.9,
-      modelId = 'anthropic.claude-v2',
-    } = options;
-
-    const payload = {
-      anthropic_version: 'bedrock-2023-05-31',
-      max_tokens: maxTokens,
-      temperature,
-      top_p: topP,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    };
-
-    const command = new InvokeModelCommand({
-      modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(payload),
-    });
+    return await getLLMProvider(providerName).complete(prompt, modelOptions);
+  } catch (error) {
+    console.error('Error invoking LLM:', error);
+
+    if (error instanceof ModelUnavailableError) {
+      throw error;
+    }
+
+    throw new Error('Failed to generate AI response');
+  }
+};
 
-    const response = await bedrockClient.send(command);
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+/**
+ * Invoke the configured LLM and yield the response as it is generated
+ * @param {string} prompt - The prompt to send to the model
+ * @param {Object} options - Same as invokeModel, plus signal to cancel the request
+ * @yields {string} Text deltas
+ */
+export async function* streamModel(prompt, options = {}) {
+  const { provider: providerName, ...modelOptions } = options;
 
-    return responseBody.content[0].text;
+  try {
+    yield* getLLMProvider(providerName).stream(prompt, modelOptions);
   } catch (error) {
-    console.error('Error invoking Bedrock model:', error);
-    
-    // Fallback response if Bedrock is not available
-    if (error.name === 'ResourceNotFoundException' || error.code === 'ENOTFOUND') {
-      console.warn('⚠️  Bedrock not available, using fallback response');
-      return generateFallbackResponse(prompt);
+    if (options.signal?.aborted || error instanceof ModelUnavailableError) {
+      throw error;
     }
-    
+
+    console.error('Error streaming LLM response:', error);
     throw new Error('Failed to generate AI response');
   }
+}
+
+/**
+ * Collect a model stream into the full response text
+ * @param {string} prompt - The prompt to send to the model
+ * @param {Object} options - Model options plus signal and onToken(text) callback
+ * @returns {Promise<string>} Model response
+ */
+const collectModelStream = async (prompt, options = {}) => {
+  const { onToken, ...modelOptions } = options;
+  let text = '';
+
+  for await (const token of streamModel(prompt, modelOptions)) {
+    text += token;
+    if (onToken) onToken(token);
+  }
+
+  return text;
 };
 
 /**
- * Generate fallback response when Bedrock is not available
+ * Generate fallback response when the model is not available.
+ * Results built from it are flagged with isFallback and must not be saved as drafts.
  * @param {string} prompt - Original prompt
  * @returns {string} Fallback response
  */
@@ -74,16 +91,29 @@ const generateFallbackResponse = (prompt) => {
 };
 
 /**
- * Generate answer for RFP question
+ * Format knowledge passages as numbered context for a prompt
+ * @param {Array<Object>} passages - Passages ({ title, snippet })
+ * @returns {string} Prompt context
+ */
+export const buildContextFromPassages = (passages = []) => {
+  return passages
+    .map((p, i) => `[${i + 1}] ${p.title}:\n${p.snippet}`)
+    .join('\n\n');
+};
+
+/**
+ * Build the prompt that drafts an answer to an RFP question
  * @param {string} question - RFP question
- * @param {string} context - Additional context from knowledge base
- * @returns {Promise<Object>} Generated answer with metadata
+ * @param {Array<Object>} passages - Knowledge base passages
+ * @returns {string} Prompt
  */
-export const generateAnswer = async (question, context = '') => {
-  const prompt = `
+const buildAnswerPrompt = (question, passages = []) => {
+  const context = buildContextFromPassages(passages);
+
+  return `
 You are an expert RFP response writer. Generate a professional, detailed answer to the following question.
 
-${context ? `Context from knowledge base:\n${context}\n` : ''}
+${context ? `Context from knowledge base:\n${context}\n\nBase your answer on the context above and do not invent facts that it does not support.\n` : ''}
 
 Question: ${question}
 
@@ -93,35 +123,189 @@ Provide a comprehensive answer that:
 3. Includes specific details and examples when appropriate
 4. Maintains a professional tone
 5. Is concise but thorough (200-400 words)
+6. Does not contain citation markers such as [1]
 
 Answer:`;
+};
+
+/**
+ * Ask the model how well the answer is supported by the context
+ * @param {string} question - RFP question
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} passages - Knowledge base passages the answer was based on
+ * @param {Object} options - Model selection ({ provider, modelId })
+ * @returns {Promise<number|null>} Score in [0, 1], or null if the model gave no usable rating
+ */
+export const assessAnswer = async (question, answer, passages = [], options = {}) => {
+  if (process.env.AI_SELF_ASSESSMENT === 'false') {
+    return null;
+  }
+
+  const context = buildContextFromPassages(passages);
+
+  const prompt = `
+You are reviewing a draft answer to an RFP question.
+
+${context ? `Context from knowledge base:\n${context}\n` : 'No knowledge base context was available.\n'}
+Question: ${question}
+
+Draft answer:
+${answer}
+
+On a scale from 0 to 100, how confident are you that every statement in the draft answer is accurate and supported by the context?
+Reply with the number only.`;
+
+  try {
+    const response = await invokeModel(prompt, {
+      ...options,
+      maxTokens: 10,
+      temperature: 0,
+    });
+
+    const match = response.match(/^\s*(\d{1,3})(?:\.\d+)?\s*%?\s*$/);
+    if (!match) return null;
+
+    return Math.min(100, parseInt(match[1])) / 100;
+  } catch (error) {
+    console.warn('Answer self-assessment failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Attach evidence-based confidence, citations and model metadata to generated answer text
+ */
+const toAnswerResult = async (question, answer, passages = [], options = {}) => {
+  const provider = getLLMProvider(options.provider);
+  const text = answer.replace(/\s?\[\d+(?:\s*,\s*\d+)*\]/g, '').trim();
+
+  const [grounding, selfAssessment] = await Promise.all([
+    verifyCitations(text, passages),
+    assessAnswer(question, text, passages, options),
+  ]);
+
+  const confidenceBreakdown = {
+    retrieval: retrievalScore(passages),
+    grounding: grounding.groundingScore,
+    selfAssessment,
+  };
+
+  return {
+    answer: text,
+    confidence: computeConfidence(confidenceBreakdown),
+    confidenceBreakdown,
+    citations: grounding.sentences.map(({ index, text: sentence, supported, citations }) => ({
+      sentenceIndex: index,
+      text: sentence,
+      supported,
+      citations,
+    })),
+    unsupportedClaims: grounding.unsupportedClaims,
+    sources: passages.map((p, i) => ({
+      documentId: p.documentId,
+      title: p.title,
+      snippet: p.snippet,
+      score: p.score,
+      cited: grounding.citedPassages.includes(i),
+    })),
+    isFallback: false,
+    model: {
+      provider: provider.name,
+      modelId: options.modelId || provider.defaultModel,
+    },
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Canned answer used when the model is unavailable. It is flagged so callers
+ * can show it to the user without saving it as a draft.
+ */
+const toFallbackResult = (prompt, error) => ({
+  answer: generateFallbackResponse(prompt),
+  confidence: 0,
+  confidenceBreakdown: null,
+  citations: [],
+  unsupportedClaims: [],
+  sources: [],
+  isFallback: true,
+  fallbackReason: error.message,
+  model: null,
+  generatedAt: new Date().toISOString(),
+});
+
+/**
+ * Generate answer for RFP question
+ * @param {string} question - RFP question
+ * @param {Array<Object>} passages - Knowledge base passages ({ documentId, title, snippet, score })
+ * @param {Object} options - Model selection ({ provider, modelId })
+ * @returns {Promise<Object>} Generated answer with metadata (isFallback when the model was unavailable)
+ */
+export const generateAnswer = async (question, passages = [], options = {}) => {
+  const prompt = buildAnswerPrompt(question, passages);
 
   try {
     const answer = await invokeModel(prompt, {
+      ...options,
       maxTokens: 1500,
       temperature: 0.7,
     });
 
-    return {
-      answer: answer.trim(),
-      confidence: 0.85,
-      sources: context ? ['Knowledge Base'] : ['AI Generated'],
-      generatedAt: new Date().toISOString(),
-    };
+    return await toAnswerResult(question, answer, passages, options);
   } catch (error) {
+    if (error instanceof ModelUnavailableError) {
+      console.warn('⚠️  AI model not available, returning flagged fallback answer');
+      return toFallbackResult(prompt, error);
+    }
+
     console.error('Error generating answer:', error);
     throw error;
   }
 };
 
+/**
+ * Generate answer for RFP question, reporting the text as it is generated
+ * @param {string} question - RFP question
+ * @param {Array<Object>} passages - Knowledge base passages ({ documentId, title, snippet, score })
+ * @param {Object} options - { provider, modelId, signal, onToken(text) }
+ * @returns {Promise<Object>} Generated answer with metadata (same shape as generateAnswer)
+ */
+export const streamAnswer = async (question, passages = [], options = {}) => {
+  const { signal, onToken, ...modelSelection } = options;
+  const prompt = buildAnswerPrompt(question, passages);
+
+  try {
+    const answer = await collectModelStream(prompt, {
+      ...modelSelection,
+      maxTokens: 1500,
+      temperature: 0.7,
+      signal,
+      onToken,
+    });
+
+    return await toAnswerResult(question, answer, passages, modelSelection);
+  } catch (error) {
+    if (error instanceof ModelUnavailableError) {
+      console.warn('⚠️  AI model not available, returning flagged fallback answer');
+      const result = toFallbackResult(prompt, error);
+      if (onToken) onToken(result.answer);
+      return result;
+    }
+
+    if (!signal?.aborted) console.error('Error streaming answer:', error);
+    throw error;
+  }
+};
+
 /**
  * Improve existing answer based on feedback
  * @param {string} currentAnswer - Current answer
  * @param {string} feedback - Improvement feedback
  * @param {string} question - Original question
+ * @param {Object} options - Model selection ({ provider, modelId })
  * @returns {Promise<string>} Improved answer
  */
-export const improveAnswer = async (currentAnswer, feedback, question) => {
+export const improveAnswer = async (currentAnswer, feedback, question, options = {}) => {
   const prompt = `
 You are an expert RFP response editor. Improve the following answer based on the feedback provided.
 
@@ -143,6 +327,7 @@ Improved Answer:`;
 
   try {
     const improvedAnswer = await invokeModel(prompt, {
+      ...options,
       maxTokens: 1500,
       temperature: 0.6,
     });
@@ -155,18 +340,18 @@ Improved Answer:`;
 };
 
 /**
- * Generate executive summary for proposal
+ * Build the prompt that writes a proposal's executive summary
  * @param {Object} proposal - Proposal object with questions and answers
- * @returns {Promise<string>} Executive summary
+ * @returns {string} Prompt
  */
-export const generateSummary = async (proposal) => {
+const buildSummaryPrompt = (proposal) => {
   const answeredQuestions = proposal.questions.filter(q => q.finalAnswer || q.draftAnswer);
   
   const questionsText = answeredQuestions
     .map(q => `Q: ${q.question}\nA: ${q.finalAnswer || q.draftAnswer}`)
     .join('\n\n');
 
-  const prompt = `
+  return `
 You are an expert at writing executive summaries for RFP responses.
 
 Create a compelling executive summary (300-500 words) for this proposal based on the following questions and answers:
@@ -181,9 +366,18 @@ The summary should:
 5. Follow a clear structure (Introduction, Key Highlights, Conclusion)
 
 Executive Summary:`;
+};
 
+/**
+ * Generate executive summary for proposal
+ * @param {Object} proposal - Proposal object with questions and answers
+ * @param {Object} options - Model selection ({ provider, modelId })
+ * @returns {Promise<string>} Executive summary
+ */
+export const generateSummary = async (proposal, options = {}) => {
   try {
-    const summary = await invokeModel(prompt, {
+    const summary = await invokeModel(buildSummaryPrompt(proposal), {
+      ...options,
       maxTokens: 2000,
       temperature: 0.7,
     });
@@ -195,6 +389,27 @@ Executive Summary:`;
   }
 };
 
+/**
+ * Generate executive summary for proposal, reporting the text as it is generated
+ * @param {Object} proposal - Proposal object with questions and answers
+ * @param {Object} options - { provider, modelId, signal, onToken(text) }
+ * @returns {Promise<string>} Executive summary
+ */
+export const streamSummary = async (proposal, options = {}) => {
+  try {
+    const summary = await collectModelStream(buildSummaryPrompt(proposal), {
+      ...options,
+      maxTokens: 2000,
+      temperature: 0.7,
+    });
+
+    return summary.trim();
+  } catch (error) {
+    if (!options.signal?.aborted) console.error('Error streaming summary:', error);
+    throw error;
+  }
+};
+
 /**
  * Search knowledge base for relevant information
  * @param {string} query - Search query
@@ -266,9 +481,14 @@ export const analyzeQuestionComplexity = (question) => {
 
 export default {
   invokeModel,
+  streamModel,
+  buildContextFromPassages,
+  assessAnswer,
   generateAnswer,
+  streamAnswer,
   improveAnswer,
   generateSummary,
+  streamSummary,
   searchKnowledgeBase,
   analyzeQuestionComplexity,
 };
\ No newline at end of file
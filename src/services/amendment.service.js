@@ -0,0 +1,358 @@
+import { UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { diffWords, summarizeDiff } from '../utils/diff.js';
+import { getEmbeddingProvider, cosineSimilarity } from './embedding.service.js';
+import { proposalService, getVersion } from './proposal.service.js';
+
+/**
+ * Amendments are revised RFPs or addenda uploaded against an existing proposal.
+ * Their extracted questions are compared with the proposal's:
+ *   - unchanged: same text
+ *   - reworded: similar enough to be the same question (AMENDMENT_MATCH_MIN_SIMILARITY, default 0.6)
+ *   - added: no counterpart in the proposal
+ *   - removed: proposal question missing from a revised RFP (an addendum only adds or changes)
+ * Reworded and added questions are flagged amendmentReview.needsReview until approved,
+ * removed questions are taken out of the proposal and kept in the amendment history.
+ */
+export const AMENDMENT_KINDS = ['revision', 'addendum'];
+
+const DEFAULT_MATCH_MIN_SIMILARITY = 0.6;
+const MAX_APPLY_ATTEMPTS = 3;
+
+const normalizeText = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const questionNumber = (question) => {
+  const match = /^q(\d+)$/.exec(question.id || '');
+  return match ? parseInt(match[1]) : 0;
+};
+
+/**
+ * Compare the questions of a proposal with the questions extracted from an amendment
+ * @param {Array<Object>} existing - Proposal questions
+ * @param {Array<Object>} incoming - Extracted questions
+ * @param {Object} options - { kind, minSimilarity }
+ * @returns {Promise<Object>} { matches, added, removed }
+ *   matches: [{ existingIndex, incomingIndex, similarity }] (similarity 1 = same text)
+ *   added: incoming indexes, removed: existing indexes
+ */
+export const diffQuestions = async (existing, incoming, options = {}) => {
+  const {
+    kind = 'revision',
+    minSimilarity = parseFloat(process.env.AMENDMENT_MATCH_MIN_SIMILARITY) || DEFAULT_MATCH_MIN_SIMILARITY,
+  } = options;
+
+  const matches = [];
+  const freeExisting = new Set(existing.map((_, i) => i));
+  const freeIncoming = new Set(incoming.map((_, i) => i));
+
+  // Same text first, in order
+  const byText = new Map();
+  existing.forEach((question, i) => {
+    const key = normalizeText(question.question);
+    if (!byText.has(key)) byText.set(key, []);
+    byText.get(key).push(i);
+  });
+
+  incoming.forEach((question, j) => {
+    const candidates = byText.get(normalizeText(question.question)) || [];
+    const i = candidates.find(index => freeExisting.has(index));
+    if (i === undefined) return;
+
+    matches.push({ existingIndex: i, incomingIndex: j, similarity: 1 });
+    freeExisting.delete(i);
+    freeIncoming.delete(j);
+  });
+
+  // Then the most similar remaining pairs
+  if (freeExisting.size > 0 && freeIncoming.size > 0) {
+    const existingIndexes = [...freeExisting];
+    const incomingIndexes = [...freeIncoming];
+    const provider = getEmbeddingProvider();
+
+    const [existingVectors, incomingVectors] = await Promise.all([
+      provider.embed(existingIndexes.map(i => existing[i].question || '')),
+      provider.embed(incomingIndexes.map(j => incoming[j].question || '')),
+    ]);
+
+    const pairs = [];
+    existingIndexes.forEach((i, a) => {
+      incomingIndexes.forEach((j, b) => {
+        const similarity = cosineSimilarity(existingVectors[a], incomingVectors[b]);
+        if (similarity >= minSimilarity) pairs.push({ existingIndex: i, incomingIndex: j, similarity });
+      });
+    });
+
+    pairs
+      .sort((x, y) => y.similarity - x.similarity)
+      .forEach(pair => {
+        if (!freeExisting.has(pair.existingIndex) || !freeIncoming.has(pair.incomingIndex)) return;
+
+        matches.push({ ...pair, similarity: Math.round(pair.similarity * 1000) / 1000 });
+        freeExisting.delete(pair.existingIndex);
+        freeIncoming.delete(pair.incomingIndex);
+      });
+  }
+
+  return {
+    matches: matches.sort((x, y) => x.incomingIndex - y.incomingIndex),
+    added: [...freeIncoming].sort((x, y) => x - y),
+    removed: kind === 'revision' ? [...freeExisting].sort((x, y) => x - y) : [],
+  };
+};
+
+/**
+ * New question list of a proposal after an amendment, and the changes made
+ * @param {Array<Object>} existing - Proposal questions
+ * @param {Array<Object>} incoming - Extracted questions
+ * @param {Object} diff - Output of diffQuestions
+ * @param {Object} amendment - { id, kind }
+ * @returns {Object} { questions, changes, summary }
+ */
+export const applyQuestionDiff = (existing, incoming, diff, amendment) => {
+  const changes = [];
+  const summary = { added: 0, removed: 0, reworded: 0, unchanged: 0 };
+  const byIncoming = new Map(diff.matches.map(match => [match.incomingIndex, match]));
+  let nextNumber = Math.max(0, ...existing.map(questionNumber)) + 1;
+
+  const flag = (change, extra = {}) => ({
+    amendmentId: amendment.id,
+    change,
+    ...extra,
+    needsReview: true,
+  });
+
+  const updated = incoming.map((question, j) => {
+    const match = byIncoming.get(j);
+
+    if (!match) {
+      const added = {
+        id: `q${nextNumber++}`,
+        question: question.question,
+        ...(question.section && { section: question.section }),
+        status: 'pending',
+        amendmentReview: flag('added'),
+      };
+
+      summary.added++;
+      changes.push({ type: 'added', questionId: added.id, question: added.question });
+      return added;
+    }
+
+    const current = existing[match.existingIndex];
+
+    if (match.similarity === 1) {
+      summary.unchanged++;
+      return current;
+    }
+
+    const segments = diffWords(current.question, question.question);
+    const hasAnswer = Boolean(current.finalAnswer || current.draftAnswer);
+
+    summary.reworded++;
+    changes.push({
+      type: 'reworded',
+      questionId: current.id,
+      previousQuestion: current.question,
+      question: question.question,
+      similarity: match.similarity,
+      diff: segments,
+      ...summarizeDiff(segments),
+      answerAffected: hasAnswer,
+    });
+
+    return {
+      ...current,
+      question: question.question,
+      // Answers written for the old wording must be reviewed again
+      ...(hasAnswer && ['in_review', 'approved'].includes(current.status) && { status: 'drafted' }),
+      amendmentReview: flag('reworded', { previousQuestion: current.question }),
+      version: getVersion(current) + 1,
+    };
+  });
+
+  // An addendum keeps every existing question; matched ones were updated in place
+  const questions = amendment.kind === 'addendum'
+    ? [
+      ...existing.map((question, i) => {
+        const match = diff.matches.find(m => m.existingIndex === i);
+        return match ? updated[match.incomingIndex] : question;
+      }),
+      ...diff.added.map(j => updated[j]),
+    ]
+    : updated;
+
+  diff.removed.forEach(i => {
+    summary.removed++;
+    changes.push({ type: 'removed', questionId: existing[i].id, question: existing[i].question, removed: existing[i] });
+  });
+
+  return { questions, changes, summary };
+};
+
+class AmendmentService {
+  /**
+   * Add an amendment to a proposal's history
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} data - { id, kind, fileKey, fileName, mimeType, note, jobId, uploadedBy }
+   * @returns {Promise<Object>} Amendment (status processing)
+   */
+  async addAmendment(proposalId, data) {
+    try {
+      const amendment = {
+        id: data.id || uuidv4(),
+        kind: data.kind,
+        fileKey: data.fileKey,
+        fileName: data.fileName,
+        mimeType: data.mimeType,
+        note: data.note || '',
+        jobId: data.jobId,
+        status: 'processing',
+        summary: null,
+        changes: [],
+        error: null,
+        uploadedBy: data.uploadedBy,
+        uploadedAt: new Date().toISOString(),
+      };
+
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposalId },
+        UpdateExpression: 'SET #amendments = list_append(if_not_exists(#amendments, :empty), :amendment), #updatedAt = :updatedAt',
+        ExpressionAttributeNames: {
+          '#amendments': 'amendments',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':amendment': [amendment],
+          ':empty': [],
+          ':updatedAt': new Date().toISOString(),
+        },
+      }));
+
+      logger.info(`Amendment ${amendment.id} added to proposal ${proposalId}`);
+      return amendment;
+    } catch (error) {
+      logger.error('Error adding amendment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a proposal's questions and amendments, provided nothing changed since it was read
+   * @returns {Promise<boolean>} False if the proposal was changed in the meantime
+   */
+  async saveIfUnchanged(proposal, questions, amendments) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposal.id },
+        UpdateExpression: 'SET #questions = :questions, #amendments = :amendments, #updatedAt = :updatedAt, #version = if_not_exists(#version, :zero) + :one',
+        ConditionExpression: '#updatedAt = :readUpdatedAt',
+        ExpressionAttributeNames: {
+          '#questions': 'questions',
+          '#amendments': 'amendments',
+          '#updatedAt': 'updatedAt',
+          '#version': 'version',
+        },
+        ExpressionAttributeValues: {
+          ':questions': questions,
+          ':amendments': amendments,
+          ':updatedAt': new Date().toISOString(),
+          ':readUpdatedAt': proposal.updatedAt,
+          ':zero': 0,
+          ':one': 1,
+        },
+      }));
+
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Diff the extracted questions against the proposal and apply the changes.
+   * Retried from a fresh read if the proposal is edited while the amendment is applied.
+   * @param {string} proposalId - Proposal ID
+   * @param {string} amendmentId - Amendment ID
+   * @param {Array<Object>} incoming - Questions extracted from the amendment
+   * @returns {Promise<Object>} Completed amendment
+   */
+  async applyAmendment(proposalId, amendmentId, incoming) {
+    try {
+      for (let attempt = 1; attempt <= MAX_APPLY_ATTEMPTS; attempt++) {
+        const proposal = await proposalService.getProposal(proposalId);
+        const amendments = proposal?.amendments || [];
+        const index = amendments.findIndex(a => a.id === amendmentId);
+
+        if (index === -1) {
+          throw new Error('Amendment not found');
+        }
+
+        const existing = proposal.questions || [];
+        const diff = await diffQuestions(existing, incoming, { kind: amendments[index].kind });
+        const { questions, changes, summary } = applyQuestionDiff(existing, incoming, diff, amendments[index]);
+
+        const completed = {
+          ...amendments[index],
+          status: 'completed',
+          summary,
+          changes,
+          appliedAt: new Date().toISOString(),
+        };
+        const updatedAmendments = amendments.map((a, i) => (i === index ? completed : a));
+
+        if (await this.saveIfUnchanged(proposal, questions, updatedAmendments)) {
+          logger.info(`Amendment ${amendmentId} applied to proposal ${proposalId}: ${JSON.stringify(summary)}`);
+          return completed;
+        }
+
+        logger.warn(`Proposal ${proposalId} changed while applying amendment ${amendmentId} (attempt ${attempt})`);
+      }
+
+      throw new Error('Proposal kept changing while the amendment was applied, upload it again');
+    } catch (error) {
+      logger.error('Error applying amendment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an amendment could not be processed
+   */
+  async failAmendment(proposalId, amendmentId, message) {
+    try {
+      const proposal = await proposalService.getProposal(proposalId);
+      const index = (proposal?.amendments || []).findIndex(a => a.id === amendmentId);
+
+      if (index === -1) return;
+
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposalId },
+        UpdateExpression: `SET #amendments[${index}].#status = :status, #amendments[${index}].#error = :error`,
+        ConditionExpression: `#amendments[${index}].#id = :amendmentId`,
+        ExpressionAttributeNames: {
+          '#amendments': 'amendments',
+          '#status': 'status',
+          '#error': 'error',
+          '#id': 'id',
+        },
+        ExpressionAttributeValues: {
+          ':status': 'failed',
+          ':error': message,
+          ':amendmentId': amendmentId,
+        },
+      }));
+    } catch (error) {
+      logger.error('Error marking amendment as failed:', error);
+    }
+  }
+}
+
+export const amendmentService = new AmendmentService();
@@ -174,15 +174,24 @@ class AnalyticsService {
       let totalGenerations = 0;
       let totalConfidence = 0;
       let confidenceCount = 0;
+      let totalGrounding = 0;
+      let groundingCount = 0;
+      let openUnsupportedClaims = 0;
       const categoryCount = {};
 
       Items.forEach((proposal) => {
         (proposal.questions || []).forEach((q) => {
           if (q.draftAnswer) totalGenerations++;
-          if (typeof q.confidence === 'number') {
+          // Only evidence-based scores; older answers carry a fixed placeholder
+          if (q.confidenceBreakdown && typeof q.confidence === 'number') {
             totalConfidence += q.confidence;
             confidenceCount++;
           }
+          if (typeof q.confidenceBreakdown?.grounding === 'number') {
+            totalGrounding += q.confidenceBreakdown.grounding;
+            groundingCount++;
+          }
+          openUnsupportedClaims += (q.unsupportedClaims || []).filter(c => c.status === 'open').length;
           if (q.category) {
             categoryCount[q.category] =
               (categoryCount[q.category] || 0) + 1;
@@ -199,6 +208,9 @@ class AnalyticsService {
         totalGenerations,
         averageConfidence:
           confidenceCount > 0 ? totalConfidence / confidenceCount : 0,
+        averageGrounding:
+          groundingCount > 0 ? totalGrounding / groundingCount : 0,
+        openUnsupportedClaims,
         topCategories,
       };
     } catch (error) {
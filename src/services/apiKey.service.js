@@ -0,0 +1,253 @@
+import { PutCommand, GetCommand, UpdateCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+export const API_KEY_PREFIX = 'rfpk_';
+
+export const API_KEY_SCOPES = {
+  'proposals:read': 'Read proposals, templates, compliance matrices, amendments and exports',
+  'proposals:write': 'Create, upload, update and clone proposals',
+  'knowledge:read': 'List and search knowledge documents',
+  'knowledge:write': 'Create, upload, update and delete knowledge documents',
+  'library:read': 'List and match answer library entries',
+  'library:write': 'Create, update, harvest and delete answer library entries',
+  'ai:generate': 'Generate and improve answers and summaries (counts against the monthly search limit)',
+  'jobs:read': 'Check background job status',
+};
+
+const DEFAULT_EXPIRES_DAYS = 90;
+const MAX_EXPIRES_DAYS = 365;
+const MAX_ACTIVE_KEYS = 25;
+// lastUsedAt is only written this often so every request is not also a write
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const isRead = req => req.method === 'GET' || req.method === 'HEAD';
+
+// Scope each API area requires, by mount path. Areas not listed (admin, superadmin,
+// auth, user profile, SCIM) cannot be used with API keys at all.
+const ROUTE_SCOPES = {
+  '/api/v1/proposals': req => (isRead(req) ? 'proposals:read' : 'proposals:write'),
+  '/api/v1/upload': req => (req.path.startsWith('/knowledge') ? 'knowledge:write' : 'proposals:write'),
+  '/api/v1/knowledge': req => (isRead(req) || req.path === '/search' ? 'knowledge:read' : 'knowledge:write'),
+  '/api/v1/library': req => (isRead(req) || req.path === '/match' ? 'library:read' : 'library:write'),
+  '/api/v1/ai': () => 'ai:generate',
+  '/api/v1/jobs': () => 'jobs:read',
+};
+
+/**
+ * Scope an API key needs for a request
+ * @param {Object} req - Express request (inside the router)
+ * @returns {string|null} Scope, or null if API keys are not accepted there
+ */
+export const getRequiredScope = (req) => ROUTE_SCOPES[req.baseUrl]?.(req) || null;
+
+const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Company API keys for integrations (machine-to-machine access).
+ *
+ * Keys are created by company admins with a name, scopes and an expiry, and are only
+ * shown once; the table stores a hash. A key acts as a regular (non-admin) member of its
+ * company, so everything it does counts against the same company limits, and records it
+ * creates are attributed to the key's ID.
+ */
+class ApiKeyService {
+  /**
+   * @param {string} companyId - Company ID
+   * @param {Object} input - { name, scopes, expiresInDays }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} { key, record } (the key is only available now)
+   * @throws {AppError} 400 for invalid input, 409 if the company has too many active keys
+   */
+  async createKey(companyId, { name, scopes, expiresInDays = DEFAULT_EXPIRES_DAYS } = {}, createdBy) {
+    if (!name || !String(name).trim()) {
+      throw new AppError('name is required', 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError(`scopes is required. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`, 400);
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+
+    if (unknownScopes.length > 0) {
+      throw new AppError(`Unknown scopes: ${unknownScopes.join(', ')}`, 400, {
+        availableScopes: Object.keys(API_KEY_SCOPES),
+      });
+    }
+
+    const days = Number(expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_DAYS) {
+      throw new AppError(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRES_DAYS}`, 400);
+    }
+
+    const activeKeys = (await this.listKeys(companyId)).filter(record => this.isActive(record));
+
+    if (activeKeys.length >= MAX_ACTIVE_KEYS) {
+      throw new AppError(`A company can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke unused keys first.`, 409);
+    }
+
+    const id = uuidv4();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const record = {
+      id,
+      companyId,
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      keyHash: hashKey(secret),
+      keyPreview: `${API_KEY_PREFIX}${id.substring(0, 8)}…`,
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: now.toISOString(),
+      createdBy,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null,
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.API_KEYS,
+        Item: record,
+      }));
+
+      logger.info(`API key created: ${id} for company ${companyId}`);
+      return { key: `${API_KEY_PREFIX}${id}.${secret}`, record };
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  async getKey(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.API_KEYS,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  async listKeys(companyId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.API_KEYS,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: { ':companyId': companyId },
+        ScanIndexForward: false,
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  isActive(record) {
+    return Boolean(record) && !record.revokedAt && new Date(record.expiresAt) > new Date();
+  }
+
+  /**
+   * Key as shown to admins (never includes the hash)
+   */
+  toPublicKey(record) {
+    const { keyHash, ...key } = record;
+
+    let status = 'active';
+    if (record.revokedAt) status = 'revoked';
+    else if (new Date(record.expiresAt) <= new Date()) status = 'expired';
+
+    return { ...key, status };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the key does not exist, belongs to another company or is already revoked
+   */
+  async revokeKey(companyId, id, revokedBy) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.API_KEYS,
+        Key: { id },
+        UpdateExpression: 'SET revokedAt = :now, revokedBy = :revokedBy',
+        ConditionExpression: 'companyId = :companyId AND attribute_type(revokedAt, :nullType)',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':revokedBy': revokedBy,
+          ':companyId': companyId,
+          ':nullType': 'NULL',
+        },
+      }));
+
+      logger.info(`API key revoked: ${id}`);
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a presented key to its record and note when it was last used
+   * @param {string} key - Key from the Authorization header
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object|null>} Active key record, or null if the key is unknown, revoked or expired
+   */
+  async authenticate(key, ip) {
+    const match = String(key || '').match(/^rfpk_([0-9a-f-]{36})\.([A-Za-z0-9_-]+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+    const record = await this.getKey(id);
+
+    if (!this.isActive(record)) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(secret), 'hex');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > LAST_USED_UPDATE_MS) {
+      try {
+        await docClient.send(new UpdateCommand({
+          TableName: TABLES.API_KEYS,
+          Key: { id },
+          UpdateExpression: 'SET lastUsedAt = :now, lastUsedIp = :ip',
+          ExpressionAttributeValues: {
+            ':now': new Date().toISOString(),
+            ':ip': ip || null,
+          },
+        }));
+      } catch (error) {
+        // Tracking must not block the request
+        logger.error('Error updating API key last use:', error);
+      }
+    }
+
+    return record;
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
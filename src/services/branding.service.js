@@ -0,0 +1,428 @@
+import JSZip from 'jszip';
+import { AppError } from '../middleware/error.middleware.js';
+import { logger } from '../utils/logger.js';
+import { s3Service } from './s3.service.js';
+import { markdownToPlainText } from '../utils/markdown.js';
+
+/**
+ * Company export template (company.exportTemplate), applied to PDF and DOCX proposal exports:
+ *   primaryColor, accentColor      - hex colors of headings and of header/footer text
+ *   fontFamily                     - one of EXPORT_FONTS
+ *   coverPage, tableOfContents     - booleans
+ *   executiveSummaryPlacement      - one of EXECUTIVE_SUMMARY_PLACEMENTS
+ *   headerText, footerText         - may contain inline placeholders such as {{companyName}}
+ *   confidentialityNotice          - shown on the cover page and in every footer
+ *   docxTemplateKey/FileName       - uploaded DOCX whose placeholders are filled instead of the generated layout
+ */
+
+// Standard PDF fonts and the closest DOCX font and CSS font stack of each family
+export const EXPORT_FONTS = {
+  helvetica: {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique',
+    docx: 'Arial',
+    css: 'Helvetica, Arial, sans-serif',
+  },
+  times: {
+    regular: 'Times-Roman',
+    bold: 'Times-Bold',
+    italic: 'Times-Italic',
+    boldItalic: 'Times-BoldItalic',
+    docx: 'Times New Roman',
+    css: '"Times New Roman", Times, serif',
+  },
+  courier: {
+    regular: 'Courier',
+    bold: 'Courier-Bold',
+    italic: 'Courier-Oblique',
+    boldItalic: 'Courier-BoldOblique',
+    docx: 'Courier New',
+    css: '"Courier New", Courier, monospace',
+  },
+};
+
+export const EXECUTIVE_SUMMARY_PLACEMENTS = ['before_contents', 'after_contents', 'end', 'none'];
+
+export const DEFAULT_EXPORT_TEMPLATE = {
+  primaryColor: '#000000',
+  accentColor: '#555555',
+  fontFamily: 'helvetica',
+  coverPage: false,
+  tableOfContents: false,
+  executiveSummaryPlacement: 'after_contents',
+  headerText: '',
+  footerText: '',
+  confidentialityNotice: '',
+  docxTemplateKey: null,
+  docxTemplateFileName: null,
+};
+
+// Placeholders of uploaded DOCX templates; block placeholders must be alone in their paragraph
+export const TEMPLATE_PLACEHOLDERS = {
+  inline: ['companyName', 'proposalTitle', 'clientName', 'date', 'createdAt', 'submissionDeadline', 'confidentialityNotice'],
+  block: ['executiveSummary', 'questions'],
+};
+
+const COLOR_FIELDS = ['primaryColor', 'accentColor'];
+const BOOLEAN_FIELDS = ['coverPage', 'tableOfContents'];
+const TEXT_FIELDS = ['headerText', 'footerText', 'confidentialityNotice'];
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * A company's export template with defaults for unset fields
+ * @param {Object} company - Company
+ * @returns {Object} Export template
+ */
+export const resolveExportTemplate = (company) => ({
+  ...DEFAULT_EXPORT_TEMPLATE,
+  ...(company?.exportTemplate || {}),
+});
+
+/**
+ * Validate export template fields sent by a company admin (the DOCX template is set by upload)
+ * @param {Object} input - Template fields to change
+ * @param {Object} existing - Current template
+ * @returns {Object} Updated template
+ * @throws {AppError} If nothing is given or a field is invalid
+ */
+export const normalizeExportTemplate = (input = {}, existing = {}) => {
+  const template = { ...DEFAULT_EXPORT_TEMPLATE, ...existing };
+  let changed = 0;
+
+  COLOR_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    if (!/^#[0-9a-fA-F]{6}$/.test(input[field] || '')) {
+      throw new AppError(`${field} must be a hex color such as #1F4E79`, 400);
+    }
+    template[field] = input[field].toUpperCase();
+    changed++;
+  });
+
+  if (input.fontFamily !== undefined) {
+    if (!EXPORT_FONTS[input.fontFamily]) {
+      throw new AppError(`fontFamily must be one of ${Object.keys(EXPORT_FONTS).join(', ')}`, 400);
+    }
+    template.fontFamily = input.fontFamily;
+    changed++;
+  }
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    template[field] = input[field] === true || input[field] === 'true';
+    changed++;
+  });
+
+  if (input.executiveSummaryPlacement !== undefined) {
+    if (!EXECUTIVE_SUMMARY_PLACEMENTS.includes(input.executiveSummaryPlacement)) {
+      throw new AppError(
+        `executiveSummaryPlacement must be one of ${EXECUTIVE_SUMMARY_PLACEMENTS.join(', ')}`,
+        400
+      );
+    }
+    template.executiveSummaryPlacement = input.executiveSummaryPlacement;
+    changed++;
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    const value = input[field] === null ? '' : String(input[field]);
+    if (value.length > MAX_TEXT_LENGTH) {
+      throw new AppError(`${field} must be at most ${MAX_TEXT_LENGTH} characters`, 400);
+    }
+    template[field] = value;
+    changed++;
+  });
+
+  if (changed === 0) {
+    throw new AppError('No export template fields provided', 400);
+  }
+
+  return template;
+};
+
+/**
+ * Values of the inline placeholders for a proposal
+ */
+export const getTemplateValues = (proposal, company, template) => ({
+  companyName: company?.name || '',
+  proposalTitle: proposal.title || '',
+  clientName: proposal.clientName || 'N/A',
+  date: new Date().toDateString(),
+  createdAt: proposal.createdAt ? new Date(proposal.createdAt).toDateString() : '',
+  submissionDeadline: proposal.submissionDeadline ? new Date(proposal.submissionDeadline).toDateString() : '',
+  confidentialityNotice: template?.confidentialityNotice || '',
+});
+
+/**
+ * Replace {{placeholders}} in text; unknown placeholders are left as they are
+ */
+export const fillPlaceholders = (text, values) => {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    (values[name] !== undefined ? values[name] : match));
+};
+
+/**
+ * Type and pixel size of a PNG or JPEG image (the formats both PDF and DOCX exports can embed)
+ * @param {Buffer} buffer - Image data
+ * @returns {Object|null} { type, width, height }
+ */
+export const getImageInfo = (buffer) => {
+  if (!buffer || buffer.length < 24) return null;
+
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+
+      // Start-of-frame markers carry the dimensions
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load the company logo for embedding in exports (null if there is none or it cannot be embedded)
+ * @param {Object} company - Company
+ * @returns {Promise<Object|null>} { buffer, type, width, height }
+ */
+export const loadCompanyLogo = async (company) => {
+  let key = company?.logoS3Key;
+
+  if (!key && company?.logoUrl) {
+    key = decodeURIComponent(new URL(company.logoUrl).pathname.slice(1));
+  }
+
+  if (!key) return null;
+
+  try {
+    const buffer = await s3Service.getFileBuffer(key);
+    const info = getImageInfo(buffer);
+
+    if (!info) {
+      logger.warn(`Company logo is not a PNG or JPEG, exporting without it: ${company.id}`);
+      return null;
+    }
+
+    return { buffer, ...info };
+  } catch (error) {
+    logger.warn(`Could not load company logo, exporting without it: ${company.id}`);
+    return null;
+  }
+};
+
+// ============================================
+// DOCX TEMPLATES
+// ============================================
+
+const TEMPLATE_PARTS = /^word\/(document|header\d*|footer\d*)\.xml$/;
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const TEXT_NODE = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g;
+
+const PARAGRAPH = /<w:p[ >][\s\S]*?<\/w:p>/g;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const paragraphText = (xml) => unescapeXml([...xml.matchAll(TEXT_NODE)].map(m => m[1]).join(''));
+
+/**
+ * Fill the inline placeholders of a paragraph, leaving its runs in place.
+ * Word splits typed text over several runs, so a placeholder may span runs: its value goes
+ * into the run the placeholder starts in (keeping that run's formatting) and the rest of
+ * the placeholder is cut from the runs that follow.
+ */
+const fillParagraphPlaceholders = (paragraph, values) => {
+  const nodes = [...paragraph.matchAll(TEXT_NODE)].map(m => unescapeXml(m[1]));
+  const text = nodes.join('');
+  const matches = [...text.matchAll(PLACEHOLDER)].filter(m => values[m[1]] !== undefined);
+
+  if (matches.length === 0) return paragraph;
+
+  let start = 0;
+  const filled = nodes.map((nodeText) => {
+    const end = start + nodeText.length;
+    let position = start;
+    let result = '';
+
+    for (const match of matches) {
+      const matchEnd = match.index + match[0].length;
+      if (matchEnd <= position || match.index >= end) continue;
+
+      if (match.index >= position) {
+        result += text.slice(position, match.index) + values[match[1]];
+      }
+      position = Math.min(matchEnd, end);
+    }
+
+    start = end;
+    return result + text.slice(position, end);
+  });
+
+  let index = 0;
+  return paragraph.replace(TEXT_NODE, (node) => {
+    const nodeText = filled[index];
+    const changed = nodeText !== nodes[index];
+    index++;
+    return changed ? `<w:t xml:space="preserve">${escapeXml(nodeText)}</w:t>` : node;
+  });
+};
+
+/**
+ * Paragraph properties and first run properties of a template paragraph,
+ * so that generated paragraphs look like the placeholder they replace
+ */
+const paragraphFormat = (paragraph) => {
+  const paragraphProperties = /<w:pPr>[\s\S]*?<\/w:pPr>/.exec(paragraph)?.[0] || '';
+  const runs = paragraph.replace(paragraphProperties, '');
+
+  return {
+    paragraphProperties,
+    runProperties: /<w:r(?:\s[^>]*)?>(<w:rPr>[\s\S]*?<\/w:rPr>)?/.exec(runs)?.[1] || '',
+  };
+};
+
+// <w:b/> must follow <w:rStyle> and <w:rFonts> in run properties
+const boldRunProperties = (runProperties) => {
+  if (!runProperties) return '<w:rPr><w:b/></w:rPr>';
+
+  return runProperties
+    .replace(/<w:b(?:\s[^>]*)?\/>/g, '')
+    .replace(/^<w:rPr>(<w:rStyle[^>]*\/>)?(<w:rFonts[^>]*\/>)?/, match => `${match}<w:b/>`);
+};
+
+const paragraphXml = (text, { style, bold, paragraphProperties = '', runProperties = '' } = {}) => {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : paragraphProperties;
+  const runFormat = bold ? boldRunProperties(runProperties) : runProperties;
+  return `<w:p>${properties}<w:r>${runFormat}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+};
+
+const textBlockXml = (text, format) => (text || '')
+  .split(/\r?\n/)
+  .map(line => paragraphXml(line, format))
+  .join('');
+
+const questionsXml = (sections, format) => sections.map(([section, questions]) => [
+  paragraphXml(section, { style: 'Heading2', bold: true }),
+  ...questions.map((q, index) => [
+    paragraphXml(`${index + 1}. ${q.question || ''}`, { ...format, bold: true }),
+    textBlockXml(markdownToPlainText(q.finalAnswer || q.draftAnswer) || 'No answer provided', format),
+  ].join('')),
+].join('')).join('');
+
+/**
+ * Read an uploaded DOCX template
+ * @param {Buffer} buffer - DOCX file
+ * @returns {Promise<Object>} { zip, parts } where parts are the names of the XML parts holding text
+ * @throws {AppError} If the file is not a Word document
+ */
+const openDocxTemplate = async (buffer) => {
+  let zip;
+
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new AppError('Template must be a DOCX file', 400);
+  }
+
+  if (!zip.file('word/document.xml')) {
+    throw new AppError('Template must be a DOCX file', 400);
+  }
+
+  return { zip, parts: Object.keys(zip.files).filter(name => TEMPLATE_PARTS.test(name)) };
+};
+
+/**
+ * Placeholders used in a DOCX template
+ * @param {Buffer} buffer - DOCX file
+ * @returns {Promise<Array<string>>} Placeholder names
+ */
+export const listTemplatePlaceholders = async (buffer) => {
+  const { zip, parts } = await openDocxTemplate(buffer);
+  const found = new Set();
+
+  for (const part of parts) {
+    const xml = await zip.file(part).async('string');
+    const paragraphs = xml.match(PARAGRAPH) || [];
+
+    paragraphs.forEach(paragraph => {
+      for (const match of paragraphText(paragraph).matchAll(PLACEHOLDER)) {
+        found.add(match[1]);
+      }
+    });
+  }
+
+  return [...found];
+};
+
+/**
+ * Fill a DOCX template with proposal content
+ * @param {Buffer} buffer - DOCX template
+ * @param {Object} values - Inline placeholder values
+ * @param {Object} content - { executiveSummary, sections } where sections are [section, questions] pairs
+ * @returns {Promise<Buffer>} Filled DOCX
+ */
+export const fillDocxTemplate = async (buffer, values, { executiveSummary, sections }) => {
+  const { zip, parts } = await openDocxTemplate(buffer);
+
+  const blocks = {
+    executiveSummary: format => textBlockXml(markdownToPlainText(executiveSummary), format),
+    questions: format => questionsXml(sections, format),
+  };
+
+  for (const part of parts) {
+    const xml = await zip.file(part).async('string');
+
+    const filled = xml.replace(PARAGRAPH, (paragraph) => {
+      const block = /^\{\{\s*(\w+)\s*\}\}$/.exec(paragraphText(paragraph).trim());
+
+      if (block && blocks[block[1]]) {
+        return blocks[block[1]](paragraphFormat(paragraph));
+      }
+
+      return fillParagraphPlaceholders(paragraph, values);
+    });
+
+    zip.file(part, filled);
+  }
+
+  return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+export default {
+  EXPORT_FONTS,
+  EXECUTIVE_SUMMARY_PLACEMENTS,
+  DEFAULT_EXPORT_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  resolveExportTemplate,
+  normalizeExportTemplate,
+  getTemplateValues,
+  fillPlaceholders,
+  getImageInfo,
+  loadCompanyLogo,
+  listTemplatePlaceholders,
+  fillDocxTemplate,
+};
@@ -0,0 +1,297 @@
+import { ScanCommand } from '@aws-sdk/lib-dynamodb';
+import JSZip from 'jszip';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { documentExportService, PROPOSAL_EXPORT_FORMATS } from './export.service.js';
+import { proposalService } from './proposal.service.js';
+import { companyService } from './company.service.js';
+import { s3Service } from './s3.service.js';
+
+const getMaxProposals = () => parseInt(process.env.BULK_EXPORT_MAX_PROPOSALS) || 200;
+
+const MANIFEST_COLUMNS = [
+  'proposal_id',
+  'title',
+  'client_name',
+  'status',
+  'owner_id',
+  'created_at',
+  'file_name',
+  'export_status',
+  'error',
+];
+
+const FILTER_FIELDS = ['status', 'createdFrom', 'createdTo', 'clientName', 'ownerId'];
+
+const toFileName = (text) => (text || '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 80);
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parse a filter date; a bare date (YYYY-MM-DD) as the end of a range covers the whole day
+ */
+const parseFilterDate = (value, field, endOfDay = false) => {
+  if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+    throw new AppError(`${field} must be an ISO date`, 400);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T23:59:59.999Z`;
+  }
+  return new Date(value).toISOString();
+};
+
+/**
+ * Exports many proposals at once as a ZIP archive with one file per proposal and
+ * a manifest.csv listing every selected proposal and the outcome of its export.
+ * The archive counts as a single export against the company's monthly limit.
+ */
+class BulkExportService {
+  /**
+   * Validate a bulk export request
+   * @param {Object} input - { format, proposalIds } or { format, filter: { status, createdFrom, createdTo, clientName, ownerId } }
+   * @returns {Object} { format, proposalIds, filter }
+   * @throws {AppError} If the request is invalid
+   */
+  normalizeRequest({ format, proposalIds, filter } = {}) {
+    if (!PROPOSAL_EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of ${PROPOSAL_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    if (proposalIds !== undefined && filter !== undefined) {
+      throw new AppError('Provide either proposalIds or filter, not both', 400);
+    }
+
+    if (proposalIds !== undefined) {
+      if (!Array.isArray(proposalIds) || proposalIds.length === 0 || proposalIds.some(id => typeof id !== 'string' || !id)) {
+        throw new AppError('proposalIds must be a non-empty array of proposal IDs', 400);
+      }
+      return { format, proposalIds: [...new Set(proposalIds)], filter: null };
+    }
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new AppError('proposalIds or filter is required', 400);
+    }
+
+    const unknown = Object.keys(filter).filter(key => !FILTER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown filter fields: ${unknown.join(', ')}`, 400);
+    }
+
+    const normalized = {};
+
+    ['status', 'clientName', 'ownerId'].forEach(field => {
+      if (filter[field] === undefined || filter[field] === null || filter[field] === '') return;
+      if (typeof filter[field] !== 'string') {
+        throw new AppError(`filter.${field} must be a string`, 400);
+      }
+      normalized[field] = filter[field].trim();
+    });
+
+    if (filter.createdFrom) {
+      normalized.createdFrom = parseFilterDate(filter.createdFrom, 'filter.createdFrom');
+    }
+    if (filter.createdTo) {
+      normalized.createdTo = parseFilterDate(filter.createdTo, 'filter.createdTo', true);
+    }
+    if (normalized.createdFrom && normalized.createdTo && normalized.createdFrom > normalized.createdTo) {
+      throw new AppError('filter.createdFrom must be before filter.createdTo', 400);
+    }
+
+    return { format, proposalIds: null, filter: normalized };
+  }
+
+  /**
+   * Company proposals matching a bulk export filter, oldest first
+   * @param {string} companyId - Company ID
+   * @param {Object} filter - Normalized filter
+   * @returns {Promise<Array>} Proposals
+   */
+  async findProposals(companyId, filter) {
+    try {
+      const conditions = ['companyId = :companyId'];
+      const names = {};
+      const values = { ':companyId': companyId };
+
+      if (filter.status) {
+        conditions.push('#status = :status');
+        names['#status'] = 'status';
+        values[':status'] = filter.status;
+      }
+      if (filter.ownerId) {
+        conditions.push('userId = :ownerId');
+        values[':ownerId'] = filter.ownerId;
+      }
+      if (filter.createdFrom) {
+        conditions.push('createdAt >= :createdFrom');
+        values[':createdFrom'] = filter.createdFrom;
+      }
+      if (filter.createdTo) {
+        conditions.push('createdAt <= :createdTo');
+        values[':createdTo'] = filter.createdTo;
+      }
+
+      const proposals = [];
+      let lastKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLES.PROPOSALS,
+          FilterExpression: conditions.join(' AND '),
+          ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+          ExpressionAttributeValues: values,
+          ExclusiveStartKey: lastKey,
+        }));
+
+        proposals.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+      } while (lastKey);
+
+      const clientName = filter.clientName?.toLowerCase();
+
+      return proposals
+        .filter(p => !clientName || (p.clientName || '').toLowerCase().includes(clientName))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    } catch (error) {
+      logger.error('Error finding proposals for bulk export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the proposals a bulk export request selects
+   * @param {string} companyId - Company ID
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Array<string>>} Proposal IDs
+   * @throws {AppError} If a listed proposal is not found, nothing matches or too many match
+   */
+  async resolveProposalIds(companyId, { proposalIds, filter }) {
+    const max = getMaxProposals();
+    const checkSize = (count) => {
+      if (count > max) {
+        throw new AppError(`A bulk export can contain at most ${max} proposals (${count} selected)`, 400);
+      }
+    };
+
+    let ids;
+
+    if (proposalIds) {
+      checkSize(proposalIds.length);
+
+      const proposals = await Promise.all(proposalIds.map(id => proposalService.getProposal(id)));
+      const missing = proposalIds.filter((id, i) => !proposals[i] || proposals[i].companyId !== companyId);
+
+      if (missing.length > 0) {
+        throw new AppError(`Proposals not found: ${missing.join(', ')}`, 404);
+      }
+      ids = proposalIds;
+    } else {
+      ids = (await this.findProposals(companyId, filter)).map(p => p.id);
+    }
+
+    if (ids.length === 0) {
+      throw new AppError('No proposals match the filter', 400);
+    }
+
+    checkSize(ids.length);
+    return ids;
+  }
+
+  /**
+   * Render the proposals, build the archive and store it in S3
+   * @param {Object} params - { companyId, format, proposalIds }
+   * @param {Function} onProgress - async (done, total) called after each proposal
+   * @returns {Promise<Object>} { fileKey, fileName, size, format, total, exported, skipped, failed }
+   */
+  async buildArchive({ companyId, format, proposalIds }, onProgress = async () => {}) {
+    const zip = new JSZip();
+    const manifest = [MANIFEST_COLUMNS.join(',')];
+    const counts = { exported: 0, skipped: 0, failed: 0 };
+    const width = String(proposalIds.length).length;
+
+    for (let i = 0; i < proposalIds.length; i++) {
+      const proposalId = proposalIds[i];
+      let proposal = null;
+      let fileName = '';
+      let outcome = 'exported';
+      let error = '';
+
+      try {
+        const found = await proposalService.getProposal(proposalId);
+
+        // Deleted or moved since the export was queued
+        if (!found || found.companyId !== companyId) {
+          throw new Error('Proposal not found');
+        }
+        proposal = found;
+
+        if (format === 'xlsx' && proposal.sourceFormat !== 'spreadsheet') {
+          outcome = 'skipped';
+          error = 'Proposal was not imported from a spreadsheet';
+        } else {
+          const file = await documentExportService.exportProposal(proposalId, format);
+          const number = String(i + 1).padStart(width, '0');
+          fileName = `proposals/${number}-${toFileName(proposal.title) || 'proposal'}.${file.extension}`;
+          zip.file(fileName, file.buffer);
+        }
+      } catch (err) {
+        logger.warn(`Bulk export of proposal ${proposalId} failed: ${err.message}`);
+        outcome = 'failed';
+        error = err.message;
+      }
+
+      counts[outcome]++;
+      manifest.push([
+        proposalId,
+        proposal?.title,
+        proposal?.clientName,
+        proposal?.status,
+        proposal?.userId,
+        proposal?.createdAt,
+        fileName,
+        outcome,
+        error,
+      ].map(csvCell).join(','));
+
+      await onProgress(i + 1, proposalIds.length);
+    }
+
+    if (counts.exported === 0) {
+      throw new Error('None of the selected proposals could be exported');
+    }
+
+    zip.file('manifest.csv', `${manifest.join('\r\n')}\r\n`);
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    const { key } = await s3Service.uploadFile({
+      buffer,
+      originalname: 'proposals.zip',
+      mimetype: 'application/zip',
+    }, `exports/${companyId}/bulk`);
+
+    // Charged only now that the archive exists; the condition also guards against concurrent exports
+    const company = await companyService.chargeExport(companyId);
+
+    if (!company) {
+      await s3Service.deleteFile(key).catch(() => {});
+      throw new Error('Monthly export limit reached');
+    }
+
+    logger.info(`Bulk export of ${counts.exported}/${proposalIds.length} proposals stored: ${key}`);
+
+    return {
+      fileKey: key,
+      fileName: `proposals-${new Date().toISOString().substring(0, 10)}.zip`,
+      size: buffer.length,
+      format,
+      total: proposalIds.length,
+      ...counts,
+    };
+  }
+}
+
+export const bulkExportService = new BulkExportService();
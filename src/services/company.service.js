@@ -186,6 +186,168 @@ class CompanyService {
     }
   }
 
+  /**
+   * Count an export against the monthly export limit
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object|null>} Updated company, or null if the limit has been reached
+   */
+  async chargeExport(companyId) {
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.COMPANIES,
+        Key: { id: companyId },
+        UpdateExpression: 'SET #limits.#exportsUsed = #limits.#exportsUsed + :inc, #usage.#totalExports = #usage.#totalExports + :inc',
+        ConditionExpression: '#limits.#exportsUsed < #limits.#maxMonthlyExports',
+        ExpressionAttributeNames: {
+          '#limits': 'limits',
+          '#exportsUsed': 'exportsUsed',
+          '#maxMonthlyExports': 'maxMonthlyExports',
+          '#usage': 'usage',
+          '#totalExports': 'totalExports',
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return response.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      logger.error('Error charging company export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count one AI generation against the monthly search limit, if any is left
+   * (for background work that cannot be checked up front by checkLimit)
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object|null>} Updated company, or null if the limit is reached
+   */
+  async chargeSearch(companyId) {
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.COMPANIES,
+        Key: { id: companyId },
+        UpdateExpression: 'SET #limits.#searchesUsed = #limits.#searchesUsed + :inc',
+        ConditionExpression: '#limits.#searchesUsed < #limits.#maxMonthlySearches',
+        ExpressionAttributeNames: {
+          '#limits': 'limits',
+          '#searchesUsed': 'searchesUsed',
+          '#maxMonthlySearches': 'maxMonthlySearches',
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return response.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      logger.error('Error charging company search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back a search charged with chargeSearch whose generation produced nothing
+   * @param {string} companyId - Company ID
+   */
+  async refundSearch(companyId) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.COMPANIES,
+        Key: { id: companyId },
+        UpdateExpression: 'SET #limits.#searchesUsed = #limits.#searchesUsed - :inc',
+        ConditionExpression: '#limits.#searchesUsed > :zero',
+        ExpressionAttributeNames: {
+          '#limits': 'limits',
+          '#searchesUsed': 'searchesUsed',
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+          ':zero': 0,
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      logger.error('Error refunding company search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take one of the company's user slots (limits.usersAdded against limits.maxUsers)
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object|null>} Updated company, or null if no slot is left or adding users is not allowed
+   */
+  async reserveUserSlot(companyId) {
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.COMPANIES,
+        Key: { id: companyId },
+        UpdateExpression: 'SET #limits.#usersAdded = #limits.#usersAdded + :inc',
+        ConditionExpression: '#limits.#usersAdded < #limits.#maxUsers AND #limits.#allowAddUser <> :false',
+        ExpressionAttributeNames: {
+          '#limits': 'limits',
+          '#usersAdded': 'usersAdded',
+          '#maxUsers': 'maxUsers',
+          '#allowAddUser': 'allowAddUser',
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+          ':false': false,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return response.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      logger.error('Error reserving company user slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a user slot back (user deleted, or creating it failed)
+   * @param {string} companyId - Company ID
+   */
+  async releaseUserSlot(companyId) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.COMPANIES,
+        Key: { id: companyId },
+        UpdateExpression: 'SET #limits.#usersAdded = #limits.#usersAdded - :inc',
+        ConditionExpression: '#limits.#usersAdded > :zero',
+        ExpressionAttributeNames: {
+          '#limits': 'limits',
+          '#usersAdded': 'usersAdded',
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+          ':zero': 0,
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      logger.error('Error releasing company user slot:', error);
+      throw error;
+    }
+  }
+
   async updateStorageUsed(companyId, bytes) {
     try {
       const company = await this.getCompany(companyId);
@@ -0,0 +1,137 @@
+import { AppError } from '../middleware/error.middleware.js';
+import { normalizeQuestionStatus } from './workflow.service.js';
+
+/**
+ * Compliance matrix of a proposal (proposal.complianceMatrix):
+ *   { rows, generatedAt, generatedBy, updatedAt, updatedBy }
+ * with one row per question:
+ *   { id, questionId, requirementId, section, requirement, mandatory,
+ *     status, responseReference, notes, edited }
+ * Fields edited through the API are listed in `edited` and kept when the matrix is regenerated.
+ */
+export const COMPLIANCE_STATUSES = ['comply', 'partial', 'exception'];
+
+export const COMPLIANCE_STATUS_LABELS = {
+  comply: 'Comply',
+  partial: 'Partial',
+  exception: 'Exception',
+};
+
+const EDITABLE_FIELDS = ['requirementId', 'section', 'requirement', 'status', 'responseReference', 'notes'];
+
+/**
+ * Where a question is answered in the response: the answer cell for imported
+ * questionnaires, otherwise the section and item number used by the proposal exports
+ */
+const getResponseReference = (question, itemNumber) => {
+  if (question.cell) {
+    return `${question.cell.sheet}!${question.cell.answerColumn}${question.cell.row}`;
+  }
+  return `${question.section || 'General'}, item ${itemNumber}`;
+};
+
+/**
+ * Compliance status suggested by a question's answer (null while it is unanswered)
+ */
+const suggestStatus = (question) => {
+  if (!(question.finalAnswer || question.draftAnswer)) return null;
+  return normalizeQuestionStatus(question.status) === 'rejected' ? 'partial' : 'comply';
+};
+
+/**
+ * Build the compliance matrix from a proposal's questions, keeping manual edits of an existing matrix
+ * @param {Object} proposal - Proposal
+ * @returns {Array<Object>} Matrix rows
+ */
+export const buildComplianceRows = (proposal) => {
+  const previousRows = proposal.complianceMatrix?.rows || [];
+  const existing = new Map(previousRows.map(row => [row.questionId, row]));
+  const itemNumbers = {};
+
+  // New requirements are numbered after the highest generated id so ids are never reused
+  let nextNumber = 1 + Math.max(0, ...previousRows.map(row => {
+    const match = /^R-(\d+)$/.exec(row.requirementId || '');
+    return match ? parseInt(match[1]) : 0;
+  }));
+
+  return (proposal.questions || []).map((question) => {
+    const section = question.section || 'General';
+    itemNumbers[section] = (itemNumbers[section] || 0) + 1;
+
+    const previous = existing.get(question.id);
+    const row = {
+      id: question.id,
+      questionId: question.id,
+      requirementId: previous?.requirementId || `R-${String(nextNumber++).padStart(3, '0')}`,
+      section,
+      requirement: question.question || '',
+      mandatory: question.mandatory !== false,
+      status: suggestStatus(question),
+      responseReference: getResponseReference(question, itemNumbers[section]),
+      notes: '',
+      edited: [],
+    };
+
+    // Manual edits win over generated values
+    (previous?.edited || []).forEach(field => {
+      row[field] = previous[field];
+    });
+    row.edited = previous?.edited || [];
+
+    return row;
+  });
+};
+
+/**
+ * Apply an API edit to a matrix row
+ * @param {Object} row - Matrix row
+ * @param {Object} changes - Fields to change (requirementId, section, requirement, status, responseReference, notes)
+ * @returns {Object} Updated row
+ * @throws {AppError} If nothing editable is given or the status is invalid
+ */
+export const updateComplianceRow = (row, changes = {}) => {
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+
+  if (fields.length === 0) {
+    throw new AppError(`Provide at least one of ${EDITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  if (changes.status !== undefined && changes.status !== null && !COMPLIANCE_STATUSES.includes(changes.status)) {
+    throw new AppError(`status must be one of ${COMPLIANCE_STATUSES.join(', ')}`, 400);
+  }
+
+  const updated = { ...row };
+  fields.forEach(field => {
+    updated[field] = changes[field];
+  });
+  updated.edited = [...new Set([...(row.edited || []), ...fields])];
+
+  return updated;
+};
+
+/**
+ * Counts of rows per compliance status
+ * @param {Array<Object>} rows - Matrix rows
+ * @returns {Object} { total, comply, partial, exception, unassessed }
+ */
+export const summarizeCompliance = (rows = []) => {
+  const summary = { total: rows.length, comply: 0, partial: 0, exception: 0, unassessed: 0 };
+
+  rows.forEach(row => {
+    if (COMPLIANCE_STATUSES.includes(row.status)) {
+      summary[row.status]++;
+    } else {
+      summary.unassessed++;
+    }
+  });
+
+  return summary;
+};
+
+export default {
+  COMPLIANCE_STATUSES,
+  COMPLIANCE_STATUS_LABELS,
+  buildComplianceRows,
+  updateComplianceRow,
+  summarizeCompliance,
+};
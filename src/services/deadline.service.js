@@ -0,0 +1,190 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from '../middleware/error.middleware.js';
+import { PROPOSAL_COMPLETED_STATUSES } from './library.service.js';
+import { PROPOSAL_SUBMIT_STATUSES, normalizeQuestionStatus } from './workflow.service.js';
+
+/**
+ * Proposal schedule:
+ *   submissionDeadline - when the response is due to the client
+ *   qaCutoff           - last day to send clarification questions to the client
+ *   milestones         - internal checkpoints ({ id, name, dueDate, ownerId, completedAt, completedBy })
+ * All dates are ISO 8601 strings.
+ */
+
+// Proposals in these statuses no longer get reminders
+export const INACTIVE_PROPOSAL_STATUSES = [
+  ...new Set([...PROPOSAL_SUBMIT_STATUSES, ...PROPOSAL_COMPLETED_STATUSES, 'lost', 'deleted']),
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getReminderLeadDays = () => {
+  const days = parseFloat(process.env.REMINDER_LEAD_DAYS);
+  return Number.isNaN(days) ? 3 : days;
+};
+
+const parseDate = (value, field) => {
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400);
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * Validate schedule fields sent by a client. Only fields that are present are returned,
+ * so the result can be applied as a partial update (null clears a date).
+ * @param {Object} input - { submissionDeadline, qaCutoff, milestones } (milestones may be a JSON string)
+ * @param {Object} existing - Current proposal (keeps ids and completion of known milestones)
+ * @returns {Object} Schedule fields to save
+ * @throws {AppError} If a date or milestone is invalid
+ */
+export const normalizeSchedule = (input = {}, existing = {}) => {
+  const schedule = {};
+
+  if (input.submissionDeadline !== undefined) {
+    schedule.submissionDeadline = parseDate(input.submissionDeadline, 'submissionDeadline');
+  }
+
+  if (input.qaCutoff !== undefined) {
+    schedule.qaCutoff = parseDate(input.qaCutoff, 'qaCutoff');
+  }
+
+  const submissionDeadline = schedule.submissionDeadline !== undefined
+    ? schedule.submissionDeadline
+    : existing.submissionDeadline;
+  const qaCutoff = schedule.qaCutoff !== undefined ? schedule.qaCutoff : existing.qaCutoff;
+
+  if (submissionDeadline && qaCutoff && qaCutoff > submissionDeadline) {
+    throw new AppError('qaCutoff must be before submissionDeadline', 400);
+  }
+
+  if (input.milestones !== undefined) {
+    let milestones = input.milestones;
+
+    if (typeof milestones === 'string') {
+      try {
+        milestones = JSON.parse(milestones);
+      } catch (error) {
+        throw new AppError('milestones must be a JSON array', 400);
+      }
+    }
+
+    if (!Array.isArray(milestones)) {
+      throw new AppError('milestones must be an array', 400);
+    }
+
+    const known = new Map((existing.milestones || []).map(m => [m.id, m]));
+
+    schedule.milestones = milestones.map((milestone, i) => {
+      if (!milestone?.name) {
+        throw new AppError(`milestones[${i}].name is required`, 400);
+      }
+
+      const dueDate = parseDate(milestone.dueDate, `milestones[${i}].dueDate`);
+      if (!dueDate) {
+        throw new AppError(`milestones[${i}].dueDate is required`, 400);
+      }
+
+      const previous = known.get(milestone.id);
+      const completedAt = milestone.completedAt !== undefined
+        ? parseDate(milestone.completedAt, `milestones[${i}].completedAt`)
+        : previous?.completedAt || null;
+
+      return {
+        id: previous ? previous.id : uuidv4(),
+        name: milestone.name,
+        dueDate,
+        ownerId: milestone.ownerId || null,
+        completedAt,
+        completedBy: completedAt ? previous?.completedBy || null : null,
+      };
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Whether a due date is overdue or falls within the reminder lead time
+ * @param {string} dueDate - ISO date
+ * @param {Date} now - Current time
+ * @param {number} leadDays - Days before the due date that count as approaching
+ * @returns {string|null} 'overdue', 'approaching' or null
+ */
+export const classifyDueDate = (dueDate, now = new Date(), leadDays = getReminderLeadDays()) => {
+  if (!dueDate) return null;
+
+  const remaining = new Date(dueDate).getTime() - now.getTime();
+
+  if (remaining < 0) return 'overdue';
+  if (remaining <= leadDays * DAY_MS) return 'approaching';
+  return null;
+};
+
+/**
+ * Dated items of a proposal's schedule that are not done yet
+ * @param {Object} proposal - Proposal
+ * @returns {Array<Object>} Items ({ type, id, label, dueDate, ownerId })
+ */
+export const getScheduleItems = (proposal) => {
+  const items = [];
+
+  if (proposal.submissionDeadline) {
+    items.push({
+      type: 'submission',
+      id: 'submission',
+      label: 'Submission deadline',
+      dueDate: proposal.submissionDeadline,
+      ownerId: null,
+    });
+  }
+
+  if (proposal.qaCutoff) {
+    items.push({
+      type: 'qa_cutoff',
+      id: 'qa_cutoff',
+      label: 'Q&A cutoff',
+      dueDate: proposal.qaCutoff,
+      ownerId: null,
+    });
+  }
+
+  (proposal.milestones || [])
+    .filter(m => !m.completedAt)
+    .forEach(m => items.push({
+      type: 'milestone',
+      id: m.id,
+      label: m.name,
+      dueDate: m.dueDate,
+      ownerId: m.ownerId || null,
+    }));
+
+  return items;
+};
+
+/**
+ * Assigned questions that still have no answer (or whose answer was rejected)
+ * @param {Object} proposal - Proposal
+ * @returns {Array<Object>} Questions
+ */
+export const getUnansweredAssignedQuestions = (proposal) => {
+  return (proposal.questions || []).filter(q => {
+    if (!q.assigneeId) return false;
+
+    const status = normalizeQuestionStatus(q.status);
+    return status === 'pending' || status === 'rejected' || !(q.draftAnswer || q.finalAnswer);
+  });
+};
+
+export default {
+  INACTIVE_PROPOSAL_STATUSES,
+  getReminderLeadDays,
+  normalizeSchedule,
+  classifyDueDate,
+  getScheduleItems,
+  getUnansweredAssignedQuestions,
+};
@@ -2,6 +2,13 @@ import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
 import { s3Client } from '../config/aws.config.js';
+import { invokeModel } from './ai.service.js';
+import { extractTextFromSpreadsheet, SPREADSHEET_MIME_TYPES } from './spreadsheet.service.js';
+import { tokenize } from '../utils/text.js';
+
+export const EXTRACTION_MODES = ['regex', 'ai', 'hybrid'];
+
+export const REQUIREMENT_TYPES = ['question', 'requirement', 'document_request', 'pricing', 'certification'];
 
 /**
  * Extract text from PDF buffer
@@ -49,6 +56,8 @@ export const extractTextFromFile = async (buffer, mimeType) => {
     return await extractTextFromDocx(buffer);
   } else if (mimeType === 'text/plain') {
     return buffer.toString('utf-8');
+  } else if (SPREADSHEET_MIME_TYPES.includes(mimeType)) {
+    return await extractTextFromSpreadsheet(buffer, mimeType);
   } else {
     throw new Error(`Unsupported file type: ${mimeType}`);
   }
@@ -128,6 +137,11 @@ export const extractQuestionsFromText = (text) => {
         question: questionText,
         section: currentSection,
         category: categorizQuestion(questionText),
+        requirementType: 'question',
+        mandatory: true,
+        wordLimit: null,
+        pageReference: null,
+        extractionMethod: 'regex',
         status: 'pending',
         draftAnswer: null,
         finalAnswer: null,
@@ -140,12 +154,209 @@ export const extractQuestionsFromText = (text) => {
   return questions;
 };
 
+/**
+ * Extract requirements from RFP text with the AI model.
+ * The document is split with chunkText, each chunk is sent separately and
+ * the results are merged and de-duplicated.
+ * @param {string} text - RFP document text
+ * @param {Object} options - { chunkSize, provider, modelId, beforeModelCall }
+ *   (beforeModelCall: async hook run before each model call, e.g. to charge usage; throw to stop)
+ * @returns {Promise<Array<Object>>} Array of extracted questions
+ * @throws {Error} If the model's output cannot be parsed
+ */
+export const extractQuestionsWithAI = async (text, options = {}) => {
+  const { chunkSize = 6000, beforeModelCall, ...modelSelection } = options;
+  const chunks = chunkText(text, chunkSize);
+  const candidates = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const prompt = `
+You are analysing part ${i + 1} of ${chunks.length} of a Request for Proposal (RFP).
+
+Identify every question the bidder must answer and every requirement the bidder must respond to.
+Ignore instructions about the submission process itself, table of contents entries, headers, footers and table rows that are not requirements.
+
+Return ONLY a JSON array. Each element must have:
+- "question": the full question or requirement text
+- "section": the RFP section it belongs to, or "General"
+- "requirementType": one of ${REQUIREMENT_TYPES.map(t => `"${t}"`).join(', ')}
+- "mandatory": true if the bidder must respond (shall/must/required), false if optional
+- "wordLimit": the maximum number of words allowed as a number, or null
+- "pageReference": the page or section number where it appears, or null
+
+RFP text:
+"""
+${chunks[i]}
+"""
+
+JSON:`;
+
+    if (beforeModelCall) {
+      await beforeModelCall();
+    }
+
+    const response = await invokeModel(prompt, {
+      ...modelSelection,
+      maxTokens: 4000,
+      temperature: 0,
+    });
+
+    candidates.push(...parseExtractedRequirements(response, `part ${i + 1} of ${chunks.length}`));
+  }
+
+  return mergeExtractedQuestions(candidates).map((item, index) => toExtractedQuestion(item, index, 'ai'));
+};
+
+/**
+ * Extract questions with the chosen extraction mode
+ * - regex: line pattern matching (extractQuestionsFromText)
+ * - ai: model-based extraction (extractQuestionsWithAI)
+ * - hybrid: AI extraction plus regex questions ending in "?" that the model missed;
+ *   falls back to regex if the model is unavailable
+ * @param {string} text - RFP document text
+ * @param {string} mode - 'regex' | 'ai' | 'hybrid'
+ * @param {Object} modelOptions - Model selection for AI modes ({ provider, modelId, beforeModelCall })
+ * @returns {Promise<Array<Object>>} Array of extracted questions
+ */
+export const extractQuestions = async (text, mode = 'regex', modelOptions = {}) => {
+  if (!EXTRACTION_MODES.includes(mode)) {
+    throw new Error(`Unsupported extraction mode: ${mode}`);
+  }
+
+  if (mode === 'regex') {
+    return extractQuestionsFromText(text);
+  }
+
+  if (mode === 'ai') {
+    return extractQuestionsWithAI(text, modelOptions);
+  }
+
+  const regexQuestions = extractQuestionsFromText(text);
+
+  let aiQuestions;
+  try {
+    aiQuestions = await extractQuestionsWithAI(text, modelOptions);
+  } catch (error) {
+    console.error('AI extraction failed, using regex extraction:', error);
+    return regexQuestions;
+  }
+
+  const missed = regexQuestions.filter(rq =>
+    rq.question.endsWith('?') &&
+    !aiQuestions.some(aq => isSameRequirement(aq.question, rq.question))
+  );
+
+  return [...aiQuestions, ...missed].map((q, index) => ({ ...q, id: `q${index + 1}` }));
+};
+
+/**
+ * Parse the JSON array returned by the model, tolerating surrounding prose
+ * @param {string} response - Model response
+ * @param {string} part - Which part of the document it answers (for the error message)
+ * @returns {Array<Object>} Raw requirement objects
+ * @throws {Error} If there is no JSON array in the response; an empty result must not pass for "no questions"
+ */
+const parseExtractedRequirements = (response, part) => {
+  const start = response.indexOf('[');
+  const end = response.lastIndexOf(']');
+
+  let parsed;
+
+  try {
+    parsed = start === -1 || end <= start ? null : JSON.parse(response.substring(start, end + 1));
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error(`AI extraction returned output that is not a JSON array (${part})`);
+  }
+
+  return parsed.filter(item => item && typeof item.question === 'string' && item.question.trim().length >= 10);
+};
+
+/**
+ * Whether two requirement texts are the same requirement (token overlap)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {boolean} True when they overlap by 85% or more
+ */
+export const isSameRequirement = (a, b) => {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+
+  const intersection = [...tokensA].filter(t => tokensB.has(t)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+
+  return intersection / union >= 0.85;
+};
+
+/**
+ * Merge requirements found in more than one chunk (chunks can cut through a
+ * requirement, so duplicates are common), keeping the most complete details
+ * @param {Array<Object>} candidates - Raw requirement objects
+ * @returns {Array<Object>} De-duplicated requirements
+ */
+const mergeExtractedQuestions = (candidates) => {
+  const merged = [];
+
+  candidates.forEach(candidate => {
+    const existing = merged.find(item => isSameRequirement(item.question, candidate.question));
+
+    if (!existing) {
+      merged.push({ ...candidate });
+      return;
+    }
+
+    if (candidate.question.length > existing.question.length) {
+      existing.question = candidate.question;
+    }
+    existing.mandatory = existing.mandatory || candidate.mandatory;
+    existing.wordLimit = existing.wordLimit ?? candidate.wordLimit;
+    existing.pageReference = existing.pageReference ?? candidate.pageReference;
+    if (!existing.section || existing.section === 'General') {
+      existing.section = candidate.section;
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Normalize a model requirement into the proposal question shape
+ */
+const toExtractedQuestion = (item, index, extractionMethod) => {
+  const questionText = item.question.trim();
+  const wordLimit = parseInt(item.wordLimit);
+
+  return {
+    id: `q${index + 1}`,
+    question: questionText,
+    section: item.section ? String(item.section).trim() : 'General',
+    category: categorizQuestion(questionText),
+    requirementType: REQUIREMENT_TYPES.includes(item.requirementType) ? item.requirementType : 'requirement',
+    mandatory: item.mandatory !== false,
+    wordLimit: Number.isNaN(wordLimit) ? null : wordLimit,
+    pageReference: item.pageReference ? String(item.pageReference) : null,
+    extractionMethod,
+    status: 'pending',
+    draftAnswer: null,
+    finalAnswer: null,
+    confidence: null,
+    sources: [],
+  };
+};
+
 /**
  * Categorize question based on keywords
  * @param {string} question - Question text
  * @returns {string} Category
  */
-const categorizQuestion = (question) => {
+export const categorizQuestion = (question) => {
   const lowerQuestion = question.toLowerCase();
 
   if (
@@ -245,6 +456,8 @@ export default {
   extractTextFromFile,
   extractTextFromS3File,
   extractQuestionsFromText,
+  extractQuestionsWithAI,
+  extractQuestions,
   chunkText,
   cleanText,
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { bedrockClient } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Embedding providers turn text into fixed-size vectors.
+ * Every provider exposes the same shape:
+ *   { name, dimension, embed(texts: string[]) => Promise<number[][]> }
+ */
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector to normalize
+ * @returns {Array<number>} Unit vector (zero vector stays zero)
+ */
+export const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+};
+
+/**
+ * Cosine similarity between two vectors of equal length
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Deterministic in-process provider based on feature hashing of words,
+ * word prefixes and bigrams. Needs no network access, so it is used for
+ * local development and tests.
+ */
+export class LocalEmbeddingProvider {
+  constructor(dimension = 384) {
+    this.name = 'local';
+    this.dimension = dimension;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text = '') {
+    const vector = new Array(this.dimension).fill(0);
+    const words = text.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1);
+
+    const addFeature = (feature, weight) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32BE(0) % this.dimension;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign * weight;
+    };
+
+    words.forEach((word, i) => {
+      addFeature(`w:${word}`, 1);
+      if (word.length > 4) addFeature(`p:${word.substring(0, 5)}`, 0.5);
+      if (i > 0) addFeature(`b:${words[i - 1]} ${word}`, 0.5);
+    });
+
+    return normalizeVector(vector);
+  }
+}
+
+/**
+ * Amazon Titan text embeddings through AWS Bedrock
+ */
+export class BedrockEmbeddingProvider {
+  constructor(modelId = 'amazon.titan-embed-text-v2:0', dimension = 1024) {
+    this.name = 'bedrock';
+    this.modelId = modelId;
+    this.dimension = dimension;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    // Titan embeds one input per request
+    for (const text of texts) {
+      const command = new InvokeModelCommand({
+        modelId: this.modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify({
+          inputText: text.substring(0, 20000),
+          dimensions: this.dimension,
+          normalize: true,
+        }),
+      });
+
+      const response = await bedrockClient.send(command);
+      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+      vectors.push(responseBody.embedding);
+    }
+
+    return vectors;
+  }
+}
+
+let provider = null;
+
+/**
+ * Get the configured embedding provider (EMBEDDING_PROVIDER=local|bedrock)
+ * @returns {Object} Embedding provider
+ */
+export const getEmbeddingProvider = () => {
+  if (provider) return provider;
+
+  const providerName = process.env.EMBEDDING_PROVIDER || 'local';
+
+  if (providerName === 'bedrock') {
+    provider = new BedrockEmbeddingProvider(
+      process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0',
+      parseInt(process.env.EMBEDDING_DIMENSION) || 1024
+    );
+  } else {
+    provider = new LocalEmbeddingProvider(parseInt(process.env.EMBEDDING_DIMENSION) || 384);
+  }
+
+  logger.info(`Embedding provider: ${provider.name} (${provider.dimension} dimensions)`);
+  return provider;
+};
+
+/**
+ * Replace the embedding provider (e.g. with a deterministic one in tests)
+ * @param {Object} customProvider - Provider implementing embed(texts)
+ */
+export const setEmbeddingProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+export default {
+  LocalEmbeddingProvider,
+  BedrockEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity,
+  normalizeVector,
+};
@@ -1,19 +1,125 @@
 ﻿import PDFDocument from 'pdfkit';
-import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import ExcelJS from 'exceljs';
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  PageOrientation,
+  AlignmentType,
+  ImageRun,
+  Header,
+  Footer,
+  PageNumber,
+  PageBreak,
+  TableOfContents,
+  ExternalHyperlink,
+  LevelFormat,
+} from 'docx';
 import { logger } from '../utils/logger.js';
+import {
+  parseMarkdown,
+  parseInline,
+  inlineToPlainText,
+  getListMarkers,
+  markdownToPlainText,
+  markdownToHtml,
+  shiftMarkdownHeadings,
+  escapeHtml,
+} from '../utils/markdown.js';
 import { proposalService } from './proposal.service.js';
 import { s3Service } from './s3.service.js';
+import { companyService } from './company.service.js';
+import { writeAnswersToWorkbook } from './spreadsheet.service.js';
+import { buildComplianceRows, COMPLIANCE_STATUS_LABELS } from './compliance.service.js';
+import {
+  EXPORT_FONTS,
+  resolveExportTemplate,
+  getTemplateValues,
+  fillPlaceholders,
+  loadCompanyLogo,
+  fillDocxTemplate,
+} from './branding.service.js';
+
+// Columns of an exported compliance matrix (width in characters for XLSX, relative for DOCX/PDF)
+const COMPLIANCE_COLUMNS = [
+  { header: 'Req. ID', width: 10, value: row => row.requirementId },
+  { header: 'Section', width: 18, value: row => row.section },
+  { header: 'Requirement', width: 60, value: row => row.requirement },
+  { header: 'Mandatory', width: 11, value: row => (row.mandatory ? 'Yes' : 'No') },
+  { header: 'Compliance', width: 12, value: row => COMPLIANCE_STATUS_LABELS[row.status] || 'TBD' },
+  { header: 'Response Reference', width: 24, value: row => row.responseReference },
+  { header: 'Notes', width: 30, value: row => row.notes },
+];
+
+// Formats of POST /admin/export and /user/export (xlsx only for imported questionnaires)
+export const PROPOSAL_EXPORT_FORMATS = ['pdf', 'docx', 'txt', 'md', 'html', 'xlsx'];
+
+// Word list definitions used by rich-text answers (numbered lists restart through their instance)
+const LIST_INDENT = (level) => ({ paragraph: { indent: { left: 1080 + level * 360, hanging: 360 } } });
+
+const DOCX_NUMBERING = {
+  config: [
+    {
+      reference: 'answer-bullets',
+      levels: ['\u2022', '\u25E6', '\u25AA'].map((text, level) => ({
+        level,
+        format: LevelFormat.BULLET,
+        text,
+        alignment: AlignmentType.LEFT,
+        style: LIST_INDENT(level),
+      })),
+    },
+    {
+      reference: 'answer-numbers',
+      levels: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN].map((format, level) => ({
+        level,
+        format,
+        text: `%${level + 1}.`,
+        alignment: AlignmentType.LEFT,
+        style: LIST_INDENT(level),
+      })),
+    },
+  ],
+};
+
+// Table of contents lines that fit on one PDF page
+const CONTENTS_ENTRIES_PER_PAGE = 35;
 
 class DocumentExportService {
+  /**
+   * Company, export template, logo and placeholder values used to brand a proposal export
+   */
+  async getBranding(proposal) {
+    const company = proposal.companyId ? await companyService.getCompany(proposal.companyId) : null;
+    const template = resolveExportTemplate(company);
+
+    return {
+      company,
+      template,
+      fonts: EXPORT_FONTS[template.fontFamily] || EXPORT_FONTS.helvetica,
+      logo: await loadCompanyLogo(company),
+      values: getTemplateValues(proposal, company, template),
+    };
+  }
+
   async exportProposalToPDF(proposalId) {
     try {
       const proposal = await proposalService.getProposal(proposalId);
       if (!proposal) throw new Error('Proposal not found');
 
+      const { template, fonts, logo, values } = await this.getBranding(proposal);
+
       return new Promise((resolve, reject) => {
         const doc = new PDFDocument({
           size: 'A4',
           margins: { top: 50, bottom: 50, left: 50, right: 50 },
+          bufferPages: true,
         });
 
         const buffers = [];
@@ -21,35 +127,104 @@ class DocumentExportService {
         doc.on('end', () => resolve(Buffer.concat(buffers)));
         doc.on('error', reject);
 
-        // Title
-        doc.fontSize(24).font('Helvetica-Bold').text(proposal.title, {
-          align: 'center',
-        });
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const currentPage = () => doc.bufferedPageRange().count - 1;
+        const questionsBySection = this.groupBySection(proposal.questions);
+        const summary = template.executiveSummaryPlacement !== 'none' ? proposal.executiveSummary : null;
+        const contents = [];
 
-        doc.moveDown();
-        doc.fontSize(12).font('Helvetica').text(
-          `Client: ${proposal.clientName || 'N/A'}`,
-          { align: 'center' }
-        );
+        const heading = (text) => {
+          contents.push({ title: text, page: currentPage() });
+          doc.fontSize(16).font(fonts.bold).fillColor(template.primaryColor).text(text);
+          doc.fillColor('black');
+          doc.moveDown();
+        };
 
-        doc.moveDown();
-        doc.fontSize(10).text(
-          `Created: ${new Date(proposal.createdAt).toDateString()}`,
-          { align: 'center' }
-        );
+        const writeSummary = () => {
+          heading('Executive Summary');
+          this.writeMarkdownToPDF(doc, summary, { fonts });
+          doc.moveDown(2);
+        };
 
-        doc.moveDown(2);
-        doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
-        doc.moveDown(2);
+        if (template.coverPage) {
+          doc.y = 150;
+          if (logo) {
+            doc.image(logo.buffer, left + (width - 200) / 2, doc.y, { fit: [200, 100], align: 'center', valign: 'center' });
+            doc.y += 130;
+          }
 
-        const questionsBySection = this.groupBySection(proposal.questions);
+          doc.fontSize(28).font(fonts.bold).fillColor(template.primaryColor)
+            .text(proposal.title, left, doc.y, { align: 'center', width });
+          doc.fillColor('black').moveDown();
+          doc.fontSize(14).font(fonts.regular).text(`Client: ${values.clientName}`, { align: 'center', width });
+          doc.moveDown(0.5);
+          if (values.companyName) {
+            doc.fontSize(12).text(`Prepared by ${values.companyName}`, { align: 'center', width });
+            doc.moveDown(0.5);
+          }
+          doc.fontSize(10).text(values.date, { align: 'center', width });
+
+          if (template.confidentialityNotice) {
+            doc.fontSize(9).font(fonts.italic).fillColor(template.accentColor)
+              .text(template.confidentialityNotice, left, doc.page.height - 170, { align: 'center', width });
+            doc.fillColor('black');
+          }
+
+          doc.addPage();
+        } else {
+          if (logo) {
+            doc.image(logo.buffer, left + (width - 150) / 2, doc.y, { fit: [150, 60], align: 'center', valign: 'center' });
+            doc.y += 75;
+          }
+
+          // Title
+          doc.fontSize(24).font(fonts.bold).fillColor(template.primaryColor).text(proposal.title, left, doc.y, {
+            align: 'center',
+            width,
+          });
+          doc.fillColor('black');
 
-        Object.entries(questionsBySection).forEach(([section, questions]) => {
-          doc.fontSize(16).font('Helvetica-Bold').text(section);
           doc.moveDown();
+          doc.fontSize(12).font(fonts.regular).text(
+            `Client: ${values.clientName}`,
+            { align: 'center' }
+          );
+
+          doc.moveDown();
+          doc.fontSize(10).text(
+            `Created: ${new Date(proposal.createdAt).toDateString()}`,
+            { align: 'center' }
+          );
+
+          doc.moveDown(2);
+          doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+          doc.moveDown(2);
+        }
+
+        if (summary && template.executiveSummaryPlacement === 'before_contents') {
+          writeSummary();
+        }
+
+        // Contents pages are filled in once the page of every section is known
+        let contentsPage = null;
+        if (template.tableOfContents) {
+          const entries = Object.keys(questionsBySection).length + (summary ? 1 : 0);
+          if (doc.y > doc.page.margins.top) doc.addPage();
+          contentsPage = currentPage();
+          const contentsPages = Math.max(1, Math.ceil(entries / CONTENTS_ENTRIES_PER_PAGE));
+          for (let i = 0; i < contentsPages; i++) doc.addPage();
+        }
+
+        if (summary && template.executiveSummaryPlacement === 'after_contents') {
+          writeSummary();
+        }
+
+        Object.entries(questionsBySection).forEach(([section, questions]) => {
+          heading(section);
 
           questions.forEach((q, index) => {
-            doc.fontSize(12).font('Helvetica-Bold').text(
+            doc.fontSize(12).font(fonts.bold).text(
               `${index + 1}. ${q.question || ''}`
             );
 
@@ -58,15 +233,13 @@ class DocumentExportService {
             const answer =
               q.finalAnswer || q.draftAnswer || 'No answer provided';
 
-            doc.fontSize(11)
-              .font('Helvetica')
-              .text(answer, { indent: 20, align: 'justify' });
+            this.writeMarkdownToPDF(doc, answer, { fonts, indent: 20 });
 
             if (q.sources?.length) {
               doc.moveDown(0.3);
               doc.fontSize(9)
-                .font('Helvetica-Oblique')
-                .text(`Sources: ${q.sources.join(', ')}`, { indent: 20 });
+                .font(fonts.italic)
+                .text(`Sources: ${q.sources.map(s => s.title || s).join(', ')}`, { indent: 20 });
             }
 
             doc.moveDown(1.5);
@@ -74,15 +247,61 @@ class DocumentExportService {
           });
         });
 
+        if (summary && template.executiveSummaryPlacement === 'end') {
+          writeSummary();
+        }
+
+        if (contentsPage !== null) {
+          doc.switchToPage(contentsPage);
+          doc.x = left;
+          doc.y = doc.page.margins.top;
+          doc.fontSize(16).font(fonts.bold).fillColor(template.primaryColor).text('Contents');
+          doc.fillColor('black').moveDown();
+
+          contents.forEach((entry, index) => {
+            if (index > 0 && index % CONTENTS_ENTRIES_PER_PAGE === 0) {
+              doc.switchToPage(contentsPage + index / CONTENTS_ENTRIES_PER_PAGE);
+              doc.y = doc.page.margins.top;
+            }
+
+            const y = doc.y;
+            doc.fontSize(11).font(fonts.regular).text(entry.title, left, y, { width: width - 50, lineBreak: false, ellipsis: true });
+            doc.text(String(entry.page + 1), left, y, { width, align: 'right' });
+            doc.moveDown(0.4);
+          });
+        }
+
+        // Header and footer on every page but the cover
         const pages = doc.bufferedPageRange();
-        for (let i = 0; i < pages.count; i++) {
+        const headerText = fillPlaceholders(template.headerText, values);
+        const footerText = fillPlaceholders(template.footerText, values);
+
+        for (let i = template.coverPage ? 1 : 0; i < pages.count; i++) {
           doc.switchToPage(i);
-          doc.fontSize(8).text(
-            `Page ${i + 1} of ${pages.count}`,
-            50,
-            750,
-            { align: 'center' }
-          );
+
+          // Writing inside the margins would otherwise start a new page
+          const margins = { ...doc.page.margins };
+          doc.page.margins.top = 0;
+          doc.page.margins.bottom = 0;
+
+          doc.fontSize(8).font(fonts.regular).fillColor(template.accentColor);
+
+          if (headerText) {
+            doc.text(headerText, left, 25, { width, align: 'right', lineBreak: false });
+          }
+
+          const footerY = doc.page.height - 40;
+          if (footerText) {
+            doc.text(footerText, left, footerY, { width, align: 'left', lineBreak: false });
+          }
+          doc.text(`Page ${i + 1} of ${pages.count}`, left, footerY, { width, align: 'right', lineBreak: false });
+
+          if (template.confidentialityNotice) {
+            doc.fontSize(7).text(template.confidentialityNotice, left, footerY + 12, { width, align: 'center', lineBreak: false, ellipsis: true });
+          }
+
+          doc.fillColor('black');
+          doc.page.margins = margins;
         }
 
         doc.end();
@@ -98,24 +317,139 @@ class DocumentExportService {
       const proposal = await proposalService.getProposal(proposalId);
       if (!proposal) throw new Error('Proposal not found');
 
-      const sections = [
-        new Paragraph({
-          text: proposal.title,
-          heading: HeadingLevel.HEADING_1,
-          alignment: 'center',
-        }),
-        new Paragraph({
-          text: `Client: ${proposal.clientName || 'N/A'}`,
-          alignment: 'center',
-        }),
+      const { template, fonts, logo, values } = await this.getBranding(proposal);
+      const questionsBySection = this.groupBySection(proposal.questions);
+      const summary = template.executiveSummaryPlacement !== 'none' ? proposal.executiveSummary : null;
+
+      // An uploaded Word template replaces the generated layout
+      if (template.docxTemplateKey) {
+        const templateBuffer = await s3Service.getFileBuffer(template.docxTemplateKey);
+        return await fillDocxTemplate(templateBuffer, values, {
+          executiveSummary: summary || '',
+          sections: Object.entries(questionsBySection),
+        });
+      }
+
+      const accent = template.accentColor.slice(1);
+
+      const logoParagraph = (maxWidth, maxHeight) => {
+        const scale = Math.min(maxWidth / logo.width, maxHeight / logo.height, 1);
+        return new Paragraph({
+          alignment: AlignmentType.CENTER,
+          children: [
+            new ImageRun({
+              data: logo.buffer,
+              transformation: {
+                width: Math.round(logo.width * scale),
+                height: Math.round(logo.height * scale),
+              },
+            }),
+          ],
+        });
+      };
+
+      // Numbered lists of the document, so each one restarts at 1
+      const lists = { count: 0 };
+
+      const summaryParagraphs = () => [
         new Paragraph({
-          text: `Created: ${new Date(proposal.createdAt).toDateString()}`,
-          italics: true,
-          alignment: 'center',
+          text: 'Executive Summary',
+          heading: HeadingLevel.HEADING_2,
         }),
+        ...this.markdownToDOCX(summary, { lists }),
       ];
 
-      const questionsBySection = this.groupBySection(proposal.questions);
+      const documentSections = [];
+
+      if (template.coverPage) {
+        const cover = [];
+        if (logo) cover.push(logoParagraph(240, 120));
+
+        cover.push(
+          new Paragraph({
+            text: proposal.title,
+            heading: HeadingLevel.TITLE,
+            alignment: AlignmentType.CENTER,
+            spacing: { before: 1200, after: 400 },
+          }),
+          new Paragraph({
+            text: `Client: ${values.clientName}`,
+            alignment: AlignmentType.CENTER,
+          })
+        );
+
+        if (values.companyName) {
+          cover.push(new Paragraph({
+            text: `Prepared by ${values.companyName}`,
+            alignment: AlignmentType.CENTER,
+          }));
+        }
+
+        cover.push(new Paragraph({
+          text: values.date,
+          alignment: AlignmentType.CENTER,
+        }));
+
+        if (template.confidentialityNotice) {
+          cover.push(new Paragraph({
+            alignment: AlignmentType.CENTER,
+            spacing: { before: 2400 },
+            children: [
+              new TextRun({ text: template.confidentialityNotice, italics: true, color: accent, size: 18 }),
+            ],
+          }));
+        }
+
+        documentSections.push({ children: cover });
+      }
+
+      const sections = [];
+
+      if (!template.coverPage) {
+        if (logo) sections.push(logoParagraph(180, 72));
+
+        sections.push(
+          new Paragraph({
+            text: proposal.title,
+            heading: HeadingLevel.HEADING_1,
+            alignment: AlignmentType.CENTER,
+          }),
+          new Paragraph({
+            text: `Client: ${values.clientName}`,
+            alignment: AlignmentType.CENTER,
+          }),
+          new Paragraph({
+            children: [
+              new TextRun({
+                text: `Created: ${new Date(proposal.createdAt).toDateString()}`,
+                italics: true,
+              }),
+            ],
+            alignment: AlignmentType.CENTER,
+          })
+        );
+      }
+
+      if (summary && template.executiveSummaryPlacement === 'before_contents') {
+        sections.push(...summaryParagraphs());
+      }
+
+      if (template.tableOfContents) {
+        sections.push(
+          new Paragraph({
+            children: [new TextRun({ text: 'Contents', bold: true, size: 32, color: template.primaryColor.slice(1) })],
+          }),
+          new TableOfContents('Contents', {
+            hyperlink: true,
+            headingStyleRange: '2-2',
+          }),
+          new Paragraph({ children: [new PageBreak()] })
+        );
+      }
+
+      if (summary && template.executiveSummaryPlacement === 'after_contents') {
+        sections.push(...summaryParagraphs());
+      }
 
       Object.entries(questionsBySection).forEach(([section, questions]) => {
         sections.push(
@@ -138,19 +472,79 @@ class DocumentExportService {
           );
 
           sections.push(
-            new Paragraph({
-              text:
-                q.finalAnswer ||
+            ...this.markdownToDOCX(
+              q.finalAnswer ||
                 q.draftAnswer ||
                 'No answer provided',
-              indent: { left: 720 },
-            })
+              { indent: 720, lists }
+            )
           );
         });
       });
 
+      if (summary && template.executiveSummaryPlacement === 'end') {
+        sections.push(...summaryParagraphs());
+      }
+
+      const headerText = fillPlaceholders(template.headerText, values);
+      const footerText = fillPlaceholders(template.footerText, values);
+      const footer = [];
+
+      if (footerText) {
+        footer.push(new Paragraph({
+          children: [new TextRun({ text: footerText, color: accent, size: 16 })],
+        }));
+      }
+
+      footer.push(new Paragraph({
+        alignment: AlignmentType.RIGHT,
+        children: [
+          new TextRun({
+            children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+            color: accent,
+            size: 16,
+          }),
+        ],
+      }));
+
+      if (template.confidentialityNotice) {
+        footer.push(new Paragraph({
+          alignment: AlignmentType.CENTER,
+          children: [new TextRun({ text: template.confidentialityNotice, italics: true, color: accent, size: 14 })],
+        }));
+      }
+
+      documentSections.push({
+        headers: headerText
+          ? {
+            default: new Header({
+              children: [
+                new Paragraph({
+                  alignment: AlignmentType.RIGHT,
+                  children: [new TextRun({ text: headerText, color: accent, size: 16 })],
+                }),
+              ],
+            }),
+          }
+          : undefined,
+        footers: { default: new Footer({ children: footer }) },
+        children: sections,
+      });
+
+      const headingRun = { font: fonts.docx, color: template.primaryColor.slice(1), bold: true };
+
       const doc = new Document({
-        sections: [{ children: sections }],
+        features: { updateFields: template.tableOfContents },
+        numbering: DOCX_NUMBERING,
+        styles: {
+          default: {
+            document: { run: { font: fonts.docx } },
+            title: { run: { ...headingRun, size: 56 } },
+            heading1: { run: { ...headingRun, size: 36 } },
+            heading2: { run: { ...headingRun, size: 28 } },
+          },
+        },
+        sections: documentSections,
       });
 
       return await Packer.toBuffer(doc);
@@ -179,7 +573,7 @@ class DocumentExportService {
         questions.forEach((q, index) => {
           content += `${index + 1}. ${q.question || ''}\n`;
           content += `${
-            q.finalAnswer || q.draftAnswer || 'No answer provided'
+            markdownToPlainText(q.finalAnswer || q.draftAnswer) || 'No answer provided'
           }\n\n`;
           content += `${'-'.repeat(80)}\n\n`;
         });
@@ -192,27 +586,241 @@ class DocumentExportService {
     }
   }
 
-  async exportAndUpload(proposalId, format) {
+  async exportProposalToMarkdown(proposalId) {
     try {
-      let buffer, contentType, extension;
+      const proposal = await proposalService.getProposal(proposalId);
+      if (!proposal) throw new Error('Proposal not found');
 
-      if (format === 'pdf') {
-        buffer = await this.exportProposalToPDF(proposalId);
-        contentType = 'application/pdf';
-        extension = 'pdf';
-      } else if (format === 'docx') {
-        buffer = await this.exportProposalToDOCX(proposalId);
-        contentType =
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-        extension = 'docx';
-      } else if (format === 'txt') {
-        buffer = await this.exportProposalToTXT(proposalId);
-        contentType = 'text/plain';
-        extension = 'txt';
-      } else {
-        throw new Error('Unsupported export format');
+      const lines = [
+        `# ${proposal.title}`,
+        '',
+        `**Client:** ${proposal.clientName || 'N/A'}`,
+        '',
+        `**Created:** ${new Date(proposal.createdAt).toDateString()}`,
+        '',
+      ];
+
+      if (proposal.executiveSummary) {
+        lines.push('## Executive Summary', '', shiftMarkdownHeadings(proposal.executiveSummary, 2), '');
       }
 
+      const questionsBySection = this.groupBySection(proposal.questions);
+
+      Object.entries(questionsBySection).forEach(([section, questions]) => {
+        lines.push(`## ${section}`, '');
+
+        questions.forEach((q, index) => {
+          lines.push(`### ${index + 1}. ${q.question || ''}`, '');
+          lines.push(shiftMarkdownHeadings(q.finalAnswer || q.draftAnswer || '_No answer provided_', 3), '');
+
+          if (q.sources?.length) {
+            lines.push(`_Sources: ${q.sources.map(s => s.title || s).join(', ')}_`, '');
+          }
+        });
+      });
+
+      return Buffer.from(lines.join('\n'), 'utf-8');
+    } catch (error) {
+      logger.error('Error exporting proposal to Markdown:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Standalone HTML page (styles and logo inlined) using the company export template
+   */
+  async exportProposalToHTML(proposalId) {
+    try {
+      const proposal = await proposalService.getProposal(proposalId);
+      if (!proposal) throw new Error('Proposal not found');
+
+      const { template, fonts, logo, values } = await this.getBranding(proposal);
+      const questionsBySection = Object.entries(this.groupBySection(proposal.questions));
+      const summary = template.executiveSummaryPlacement !== 'none' ? proposal.executiveSummary : null;
+
+      const summaryHtml = summary
+        ? `<section id="executive-summary">\n<h2>Executive Summary</h2>\n${markdownToHtml(summary, { headingOffset: 2 })}\n</section>`
+        : '';
+
+      const sectionsHtml = questionsBySection.map(([section, questions], i) => {
+        const questionsHtml = questions.map((q, index) => {
+          const sources = q.sources?.length
+            ? `<p class="sources">Sources: ${escapeHtml(q.sources.map(s => s.title || s).join(', '))}</p>`
+            : '';
+          const answer = q.finalAnswer || q.draftAnswer;
+
+          return `<article class="question">
+<h3>${index + 1}. ${escapeHtml(q.question || '')}</h3>
+<div class="answer">${answer ? markdownToHtml(answer, { headingOffset: 3 }) : '<p><em>No answer provided</em></p>'}</div>
+${sources}
+</article>`;
+        }).join('\n');
+
+        return `<section id="section-${i + 1}">\n<h2>${escapeHtml(section)}</h2>\n${questionsHtml}\n</section>`;
+      });
+
+      let contentsHtml = '';
+      if (template.tableOfContents) {
+        const entries = questionsBySection.map(([section], i) => `<li><a href="#section-${i + 1}">${escapeHtml(section)}</a></li>`);
+        const summaryEntry = '<li><a href="#executive-summary">Executive Summary</a></li>';
+        if (summary && template.executiveSummaryPlacement === 'end') entries.push(summaryEntry);
+        if (summary && template.executiveSummaryPlacement !== 'end') entries.unshift(summaryEntry);
+        contentsHtml = `<nav class="contents">\n<h2>Contents</h2>\n<ol>${entries.join('')}</ol>\n</nav>`;
+      }
+
+      const body = [
+        summary && template.executiveSummaryPlacement === 'before_contents' ? summaryHtml : '',
+        contentsHtml,
+        summary && template.executiveSummaryPlacement === 'after_contents' ? summaryHtml : '',
+        ...sectionsHtml,
+        summary && template.executiveSummaryPlacement === 'end' ? summaryHtml : '',
+      ].filter(Boolean).join('\n');
+
+      const headerText = fillPlaceholders(template.headerText, values);
+      const footerText = fillPlaceholders(template.footerText, values);
+      const logoHtml = logo
+        ? `<img class="logo" alt="${escapeHtml(values.companyName)}" src="data:image/${logo.type === 'png' ? 'png' : 'jpeg'};base64,${logo.buffer.toString('base64')}">`
+        : '';
+
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(proposal.title)}</title>
+<style>
+body { font-family: ${fonts.css}; color: #222; line-height: 1.5; max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+h1, h2, h3, h4, h5, h6 { color: ${template.primaryColor}; line-height: 1.25; }
+.running, .meta, .sources, footer { color: ${template.accentColor}; }
+.running { font-size: 0.8em; text-align: right; }
+.logo { display: block; max-width: 220px; max-height: 100px; margin: 0 auto 16px; }
+.title { text-align: center; margin-bottom: 32px; }
+.answer { margin-left: 1.5em; }
+.sources { font-size: 0.85em; font-style: italic; margin-left: 1.5em; }
+table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+th, td { border: 1px solid #bbb; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f2f2f2; }
+pre { background: #f6f6f6; padding: 12px; overflow-x: auto; }
+code { font-family: "Courier New", Courier, monospace; }
+footer { border-top: 1px solid #ddd; margin-top: 48px; padding-top: 12px; font-size: 0.8em; }
+@media print { .question { break-inside: avoid; } }
+</style>
+</head>
+<body>
+${headerText ? `<div class="running">${escapeHtml(headerText)}</div>` : ''}
+<header class="title">
+${logoHtml}
+<h1>${escapeHtml(proposal.title)}</h1>
+<p class="meta">Client: ${escapeHtml(values.clientName)}<br>Created: ${escapeHtml(values.createdAt)}</p>
+</header>
+${body}
+<footer>
+${footerText ? `<p>${escapeHtml(footerText)}</p>` : ''}
+${template.confidentialityNotice ? `<p><em>${escapeHtml(template.confidentialityNotice)}</em></p>` : ''}
+</footer>
+</body>
+</html>
+`;
+
+      return Buffer.from(html, 'utf-8');
+    } catch (error) {
+      logger.error('Error exporting proposal to HTML:', error);
+      throw error;
+    }
+  }
+
+  async exportProposalToSpreadsheet(proposalId) {
+    try {
+      const proposal = await proposalService.getProposal(proposalId);
+      if (!proposal) throw new Error('Proposal not found');
+
+      if (proposal.sourceFormat !== 'spreadsheet') {
+        throw new Error('Proposal was not imported from a spreadsheet');
+      }
+
+      const original = await s3Service.getFileBuffer(proposal.fileKey);
+
+      return await writeAnswersToWorkbook(
+        original,
+        proposal.mimeType,
+        proposal.questions || [],
+        proposal.fileName
+      );
+    } catch (error) {
+      logger.error('Error exporting proposal to spreadsheet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a proposal in an export format
+   * @param {string} proposalId - Proposal ID
+   * @param {string} format - One of PROPOSAL_EXPORT_FORMATS
+   * @returns {Promise<Object>} { buffer, contentType, extension }
+   */
+  async exportProposal(proposalId, format) {
+    if (format === 'pdf') {
+      return {
+        buffer: await this.exportProposalToPDF(proposalId),
+        contentType: 'application/pdf',
+        extension: 'pdf',
+      };
+    }
+
+    if (format === 'docx') {
+      return {
+        buffer: await this.exportProposalToDOCX(proposalId),
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+      };
+    }
+
+    if (format === 'txt') {
+      return {
+        buffer: await this.exportProposalToTXT(proposalId),
+        contentType: 'text/plain',
+        extension: 'txt',
+      };
+    }
+
+    if (format === 'md') {
+      return {
+        buffer: await this.exportProposalToMarkdown(proposalId),
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+      };
+    }
+
+    if (format === 'html') {
+      return {
+        buffer: await this.exportProposalToHTML(proposalId),
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+      };
+    }
+
+    if (format === 'xlsx') {
+      return {
+        buffer: await this.exportProposalToSpreadsheet(proposalId),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+      };
+    }
+
+    throw new Error('Unsupported export format');
+  }
+
+  /**
+   * Render a proposal in an export format and store the file in S3
+   * @param {string} proposalId - Proposal ID
+   * @param {string} format - One of PROPOSAL_EXPORT_FORMATS
+   * @param {string} folder - S3 folder
+   * @returns {Promise<Object>} { key, url, contentType, extension, size }
+   */
+  async exportAndUpload(proposalId, format, folder = 'exports') {
+    try {
+      const { buffer, contentType, extension } = await this.exportProposal(proposalId, format);
+
       const mockFile = {
         buffer,
         originalname: `proposal-${proposalId}.${extension}`,
@@ -221,17 +829,360 @@ class DocumentExportService {
 
       const { key, url } = await s3Service.uploadFile(
         mockFile,
-        'exports'
+        folder
       );
 
       logger.info(`Proposal exported: ${key}`);
-      return { key, url };
+      return { key, url, contentType, extension, size: buffer.length };
     } catch (error) {
       logger.error('Error exporting and uploading proposal:', error);
       throw error;
     }
   }
 
+  /**
+   * Export a proposal's compliance matrix (generated from its questions if none is saved)
+   * @param {string} proposalId - Proposal ID
+   * @param {string} format - xlsx, docx or pdf
+   * @returns {Promise<Object>} { buffer, contentType, extension }
+   */
+  async exportComplianceMatrix(proposalId, format) {
+    try {
+      const proposal = await proposalService.getProposal(proposalId);
+      if (!proposal) throw new Error('Proposal not found');
+
+      const rows = proposal.complianceMatrix?.rows || buildComplianceRows(proposal);
+
+      if (format === 'xlsx') {
+        return {
+          buffer: await this.complianceMatrixToXLSX(proposal, rows),
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          extension: 'xlsx',
+        };
+      }
+
+      if (format === 'docx') {
+        return {
+          buffer: await this.complianceMatrixToDOCX(proposal, rows),
+          contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          extension: 'docx',
+        };
+      }
+
+      if (format === 'pdf') {
+        return {
+          buffer: await this.complianceMatrixToPDF(proposal, rows),
+          contentType: 'application/pdf',
+          extension: 'pdf',
+        };
+      }
+
+      throw new Error('Unsupported export format');
+    } catch (error) {
+      logger.error('Error exporting compliance matrix:', error);
+      throw error;
+    }
+  }
+
+  async complianceMatrixToXLSX(proposal, rows) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Compliance Matrix');
+
+    worksheet.columns = COMPLIANCE_COLUMNS.map(column => ({
+      header: column.header,
+      width: column.width,
+    }));
+
+    const header = worksheet.getRow(1);
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+
+    rows.forEach(row => {
+      worksheet.addRow(COMPLIANCE_COLUMNS.map(column => column.value(row) || ''));
+    });
+
+    worksheet.getColumn(3).alignment = { wrapText: true, vertical: 'top' };
+    worksheet.getColumn(7).alignment = { wrapText: true, vertical: 'top' };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    worksheet.autoFilter = { from: 'A1', to: `${worksheet.getColumn(COMPLIANCE_COLUMNS.length).letter}1` };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  async complianceMatrixToDOCX(proposal, rows) {
+    const totalWidth = COMPLIANCE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+
+    const toCell = (text, column, bold = false) => new TableCell({
+      width: { size: Math.round((column.width / totalWidth) * 100), type: WidthType.PERCENTAGE },
+      children: [
+        new Paragraph({
+          children: [new TextRun({ text: text || '', bold, size: 18 })],
+        }),
+      ],
+    });
+
+    const table = new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: COMPLIANCE_COLUMNS.map(column => toCell(column.header, column, true)),
+        }),
+        ...rows.map(row => new TableRow({
+          children: COMPLIANCE_COLUMNS.map(column => toCell(column.value(row), column)),
+        })),
+      ],
+    });
+
+    const doc = new Document({
+      sections: [{
+        properties: {
+          page: { size: { orientation: PageOrientation.LANDSCAPE } },
+        },
+        children: [
+          new Paragraph({
+            text: `Compliance Matrix - ${proposal.title}`,
+            heading: HeadingLevel.HEADING_1,
+          }),
+          new Paragraph({
+            text: `Client: ${proposal.clientName || 'N/A'}`,
+          }),
+          table,
+        ],
+      }],
+    });
+
+    return await Packer.toBuffer(doc);
+  }
+
+  complianceMatrixToPDF(proposal, rows) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margins: { top: 40, bottom: 40, left: 40, right: 40 },
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      doc.fontSize(16).font('Helvetica-Bold').text(`Compliance Matrix - ${proposal.title}`);
+      doc.fontSize(10).font('Helvetica').text(`Client: ${proposal.clientName || 'N/A'}`);
+      doc.moveDown();
+
+      this.drawPDFTable(
+        doc,
+        COMPLIANCE_COLUMNS.map(column => column.header),
+        rows.map(row => COMPLIANCE_COLUMNS.map(column => column.value(row))),
+        { widths: COMPLIANCE_COLUMNS.map(column => column.width) }
+      );
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw a table with wrapped cells at the current position, repeating the header row on new pages
+   * @param {PDFDocument} doc - PDF being written
+   * @param {Array<string>} header - Header cells
+   * @param {Array<Array<string>>} rows - Body cells
+   * @param {Object} options - { left, width, widths (relative column widths), fonts, fontSize }
+   */
+  drawPDFTable(doc, header, rows, options = {}) {
+    const {
+      left = doc.page.margins.left,
+      widths = header.map(() => 1),
+      fonts = EXPORT_FONTS.helvetica,
+      fontSize = 8,
+    } = options;
+    const tableWidth = options.width || doc.page.width - left - doc.page.margins.right;
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+    const columnWidths = widths.map(width => (width / totalWidth) * tableWidth);
+    const padding = 4;
+
+    const drawRow = (values, bold) => {
+      doc.fontSize(fontSize).font(bold ? fonts.bold : fonts.regular);
+
+      const height = Math.max(...values.map((value, i) =>
+        doc.heightOfString(value || '', { width: columnWidths[i] - padding * 2 }))) + padding * 2;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (!bold) drawRow(header, true);
+        doc.fontSize(fontSize).font(bold ? fonts.bold : fonts.regular);
+      }
+
+      const top = doc.y;
+      let x = left;
+
+      values.forEach((value, i) => {
+        doc.rect(x, top, columnWidths[i], height).stroke();
+        doc.text(value || '', x + padding, top + padding, { width: columnWidths[i] - padding * 2 });
+        x += columnWidths[i];
+      });
+
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    drawRow(header, true);
+    rows.forEach(row => drawRow(row, false));
+  }
+
+  /**
+   * Write rich-text (Markdown) content at the current position of a PDF
+   * @param {PDFDocument} doc - PDF being written
+   * @param {string} text - Markdown
+   * @param {Object} options - { fonts, indent }
+   */
+  writeMarkdownToPDF(doc, text, { fonts = EXPORT_FONTS.helvetica, indent = 0 } = {}) {
+    const margin = doc.page.margins.left;
+    const left = margin + indent;
+    const width = doc.page.width - doc.page.margins.right - left;
+
+    const fontOf = (run) => {
+      if (run.code) return 'Courier';
+      if (run.bold && run.italic) return fonts.boldItalic;
+      if (run.bold) return fonts.bold;
+      if (run.italic) return fonts.italic;
+      return fonts.regular;
+    };
+
+    const writeRuns = (runs, x, runWidth, size) => {
+      const parts = runs.filter(run => run.text);
+      const align = parts.length === 1 ? 'justify' : 'left';
+
+      parts.forEach((run, i) => {
+        doc.fontSize(size).font(fontOf(run)).fillColor(run.link ? '#1155CC' : 'black');
+
+        const runOptions = {
+          width: runWidth,
+          align,
+          continued: i < parts.length - 1,
+          link: run.link || null,
+          underline: Boolean(run.link),
+        };
+
+        if (i === 0) {
+          doc.text(run.text, x, doc.y, runOptions);
+        } else {
+          doc.text(run.text, runOptions);
+        }
+      });
+
+      doc.fillColor('black');
+    };
+
+    parseMarkdown(text).forEach((block, index) => {
+      if (index > 0) doc.moveDown(0.5);
+
+      if (block.type === 'heading') {
+        writeRuns(
+          parseInline(block.text).map(run => ({ ...run, bold: true })),
+          left,
+          width,
+          [14, 12.5, 11.5][block.level - 1]
+        );
+      } else if (block.type === 'list') {
+        const markers = getListMarkers(block.items);
+
+        block.items.forEach((item, i) => {
+          if (doc.y + 14 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+          const x = left + item.level * 18;
+          const y = doc.y;
+
+          doc.fontSize(11).font(fonts.regular).text(markers[i], x, y, { width: 18, lineBreak: false });
+          doc.y = y;
+          writeRuns(parseInline(item.text), x + 20, width - item.level * 18 - 20, 11);
+        });
+      } else if (block.type === 'table') {
+        this.drawPDFTable(
+          doc,
+          block.header.map(inlineToPlainText),
+          block.rows.map(row => row.map(inlineToPlainText)),
+          { left, width, fonts, fontSize: 9 }
+        );
+      } else if (block.type === 'code') {
+        doc.fontSize(9).font('Courier').text(block.text, left + 10, doc.y, { width: width - 10 });
+      } else {
+        writeRuns(parseInline(block.text), left, width, 11);
+      }
+    });
+
+    doc.x = margin;
+  }
+
+  /**
+   * Word paragraphs, lists and tables for rich-text (Markdown) content
+   * @param {string} text - Markdown
+   * @param {Object} options - { indent } of paragraphs in twips, { lists } counter shared by the document
+   * @returns {Array<Paragraph|Table>} Document children (the document needs DOCX_NUMBERING)
+   */
+  markdownToDOCX(text, { indent = 0, lists = { count: 0 } } = {}) {
+    const toRuns = (inline, style = {}) => parseInline(inline).map(run => {
+      const textRun = new TextRun({
+        text: run.text,
+        bold: run.bold || style.bold,
+        italics: run.italic,
+        font: run.code ? 'Courier New' : undefined,
+        size: style.size,
+        style: run.link ? 'Hyperlink' : undefined,
+      });
+
+      return run.link ? new ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+    });
+
+    const children = [];
+
+    parseMarkdown(text).forEach(block => {
+      if (block.type === 'heading') {
+        children.push(new Paragraph({
+          children: toRuns(block.text, { bold: true, size: [26, 24, 22][block.level - 1] }),
+          indent: { left: indent },
+          spacing: { before: 120 },
+        }));
+      } else if (block.type === 'list') {
+        const instance = ++lists.count;
+
+        block.items.forEach(item => {
+          children.push(new Paragraph({
+            children: toRuns(item.text),
+            numbering: item.ordered
+              ? { reference: 'answer-numbers', level: item.level, instance }
+              : { reference: 'answer-bullets', level: item.level },
+          }));
+        });
+      } else if (block.type === 'table') {
+        children.push(new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [block.header, ...block.rows].map((cells, r) => new TableRow({
+            tableHeader: r === 0,
+            children: cells.map(cell => new TableCell({
+              children: [new Paragraph({ children: toRuns(cell, { bold: r === 0 }) })],
+            })),
+          })),
+        }));
+      } else if (block.type === 'code') {
+        block.text.split('\n').forEach(line => {
+          children.push(new Paragraph({
+            children: [new TextRun({ text: line, font: 'Courier New', size: 18 })],
+            indent: { left: indent },
+          }));
+        });
+      } else {
+        children.push(new Paragraph({
+          children: toRuns(block.text),
+          indent: { left: indent },
+        }));
+      }
+    });
+
+    return children;
+  }
+
   groupBySection(questions = []) {
     return questions.reduce((acc, q) => {
       const section = q.section || 'General';
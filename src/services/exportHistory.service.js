@@ -0,0 +1,148 @@
+import { PutCommand, GetCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES, BUCKETS } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { documentExportService, PROPOSAL_EXPORT_FORMATS } from './export.service.js';
+import { companyService } from './company.service.js';
+import { s3Service } from './s3.service.js';
+
+const getUrlExpirySeconds = () => parseInt(process.env.EXPORT_URL_EXPIRY_SECONDS) || 3600;
+
+/**
+ * Proposal exports made through the export endpoints. Every attempt is recorded
+ * (status completed or failed); the export quota is only charged for completed ones.
+ */
+class ExportHistoryService {
+  async saveExport(record) {
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.EXPORTS,
+        Item: record,
+      }));
+
+      return record;
+    } catch (error) {
+      logger.error('Error saving export record:', error);
+      throw error;
+    }
+  }
+
+  async getExport(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.EXPORTS,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting export record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exports of a proposal, newest first
+   */
+  async listProposalExports(proposalId, limit = 50) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.EXPORTS,
+        IndexName: 'ProposalIdIndex',
+        KeyConditionExpression: 'proposalId = :proposalId',
+        ExpressionAttributeValues: {
+          ':proposalId': proposalId,
+        },
+        ScanIndexForward: false,
+        Limit: limit,
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing proposal exports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Time-limited download link of a completed export
+   * @returns {Promise<Object>} { downloadUrl, expiresAt }
+   */
+  async getDownloadUrl(record) {
+    const expiresIn = getUrlExpirySeconds();
+
+    return {
+      downloadUrl: await s3Service.getSignedUrl(record.fileKey, BUCKETS.DOCUMENTS, expiresIn),
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Export a proposal, store the file and charge the company's export quota
+   * @param {Object} params - { proposal, format, company, user }
+   * @returns {Promise<Object>} { record, downloadUrl, expiresAt, company }
+   * @throws {AppError} If the format is invalid or the export limit is reached
+   */
+  async createExport({ proposal, format, company, user }) {
+    if (!PROPOSAL_EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of ${PROPOSAL_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    if (format === 'xlsx' && proposal.sourceFormat !== 'spreadsheet') {
+      throw new AppError('Only proposals imported from a spreadsheet can be exported as xlsx', 400);
+    }
+
+    const record = {
+      id: uuidv4(),
+      proposalId: proposal.id,
+      companyId: proposal.companyId,
+      format,
+      status: 'completed',
+      createdBy: user.id,
+      createdAt: new Date().toISOString(),
+    };
+
+    let file;
+
+    try {
+      file = await documentExportService.exportAndUpload(
+        proposal.id,
+        format,
+        `exports/${proposal.companyId}/${proposal.id}`
+      );
+    } catch (error) {
+      await this.saveExport({ ...record, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    // Charged only now that the file exists; the condition also guards against concurrent exports
+    const updatedCompany = await companyService.chargeExport(proposal.companyId);
+
+    if (!updatedCompany) {
+      await s3Service.deleteFile(file.key).catch(() => {});
+      await this.saveExport({ ...record, status: 'failed', error: 'Monthly export limit reached' });
+      throw new AppError(`Monthly export limit (${company.limits.maxMonthlyExports}) reached.`, 403);
+    }
+
+    const title = (proposal.title || 'proposal').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'proposal';
+
+    const completed = await this.saveExport({
+      ...record,
+      fileKey: file.key,
+      fileName: `${title}.${file.extension}`,
+      contentType: file.contentType,
+      size: file.size,
+    });
+
+    logger.info(`Proposal ${proposal.id} exported as ${format} by ${user.id}`);
+
+    return {
+      record: completed,
+      ...(await this.getDownloadUrl(completed)),
+      company: updatedCompany,
+    };
+  }
+}
+
+export const exportHistoryService = new ExportHistoryService();
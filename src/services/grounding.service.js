@@ -0,0 +1,161 @@
+import { getEmbeddingProvider, cosineSimilarity } from './embedding.service.js';
+import { tokenize } from '../utils/text.js';
+
+// Sentences with fewer search terms than this are connective text, not claims
+const MIN_CLAIM_TERMS = 3;
+
+// Weights of the confidence components; missing components are left out and the rest rescaled
+const CONFIDENCE_WEIGHTS = {
+  retrieval: 0.3,
+  grounding: 0.5,
+  selfAssessment: 0.2,
+};
+
+const getGroundingThreshold = () => parseFloat(process.env.GROUNDING_THRESHOLD) || 0.45;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split answer text into sentences (list items count as sentences)
+ * @param {string} text - Answer text
+ * @returns {Array<string>} Sentences
+ */
+export const splitSentences = (text = '') => {
+  return text
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean)
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Share of the sentence's terms that appear in the passage
+ */
+const termContainment = (sentenceTerms, passageTerms) => {
+  if (sentenceTerms.length === 0) return 0;
+  const matched = sentenceTerms.filter(term => passageTerms.has(term)).length;
+  return matched / sentenceTerms.length;
+};
+
+/**
+ * Check each sentence of an answer against the passages it was generated from.
+ * A sentence is supported when its terms are contained in a passage or it is
+ * semantically close to one; supporting passages become its citations.
+ * @param {string} answer - Answer text
+ * @param {Array<Object>} passages - Passages ({ documentId, title, snippet })
+ * @returns {Promise<Object>} { sentences, unsupportedClaims, groundingScore, citedPassages }
+ */
+export const verifyCitations = async (answer, passages = []) => {
+  const threshold = getGroundingThreshold();
+  const sentences = splitSentences(answer);
+
+  if (sentences.length === 0) {
+    return { sentences: [], unsupportedClaims: [], groundingScore: null, citedPassages: [] };
+  }
+
+  const passageTerms = passages.map(p => new Set(tokenize(`${p.title} ${p.snippet}`)));
+
+  let sentenceVectors = [];
+  let passageVectors = [];
+  if (passages.length > 0) {
+    const vectors = await getEmbeddingProvider().embed([
+      ...sentences,
+      ...passages.map(p => p.snippet),
+    ]);
+    sentenceVectors = vectors.slice(0, sentences.length);
+    passageVectors = vectors.slice(sentences.length);
+  }
+
+  const cited = new Set();
+
+  const results = sentences.map((text, index) => {
+    const terms = [...new Set(tokenize(text))];
+    const isClaim = terms.length >= MIN_CLAIM_TERMS;
+
+    const support = passages.map((passage, i) => ({
+      passageIndex: i,
+      score: round(Math.max(
+        termContainment(terms, passageTerms[i]),
+        cosineSimilarity(sentenceVectors[index], passageVectors[i])
+      )),
+    }));
+
+    const citations = support
+      .filter(s => s.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 2)
+      .map(s => {
+        cited.add(s.passageIndex);
+        return {
+          passageIndex: s.passageIndex,
+          documentId: passages[s.passageIndex].documentId,
+          title: passages[s.passageIndex].title,
+          score: s.score,
+        };
+      });
+
+    return {
+      index,
+      text,
+      isClaim,
+      supported: !isClaim || citations.length > 0,
+      score: support.length > 0 ? Math.max(...support.map(s => s.score)) : 0,
+      citations,
+    };
+  });
+
+  const claims = results.filter(s => s.isClaim);
+  const supportedClaims = claims.filter(s => s.supported);
+
+  return {
+    sentences: results,
+    unsupportedClaims: claims
+      .filter(s => !s.supported)
+      .map(s => ({ sentenceIndex: s.index, text: s.text, score: s.score })),
+    groundingScore: claims.length > 0 ? round(supportedClaims.length / claims.length) : null,
+    citedPassages: [...cited].sort((a, b) => a - b),
+  };
+};
+
+/**
+ * Average score of the best retrieved passages
+ * @param {Array<Object>} passages - Passages with a retrieval score
+ * @returns {number} Retrieval score in [0, 1] (0 without passages)
+ */
+export const retrievalScore = (passages = [], top = 3) => {
+  const scores = passages
+    .map(p => p.score || 0)
+    .sort((a, b) => b - a)
+    .slice(0, top);
+
+  if (scores.length === 0) return 0;
+  return round(Math.min(1, scores.reduce((sum, s) => sum + s, 0) / scores.length));
+};
+
+/**
+ * Combine the evidence for an answer into one confidence value
+ * @param {Object} components - { retrieval, grounding, selfAssessment } in [0, 1]; null when unavailable
+ * @returns {number} Confidence in [0, 1]
+ */
+export const computeConfidence = (components) => {
+  let total = 0;
+  let weights = 0;
+
+  Object.entries(CONFIDENCE_WEIGHTS).forEach(([name, weight]) => {
+    const value = components[name];
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    total += weight * Math.max(0, Math.min(1, value));
+    weights += weight;
+  });
+
+  return weights > 0 ? round(total / weights) : 0;
+};
+
+export default {
+  splitSentences,
+  verifyCitations,
+  retrievalScore,
+  computeConfidence,
+};
@@ -0,0 +1,204 @@
+import { PutCommand, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { getQueue } from './queue.service.js';
+
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.consuming = false;
+  }
+
+  /**
+   * Register the function that performs a job type
+   * @param {string} type - Job type (e.g. 'rfp.process')
+   * @param {Function} handler - async (job, { updateProgress }) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async createJob(data) {
+    try {
+      const job = {
+        id: uuidv4(),
+        type: data.type,
+        status: 'queued',
+        progress: 0,
+        stage: 'queued',
+        payload: data.payload || {},
+        result: null,
+        error: null,
+        // companyId is the hash key of CompanyIdIndex, so platform-wide jobs (no company)
+        // leave it off instead of writing null
+        ...(data.companyId && { companyId: data.companyId }),
+        proposalId: data.proposalId || null,
+        createdBy: data.createdBy,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.JOBS,
+        Item: job,
+      }));
+
+      logger.info(`Job created: ${job.id} (${job.type})`);
+      return job;
+    } catch (error) {
+      logger.error('Error creating job:', error);
+      throw error;
+    }
+  }
+
+  async getJob(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.JOBS,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting job:', error);
+      throw error;
+    }
+  }
+
+  async updateJob(id, updates) {
+    try {
+      const updateExpressions = [];
+      const expressionAttributeNames = {};
+      const expressionAttributeValues = {};
+
+      Object.entries(updates).forEach(([key, value], index) => {
+        updateExpressions.push(`#attr${index} = :val${index}`);
+        expressionAttributeNames[`#attr${index}`] = key;
+        expressionAttributeValues[`:val${index}`] = value;
+      });
+
+      updateExpressions.push('#updatedAt = :updatedAt');
+      expressionAttributeNames['#updatedAt'] = 'updatedAt';
+      expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.JOBS,
+        Key: { id },
+        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return response.Attributes;
+    } catch (error) {
+      logger.error('Error updating job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a job record and put it on the processing queue
+   * @param {Object} data - { type, payload, companyId, proposalId, createdBy }
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(data) {
+    const job = await this.createJob(data);
+    await this.dispatch(job);
+    return job;
+  }
+
+  /**
+   * Put an existing job record on the processing queue
+   * @param {Object} job - Job created with createJob
+   */
+  async dispatch(job) {
+    if (!this.handlers.has(job.type)) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    const queue = getQueue();
+
+    // The in-memory queue can only be consumed by this process
+    if (queue.name === 'memory') {
+      this.startConsumer();
+    }
+
+    await queue.send({ jobId: job.id });
+  }
+
+  /**
+   * Start consuming the processing queue in this process
+   * @returns {Promise<void>|undefined} Polling loop (SQS) or nothing (in-memory)
+   */
+  startConsumer() {
+    if (this.consuming) return undefined;
+    this.consuming = true;
+
+    return getQueue().consume(message => this.processJob(message.jobId));
+  }
+
+  /**
+   * Run a queued job with its registered handler, recording progress and outcome
+   * @param {string} jobId - Job ID
+   */
+  async processJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      logger.warn(`Job not found, skipping: ${jobId}`);
+      return;
+    }
+
+    if (job.status === 'completed') {
+      logger.info(`Job already completed, skipping: ${jobId}`);
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      await this.updateJob(jobId, {
+        status: 'failed',
+        error: `No handler registered for job type: ${job.type}`,
+      });
+      return;
+    }
+
+    await this.updateJob(jobId, {
+      status: 'running',
+      stage: 'started',
+      attempts: (job.attempts || 0) + 1,
+      startedAt: new Date().toISOString(),
+    });
+
+    const updateProgress = (progress, stage) => this.updateJob(jobId, { progress, stage });
+
+    try {
+      const result = await handler(job, { updateProgress });
+
+      await this.updateJob(jobId, {
+        status: 'completed',
+        progress: 100,
+        stage: 'completed',
+        result: result || null,
+        completedAt: new Date().toISOString(),
+      });
+
+      logger.info(`Job completed: ${jobId}`);
+    } catch (error) {
+      logger.error(`Job failed: ${jobId}`, error);
+
+      await this.updateJob(jobId, {
+        status: 'failed',
+        stage: 'failed',
+        error: error.message,
+        completedAt: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+export const jobService = new JobService();
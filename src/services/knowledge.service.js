@@ -0,0 +1,238 @@
+import { QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { getEmbeddingProvider } from './embedding.service.js';
+import { getVectorStore } from './vector.service.js';
+import { chunkText } from './document.service.js';
+import { tokenize } from '../utils/text.js';
+
+// Version a document was indexed at; any edit changes updatedAt
+const getDocumentVersion = (doc) => doc.updatedAt || doc.createdAt || '';
+
+class KnowledgeService {
+  constructor() {
+    this.passageSize = 800;
+    this.indexing = new Map();
+    // How often a local index is compared with the company's documents
+    this.indexRecheckMs = 30 * 1000;
+    this.indexCheckedAt = new Map();
+  }
+
+  async listCompanyDocuments(companyId) {
+    try {
+      const command = new QueryCommand({
+        TableName: TABLES.KNOWLEDGE,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: {
+          ':companyId': companyId,
+        },
+      });
+
+      const response = await docClient.send(command);
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing company knowledge documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a knowledge document into passages that are embedded and searched
+   * @param {Object} doc - Knowledge document
+   * @returns {Array<Object>} Chunks without vectors
+   */
+  chunkDocument(doc) {
+    return chunkText(doc.content || '', this.passageSize).map((text, i) => ({
+      id: `${doc.id}#${i}`,
+      companyId: doc.companyId,
+      documentId: doc.id,
+      chunkIndex: i,
+      title: doc.title,
+      text,
+    }));
+  }
+
+  getStore() {
+    return getVectorStore(getEmbeddingProvider().dimension);
+  }
+
+  /**
+   * Embed a document's chunks and (re)place them in the vector store
+   * @param {Object} doc - Knowledge document
+   */
+  async indexDocument(doc) {
+    try {
+      const store = this.getStore();
+      const chunks = this.chunkDocument(doc);
+      const vectors = await getEmbeddingProvider().embed(chunks.map(c => `${c.title}\n${c.text}`));
+
+      await store.deleteDocument(doc.companyId, doc.id);
+      await store.upsert(chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] })));
+      await store.markIndexed(doc.companyId, doc.id, getDocumentVersion(doc));
+
+      logger.info(`Knowledge document indexed: ${doc.id} (${chunks.length} chunks)`);
+    } catch (error) {
+      logger.error('Error indexing knowledge document:', error);
+      throw error;
+    }
+  }
+
+  async removeDocument(doc) {
+    try {
+      await this.getStore().deleteDocument(doc.companyId, doc.id);
+      logger.info(`Knowledge document removed from index: ${doc.id}`);
+    } catch (error) {
+      logger.error('Error removing knowledge document from index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a local index up to date with the company's documents. Each process has its own
+   * local index (empty after a restart), so documents added, edited or deleted by another
+   * API instance or worker are picked up here by comparing versions. Persistent stores are
+   * written by every process and need no sync.
+   * @param {string} companyId - Company ID
+   */
+  async ensureCompanyIndexed(companyId) {
+    const store = this.getStore();
+    const indexed = await store.getIndexedVersions(companyId);
+
+    if (!indexed) {
+      return;
+    }
+
+    const checked = this.indexCheckedAt.get(companyId);
+    if (checked?.store === store && Date.now() - checked.at < this.indexRecheckMs) {
+      return;
+    }
+
+    if (!this.indexing.has(companyId)) {
+      const sync = (async () => {
+        const documents = await this.listCompanyDocuments(companyId);
+        const documentIds = new Set(documents.map(doc => doc.id));
+
+        for (const doc of documents) {
+          if (indexed.get(doc.id) === getDocumentVersion(doc)) continue;
+
+          try {
+            await this.indexDocument(doc);
+          } catch (error) {
+            // Not marked as indexed, so the next sync retries it
+            logger.warn(`Skipping knowledge document ${doc.id} during sync: ${error.message}`);
+          }
+        }
+
+        for (const documentId of indexed.keys()) {
+          if (!documentIds.has(documentId)) {
+            await store.deleteDocument(companyId, documentId);
+          }
+        }
+
+        this.indexCheckedAt.set(companyId, { store, at: Date.now() });
+      })().finally(() => this.indexing.delete(companyId));
+
+      this.indexing.set(companyId, sync);
+    }
+
+    await this.indexing.get(companyId);
+  }
+
+  /**
+   * Search a company's knowledge passages
+   * @param {string} companyId - Company ID
+   * @param {string} query - Search text
+   * @param {Object} options - { topK, mode: 'keyword' | 'semantic' | 'hybrid', alpha, minScore }
+   * @returns {Promise<Array<Object>>} Passages ({ id, documentId, title, snippet, score, lexicalScore, vectorScore })
+   */
+  async search(companyId, query, options = {}) {
+    const {
+      topK = 10,
+      mode = 'hybrid',
+      alpha = parseFloat(process.env.HYBRID_SEARCH_ALPHA) || 0.6,
+      minScore = 0,
+    } = options;
+
+    await this.ensureCompanyIndexed(companyId);
+
+    const store = this.getStore();
+    const candidateCount = topK * 4;
+
+    const lexical = mode === 'semantic'
+      ? []
+      : await store.lexicalSearch(companyId, query, candidateCount);
+
+    let semantic = [];
+    if (mode !== 'keyword') {
+      const [queryVector] = await getEmbeddingProvider().embed([query]);
+      semantic = await store.vectorSearch(companyId, queryVector, candidateCount);
+    }
+
+    const lexicalWeight = mode === 'keyword' ? 1 : mode === 'semantic' ? 0 : 1 - alpha;
+    const vectorWeight = mode === 'keyword' ? 0 : mode === 'semantic' ? 1 : alpha;
+
+    const merged = new Map();
+
+    const merge = (results, field) => {
+      results.forEach(result => {
+        const entry = merged.get(result.id) || {
+          id: result.id,
+          documentId: result.documentId,
+          chunkIndex: result.chunkIndex,
+          title: result.title,
+          snippet: result.text,
+          lexicalScore: 0,
+          vectorScore: 0,
+        };
+        entry[field] = result.score;
+        merged.set(result.id, entry);
+      });
+    };
+
+    merge(lexical, 'lexicalScore');
+    merge(semantic, 'vectorScore');
+
+    return [...merged.values()]
+      .map(entry => ({
+        ...entry,
+        score: lexicalWeight * entry.lexicalScore + vectorWeight * entry.vectorScore,
+      }))
+      .filter(entry => entry.score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Retrieve the knowledge passages that best support an answer to a question
+   * @param {string} companyId - Company whose knowledge base is searched
+   * @param {string} question - Question text
+   * @param {number} topK - Maximum number of passages
+   * @returns {Promise<Array<Object>>} Passages ({ documentId, title, snippet, score })
+   */
+  async retrieveRelevantPassages(companyId, question, topK = 5) {
+    if (!companyId || !question) {
+      return [];
+    }
+
+    try {
+      return await this.search(companyId, question, {
+        topK,
+        mode: 'hybrid',
+        minScore: 0.15,
+      });
+    } catch (error) {
+      logger.warn(`Hybrid retrieval failed, using keyword retrieval: ${error.message}`);
+    }
+
+    try {
+      return await this.search(companyId, question, { topK, mode: 'keyword' });
+    } catch (error) {
+      // Answers are still generated, just without knowledge passages
+      logger.error('Keyword retrieval failed:', error);
+      return [];
+    }
+  }
+}
+
+export const knowledgeService = new KnowledgeService();
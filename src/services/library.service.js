@@ -0,0 +1,288 @@
+import {
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+} from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { getEmbeddingProvider, cosineSimilarity } from './embedding.service.js';
+
+// Proposal statuses that mean the proposal is finished and its answers can be reused
+export const PROPOSAL_COMPLETED_STATUSES = ['completed', 'submitted', 'won'];
+
+const DEFAULT_REVIEW_DAYS = 365;
+
+class AnswerLibraryService {
+  constructor() {
+    // Question embeddings keyed by entry id, invalidated when the entry changes
+    this.vectors = new Map();
+  }
+
+  defaultReviewDate() {
+    const days = parseInt(process.env.ANSWER_LIBRARY_REVIEW_DAYS) || DEFAULT_REVIEW_DAYS;
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString();
+  }
+
+  isExpired(entry) {
+    return Boolean(entry.reviewDate) && new Date(entry.reviewDate) < new Date();
+  }
+
+  async createEntry(data) {
+    try {
+      const entry = {
+        id: uuidv4(),
+        companyId: data.companyId,
+        question: data.question,
+        answer: data.answer,
+        category: data.category || 'general',
+        tags: data.tags || [],
+        ownerId: data.ownerId || data.createdBy,
+        reviewDate: data.reviewDate || this.defaultReviewDate(),
+        sourceProposalId: data.sourceProposalId || null,
+        sourceQuestionId: data.sourceQuestionId || null,
+        createdBy: data.createdBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.ANSWER_LIBRARY,
+        Item: entry,
+      }));
+
+      logger.info(`Answer library entry created: ${entry.id}`);
+      return entry;
+    } catch (error) {
+      logger.error('Error creating answer library entry:', error);
+      throw error;
+    }
+  }
+
+  async getEntry(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.ANSWER_LIBRARY,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting answer library entry:', error);
+      throw error;
+    }
+  }
+
+  async updateEntry(id, updates) {
+    try {
+      const updateExpressions = [];
+      const expressionAttributeNames = {};
+      const expressionAttributeValues = {};
+
+      Object.entries(updates).forEach(([key, value], index) => {
+        if (key !== 'id' && key !== 'companyId' && key !== 'createdAt') {
+          updateExpressions.push(`#attr${index} = :val${index}`);
+          expressionAttributeNames[`#attr${index}`] = key;
+          expressionAttributeValues[`:val${index}`] = value;
+        }
+      });
+
+      updateExpressions.push('#updatedAt = :updatedAt');
+      expressionAttributeNames['#updatedAt'] = 'updatedAt';
+      expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.ANSWER_LIBRARY,
+        Key: { id },
+        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      this.vectors.delete(id);
+      logger.info(`Answer library entry updated: ${id}`);
+
+      return response.Attributes;
+    } catch (error) {
+      logger.error('Error updating answer library entry:', error);
+      throw error;
+    }
+  }
+
+  async deleteEntry(id) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.ANSWER_LIBRARY,
+        Key: { id },
+      }));
+
+      this.vectors.delete(id);
+      logger.info(`Answer library entry deleted: ${id}`);
+    } catch (error) {
+      logger.error('Error deleting answer library entry:', error);
+      throw error;
+    }
+  }
+
+  async listCompanyEntries(companyId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.ANSWER_LIBRARY,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: {
+          ':companyId': companyId,
+        },
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing answer library entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the approved answer of a proposal question, updating the entry that
+   * was harvested from the same question before (if any)
+   * @param {Object} proposal - Proposal
+   * @param {Object} question - Proposal question with a finalAnswer
+   * @param {Object} options - { createdBy, tags, ownerId, reviewDate, existing }
+   * @returns {Promise<Object>} Library entry
+   */
+  async saveFromQuestion(proposal, question, options = {}) {
+    const existing = options.existing !== undefined
+      ? options.existing
+      : (await this.listCompanyEntries(proposal.companyId)).find(entry =>
+        entry.sourceProposalId === proposal.id && entry.sourceQuestionId === question.id);
+
+    if (existing) {
+      return this.updateEntry(existing.id, {
+        question: question.question,
+        answer: question.finalAnswer,
+        ...(options.tags && { tags: options.tags }),
+        ...(options.ownerId && { ownerId: options.ownerId }),
+        ...(options.reviewDate && { reviewDate: options.reviewDate }),
+      });
+    }
+
+    return this.createEntry({
+      companyId: proposal.companyId,
+      question: question.question,
+      answer: question.finalAnswer,
+      category: question.category,
+      tags: options.tags || [],
+      ownerId: options.ownerId || question.updatedBy || proposal.userId,
+      reviewDate: options.reviewDate,
+      sourceProposalId: proposal.id,
+      sourceQuestionId: question.id,
+      createdBy: options.createdBy,
+    });
+  }
+
+  /**
+   * Save every approved answer of a finished proposal into the library
+   * @param {Object} proposal - Proposal
+   * @param {string} userId - User who triggered the harvest
+   * @returns {Promise<Array<Object>>} Created or updated entries
+   */
+  async harvestProposal(proposal, userId) {
+    try {
+      const approved = (proposal.questions || []).filter(q =>
+        q.status === 'approved' && q.finalAnswer && q.finalAnswer.trim());
+
+      if (approved.length === 0) {
+        return [];
+      }
+
+      const entries = await this.listCompanyEntries(proposal.companyId);
+      const saved = [];
+
+      for (const question of approved) {
+        const existing = entries.find(entry =>
+          entry.sourceProposalId === proposal.id && entry.sourceQuestionId === question.id);
+
+        saved.push(await this.saveFromQuestion(proposal, question, {
+          createdBy: userId,
+          existing: existing || null,
+        }));
+      }
+
+      logger.info(`Harvested ${saved.length} approved answers from proposal ${proposal.id}`);
+      return saved;
+    } catch (error) {
+      logger.error('Error harvesting proposal answers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Embed entry questions, reusing cached vectors for entries that have not changed
+   */
+  async getEntryVectors(entries) {
+    const missing = entries.filter(entry => {
+      const cached = this.vectors.get(entry.id);
+      return !cached || cached.updatedAt !== entry.updatedAt;
+    });
+
+    if (missing.length > 0) {
+      const vectors = await getEmbeddingProvider().embed(missing.map(entry => entry.question));
+      missing.forEach((entry, i) => {
+        this.vectors.set(entry.id, { updatedAt: entry.updatedAt, vector: vectors[i] });
+      });
+    }
+
+    return entries.map(entry => this.vectors.get(entry.id).vector);
+  }
+
+  /**
+   * Find previously approved answers to questions similar to a new one
+   * @param {string} companyId - Company ID
+   * @param {string} question - New question text
+   * @param {Object} options - { topK, minScore, includeExpired, tags }
+   * @returns {Promise<Array<Object>>} Entries with a similarity score, best first
+   */
+  async findMatches(companyId, question, options = {}) {
+    const {
+      topK = 5,
+      minScore = 0.3,
+      includeExpired = false,
+      tags = [],
+    } = options;
+
+    try {
+      const entries = (await this.listCompanyEntries(companyId)).filter(entry => {
+        if (!includeExpired && this.isExpired(entry)) return false;
+        if (tags.length > 0 && !(entry.tags || []).some(tag => tags.includes(tag))) return false;
+        return true;
+      });
+
+      if (entries.length === 0) {
+        return [];
+      }
+
+      const [queryVector] = await getEmbeddingProvider().embed([question]);
+      const vectors = await this.getEntryVectors(entries);
+
+      return entries
+        .map((entry, i) => ({
+          ...entry,
+          expired: this.isExpired(entry),
+          similarity: Math.max(0, cosineSimilarity(queryVector, vectors[i])),
+        }))
+        .filter(match => match.similarity >= minScore)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, topK);
+    } catch (error) {
+      logger.error('Error matching answer library entries:', error);
+      throw error;
+    }
+  }
+}
+
+export const answerLibraryService = new AnswerLibraryService();
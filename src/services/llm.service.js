@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import {
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand,
+} from '@aws-sdk/client-bedrock-runtime';
+import { bedrockClient } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+/**
+ * LLM providers generate text from a single user prompt.
+ * Every provider exposes the same shape:
+ *   { name, defaultModel,
+ *     complete(prompt, options) => Promise<string>,
+ *     stream(prompt, options) => AsyncIterable<string> }
+ * Options: { modelId, maxTokens, temperature, topP, signal }
+ * Providers throw ModelUnavailableError when the model cannot be reached at all.
+ */
+
+export const LLM_PROVIDERS = ['bedrock', 'openai', 'mock'];
+
+/**
+ * Providers a company can choose. The mock provider answers with canned text, so
+ * companies cannot select it in production.
+ * @returns {Array<string>} Provider names
+ */
+export const getSelectableProviders = () => (process.env.NODE_ENV === 'production'
+  ? LLM_PROVIDERS.filter(name => name !== 'mock')
+  : LLM_PROVIDERS);
+
+/**
+ * The configured model could not be reached (missing model, credentials or network)
+ */
+export class ModelUnavailableError extends AppError {
+  constructor(message = 'AI model is not available') {
+    super(message, 503);
+    this.name = 'ModelUnavailableError';
+  }
+}
+
+const UNAVAILABLE_ERRORS = [
+  'ResourceNotFoundException',
+  'CredentialsProviderError',
+  'ENOTFOUND',
+  'ECONNREFUSED',
+];
+
+const isUnavailableError = (error) => {
+  return UNAVAILABLE_ERRORS.includes(error.name) || UNAVAILABLE_ERRORS.includes(error.code);
+};
+
+/**
+ * Anthropic Claude models through AWS Bedrock
+ */
+export class BedrockLLMProvider {
+  constructor(defaultModel = 'anthropic.claude-3-5-sonnet-20240620-v1:0') {
+    this.name = 'bedrock';
+    this.defaultModel = defaultModel;
+  }
+
+  buildCommand(Command, prompt, options) {
+    const {
+      modelId = this.defaultModel,
+      maxTokens = 2000,
+      temperature = 0.7,
+      topP = 0.9,
+    } = options;
+
+    return new Command({
+      modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify({
+        anthropic_version: 'bedrock-2023-05-31',
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+      }),
+    });
+  }
+
+  async send(command, signal) {
+    try {
+      return await bedrockClient.send(command, { abortSignal: signal });
+    } catch (error) {
+      if (!signal?.aborted && isUnavailableError(error)) {
+        throw new ModelUnavailableError(`Bedrock model unavailable: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async complete(prompt, options = {}) {
+    const response = await this.send(this.buildCommand(InvokeModelCommand, prompt, options), options.signal);
+    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+
+    return responseBody.content[0].text;
+  }
+
+  async* stream(prompt, options = {}) {
+    const response = await this.send(
+      this.buildCommand(InvokeModelWithResponseStreamCommand, prompt, options),
+      options.signal
+    );
+
+    for await (const event of response.body) {
+      if (!event.chunk?.bytes) continue;
+
+      const chunk = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+      if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+        yield chunk.delta.text;
+      }
+    }
+  }
+}
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LiteLLM, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, defaultModel }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+  }
+
+  async request(prompt, options, stream) {
+    const {
+      modelId = this.defaultModel,
+      maxTokens = 2000,
+      temperature = 0.7,
+      topP = 0.9,
+      signal,
+    } = options;
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        },
+        body: JSON.stringify({
+          model: modelId,
+          max_tokens: maxTokens,
+          temperature,
+          top_p: topP,
+          stream,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+            },
+          ],
+        }),
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw new ModelUnavailableError(`LLM endpoint unreachable: ${error.cause?.message || error.message}`);
+    }
+
+    if (response.status === 404) {
+      throw new ModelUnavailableError(`LLM model not found: ${modelId}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`LLM request failed with status ${response.status}: ${await response.text()}`);
+    }
+
+    return response;
+  }
+
+  async complete(prompt, options = {}) {
+    const response = await this.request(prompt, options, false);
+    const responseBody = await response.json();
+
+    return responseBody.choices[0].message.content;
+  }
+
+  async* stream(prompt, options = {}) {
+    const response = await this.request(prompt, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // The body is a Server-Sent Events stream of chat.completion.chunk objects
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.substring(5).trim();
+        if (data === '[DONE]') return;
+
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Responses depend only on the prompt and are clearly marked as mock output.
+ */
+export class MockLLMProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock-1';
+  }
+
+  async complete(prompt) {
+    // Callers that parse JSON (e.g. requirement extraction) get a valid empty result
+    if (/JSON array/i.test(prompt)) {
+      return '[]';
+    }
+
+    const question = prompt.match(/^\s*(?:Original )?Question:\s*(.+)$/m);
+    const digest = crypto.createHash('md5').update(prompt).digest('hex').substring(0, 8);
+
+    if (question) {
+      return `[mock ${digest}] This is a mock response to: ${question[1].trim()}`;
+    }
+
+    return `[mock ${digest}] This is a mock response.`;
+  }
+
+  async* stream(prompt, options = {}) {
+    const text = await this.complete(prompt, options);
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (options.signal?.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      yield token;
+    }
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Get an LLM provider by name (defaults to LLM_PROVIDER=bedrock|openai|mock)
+ * @param {string} name - Provider name
+ * @returns {Object} LLM provider
+ */
+export const getLLMProvider = (name = process.env.LLM_PROVIDER || 'bedrock') => {
+  if (providers.has(name)) return providers.get(name);
+
+  let provider;
+
+  switch (name) {
+    case 'bedrock':
+      provider = new BedrockLLMProvider(process.env.BEDROCK_MODEL_ID || undefined);
+      break;
+
+    case 'openai':
+      provider = new OpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      });
+      break;
+
+    case 'mock':
+      provider = new MockLLMProvider();
+      break;
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  providers.set(name, provider);
+  logger.info(`LLM provider: ${provider.name} (default model ${provider.defaultModel})`);
+  return provider;
+};
+
+/**
+ * Replace an LLM provider (e.g. with a deterministic one in tests)
+ * @param {Object} customProvider - Provider implementing complete/stream
+ */
+export const setLLMProvider = (customProvider) => {
+  providers.set(customProvider.name, customProvider);
+};
+
+/**
+ * Model selection stored on a company record (settings.llmProvider / settings.llmModel).
+ * A stored provider that can no longer be selected falls back to the platform default.
+ * @param {Object} company - Company record
+ * @returns {Object} Model options ({ provider, modelId }) for the AI service
+ */
+export const getCompanyModelOptions = (company) => {
+  const settings = company?.settings || {};
+
+  // The stored model belongs to that provider, so it is dropped as well
+  if (settings.llmProvider && !getSelectableProviders().includes(settings.llmProvider)) {
+    return {};
+  }
+
+  return {
+    ...(settings.llmProvider && { provider: settings.llmProvider }),
+    ...(settings.llmModel && { modelId: settings.llmModel }),
+  };
+};
+
+export default {
+  LLM_PROVIDERS,
+  getSelectableProviders,
+  ModelUnavailableError,
+  BedrockLLMProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  getLLMProvider,
+  setLLMProvider,
+  getCompanyModelOptions,
+};
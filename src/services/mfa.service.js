@@ -0,0 +1,425 @@
+import { PutCommand, GetCommand, UpdateCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { generateSecret, verifyCode, buildOtpauthUrl } from '../utils/totp.js';
+import { userService } from './user.service.js';
+
+const RECOVERY_CODE_COUNT = 10;
+// Wrong second factors in a row before MFA verification is locked
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const getIssuer = () => process.env.MFA_ISSUER || 'Auto RFP';
+const getChallengeExpiry = () => process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+});
+
+/**
+ * TOTP multi-factor authentication. Secrets and recovery code hashes live in their own
+ * table so they never travel with user records; the user only carries `mfaEnabled`.
+ *
+ * Signing in with MFA takes two steps: the password step returns a short-lived challenge
+ * token, which is exchanged for a session together with a code from the authenticator app
+ * or a single-use recovery code. Companies can require MFA (settings.requireMfa), in which
+ * case users without it enroll during login.
+ *
+ * Wrong factors are counted per user; after MAX_FAILED_ATTEMPTS in a row verification is
+ * locked for LOCKOUT_MS and outstanding login challenges stop working (an admin MFA reset
+ * clears the lock).
+ */
+class MfaService {
+  async getRecord(userId) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting MFA record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a company makes MFA mandatory for a user (superadmins are not company users)
+   */
+  isRequired(user, company) {
+    return user.role !== 'superadmin' && Boolean(company?.settings?.requireMfa);
+  }
+
+  /**
+   * MFA status shown to the user
+   */
+  async getStatus(user, company) {
+    const record = await this.getRecord(user.id);
+
+    return {
+      enabled: Boolean(record?.enabled),
+      required: this.isRequired(user, company),
+      enabledAt: record?.enabledAt || null,
+      recoveryCodesRemaining: record?.enabled ? record.recoveryCodeHashes.length : 0,
+    };
+  }
+
+  /**
+   * Generate a secret for the user to add to their authenticator app.
+   * MFA is not enabled until a code is confirmed with confirmEnrollment.
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} { secret, otpauthUrl } (render otpauthUrl as a QR code)
+   * @throws {AppError} 409 if MFA is already enabled
+   */
+  async startEnrollment(user) {
+    const record = await this.getRecord(user.id);
+
+    if (record?.enabled) {
+      throw new AppError('MFA is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.USER_MFA,
+        Item: {
+          userId: user.id,
+          email: user.email,
+          companyId: user.companyId || null,
+          enabled: false,
+          secret: null,
+          pendingSecret: secret,
+          recoveryCodeHashes: [],
+          lastUsedStep: null,
+          enabledAt: null,
+          createdAt: record?.createdAt || new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        },
+        // A concurrent confirmation must not be overwritten
+        ConditionExpression: 'attribute_not_exists(userId) OR enabled = :false',
+        ExpressionAttributeValues: { ':false': false },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new AppError('MFA is already enabled', 409);
+      }
+      logger.error('Error starting MFA enrollment:', error);
+      throw error;
+    }
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: getIssuer() }),
+    };
+  }
+
+  /**
+   * Enable MFA once the user proves their app produces valid codes
+   * @param {Object} user - User record
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>>} Recovery codes (shown once)
+   * @throws {AppError} 400 if enrollment was not started or the code is wrong
+   */
+  async confirmEnrollment(user, code) {
+    const record = await this.getRecord(user.id);
+
+    if (record?.enabled) {
+      throw new AppError('MFA is already enabled', 409);
+    }
+
+    if (!record?.pendingSecret) {
+      throw new AppError('Start MFA enrollment first', 400);
+    }
+
+    const step = verifyCode(record.pendingSecret, code);
+
+    if (step === null) {
+      throw new AppError('Invalid MFA code', 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const now = new Date().toISOString();
+
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId: user.id },
+        UpdateExpression: 'SET enabled = :true, secret = :secret, pendingSecret = :null, recoveryCodeHashes = :hashes, lastUsedStep = :step, enabledAt = :now, updatedAt = :now',
+        ConditionExpression: 'pendingSecret = :secret',
+        ExpressionAttributeValues: {
+          ':true': true,
+          ':secret': record.pendingSecret,
+          ':null': null,
+          ':hashes': recoveryCodes.map(hashRecoveryCode),
+          ':step': step,
+          ':now': now,
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new AppError('MFA enrollment changed, start again', 409);
+      }
+      logger.error('Error confirming MFA enrollment:', error);
+      throw error;
+    }
+
+    await userService.updateUser(user.email, { mfaEnabled: true });
+
+    logger.info(`MFA enabled for user ${user.id}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor. TOTP codes are accepted once; recovery codes are used up.
+   * @param {string} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} options - { challengeIssuedAt } when verifying a login challenge
+   * @returns {Promise<Object>} { method, recoveryCodesRemaining }
+   * @throws {AppError} 401 if the factor is wrong or the challenge was revoked,
+   *                    429 while locked after too many failures
+   */
+  async verify(userId, { code, recoveryCode } = {}, { challengeIssuedAt } = {}) {
+    if (!code && !recoveryCode) {
+      throw new AppError('code or recoveryCode is required', 400);
+    }
+
+    const record = await this.getRecord(userId);
+
+    if (!record?.enabled) {
+      throw new AppError('MFA is not enabled for this account', 400);
+    }
+
+    if (record.lockedUntil && new Date(record.lockedUntil) > new Date()) {
+      const minutes = Math.ceil((new Date(record.lockedUntil) - Date.now()) / 60000);
+      throw new AppError(`Too many failed MFA attempts. Try again in ${minutes} minute(s).`, 429);
+    }
+
+    if (challengeIssuedAt && record.challengesRevokedAt && challengeIssuedAt <= new Date(record.challengesRevokedAt)) {
+      throw new AppError('Invalid or expired MFA challenge. Please login again.', 401);
+    }
+
+    try {
+      if (code) {
+        const step = verifyCode(record.secret, code);
+
+        // A code already used (e.g. seen over someone's shoulder) is not accepted again
+        if (step === null || (record.lastUsedStep !== null && step <= record.lastUsedStep)) {
+          throw new AppError('Invalid MFA code', 401);
+        }
+
+        await docClient.send(new UpdateCommand({
+          TableName: TABLES.USER_MFA,
+          Key: { userId },
+          UpdateExpression: 'SET lastUsedStep = :step, failedAttempts = :zero, updatedAt = :now',
+          ConditionExpression: 'enabled = :true AND (attribute_type(lastUsedStep, :nullType) OR lastUsedStep < :step)',
+          ExpressionAttributeValues: {
+            ':step': step,
+            ':zero': 0,
+            ':now': new Date().toISOString(),
+            ':true': true,
+            ':nullType': 'NULL',
+          },
+        }));
+
+        return { method: 'totp', recoveryCodesRemaining: record.recoveryCodeHashes.length };
+      }
+
+      const hash = hashRecoveryCode(recoveryCode);
+      const index = record.recoveryCodeHashes.indexOf(hash);
+
+      if (index === -1) {
+        throw new AppError('Invalid recovery code', 401);
+      }
+
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+        UpdateExpression: `REMOVE recoveryCodeHashes[${index}] SET failedAttempts = :zero, updatedAt = :now`,
+        ConditionExpression: `recoveryCodeHashes[${index}] = :hash`,
+        ExpressionAttributeValues: {
+          ':hash': hash,
+          ':zero': 0,
+          ':now': new Date().toISOString(),
+        },
+      }));
+
+      logger.info(`Recovery code used by user ${userId}`);
+      return { method: 'recovery_code', recoveryCodesRemaining: record.recoveryCodeHashes.length - 1 };
+    } catch (error) {
+      const failure = error.name === 'ConditionalCheckFailedException'
+        ? new AppError(code ? 'Invalid MFA code' : 'Invalid recovery code', 401)
+        : error;
+
+      if (failure instanceof AppError && failure.statusCode === 401) {
+        await this.recordFailure(userId);
+      }
+      throw failure;
+    }
+  }
+
+  /**
+   * Count a wrong second factor, locking verification once there are too many in a row
+   * @param {string} userId - User ID
+   */
+  async recordFailure(userId) {
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+        UpdateExpression: 'SET failedAttempts = if_not_exists(failedAttempts, :zero) + :one, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(userId)',
+        ExpressionAttributeValues: {
+          ':zero': 0,
+          ':one': 1,
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      if (response.Attributes.failedAttempts < MAX_FAILED_ATTEMPTS) {
+        return;
+      }
+
+      const now = new Date();
+
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+        UpdateExpression: 'SET failedAttempts = :zero, lockedUntil = :lockedUntil, challengesRevokedAt = :now, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(userId)',
+        ExpressionAttributeValues: {
+          ':zero': 0,
+          ':lockedUntil': new Date(now.getTime() + LOCKOUT_MS).toISOString(),
+          ':now': now.toISOString(),
+        },
+      }));
+
+      logger.warn(`MFA locked for user ${userId} after ${MAX_FAILED_ATTEMPTS} failed attempts`);
+    } catch (error) {
+      // MFA was reset or disabled in the meantime; there is nothing left to lock
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      logger.error('Error recording failed MFA attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @returns {Promise<Array<string>>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+        UpdateExpression: 'SET recoveryCodeHashes = :hashes, updatedAt = :now',
+        ConditionExpression: 'enabled = :true',
+        ExpressionAttributeValues: {
+          ':hashes': recoveryCodes.map(hashRecoveryCode),
+          ':now': new Date().toISOString(),
+          ':true': true,
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new AppError('MFA is not enabled for this account', 400);
+      }
+      logger.error('Error regenerating recovery codes:', error);
+      throw error;
+    }
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn MFA off and forget the secret (also used by admins to reset a lost device)
+   * @param {Object} user - User record
+   */
+  async disable(user) {
+    try {
+      await this.deleteRecord(user.id);
+
+      await userService.updateUser(user.email, { mfaEnabled: false });
+
+      logger.info(`MFA disabled for user ${user.id}`);
+    } catch (error) {
+      logger.error('Error disabling MFA:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a user's MFA secret and recovery codes without touching the user record
+   * (for users being deleted)
+   * @param {string} userId - User ID
+   */
+  async deleteRecord(userId) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.USER_MFA,
+        Key: { userId },
+      }));
+    } catch (error) {
+      logger.error('Error deleting MFA record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Short-lived token proving the first step of a login (password or SSO) succeeded
+   * @param {Object} user - User record
+   * @param {string} purpose - mfa_login (enter a code) or mfa_enrollment (set MFA up first)
+   * @param {string} authMethod - How the first step was passed (password or sso)
+   * @returns {Object} { challengeToken, expiresIn }
+   */
+  createChallenge(user, purpose, authMethod = 'password') {
+    const challengeToken = jwt.sign(
+      { id: user.id, email: user.email, purpose, authMethod },
+      process.env.JWT_SECRET,
+      { expiresIn: getChallengeExpiry() }
+    );
+
+    const { exp, iat } = jwt.decode(challengeToken);
+    return { challengeToken, expiresIn: exp - iat };
+  }
+
+  /**
+   * @returns {Object} { id, email, authMethod, issuedAt } of the user who passed the first step
+   * @throws {AppError} 401 if the token is invalid, expired or for another purpose
+   */
+  verifyChallenge(challengeToken, purpose) {
+    try {
+      const decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+
+      if (decoded.purpose !== purpose) {
+        throw new Error('Wrong challenge purpose');
+      }
+
+      return {
+        id: decoded.id,
+        email: decoded.email,
+        authMethod: decoded.authMethod || 'password',
+        issuedAt: new Date(decoded.iat * 1000),
+      };
+    } catch (error) {
+      throw new AppError('Invalid or expired MFA challenge. Please login again.', 401);
+    }
+  }
+}
+
+export const mfaService = new MfaService();
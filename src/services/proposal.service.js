@@ -8,6 +8,51 @@ import {
 import { docClient, TABLES } from '../config/aws.config.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { sanitizeMarkdown } from '../utils/markdown.js';
+
+/**
+ * A write was based on an outdated version of a proposal or question.
+ * The response carries the current state so the client can merge and retry.
+ */
+export class ConflictError extends AppError {
+  constructor(message, current) {
+    super(message, 409, { current: current || null });
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Proposals and questions carry a version number that is incremented on every write
+ * (records created before versioning count as version 0). The proposal version covers
+ * its own fields and the question list as a whole; each question has its own version,
+ * so edits to different questions do not conflict.
+ */
+export const getVersion = (record) => record?.version || 0;
+
+// Proposal fields written by background processing without changing the proposal version
+const UNVERSIONED_FIELDS = ['processingStatus', 'reminderLog'];
+
+/**
+ * Version a write must be based on: the version the client last saw if it sent one,
+ * otherwise the version just read
+ * @param {Object} record - Proposal or question as read before the write
+ * @param {*} requestedVersion - Version sent by the client (optional)
+ * @returns {number} Expected version
+ * @throws {ConflictError} If the client's version is outdated
+ */
+export const resolveExpectedVersion = (record, requestedVersion) => {
+  const current = getVersion(record);
+
+  if (requestedVersion !== undefined && requestedVersion !== null && parseInt(requestedVersion) !== current) {
+    throw new ConflictError(
+      `Version ${requestedVersion} is outdated, the current version is ${current}`,
+      record
+    );
+  }
+
+  return current;
+};
 
 class ProposalService {
   async createProposal(data) {
@@ -19,6 +64,7 @@ class ProposalService {
         clientName: data.clientName,
         rfpFileKey: data.rfpFileKey,
         status: 'draft',
+        version: 1,
         questions: data.questions || [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
@@ -54,14 +100,22 @@ class ProposalService {
     }
   }
 
-  async updateProposal(id, updates) {
+  /**
+   * Update proposal fields
+   * @param {string} id - Proposal ID
+   * @param {Object} updates - Fields to set
+   * @param {Object} options - { expectedVersion } to reject the update if the proposal changed since it was read
+   * @returns {Promise<Object>} Updated proposal
+   * @throws {ConflictError} If expectedVersion is outdated
+   */
+  async updateProposal(id, updates, { expectedVersion } = {}) {
     try {
       const updateExpressions = [];
       const expressionAttributeNames = {};
       const expressionAttributeValues = {};
 
       Object.entries(updates).forEach(([key, value], index) => {
-        if (key !== 'id' && key !== 'userId' && key !== 'createdAt') {
+        if (key !== 'id' && key !== 'userId' && key !== 'createdAt' && key !== 'version') {
           updateExpressions.push(`#attr${index} = :val${index}`);
           expressionAttributeNames[`#attr${index}`] = key;
           expressionAttributeValues[`:val${index}`] = value;
@@ -72,10 +126,28 @@ class ProposalService {
       expressionAttributeNames['#updatedAt'] = 'updatedAt';
       expressionAttributeValues[':updatedAt'] = new Date().toISOString();
 
+      // Background progress reports do not invalidate what clients are editing
+      if (Object.keys(updates).some(key => !UNVERSIONED_FIELDS.includes(key))) {
+        updateExpressions.push('#version = if_not_exists(#version, :zero) + :one');
+        expressionAttributeNames['#version'] = 'version';
+        expressionAttributeValues[':zero'] = 0;
+        expressionAttributeValues[':one'] = 1;
+      }
+
+      let conditionExpression;
+      if (expectedVersion !== undefined) {
+        expressionAttributeNames['#version'] = 'version';
+        expressionAttributeValues[':expectedVersion'] = expectedVersion;
+        conditionExpression = expectedVersion === 0
+          ? 'attribute_not_exists(#version) OR #version = :expectedVersion'
+          : '#version = :expectedVersion';
+      }
+
       const command = new UpdateCommand({
         TableName: TABLES.PROPOSALS,
         Key: { id },
         UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+        ConditionExpression: conditionExpression,
         ExpressionAttributeNames: expressionAttributeNames,
         ExpressionAttributeValues: expressionAttributeValues,
         ReturnValues: 'ALL_NEW',
@@ -86,11 +158,73 @@ class ProposalService {
 
       return response.Attributes;
     } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new ConflictError('Proposal was changed by someone else, reload and retry', await this.getProposal(id));
+      }
+
       logger.error('Error updating proposal:', error);
       throw error;
     }
   }
 
+  /**
+   * Atomically replace one question of a proposal, provided it has not changed since it was read
+   * @param {string} proposalId - Proposal ID
+   * @param {number} index - Position of the question in the proposal's questions list
+   * @param {Object} question - Updated question
+   * @param {number} expectedVersion - Version of the question the update is based on
+   * @returns {Promise<Object>} Saved question (with its new version)
+   * @throws {ConflictError} If the question was changed, moved or removed in the meantime
+   */
+  async saveQuestion(proposalId, index, question, expectedVersion) {
+    // Answers are rich text restricted to the Markdown subset of utils/markdown.js
+    const saved = { ...question, version: expectedVersion + 1 };
+    ['draftAnswer', 'finalAnswer'].forEach(field => {
+      if (typeof saved[field] === 'string') saved[field] = sanitizeMarkdown(saved[field]);
+    });
+    const path = `#questions[${index}]`;
+
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.PROPOSALS,
+        Key: { id: proposalId },
+        UpdateExpression: `SET ${path} = :question, #updatedAt = :updatedAt`,
+        ConditionExpression: expectedVersion === 0
+          ? `${path}.#id = :questionId AND (attribute_not_exists(${path}.#version) OR ${path}.#version = :expectedVersion)`
+          : `${path}.#id = :questionId AND ${path}.#version = :expectedVersion`,
+        ExpressionAttributeNames: {
+          '#questions': 'questions',
+          '#id': 'id',
+          '#version': 'version',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':question': saved,
+          ':questionId': question.id,
+          ':expectedVersion': expectedVersion,
+          ':updatedAt': new Date().toISOString(),
+        },
+      }));
+
+      return saved;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        const proposal = await this.getProposal(proposalId);
+        const current = (proposal?.questions || []).find(q => q.id === question.id);
+
+        throw new ConflictError(
+          current
+            ? `Question was changed by someone else (version ${getVersion(current)}), reload and retry`
+            : 'Question no longer exists',
+          current
+        );
+      }
+
+      logger.error('Error saving proposal question:', error);
+      throw error;
+    }
+  }
+
   async deleteProposal(id) {
     try {
       const command = new DeleteCommand({
@@ -125,6 +259,35 @@ class ProposalService {
     }
   }
 
+  /**
+   * Copy a generated answer (see ai.service generateAnswer) onto a proposal question.
+   * Unsupported claims become open review items that must be resolved before approval.
+   * @param {Object} question - Proposal question
+   * @param {Object} result - Generated answer
+   * @returns {Object} Updated question
+   */
+  applyGeneratedAnswer(question, result) {
+    return {
+      ...question,
+      draftAnswer: result.answer,
+      confidence: result.confidence,
+      confidenceBreakdown: result.confidenceBreakdown,
+      citations: result.citations,
+      unsupportedClaims: result.unsupportedClaims.map((claim, i) => ({
+        id: `c${i + 1}`,
+        ...claim,
+        status: 'open',
+        resolution: null,
+        resolvedBy: null,
+        resolvedAt: null,
+      })),
+      sources: result.sources,
+      status: 'drafted',
+      generatedAt: result.generatedAt,
+      model: result.model,
+    };
+  }
+
   async updateQuestionAnswer(proposalId, questionId, answer, status) {
     try {
       const proposal = await this.getProposal(proposalId);
@@ -132,20 +295,20 @@ class ProposalService {
         throw new Error('Proposal not found');
       }
 
-      const updatedQuestions = proposal.questions.map(q => {
-        if (q.id === questionId) {
-          return {
-            ...q,
-            finalAnswer: answer,
-            status,
-          };
-        }
-        return q;
-      });
+      const index = proposal.questions.findIndex(q => q.id === questionId);
+      if (index === -1) {
+        throw new Error('Question not found');
+      }
 
-      return await this.updateProposal(proposalId, {
-        questions: updatedQuestions,
-      });
+      const question = proposal.questions[index];
+      proposal.questions[index] = await this.saveQuestion(
+        proposalId,
+        index,
+        { ...question, finalAnswer: answer, status },
+        getVersion(question)
+      );
+
+      return proposal;
     } catch (error) {
       logger.error('Error updating question answer:', error);
       throw error;
@@ -0,0 +1,335 @@
+import { PutCommand, GetCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { getEmbeddingProvider, cosineSimilarity } from './embedding.service.js';
+import { proposalService } from './proposal.service.js';
+
+// Question fields that describe the question itself rather than work done on it
+const QUESTION_FIELDS = ['id', 'question', 'section', 'category', 'mandatory', 'cell'];
+const ANSWER_FIELDS = ['draftAnswer', 'finalAnswer', 'sources', 'citations'];
+
+// Proposal fields copied by a clone (schedules, workflow and exports belong to the original bid)
+const CLONED_PROPOSAL_FIELDS = [
+  'clientName',
+  'description',
+  'executiveSummary',
+  'fileKey',
+  'fileUrl',
+  'fileName',
+  'fileSize',
+  'mimeType',
+  'sourceFormat',
+  'spreadsheetMapping',
+];
+
+const DEFAULT_CARRY_OVER_MIN_SIMILARITY = 0.85;
+
+const normalizeText = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const hasAnswer = (question) => Boolean((question.finalAnswer || question.draftAnswer || '').trim());
+
+const pick = (source, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+};
+
+/**
+ * Copy of a question without assignments, review state or version, ready for a new proposal
+ * @param {Object} question - Proposal or template question
+ * @param {Object} options - { includeAnswers } (default true)
+ * @returns {Object} Question (drafted if it kept an answer, otherwise pending)
+ */
+export const toReusableQuestion = (question, { includeAnswers = true } = {}) => {
+  const copy = pick(question, QUESTION_FIELDS);
+
+  if (includeAnswers && hasAnswer(question)) {
+    Object.assign(copy, pick(question, ANSWER_FIELDS));
+    copy.status = 'drafted';
+  } else {
+    copy.status = 'pending';
+  }
+
+  return copy;
+};
+
+/**
+ * Section names in question order
+ */
+export const listSections = (questions) => {
+  return [...new Set((questions || []).map(q => q.section).filter(Boolean))];
+};
+
+/**
+ * Proposal templates are reusable snapshots of a proposal's questions, answers and
+ * sections. New proposals can be created from a template or cloned from a proposal,
+ * and the answers of a prior proposal can be carried over to a newly uploaded RFP.
+ */
+class ProposalTemplateService {
+  async createTemplate(proposal, { name, description, includeAnswers = true, createdBy }) {
+    try {
+      const questions = (proposal.questions || []).map(q => toReusableQuestion(q, { includeAnswers }));
+
+      const template = {
+        id: uuidv4(),
+        companyId: proposal.companyId,
+        name: name || proposal.title,
+        description: description || '',
+        clientName: proposal.clientName || '',
+        sourceProposalId: proposal.id,
+        sections: listSections(questions),
+        questions,
+        questionCount: questions.length,
+        ...(includeAnswers && proposal.executiveSummary && { executiveSummary: proposal.executiveSummary }),
+        ...(proposal.sourceFormat && pick(proposal, ['sourceFormat', 'spreadsheetMapping', 'fileKey', 'fileName', 'mimeType'])),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.PROPOSAL_TEMPLATES,
+        Item: template,
+      }));
+
+      logger.info(`Proposal template created: ${template.id} from proposal ${proposal.id}`);
+      return template;
+    } catch (error) {
+      logger.error('Error creating proposal template:', error);
+      throw error;
+    }
+  }
+
+  async getTemplate(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.PROPOSAL_TEMPLATES,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting proposal template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Company templates, newest first
+   */
+  async listCompanyTemplates(companyId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.PROPOSAL_TEMPLATES,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: {
+          ':companyId': companyId,
+        },
+        ScanIndexForward: false,
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing proposal templates:', error);
+      throw error;
+    }
+  }
+
+  async deleteTemplate(id) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.PROPOSAL_TEMPLATES,
+        Key: { id },
+      }));
+
+      logger.info(`Proposal template deleted: ${id}`);
+    } catch (error) {
+      logger.error('Error deleting proposal template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new proposal
+   * @param {Object} data - Proposal fields (title, userId, companyId, questions, ...)
+   * @returns {Promise<Object>} Proposal
+   */
+  async saveNewProposal(data) {
+    try {
+      const now = new Date().toISOString();
+      const proposal = {
+        ...data,
+        id: uuidv4(),
+        status: 'draft',
+        version: 1,
+        processingStatus: {
+          state: 'completed',
+          jobId: null,
+          progress: 100,
+          stage: 'completed',
+          error: null,
+          updatedAt: now,
+        },
+        createdAt: now,
+        updatedAt: now,
+        createdBy: data.userId,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.PROPOSALS,
+        Item: proposal,
+      }));
+
+      logger.info(`Proposal created: ${proposal.id}`);
+      return proposal;
+    } catch (error) {
+      logger.error('Error saving new proposal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a proposal's questions, answers, sections and metadata into a new draft proposal
+   * @param {Object} proposal - Proposal to clone
+   * @param {Object} options - { title, clientName, description, includeAnswers, user }
+   * @returns {Promise<Object>} New proposal
+   */
+  async cloneProposal(proposal, { title, clientName, description, includeAnswers = true, user }) {
+    const metadata = pick(proposal, CLONED_PROPOSAL_FIELDS);
+
+    if (!includeAnswers) {
+      delete metadata.executiveSummary;
+    }
+
+    return this.saveNewProposal({
+      ...metadata,
+      title: title || `${proposal.title} (copy)`,
+      ...(clientName !== undefined && { clientName }),
+      ...(description !== undefined && { description }),
+      userId: user.id,
+      companyId: proposal.companyId,
+      questions: (proposal.questions || []).map(q => toReusableQuestion(q, { includeAnswers })),
+      clonedFrom: { proposalId: proposal.id },
+    });
+  }
+
+  /**
+   * Start a new draft proposal from a template
+   * @param {Object} template - Proposal template
+   * @param {Object} options - { title, clientName, description, user }
+   * @returns {Promise<Object>} New proposal
+   */
+  async createProposalFromTemplate(template, { title, clientName, description, user }) {
+    return this.saveNewProposal({
+      ...pick(template, ['executiveSummary', 'sourceFormat', 'spreadsheetMapping', 'fileKey', 'fileName', 'mimeType']),
+      title: title || template.name,
+      clientName: clientName !== undefined ? clientName : template.clientName,
+      description: description !== undefined ? description : template.description,
+      userId: user.id,
+      companyId: template.companyId,
+      questions: template.questions.map(q => toReusableQuestion(q)),
+      clonedFrom: { templateId: template.id },
+    });
+  }
+
+  /**
+   * Pre-fill unanswered questions with the answers of matching questions in a prior proposal.
+   * Questions match when their text is the same or similar enough
+   * (CARRY_OVER_MIN_SIMILARITY, default 0.85). Carried answers are drafts marked
+   * carriedOver.needsReview until the question is approved.
+   * @param {Array<Object>} questions - Questions of the new proposal
+   * @param {Object} source - Prior proposal
+   * @param {Object} options - { minScore }
+   * @returns {Promise<Object>} { questions, carried } (carried: indexes of filled questions)
+   */
+  async carryOverAnswers(questions, source, options = {}) {
+    const minScore = options.minScore
+      ?? (parseFloat(process.env.CARRY_OVER_MIN_SIMILARITY) || DEFAULT_CARRY_OVER_MIN_SIMILARITY);
+
+    const candidates = (source.questions || []).filter(q => q.question && hasAnswer(q));
+    const targets = questions
+      .map((question, index) => ({ question, index }))
+      .filter(({ question }) => question.question && !hasAnswer(question));
+
+    if (candidates.length === 0 || targets.length === 0) {
+      return { questions, carried: [] };
+    }
+
+    try {
+      const provider = getEmbeddingProvider();
+      const [targetVectors, candidateVectors] = await Promise.all([
+        provider.embed(targets.map(t => t.question.question)),
+        provider.embed(candidates.map(c => c.question)),
+      ]);
+
+      const updated = [...questions];
+      const carried = [];
+      const carriedAt = new Date().toISOString();
+
+      targets.forEach(({ question, index }, t) => {
+        let best = null;
+        let bestScore = 0;
+
+        candidates.forEach((candidate, c) => {
+          const score = normalizeText(candidate.question) === normalizeText(question.question)
+            ? 1
+            : cosineSimilarity(targetVectors[t], candidateVectors[c]);
+
+          // Approved answers win ties
+          if (score > bestScore || (score === bestScore && best && candidate.status === 'approved')) {
+            best = candidate;
+            bestScore = score;
+          }
+        });
+
+        if (!best || bestScore < minScore) return;
+
+        updated[index] = {
+          ...question,
+          draftAnswer: best.finalAnswer || best.draftAnswer,
+          ...(best.sources && { sources: best.sources }),
+          ...(best.citations && { citations: best.citations }),
+          status: 'drafted',
+          carriedOver: {
+            proposalId: source.id,
+            questionId: best.id,
+            similarity: Math.round(bestScore * 1000) / 1000,
+            carriedAt,
+            needsReview: true,
+          },
+        };
+        carried.push(index);
+      });
+
+      logger.info(`Carried over ${carried.length}/${targets.length} answers from proposal ${source.id}`);
+      return { questions: updated, carried };
+    } catch (error) {
+      logger.error('Error carrying over answers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prior proposal selected to carry answers over from
+   * @param {string} proposalId - Proposal ID
+   * @param {string} companyId - Company of the new proposal
+   * @returns {Promise<Object>} Proposal
+   * @throws {AppError} If the proposal is not found in the company
+   */
+  async getCarryOverSource(proposalId, companyId) {
+    const source = await proposalService.getProposal(proposalId);
+
+    if (!source || source.companyId !== companyId || source.status === 'deleted') {
+      throw new AppError('Proposal to carry answers over from not found', 404);
+    }
+
+    return source;
+  }
+}
+
+export const proposalTemplateService = new ProposalTemplateService();
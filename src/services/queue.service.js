@@ -0,0 +1,166 @@
+import {
+  SendMessageCommand,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+} from '@aws-sdk/client-sqs';
+import { sqsClient, QUEUES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Queues carry small JSON messages ({ jobId }) to a consumer:
+ *   send(message), consume(handler)
+ * The handler resolves when the message is done; a rejected handler leaves
+ * the message for redelivery (SQS) or drops it after logging (in-memory).
+ */
+
+/**
+ * Runs messages in the current process on the next tick.
+ * Meant for local development and tests; messages are lost on restart.
+ */
+export class InMemoryQueue {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+    this.handler = null;
+    this.draining = false;
+    this.idleWaiters = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+    setImmediate(() => this.drain());
+  }
+
+  consume(handler) {
+    this.handler = handler;
+    setImmediate(() => this.drain());
+  }
+
+  async drain() {
+    if (this.draining || !this.handler) return;
+    this.draining = true;
+
+    while (this.messages.length > 0) {
+      const message = this.messages.shift();
+      try {
+        await this.handler(message);
+      } catch (error) {
+        logger.error('In-memory queue handler failed:', error);
+      }
+    }
+
+    this.draining = false;
+    this.idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * Resolve once every queued message has been handled
+   * @returns {Promise<void>}
+   */
+  async onIdle() {
+    if (!this.draining && this.messages.length === 0) return;
+    await new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+}
+
+/**
+ * AWS SQS queue (QUEUES.PROCESSING). consume() long-polls until stop() is called.
+ */
+export class SqsQueue {
+  constructor(queueUrl) {
+    this.name = 'sqs';
+    this.queueUrl = queueUrl;
+    this.running = false;
+  }
+
+  async send(message) {
+    await sqsClient.send(new SendMessageCommand({
+      QueueUrl: this.queueUrl,
+      MessageBody: JSON.stringify(message),
+    }));
+  }
+
+  consume(handler) {
+    this.running = true;
+
+    const poll = async () => {
+      while (this.running) {
+        try {
+          const response = await sqsClient.send(new ReceiveMessageCommand({
+            QueueUrl: this.queueUrl,
+            MaxNumberOfMessages: 1,
+            WaitTimeSeconds: 20,
+            VisibilityTimeout: 900,
+          }));
+
+          for (const sqsMessage of response.Messages || []) {
+            try {
+              await handler(JSON.parse(sqsMessage.Body));
+              await sqsClient.send(new DeleteMessageCommand({
+                QueueUrl: this.queueUrl,
+                ReceiptHandle: sqsMessage.ReceiptHandle,
+              }));
+            } catch (error) {
+              logger.error('SQS message handling failed, leaving it for redelivery:', error);
+            }
+          }
+        } catch (error) {
+          logger.error('Error polling SQS:', error);
+          await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+      }
+    };
+
+    return poll();
+  }
+
+  stop() {
+    this.running = false;
+  }
+}
+
+let queue = null;
+
+/**
+ * Get the processing queue (QUEUE_BACKEND=memory|sqs; defaults to SQS when
+ * SQS_PROCESSING_QUEUE_URL is set). Production always needs SQS: serverless
+ * functions freeze once they respond, which would drop in-memory jobs.
+ * @returns {Object} Queue
+ * @throws {Error} If SQS is not configured in production
+ */
+export const getQueue = () => {
+  if (queue) return queue;
+
+  const backend = process.env.QUEUE_BACKEND || (QUEUES.PROCESSING ? 'sqs' : 'memory');
+
+  if (backend !== 'sqs' && process.env.NODE_ENV === 'production') {
+    throw new Error('The sqs queue backend (SQS_PROCESSING_QUEUE_URL) is required in production');
+  }
+
+  if (backend === 'sqs') {
+    if (!QUEUES.PROCESSING) {
+      throw new Error('SQS_PROCESSING_QUEUE_URL is required for the sqs queue backend');
+    }
+    queue = new SqsQueue(QUEUES.PROCESSING);
+  } else {
+    queue = new InMemoryQueue();
+  }
+
+  logger.info(`Job queue backend: ${queue.name}`);
+  return queue;
+};
+
+/**
+ * Replace the processing queue (e.g. with a fresh in-memory queue in tests)
+ * @param {Object} customQueue - Queue implementing send/consume
+ */
+export const setQueue = (customQueue) => {
+  queue = customQueue;
+};
+
+export default {
+  InMemoryQueue,
+  SqsQueue,
+  getQueue,
+  setQueue,
+};
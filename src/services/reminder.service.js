@@ -0,0 +1,201 @@
+import { ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { sendDeadlineReminderEmail } from '../utils/email.js';
+import { proposalService } from './proposal.service.js';
+import { userService } from './user.service.js';
+import {
+  INACTIVE_PROPOSAL_STATUSES,
+  classifyDueDate,
+  getScheduleItems,
+  getUnansweredAssignedQuestions,
+} from './deadline.service.js';
+
+/**
+ * Whether a user wants reminder emails (notificationPreferences.reminders, on by default)
+ */
+export const wantsReminders = (user) => {
+  return Boolean(user?.isActive) && user.notificationPreferences?.reminders !== false;
+};
+
+/**
+ * Sends deadline reminders. Each reminder has a key (item, stage and recipient) that is
+ * stored in the proposal's reminderLog once sent, so every recipient hears about an item
+ * once when it is approaching and once when it is overdue, however often the scan runs.
+ */
+class ReminderService {
+  /**
+   * Proposals that have a schedule and are still being worked on
+   */
+  async listScheduledProposals() {
+    try {
+      const proposals = [];
+      let lastKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLES.PROPOSALS,
+          FilterExpression: 'attribute_exists(submissionDeadline) OR attribute_exists(qaCutoff) OR attribute_exists(milestones)',
+          ExclusiveStartKey: lastKey,
+        }));
+
+        proposals.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+      } while (lastKey);
+
+      return proposals.filter(p => !INACTIVE_PROPOSAL_STATUSES.includes(p.status));
+    } catch (error) {
+      logger.error('Error listing scheduled proposals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reminders due for a proposal, grouped by recipient
+   * @param {Object} proposal - Proposal
+   * @param {Date} now - Current time
+   * @returns {Map<string, Object>} userId → { items, questions, keys }
+   */
+  buildReminders(proposal, now = new Date()) {
+    const reminders = new Map();
+    const sent = proposal.reminderLog || {};
+
+    const add = (userId, key, entry) => {
+      if (!userId || sent[`${key}:${userId}`]) return;
+
+      if (!reminders.has(userId)) {
+        reminders.set(userId, { items: [], questions: [], keys: [] });
+      }
+
+      const reminder = reminders.get(userId);
+      reminder.keys.push(`${key}:${userId}`);
+      if (entry.item) reminder.items.push(entry.item);
+      if (entry.questions) reminder.questions.push(...entry.questions);
+    };
+
+    // The proposal owner hears about every date; milestone owners about their milestones
+    const owner = proposal.userId;
+    let submissionStage = null;
+
+    getScheduleItems(proposal).forEach(item => {
+      const stage = classifyDueDate(item.dueDate, now);
+      if (!stage) return;
+
+      if (item.type === 'submission') submissionStage = stage;
+
+      const entry = { item: { ...item, stage } };
+      add(owner, `${item.type}:${item.id}:${stage}`, entry);
+      if (item.ownerId !== owner) {
+        add(item.ownerId, `${item.type}:${item.id}:${stage}`, entry);
+      }
+    });
+
+    // Assignees are chased for unanswered questions once the submission is close
+    if (submissionStage) {
+      const byAssignee = new Map();
+
+      getUnansweredAssignedQuestions(proposal).forEach(q => {
+        if (!byAssignee.has(q.assigneeId)) byAssignee.set(q.assigneeId, []);
+        byAssignee.get(q.assigneeId).push({ id: q.id, question: q.question });
+      });
+
+      byAssignee.forEach((questions, assigneeId) => {
+        add(assigneeId, `questions:${submissionStage}`, {
+          item: {
+            type: 'submission',
+            id: 'submission',
+            label: 'Submission deadline',
+            dueDate: proposal.submissionDeadline,
+            stage: submissionStage,
+          },
+          questions,
+        });
+      });
+    }
+
+    // The same item may reach a user through several roles
+    reminders.forEach(reminder => {
+      const seen = new Set();
+      reminder.items = reminder.items.filter(item => {
+        const key = `${item.type}:${item.id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    });
+
+    return reminders;
+  }
+
+  /**
+   * Find approaching and overdue proposals and email the people involved
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async runReminders({ now = new Date() } = {}) {
+    const summary = {
+      proposalsChecked: 0,
+      remindersSent: 0,
+      optedOut: 0,
+      failed: 0,
+    };
+
+    const users = new Map();
+    const getUser = async (userId) => {
+      if (!users.has(userId)) {
+        users.set(userId, await userService.getUserById(userId));
+      }
+      return users.get(userId);
+    };
+
+    const proposals = await this.listScheduledProposals();
+
+    for (const proposal of proposals) {
+      summary.proposalsChecked++;
+
+      const reminders = this.buildReminders(proposal, now);
+      if (reminders.size === 0) continue;
+
+      const reminderLog = { ...(proposal.reminderLog || {}) };
+
+      for (const [userId, reminder] of reminders) {
+        const user = await getUser(userId);
+
+        if (!user || user.companyId !== proposal.companyId || !wantsReminders(user)) {
+          // Opted-out users are not asked again for the same item
+          reminder.keys.forEach(key => { reminderLog[key] = `skipped:${now.toISOString()}`; });
+          summary.optedOut++;
+          continue;
+        }
+
+        const result = await sendDeadlineReminderEmail(
+          user.email,
+          user.name,
+          proposal.title,
+          reminder.items,
+          reminder.questions
+        );
+
+        if (result.success) {
+          reminder.keys.forEach(key => { reminderLog[key] = now.toISOString(); });
+          summary.remindersSent++;
+        } else {
+          summary.failed++;
+        }
+      }
+
+      if (Object.keys(reminderLog).length > Object.keys(proposal.reminderLog || {}).length) {
+        await proposalService.updateProposal(proposal.id, { reminderLog });
+      }
+    }
+
+    logger.info(
+      `Reminders: ${summary.remindersSent} sent, ${summary.optedOut} skipped, ` +
+        `${summary.failed} failed across ${summary.proposalsChecked} proposals`
+    );
+
+    return summary;
+  }
+}
+
+export const reminderService = new ReminderService();
@@ -0,0 +1,174 @@
+import { PutCommand, GetCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+
+// Where an answer change came from
+export const REVISION_SOURCES = ['baseline', 'human_edit', 'ai_generate', 'ai_improve', 'restore', 'carry_over'];
+
+const MAX_VERSION_RETRIES = 3;
+
+/**
+ * Answer revisions are stored per question (questionKey = proposalId#questionId)
+ * with an increasing version number as sort key.
+ */
+class RevisionService {
+  questionKey(proposalId, questionId) {
+    return `${proposalId}#${questionId}`;
+  }
+
+  async getLatestRevision(proposalId, questionId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.ANSWER_REVISIONS,
+        KeyConditionExpression: 'questionKey = :questionKey',
+        ExpressionAttributeValues: {
+          ':questionKey': this.questionKey(proposalId, questionId),
+        },
+        ScanIndexForward: false,
+        Limit: 1,
+      }));
+
+      return response.Items?.[0] || null;
+    } catch (error) {
+      logger.error('Error getting latest answer revision:', error);
+      throw error;
+    }
+  }
+
+  async getRevision(proposalId, questionId, version) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.ANSWER_REVISIONS,
+        Key: {
+          questionKey: this.questionKey(proposalId, questionId),
+          version: parseInt(version),
+        },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting answer revision:', error);
+      throw error;
+    }
+  }
+
+  async listRevisions(proposalId, questionId) {
+    try {
+      const revisions = [];
+      let lastKey;
+
+      do {
+        const response = await docClient.send(new QueryCommand({
+          TableName: TABLES.ANSWER_REVISIONS,
+          KeyConditionExpression: 'questionKey = :questionKey',
+          ExpressionAttributeValues: {
+            ':questionKey': this.questionKey(proposalId, questionId),
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        revisions.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+      } while (lastKey);
+
+      return revisions;
+    } catch (error) {
+      logger.error('Error listing answer revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a revision with the next free version number
+   */
+  async putNextRevision(latest, data) {
+    let version = (latest?.version || 0) + 1;
+
+    for (let attempt = 0; attempt < MAX_VERSION_RETRIES; attempt++) {
+      const revision = { ...data, version };
+
+      try {
+        await docClient.send(new PutCommand({
+          TableName: TABLES.ANSWER_REVISIONS,
+          Item: revision,
+          ConditionExpression: 'attribute_not_exists(version)',
+        }));
+
+        return revision;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+
+        // Another change took this version number first
+        const current = await this.getLatestRevision(data.proposalId, data.questionId);
+        version = (current?.version || version) + 1;
+      }
+    }
+
+    throw new Error('Could not allocate an answer revision number');
+  }
+
+  /**
+   * Record a change to a question's answer.
+   * The first recorded change of a question that already had an answer also
+   * stores that answer as a baseline revision so it can be diffed and restored.
+   * @param {Object} data - { proposalId, companyId, previous, current, source, authorId, note, restoredFrom }
+   *                        (previous/current are the question before and after the change)
+   * @returns {Promise<Object|null>} Revision, or null if the answer did not change
+   */
+  async recordRevision(data) {
+    const { proposalId, companyId, previous, current, source, authorId, note, restoredFrom } = data;
+
+    try {
+      let latest = await this.getLatestRevision(proposalId, current.id);
+
+      if (!latest && previous && (previous.draftAnswer || previous.finalAnswer)) {
+        latest = await this.putNextRevision(null, {
+          ...this.snapshot(proposalId, companyId, previous),
+          source: 'baseline',
+          authorId: previous.updatedBy || null,
+          note: '',
+          restoredFrom: null,
+          createdAt: previous.updatedAt || previous.generatedAt || new Date().toISOString(),
+        });
+      }
+
+      if (
+        latest &&
+        (latest.draftAnswer || null) === (current.draftAnswer || null) &&
+        (latest.finalAnswer || null) === (current.finalAnswer || null)
+      ) {
+        return null;
+      }
+
+      const revision = await this.putNextRevision(latest, {
+        ...this.snapshot(proposalId, companyId, current),
+        source,
+        authorId: authorId || null,
+        note: note || '',
+        restoredFrom: restoredFrom || null,
+        createdAt: new Date().toISOString(),
+      });
+
+      logger.info(`Answer revision ${revision.version} recorded for ${revision.questionKey} (${source})`);
+      return revision;
+    } catch (error) {
+      logger.error('Error recording answer revision:', error);
+      throw error;
+    }
+  }
+
+  snapshot(proposalId, companyId, question) {
+    return {
+      questionKey: this.questionKey(proposalId, question.id),
+      proposalId,
+      questionId: question.id,
+      companyId,
+      draftAnswer: question.draftAnswer || null,
+      finalAnswer: question.finalAnswer || null,
+      status: question.status || null,
+      model: question.model || null,
+    };
+  }
+}
+
+export const revisionService = new RevisionService();
@@ -0,0 +1,943 @@
+import { PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { userService } from './user.service.js';
+import { companyService } from './company.service.js';
+import { sessionService } from './session.service.js';
+import { mfaService } from './mfa.service.js';
+
+export const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+};
+
+const TOKEN_PREFIX = 'scim_';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+// lastUsedAt is only written this often so every provisioning call is not also a write
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * AppError carrying a SCIM error type (RFC 7644 section 3.12)
+ */
+export const scimError = (message, statusCode, scimType = null) => new AppError(
+  message,
+  statusCode,
+  scimType ? { scimType } : null
+);
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// IdPs send booleans as strings now and then (Azure AD sends "False")
+const parseBoolean = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return Boolean(value);
+};
+
+const toText = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+/**
+ * Parse a filter of the form `attribute eq "value"`, the only form IdPs send when
+ * looking up a user or group before creating it
+ * @returns {Object|null} { attribute, value }, or null without a filter
+ * @throws {AppError} 400 invalidFilter for anything else
+ */
+const parseFilter = (filter, supportedAttributes) => {
+  if (!filter) {
+    return null;
+  }
+
+  const match = String(filter).match(/^\s*([\w.:]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i);
+  const attribute = match && supportedAttributes.find(name => name.toLowerCase() === match[1].toLowerCase());
+
+  if (!attribute) {
+    throw scimError(`Unsupported filter. Use: ${supportedAttributes.map(name => `${name} eq "value"`).join(', ')}`, 400, 'invalidFilter');
+  }
+
+  return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+};
+
+/**
+ * Slice a result set into a ListResponse (startIndex is 1-based)
+ */
+const toListResponse = (resources, { startIndex, count } = {}) => {
+  const start = Math.max(parseInt(startIndex, 10) || 1, 1);
+  const parsedCount = parseInt(count, 10);
+  const pageSize = Math.min(Math.max(Number.isNaN(parsedCount) ? DEFAULT_PAGE_SIZE : parsedCount, 0), MAX_PAGE_SIZE);
+  const page = resources.slice(start - 1, start - 1 + pageSize);
+
+  return {
+    schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+    totalResults: resources.length,
+    startIndex: start,
+    itemsPerPage: page.length,
+    Resources: page,
+  };
+};
+
+const checkPatchRequest = (body) => {
+  if (!body?.schemas?.includes(SCIM_SCHEMAS.PATCH_OP) || !Array.isArray(body.Operations)) {
+    throw scimError('PATCH requests must use the PatchOp schema with an Operations array', 400, 'invalidSyntax');
+  }
+
+  return body.Operations.map((operation) => {
+    const op = String(operation?.op || '').toLowerCase();
+
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw scimError(`Unsupported PATCH operation: ${operation?.op}`, 400, 'invalidSyntax');
+    }
+
+    return { op, path: operation.path ? String(operation.path) : null, value: operation.value };
+  });
+};
+
+// ============================================
+// USER ATTRIBUTES
+// ============================================
+
+/**
+ * The user attributes SCIM can change, in one flat shape so that PUT and PATCH
+ * are applied the same way. Attributes the app does not store are ignored.
+ */
+const userToAttributes = (user) => ({
+  userName: user.email,
+  displayName: user.name || null,
+  givenName: user.givenName || null,
+  familyName: user.familyName || null,
+  title: user.jobTitle || null,
+  department: user.department || null,
+  phone: user.phone || null,
+  externalId: user.scimExternalId || null,
+  active: user.isActive !== false,
+  password: null,
+});
+
+const primaryValue = (value) => {
+  if (Array.isArray(value)) {
+    const entry = value.find(item => item?.primary) || value[0];
+    return toText(entry?.value ?? entry);
+  }
+  return toText(value?.value ?? value);
+};
+
+/**
+ * Apply one attribute (by SCIM path) to the flat attributes
+ */
+const setUserAttribute = (attributes, path, value) => {
+  const normalized = path.toLowerCase();
+  const enterprisePrefix = SCIM_SCHEMAS.ENTERPRISE_USER.toLowerCase();
+
+  if (normalized === enterprisePrefix) {
+    if (value && typeof value === 'object' && 'department' in value) {
+      attributes.department = toText(value.department);
+    }
+    return;
+  }
+
+  if (normalized.startsWith(`${enterprisePrefix}:`)) {
+    if (normalized.substring(enterprisePrefix.length + 1) === 'department') {
+      attributes.department = toText(value);
+    }
+    return;
+  }
+
+  // Core attributes may also be addressed with the schema URN in front
+  const attribute = normalized.startsWith(`${SCIM_SCHEMAS.USER.toLowerCase()}:`)
+    ? normalized.substring(SCIM_SCHEMAS.USER.length + 1)
+    : normalized;
+
+  switch (attribute) {
+    case 'username':
+      attributes.userName = toText(value);
+      break;
+    case 'displayname':
+      attributes.displayName = toText(value);
+      break;
+    case 'name':
+      if (value && typeof value === 'object') {
+        if ('givenName' in value) attributes.givenName = toText(value.givenName);
+        if ('familyName' in value) attributes.familyName = toText(value.familyName);
+        if ('formatted' in value) attributes.formatted = toText(value.formatted);
+      } else {
+        attributes.givenName = null;
+        attributes.familyName = null;
+      }
+      break;
+    case 'name.givenname':
+      attributes.givenName = toText(value);
+      break;
+    case 'name.familyname':
+      attributes.familyName = toText(value);
+      break;
+    case 'name.formatted':
+      attributes.formatted = toText(value);
+      break;
+    case 'title':
+      attributes.title = toText(value);
+      break;
+    case 'externalid':
+      attributes.externalId = toText(value);
+      break;
+    case 'active':
+      attributes.active = value === null || value === undefined ? attributes.active : parseBoolean(value);
+      break;
+    case 'password':
+      attributes.password = toText(value);
+      break;
+    default:
+      if (attribute.startsWith('phonenumbers')) {
+        attributes.phone = primaryValue(value);
+      }
+  }
+};
+
+const resourceToAttributes = (resource) => {
+  const attributes = {
+    ...userToAttributes({}),
+    active: true,
+  };
+
+  Object.entries(resource || {}).forEach(([key, value]) => {
+    if (key !== 'schemas' && key !== 'id' && key !== 'meta') {
+      setUserAttribute(attributes, key, value);
+    }
+  });
+
+  return attributes;
+};
+
+const displayNameFromAttributes = (attributes) => attributes.displayName
+  || attributes.formatted
+  || [attributes.givenName, attributes.familyName].filter(Boolean).join(' ')
+  || attributes.userName.split('@')[0];
+
+const validateUserName = (userName) => {
+  if (!userName) {
+    throw scimError('userName is required', 400, 'invalidValue');
+  }
+
+  // Users sign in with their email address, so userName must be one
+  if (!EMAIL_PATTERN.test(userName)) {
+    throw scimError('userName must be an email address', 400, 'invalidValue');
+  }
+
+  return userName.toLowerCase();
+};
+
+/**
+ * SCIM 2.0 provisioning for company directories (Okta, Azure AD, ...).
+ *
+ * Each company creates bearer tokens scoped to itself; everything a token can see or
+ * change is limited to that company's users and groups. Creating a user takes a user
+ * slot (limits.usersAdded against limits.maxUsers) and deleting one gives it back.
+ * Deactivated users keep their slot and are signed out. Provisioned users have no
+ * password unless the directory sends one; they sign in with SSO or by resetting it.
+ */
+class ScimService {
+  // ============================================
+  // TOKENS
+  // ============================================
+
+  /**
+   * Create a provisioning token for a company
+   * @param {string} companyId - Company ID
+   * @param {Object} options - { name }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} { token, record } (the token is only available now)
+   */
+  async createToken(companyId, { name } = {}, createdBy) {
+    const id = uuidv4();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+
+    const record = {
+      id,
+      companyId,
+      name: toText(name) || 'SCIM provisioning',
+      tokenHash: hashToken(secret),
+      tokenPreview: `${TOKEN_PREFIX}${id.substring(0, 8)}…`,
+      createdAt: now,
+      createdBy,
+      lastUsedAt: null,
+      revokedAt: null,
+      revokedBy: null,
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.SCIM_TOKENS,
+        Item: record,
+      }));
+
+      logger.info(`SCIM token created: ${id} for company ${companyId}`);
+      return { token: `${TOKEN_PREFIX}${id}.${secret}`, record };
+    } catch (error) {
+      logger.error('Error creating SCIM token:', error);
+      throw error;
+    }
+  }
+
+  async listTokens(companyId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.SCIM_TOKENS,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: { ':companyId': companyId },
+        ScanIndexForward: false,
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing SCIM tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Token as shown to admins (never includes the hash)
+   */
+  toPublicToken(record) {
+    const { tokenHash, ...token } = record;
+    return { ...token, active: !token.revokedAt };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the token does not exist, belongs to another company or is already revoked
+   */
+  async revokeToken(companyId, tokenId, revokedBy) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SCIM_TOKENS,
+        Key: { id: tokenId },
+        UpdateExpression: 'SET revokedAt = :now, revokedBy = :revokedBy',
+        ConditionExpression: 'companyId = :companyId AND attribute_type(revokedAt, :nullType)',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':revokedBy': revokedBy,
+          ':companyId': companyId,
+          ':nullType': 'NULL',
+        },
+      }));
+
+      logger.info(`SCIM token revoked: ${tokenId}`);
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      logger.error('Error revoking SCIM token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a bearer token to its (active) record
+   * @returns {Promise<Object|null>} Token record, or null if the token is unknown or revoked
+   */
+  async authenticate(token) {
+    const match = String(token || '').match(/^scim_([0-9a-f-]{36})\.([A-Za-z0-9_-]+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.SCIM_TOKENS,
+        Key: { id },
+      }));
+
+      const record = response.Item;
+
+      if (!record || record.revokedAt) {
+        return null;
+      }
+
+      const expected = Buffer.from(record.tokenHash, 'hex');
+      const actual = Buffer.from(hashToken(secret), 'hex');
+
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > LAST_USED_UPDATE_MS) {
+        await docClient.send(new UpdateCommand({
+          TableName: TABLES.SCIM_TOKENS,
+          Key: { id },
+          UpdateExpression: 'SET lastUsedAt = :now',
+          ExpressionAttributeValues: { ':now': new Date().toISOString() },
+        }));
+      }
+
+      return record;
+    } catch (error) {
+      logger.error('Error authenticating SCIM token:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // USERS
+  // ============================================
+
+  /**
+   * @param {Object} user - User record
+   * @param {string} baseUrl - SCIM base URL ({API}/scim/v2)
+   * @param {Array} groups - Company groups (to list the user's memberships)
+   */
+  toScimUser(user, baseUrl, groups = []) {
+    return {
+      schemas: [SCIM_SCHEMAS.USER, SCIM_SCHEMAS.ENTERPRISE_USER],
+      id: user.id,
+      ...(user.scimExternalId && { externalId: user.scimExternalId }),
+      userName: user.email,
+      name: {
+        formatted: user.name || '',
+        ...(user.givenName && { givenName: user.givenName }),
+        ...(user.familyName && { familyName: user.familyName }),
+      },
+      displayName: user.name || '',
+      emails: [{ value: user.email, type: 'work', primary: true }],
+      phoneNumbers: user.phone ? [{ value: user.phone, type: 'work', primary: true }] : [],
+      ...(user.jobTitle && { title: user.jobTitle }),
+      active: user.isActive !== false,
+      [SCIM_SCHEMAS.ENTERPRISE_USER]: {
+        ...(user.department && { department: user.department }),
+      },
+      groups: groups
+        .filter(group => group.members.includes(user.id))
+        .map(group => ({ value: group.id, display: group.displayName, $ref: `${baseUrl}/Groups/${group.id}` })),
+      meta: {
+        resourceType: 'User',
+        created: user.createdAt,
+        lastModified: user.updatedAt || user.createdAt,
+        location: `${baseUrl}/Users/${user.id}`,
+      },
+    };
+  }
+
+  /**
+   * @throws {AppError} 404 if the user does not exist in the company
+   */
+  async getUser(companyId, userId) {
+    const user = await userService.getUserById(userId);
+
+    if (!user || user.companyId !== companyId) {
+      throw scimError(`User ${userId} not found`, 404);
+    }
+
+    return user;
+  }
+
+  async getScimUser(companyId, userId, baseUrl) {
+    const [user, groups] = await Promise.all([
+      this.getUser(companyId, userId),
+      this.listGroups(companyId),
+    ]);
+
+    return this.toScimUser(user, baseUrl, groups);
+  }
+
+  /**
+   * @param {Object} query - { filter, startIndex, count }
+   */
+  async listUsers(companyId, query, baseUrl) {
+    const filter = parseFilter(query.filter, ['userName', 'externalId', 'displayName']);
+    const [users, groups] = await Promise.all([
+      userService.listCompanyUsers(companyId),
+      this.listGroups(companyId),
+    ]);
+
+    const matches = users
+      .filter((user) => {
+        if (!filter) return true;
+        if (filter.attribute === 'userName') return user.email.toLowerCase() === filter.value.toLowerCase();
+        if (filter.attribute === 'externalId') return user.scimExternalId === filter.value;
+        return user.name === filter.value;
+      })
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+    return toListResponse(matches.map(user => this.toScimUser(user, baseUrl, groups)), query);
+  }
+
+  /**
+   * Provision a user into the company, taking a user slot
+   * @throws {AppError} 409 if the email is taken, 403 if the company has no slots left
+   */
+  async createUser(companyId, resource, baseUrl) {
+    const attributes = resourceToAttributes(resource);
+    const email = validateUserName(attributes.userName);
+
+    if (await userService.getUserByEmail(email) || await userService.getUserByEmail(attributes.userName)) {
+      throw scimError(`User ${email} already exists`, 409, 'uniqueness');
+    }
+
+    if (!await companyService.reserveUserSlot(companyId)) {
+      throw scimError('User limit reached or adding users is not allowed for this company', 403);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      id: uuidv4(),
+      email,
+      name: displayNameFromAttributes(attributes),
+      password: attributes.password ? await bcrypt.hash(attributes.password, 10) : null,
+      phone: attributes.phone || '',
+      role: 'user',
+      companyId,
+
+      loginStatus: 'enabled',
+      isActive: attributes.active,
+
+      usage: {
+        totalLogins: 0,
+        totalSearches: 0,
+        totalExports: 0,
+        lastLoginAt: null,
+        lastPasswordResetAt: null,
+      },
+
+      department: attributes.department || '',
+      jobTitle: attributes.title || '',
+      givenName: attributes.givenName,
+      familyName: attributes.familyName,
+
+      provisionedBy: 'scim',
+      scimExternalId: attributes.externalId,
+
+      createdAt: now,
+      updatedAt: now,
+      createdBy: null,
+
+      resetToken: null,
+      resetTokenExpiry: null,
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.USERS,
+        Item: user,
+        ConditionExpression: 'attribute_not_exists(email)',
+      }));
+    } catch (error) {
+      await companyService.releaseUserSlot(companyId);
+
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw scimError(`User ${email} already exists`, 409, 'uniqueness');
+      }
+      logger.error('Error provisioning SCIM user:', error);
+      throw error;
+    }
+
+    logger.info(`SCIM user provisioned: ${user.id} in company ${companyId}`);
+    return this.toScimUser(user, baseUrl);
+  }
+
+  /**
+   * PUT: replace the user's attributes with the resource (omitted attributes are cleared)
+   */
+  async replaceUser(companyId, userId, resource, baseUrl) {
+    const user = await this.getUser(companyId, userId);
+    const updated = await this.applyUserAttributes(user, resourceToAttributes(resource));
+    return this.toScimUser(updated, baseUrl, await this.listGroups(companyId));
+  }
+
+  /**
+   * PATCH: apply add/replace/remove operations, with or without paths
+   */
+  async patchUser(companyId, userId, body, baseUrl) {
+    const operations = checkPatchRequest(body);
+    const user = await this.getUser(companyId, userId);
+    const attributes = userToAttributes(user);
+
+    operations.forEach(({ op, path, value }) => {
+      if (!path) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw scimError('Operations without a path need an object value', 400, 'invalidValue');
+        }
+        Object.entries(value).forEach(([key, entry]) => setUserAttribute(attributes, key, op === 'remove' ? null : entry));
+        return;
+      }
+
+      setUserAttribute(attributes, path, op === 'remove' ? null : value);
+    });
+
+    const updated = await this.applyUserAttributes(user, attributes);
+    return this.toScimUser(updated, baseUrl, await this.listGroups(companyId));
+  }
+
+  /**
+   * Write changed attributes to the user record. Changing userName moves the record
+   * to the new email; deactivating or renaming a user signs them out.
+   */
+  async applyUserAttributes(user, attributes) {
+    const email = validateUserName(attributes.userName);
+
+    const updates = {
+      name: displayNameFromAttributes({ ...attributes, userName: email }),
+      givenName: attributes.givenName,
+      familyName: attributes.familyName,
+      jobTitle: attributes.title || '',
+      department: attributes.department || '',
+      phone: attributes.phone || '',
+      scimExternalId: attributes.externalId,
+      isActive: attributes.active,
+    };
+
+    if (attributes.password) {
+      updates.password = attributes.password;
+    }
+
+    let updated;
+
+    if (email !== user.email.toLowerCase()) {
+      updated = await this.moveUser(user, email, updates);
+    } else {
+      updated = await userService.updateUser(user.email, updates);
+    }
+
+    if (user.isActive !== false && !attributes.active) {
+      const revoked = await sessionService.revokeUserSessions(user.id, 'deprovisioned');
+      logger.info(`SCIM user deactivated: ${user.id} (${revoked} sessions revoked)`);
+    } else if (updated.email !== user.email) {
+      await sessionService.revokeUserSessions(user.id, 'deprovisioned');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Users are keyed by email, so a new userName means a new record
+   * @throws {AppError} 409 if the new email is taken
+   */
+  async moveUser(user, email, updates) {
+    const moved = {
+      ...user,
+      ...updates,
+      email,
+      password: updates.password ? await bcrypt.hash(updates.password, 10) : (user.password ?? null),
+      // Pending reset links were sent to the old address
+      resetToken: null,
+      resetTokenExpiry: null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.USERS,
+        Item: moved,
+        ConditionExpression: 'attribute_not_exists(email)',
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw scimError(`User ${email} already exists`, 409, 'uniqueness');
+      }
+      logger.error('Error renaming SCIM user:', error);
+      throw error;
+    }
+
+    await userService.deleteUser(user.email);
+
+    logger.info(`SCIM user ${user.id} renamed to ${email}`);
+    const { password, ...userWithoutPassword } = moved;
+    return userWithoutPassword;
+  }
+
+  /**
+   * Delete a user and everything tied to them, and give the user slot back
+   */
+  async deleteUser(companyId, userId) {
+    const user = await this.getUser(companyId, userId);
+
+    await sessionService.revokeUserSessions(user.id, 'deprovisioned');
+    await mfaService.deleteRecord(user.id);
+    await this.removeMemberFromGroups(companyId, user.id);
+    await userService.deleteUser(user.email);
+    await companyService.releaseUserSlot(companyId);
+
+    logger.info(`SCIM user deleted: ${user.id} from company ${companyId}`);
+  }
+
+  // ============================================
+  // GROUPS
+  // ============================================
+
+  toScimGroup(group, baseUrl, usersById = new Map()) {
+    return {
+      schemas: [SCIM_SCHEMAS.GROUP],
+      id: group.id,
+      ...(group.externalId && { externalId: group.externalId }),
+      displayName: group.displayName,
+      members: group.members.map(memberId => ({
+        value: memberId,
+        ...(usersById.get(memberId) && { display: usersById.get(memberId).email }),
+        $ref: `${baseUrl}/Users/${memberId}`,
+      })),
+      meta: {
+        resourceType: 'Group',
+        created: group.createdAt,
+        lastModified: group.updatedAt,
+        location: `${baseUrl}/Groups/${group.id}`,
+      },
+    };
+  }
+
+  async listGroups(companyId) {
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLES.USER_GROUPS,
+        IndexName: 'CompanyIdIndex',
+        KeyConditionExpression: 'companyId = :companyId',
+        ExpressionAttributeValues: { ':companyId': companyId },
+      }));
+
+      return response.Items || [];
+    } catch (error) {
+      logger.error('Error listing user groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @throws {AppError} 404 if the group does not exist in the company
+   */
+  async getGroup(companyId, groupId) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.USER_GROUPS,
+        Key: { id: groupId },
+      }));
+
+      if (!response.Item || response.Item.companyId !== companyId) {
+        throw scimError(`Group ${groupId} not found`, 404);
+      }
+
+      return response.Item;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error getting user group:', error);
+      throw error;
+    }
+  }
+
+  async getCompanyUsersById(companyId) {
+    const users = await userService.listCompanyUsers(companyId);
+    return new Map(users.map(user => [user.id, user]));
+  }
+
+  async getScimGroup(companyId, groupId, baseUrl) {
+    const [group, usersById] = await Promise.all([
+      this.getGroup(companyId, groupId),
+      this.getCompanyUsersById(companyId),
+    ]);
+
+    return this.toScimGroup(group, baseUrl, usersById);
+  }
+
+  async listScimGroups(companyId, query, baseUrl) {
+    const filter = parseFilter(query.filter, ['displayName', 'externalId']);
+    const [groups, usersById] = await Promise.all([
+      this.listGroups(companyId),
+      this.getCompanyUsersById(companyId),
+    ]);
+
+    const matches = groups
+      .filter(group => !filter || group[filter.attribute] === filter.value)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return toListResponse(matches.map(group => this.toScimGroup(group, baseUrl, usersById)), query);
+  }
+
+  /**
+   * @throws {AppError} 400 if a member is not a user of the company
+   */
+  checkMembers(memberIds, usersById) {
+    const unknown = memberIds.filter(memberId => !usersById.has(memberId));
+
+    if (unknown.length > 0) {
+      throw scimError(`Unknown members: ${unknown.join(', ')}`, 400, 'invalidValue');
+    }
+
+    return [...new Set(memberIds)];
+  }
+
+  /**
+   * @throws {AppError} 409 if another group in the company has the name
+   */
+  async checkGroupName(companyId, displayName, groupId = null) {
+    if (!displayName) {
+      throw scimError('displayName is required', 400, 'invalidValue');
+    }
+
+    const groups = await this.listGroups(companyId);
+
+    if (groups.some(group => group.id !== groupId && group.displayName.toLowerCase() === displayName.toLowerCase())) {
+      throw scimError(`Group ${displayName} already exists`, 409, 'uniqueness');
+    }
+  }
+
+  async saveGroup(group) {
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.USER_GROUPS,
+        Item: group,
+      }));
+
+      return group;
+    } catch (error) {
+      logger.error('Error saving user group:', error);
+      throw error;
+    }
+  }
+
+  async createGroup(companyId, resource, baseUrl) {
+    const displayName = toText(resource?.displayName);
+    await this.checkGroupName(companyId, displayName);
+
+    const usersById = await this.getCompanyUsersById(companyId);
+    const now = new Date().toISOString();
+
+    const group = await this.saveGroup({
+      id: uuidv4(),
+      companyId,
+      displayName,
+      externalId: toText(resource.externalId),
+      members: this.checkMembers((resource.members || []).map(member => member?.value), usersById),
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    logger.info(`SCIM group created: ${group.id} in company ${companyId}`);
+    return this.toScimGroup(group, baseUrl, usersById);
+  }
+
+  async replaceGroup(companyId, groupId, resource, baseUrl) {
+    const group = await this.getGroup(companyId, groupId);
+    const displayName = toText(resource?.displayName);
+    await this.checkGroupName(companyId, displayName, group.id);
+
+    const usersById = await this.getCompanyUsersById(companyId);
+
+    const updated = await this.saveGroup({
+      ...group,
+      displayName,
+      externalId: toText(resource.externalId),
+      members: this.checkMembers((resource.members || []).map(member => member?.value), usersById),
+      updatedAt: new Date().toISOString(),
+    });
+
+    return this.toScimGroup(updated, baseUrl, usersById);
+  }
+
+  /**
+   * PATCH: add/remove/replace members (including `members[value eq "id"]` paths)
+   * and replace displayName or externalId
+   */
+  async patchGroup(companyId, groupId, body, baseUrl) {
+    const operations = checkPatchRequest(body);
+    const group = await this.getGroup(companyId, groupId);
+    const usersById = await this.getCompanyUsersById(companyId);
+
+    let { displayName, externalId } = group;
+    let members = [...group.members];
+
+    const memberValues = value => (Array.isArray(value) ? value : [value]).map(member => member?.value ?? member).filter(Boolean);
+
+    operations.forEach(({ op, path, value }) => {
+      const normalized = path?.toLowerCase() || null;
+      const memberFilter = path?.match(/^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/i);
+
+      if (memberFilter) {
+        if (op !== 'remove') {
+          throw scimError('Only remove is supported on a filtered members path', 400, 'invalidPath');
+        }
+        members = members.filter(memberId => memberId !== memberFilter[1]);
+      } else if (normalized === 'members') {
+        if (op === 'add') {
+          members = [...members, ...this.checkMembers(memberValues(value), usersById)];
+        } else if (op === 'remove') {
+          // Removing without a value clears the group
+          const removed = value === undefined || value === null ? members : memberValues(value);
+          members = members.filter(memberId => !removed.includes(memberId));
+        } else {
+          members = this.checkMembers(memberValues(value), usersById);
+        }
+      } else if (normalized === 'displayname') {
+        displayName = toText(value);
+      } else if (normalized === 'externalid') {
+        externalId = op === 'remove' ? null : toText(value);
+      } else if (!path && value && typeof value === 'object') {
+        if ('displayName' in value) displayName = toText(value.displayName);
+        if ('externalId' in value) externalId = toText(value.externalId);
+        if ('members' in value) {
+          members = op === 'add'
+            ? [...members, ...this.checkMembers(memberValues(value.members), usersById)]
+            : this.checkMembers(memberValues(value.members), usersById);
+        }
+      } else {
+        throw scimError(`Unsupported path: ${path}`, 400, 'invalidPath');
+      }
+    });
+
+    if (displayName !== group.displayName) {
+      await this.checkGroupName(companyId, displayName, group.id);
+    }
+
+    const updated = await this.saveGroup({
+      ...group,
+      displayName,
+      externalId,
+      members: [...new Set(members)],
+      updatedAt: new Date().toISOString(),
+    });
+
+    return this.toScimGroup(updated, baseUrl, usersById);
+  }
+
+  async deleteGroup(companyId, groupId) {
+    const group = await this.getGroup(companyId, groupId);
+
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.USER_GROUPS,
+        Key: { id: group.id },
+      }));
+
+      logger.info(`SCIM group deleted: ${group.id} from company ${companyId}`);
+    } catch (error) {
+      logger.error('Error deleting user group:', error);
+      throw error;
+    }
+  }
+
+  async removeMemberFromGroups(companyId, userId) {
+    const groups = await this.listGroups(companyId);
+
+    for (const group of groups.filter(item => item.members.includes(userId))) {
+      await this.saveGroup({
+        ...group,
+        members: group.members.filter(memberId => memberId !== userId),
+        updatedAt: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+export const scimService = new ScimService();
@@ -4,6 +4,7 @@ import { logger } from '../utils/logger.js';
 class SearchService {
   constructor() {
     this.indexName = process.env.OPENSEARCH_INDEX || 'knowledge-base';
+    this.chunkIndexName = process.env.OPENSEARCH_CHUNK_INDEX || 'knowledge-chunks';
   }
 
   async createIndex() {
@@ -33,6 +34,7 @@ class SearchService {
               properties: {
                 title: { type: 'text', analyzer: 'custom_analyzer' },
                 content: { type: 'text', analyzer: 'custom_analyzer' },
+                companyId: { type: 'keyword' },
                 category: { type: 'keyword' },
                 tags: { type: 'keyword' },
                 createdAt: { type: 'date' },
@@ -80,6 +82,10 @@ class SearchService {
         },
       ];
 
+      if (filters.companyId) {
+        must.push({ term: { companyId: filters.companyId } });
+      }
+
       if (filters.category) {
         must.push({ term: { category: filters.category } });
       }
@@ -106,6 +112,7 @@ class SearchService {
 
       const results = response.body.hits.hits.map((hit) => ({
         id: hit._id,
+        documentId: hit._source.documentId || hit._id,
         title: hit._source.title,
         content: hit._source.content,
         score: hit._score,
@@ -120,13 +127,17 @@ class SearchService {
     }
   }
 
-  async searchRelevantContext(question, topK = 5) {
+  async searchRelevantContext(question, { companyId, topK = 5 } = {}) {
     try {
-      const results = await this.searchDocuments(question, {}, topK);
-      return results.map(r => {
-        const highlights = r.highlights?.join('... ') || '';
-        return `Title: ${r.title}\nContent: ${highlights || r.content.substring(0, 500)}`;
-      });
+      const results = await this.searchDocuments(question, { companyId }, topK);
+      const maxScore = Math.max(...results.map(r => r.score), 0);
+
+      return results.map(r => ({
+        documentId: r.documentId,
+        title: r.title,
+        snippet: r.highlights?.join('... ') || r.content.substring(0, 500),
+        score: maxScore > 0 ? r.score / maxScore : 0,
+      }));
     } catch (error) {
       logger.error('Error searching relevant context:', error);
       throw error;
@@ -168,6 +179,155 @@ class SearchService {
       throw error;
     }
   }
+
+  async createChunkIndex(dimension) {
+    try {
+      const indexExists = await openSearchClient.indices.exists({
+        index: this.chunkIndexName,
+      });
+
+      if (!indexExists.body) {
+        await openSearchClient.indices.create({
+          index: this.chunkIndexName,
+          body: {
+            settings: {
+              index: { knn: true },
+              number_of_shards: 1,
+              number_of_replicas: 1,
+            },
+            mappings: {
+              properties: {
+                companyId: { type: 'keyword' },
+                documentId: { type: 'keyword' },
+                chunkIndex: { type: 'integer' },
+                title: { type: 'text' },
+                text: { type: 'text' },
+                embedding: {
+                  type: 'knn_vector',
+                  dimension,
+                  method: {
+                    name: 'hnsw',
+                    space_type: 'cosinesimil',
+                    engine: 'lucene',
+                  },
+                },
+              },
+            },
+          },
+        });
+
+        logger.info(`Index created: ${this.chunkIndexName}`);
+      }
+    } catch (error) {
+      logger.error('Error creating chunk index:', error);
+      throw error;
+    }
+  }
+
+  async indexChunks(chunks) {
+    try {
+      if (chunks.length === 0) return;
+
+      const body = chunks.flatMap(chunk => [
+        { index: { _index: this.chunkIndexName, _id: chunk.id } },
+        {
+          companyId: chunk.companyId,
+          documentId: chunk.documentId,
+          chunkIndex: chunk.chunkIndex,
+          title: chunk.title,
+          text: chunk.text,
+          embedding: chunk.vector,
+        },
+      ]);
+
+      await openSearchClient.bulk({ body, refresh: true });
+      logger.info(`Chunks indexed: ${chunks.length}`);
+    } catch (error) {
+      logger.error('Error indexing chunks:', error);
+      throw error;
+    }
+  }
+
+  async deleteDocumentChunks(documentId) {
+    try {
+      await openSearchClient.deleteByQuery({
+        index: this.chunkIndexName,
+        body: { query: { term: { documentId } } },
+        refresh: true,
+      });
+
+      logger.info(`Chunks deleted for document: ${documentId}`);
+    } catch (error) {
+      logger.error('Error deleting document chunks:', error);
+      throw error;
+    }
+  }
+
+  async knnSearch(companyId, vector, size = 10) {
+    try {
+      const response = await openSearchClient.search({
+        index: this.chunkIndexName,
+        body: {
+          size,
+          query: {
+            knn: {
+              embedding: {
+                vector,
+                k: size,
+                filter: { term: { companyId } },
+              },
+            },
+          },
+        },
+      });
+
+      return response.body.hits.hits.map(hit => this.toChunkResult(hit));
+    } catch (error) {
+      logger.error('Error running k-NN search:', error);
+      throw error;
+    }
+  }
+
+  async searchChunks(companyId, query, size = 10) {
+    try {
+      const response = await openSearchClient.search({
+        index: this.chunkIndexName,
+        body: {
+          size,
+          query: {
+            bool: {
+              must: [
+                {
+                  multi_match: {
+                    query,
+                    fields: ['title^2', 'text'],
+                    fuzziness: 'AUTO',
+                  },
+                },
+              ],
+              filter: [{ term: { companyId } }],
+            },
+          },
+        },
+      });
+
+      return response.body.hits.hits.map(hit => this.toChunkResult(hit));
+    } catch (error) {
+      logger.error('Error searching chunks:', error);
+      throw error;
+    }
+  }
+
+  toChunkResult(hit) {
+    return {
+      id: hit._id,
+      documentId: hit._source.documentId,
+      chunkIndex: hit._source.chunkIndex,
+      title: hit._source.title,
+      text: hit._source.text,
+      score: hit._score,
+    };
+  }
 }
 
 export const searchService = new SearchService();
\ No newline at end of file
@@ -0,0 +1,293 @@
+import { PutCommand, GetCommand, UpdateCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+const getAccessTokenExpiry = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Rotated refresh tokens remembered per session to recognise their reuse
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Sessions are the devices a user is signed in on. Each login opens a session and
+ * returns a short-lived access token (a JWT carrying the session id as `sid`) and a
+ * refresh token (`<sessionId>.<secret>`, only its hash is stored).
+ *
+ * Every refresh rotates the refresh token and extends the session. Presenting a token
+ * that was already rotated means it was copied, so the session is revoked.
+ * Revoked sessions stop their access tokens on the next request.
+ */
+class SessionService {
+  /**
+   * Open a session for a user who just signed in
+   * @param {Object} user - User record
+   * @param {Object} client - { userAgent, ip } of the device and how the user signed in (authMethod)
+   * @returns {Promise<Object>} Tokens (see issueTokens) and the session
+   */
+  async startSession(user, { userAgent, ip, authMethod = 'password' } = {}) {
+    try {
+      const secret = crypto.randomBytes(32).toString('hex');
+      const now = new Date().toISOString();
+
+      const session = {
+        id: uuidv4(),
+        userId: user.id,
+        email: user.email,
+        companyId: user.companyId || null,
+        refreshTokenHash: hashToken(secret),
+        previousTokenHashes: [],
+        userAgent: (userAgent || '').substring(0, 300),
+        ip: ip || '',
+        authMethod,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        revokedAt: null,
+        revokedReason: null,
+        revokedBy: null,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.SESSIONS,
+        Item: session,
+      }));
+
+      logger.info(`Session started: ${session.id} for user ${user.id}`);
+      return { ...this.issueTokens(user, session, secret), session };
+    } catch (error) {
+      logger.error('Error starting session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Access and refresh tokens of a session
+   * @returns {Object} { token, refreshToken, expiresIn, refreshTokenExpiresAt, sessionId }
+   */
+  issueTokens(user, session, secret) {
+    const token = jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        companyId: user.companyId,
+        sid: session.id,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: getAccessTokenExpiry() }
+    );
+
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: exp - iat,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session.id,
+    };
+  }
+
+  async getSession(id) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.SESSIONS,
+        Key: { id },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting session:', error);
+      throw error;
+    }
+  }
+
+  isActive(session) {
+    return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date();
+  }
+
+  /**
+   * Exchange a refresh token for new tokens, rotating the refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Function} loadUser - async (session) => current user record
+   * @param {Object} client - { userAgent, ip } of the device
+   * @returns {Promise<Object>} New tokens (see issueTokens)
+   * @throws {AppError} 401 if the token is invalid, expired, revoked or reused
+   */
+  async refresh(refreshToken, loadUser, { userAgent, ip } = {}) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+    if (!sessionId || !secret) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await this.getSession(sessionId);
+
+    if (!session) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    if (session.revokedAt) {
+      throw new AppError('Session has been revoked. Please login again.', 401);
+    }
+
+    if (!this.isActive(session)) {
+      throw new AppError('Session expired. Please login again.', 401);
+    }
+
+    const presented = hashToken(secret);
+
+    if (presented !== session.refreshTokenHash) {
+      if ((session.previousTokenHashes || []).includes(presented)) {
+        await this.revokeSession(session.id, 'refresh_token_reuse');
+        logger.warn(`Refresh token reuse detected, session ${session.id} of user ${session.userId} revoked`);
+        throw new AppError('Refresh token was already used. The session has been revoked, please login again.', 401);
+      }
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const user = await loadUser(session);
+
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+    const updated = {
+      ...session,
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHashes: [...(session.previousTokenHashes || []), presented].slice(-MAX_PREVIOUS_TOKENS),
+      lastUsedAt: new Date().toISOString(),
+      expiresAt: refreshExpiry(),
+      ...(userAgent && { userAgent: userAgent.substring(0, 300) }),
+      ...(ip && { ip }),
+    };
+
+    try {
+      // Only one refresh can consume a token; a concurrent one is treated as reuse
+      await docClient.send(new PutCommand({
+        TableName: TABLES.SESSIONS,
+        Item: updated,
+        ConditionExpression: 'refreshTokenHash = :presented AND attribute_type(revokedAt, :null)',
+        ExpressionAttributeValues: {
+          ':presented': presented,
+          ':null': 'NULL',
+        },
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        await this.revokeSession(session.id, 'refresh_token_reuse');
+        logger.warn(`Concurrent refresh of session ${session.id} of user ${session.userId}, session revoked`);
+        throw new AppError('Refresh token was already used. The session has been revoked, please login again.', 401);
+      }
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+
+    return this.issueTokens(user, updated, nextSecret);
+  }
+
+  /**
+   * Sessions of a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { activeOnly } (default true)
+   */
+  async listUserSessions(userId, { activeOnly = true } = {}) {
+    try {
+      const sessions = [];
+      let lastKey;
+
+      do {
+        const response = await docClient.send(new QueryCommand({
+          TableName: TABLES.SESSIONS,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: {
+            ':userId': userId,
+          },
+          ScanIndexForward: false,
+          ExclusiveStartKey: lastKey,
+        }));
+
+        sessions.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+      } while (lastKey);
+
+      return activeOnly ? sessions.filter(session => this.isActive(session)) : sessions;
+    } catch (error) {
+      logger.error('Error listing user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Session as shown to users and admins (without token hashes)
+   */
+  toPublicSession(session, currentSessionId) {
+    const { refreshTokenHash, previousTokenHashes, ...rest } = session;
+    return {
+      ...rest,
+      active: this.isActive(session),
+      current: session.id === currentSessionId,
+    };
+  }
+
+  /**
+   * Revoke a session; its access tokens stop working on the next request
+   * @param {string} id - Session ID
+   * @param {string} reason - logout, logout_all, refresh_token_reuse, admin, login_disabled, password_reset, mfa_required, deprovisioned
+   * @param {string} revokedBy - User who revoked it (defaults to nobody for automatic revocations)
+   * @returns {Promise<boolean>} False if the session was already revoked
+   */
+  async revokeSession(id, reason, revokedBy = null) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SESSIONS,
+        Key: { id },
+        UpdateExpression: 'SET revokedAt = :now, revokedReason = :reason, revokedBy = :revokedBy',
+        ConditionExpression: 'attribute_exists(id) AND attribute_type(revokedAt, :null)',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':reason': reason,
+          ':revokedBy': revokedBy,
+          ':null': 'NULL',
+        },
+      }));
+
+      logger.info(`Session revoked: ${id} (${reason})`);
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      logger.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - See revokeSession
+   * @param {Object} options - { exceptSessionId, revokedBy }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeUserSessions(userId, reason, { exceptSessionId, revokedBy = null } = {}) {
+    const sessions = await this.listUserSessions(userId);
+    let revoked = 0;
+
+    for (const session of sessions) {
+      if (session.id === exceptSessionId) continue;
+      if (await this.revokeSession(session.id, reason, revokedBy)) revoked++;
+    }
+
+    return revoked;
+  }
+}
+
+export const sessionService = new SessionService();
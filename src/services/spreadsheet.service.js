@@ -0,0 +1,275 @@
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import { categorizQuestion } from './document.service.js';
+import { markdownToPlainText } from '../utils/markdown.js';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const SPREADSHEET_MIME_TYPES = [
+  XLSX_MIME_TYPE,
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel', // Windows reports .csv files with this type
+];
+
+/**
+ * Check whether an uploaded file is a spreadsheet questionnaire
+ * @param {string} mimeType - File mime type
+ * @param {string} fileName - Original file name
+ * @returns {boolean} True for XLSX and CSV files
+ */
+export const isSpreadsheet = (mimeType, fileName = '') => {
+  return SPREADSHEET_MIME_TYPES.includes(mimeType) || /\.(xlsx|csv)$/i.test(fileName);
+};
+
+const isCsv = (mimeType, fileName = '') => {
+  return /\.csv$/i.test(fileName) || (mimeType !== XLSX_MIME_TYPE && !/\.xlsx$/i.test(fileName));
+};
+
+/**
+ * Load an XLSX or CSV buffer into a workbook
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - File mime type
+ * @param {string} fileName - Original file name (used to tell CSV from XLSX)
+ * @returns {Promise<ExcelJS.Workbook>} Workbook
+ */
+export const loadWorkbook = async (buffer, mimeType, fileName = '') => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (isCsv(mimeType, fileName)) {
+      await workbook.csv.read(Readable.from(buffer));
+    } else {
+      await workbook.xlsx.load(buffer);
+    }
+  } catch (error) {
+    console.error('Error reading spreadsheet:', error);
+    throw new Error('Failed to read spreadsheet');
+  }
+
+  return workbook;
+};
+
+/**
+ * Serialize a workbook back into the format it was loaded from
+ */
+const writeWorkbook = async (workbook, mimeType, fileName = '') => {
+  const buffer = isCsv(mimeType, fileName)
+    ? await workbook.csv.writeBuffer()
+    : await workbook.xlsx.writeBuffer();
+
+  return Buffer.from(buffer);
+};
+
+/**
+ * Find a worksheet by name or 1-based position (defaults to the first sheet)
+ */
+const getWorksheet = (workbook, sheet) => {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return workbook.worksheets[0];
+  }
+
+  const position = parseInt(sheet);
+  if (String(position) === String(sheet)) {
+    return workbook.worksheets[position - 1];
+  }
+
+  return workbook.getWorksheet(sheet);
+};
+
+/**
+ * Resolve a column given as a letter ("B") or a header label ("Question")
+ * @returns {string|null} Column letter
+ */
+const resolveColumn = (worksheet, column, headerRow) => {
+  if (!column) return null;
+
+  if (/^[A-Z]{1,3}$/.test(column)) {
+    return column;
+  }
+
+  const wanted = String(column).trim().toLowerCase();
+  let letter = null;
+
+  worksheet.getRow(headerRow).eachCell((cell) => {
+    if (!letter && cell.text.trim().toLowerCase() === wanted) {
+      letter = worksheet.getColumn(cell.col).letter;
+    }
+  });
+
+  return letter;
+};
+
+/**
+ * Flatten every sheet of a spreadsheet into text (one row per line)
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - File mime type
+ * @returns {Promise<string>} Extracted text
+ */
+export const extractTextFromSpreadsheet = async (buffer, mimeType) => {
+  const workbook = await loadWorkbook(buffer, mimeType);
+  const lines = [];
+
+  workbook.worksheets.forEach(worksheet => {
+    lines.push(worksheet.name.toUpperCase());
+    worksheet.eachRow(row => {
+      const values = [];
+      row.eachCell(cell => values.push(cell.text.trim()));
+      lines.push(values.filter(Boolean).join('\t'));
+    });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Describe the sheets of a workbook so the uploader can choose a column mapping
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - File mime type
+ * @param {string} fileName - Original file name
+ * @param {number} sampleSize - Number of rows to include per sheet
+ * @returns {Promise<Array<Object>>} Sheets ({ name, position, rowCount, columns, sampleRows })
+ */
+export const previewWorkbook = async (buffer, mimeType, fileName = '', sampleSize = 5) => {
+  const workbook = await loadWorkbook(buffer, mimeType, fileName);
+
+  return workbook.worksheets.map((worksheet, index) => {
+    const columns = [];
+    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell) => {
+      columns.push({
+        letter: worksheet.getColumn(cell.col).letter,
+        header: cell.text.trim(),
+      });
+    });
+
+    const sampleRows = [];
+    for (let r = 1; r <= Math.min(worksheet.rowCount, sampleSize); r++) {
+      const row = {};
+      worksheet.getRow(r).eachCell((cell) => {
+        row[worksheet.getColumn(cell.col).letter] = cell.text;
+      });
+      sampleRows.push({ row: r, cells: row });
+    }
+
+    return {
+      name: worksheet.name,
+      position: index + 1,
+      rowCount: worksheet.rowCount,
+      columns,
+      sampleRows,
+    };
+  });
+};
+
+/**
+ * Turn the rows of a questionnaire sheet into proposal questions.
+ * Each question remembers the cells it came from so answers can be written back.
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - File mime type
+ * @param {Object} mapping - { sheet, questionColumn, answerColumn, sectionColumn, headerRow, startRow }
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Array<Object>>} Array of extracted questions
+ */
+export const parseQuestionnaire = async (buffer, mimeType, mapping, fileName = '') => {
+  const workbook = await loadWorkbook(buffer, mimeType, fileName);
+  const worksheet = getWorksheet(workbook, mapping.sheet);
+
+  if (!worksheet) {
+    throw new Error(`Sheet not found: ${mapping.sheet}`);
+  }
+
+  const headerRow = parseInt(mapping.headerRow) || 1;
+  const startRow = parseInt(mapping.startRow) || headerRow + 1;
+
+  const questionColumn = resolveColumn(worksheet, mapping.questionColumn, headerRow);
+  const answerColumn = resolveColumn(worksheet, mapping.answerColumn, headerRow);
+  const sectionColumn = resolveColumn(worksheet, mapping.sectionColumn, headerRow);
+
+  if (!questionColumn) {
+    throw new Error(`Question column not found: ${mapping.questionColumn}`);
+  }
+
+  if (!answerColumn) {
+    throw new Error(`Answer column not found: ${mapping.answerColumn}`);
+  }
+
+  const questions = [];
+  let currentSection = worksheet.name;
+
+  for (let r = startRow; r <= worksheet.rowCount; r++) {
+    const row = worksheet.getRow(r);
+
+    // Section cells are often only filled on the first row of a block
+    if (sectionColumn) {
+      const section = row.getCell(sectionColumn).text.trim();
+      if (section) currentSection = section;
+    }
+
+    const questionText = row.getCell(questionColumn).text.trim();
+    if (!questionText) continue;
+
+    const existingAnswer = row.getCell(answerColumn).text.trim();
+
+    questions.push({
+      id: `q${questions.length + 1}`,
+      question: questionText,
+      section: currentSection,
+      category: categorizQuestion(questionText),
+      requirementType: 'question',
+      mandatory: true,
+      wordLimit: null,
+      pageReference: `${worksheet.name}!${questionColumn}${r}`,
+      extractionMethod: 'spreadsheet',
+      status: existingAnswer ? 'drafted' : 'pending',
+      draftAnswer: existingAnswer || null,
+      finalAnswer: null,
+      confidence: null,
+      sources: [],
+      cell: {
+        sheet: worksheet.name,
+        row: r,
+        questionColumn,
+        answerColumn,
+      },
+    });
+  }
+
+  return questions;
+};
+
+/**
+ * Write answers into the answer cells of the original workbook
+ * @param {Buffer} buffer - Original file buffer
+ * @param {string} mimeType - File mime type
+ * @param {Array<Object>} questions - Proposal questions with cell coordinates
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Buffer>} Workbook with answers, in the original format
+ */
+export const writeAnswersToWorkbook = async (buffer, mimeType, questions, fileName = '') => {
+  const workbook = await loadWorkbook(buffer, mimeType, fileName);
+
+  questions.forEach(q => {
+    if (!q.cell) return;
+
+    const answer = q.finalAnswer || q.draftAnswer;
+    if (!answer) return;
+
+    const worksheet = workbook.getWorksheet(q.cell.sheet);
+    if (!worksheet) return;
+
+    const cell = worksheet.getCell(`${q.cell.answerColumn}${q.cell.row}`);
+    cell.value = markdownToPlainText(answer);
+    cell.alignment = { ...(cell.alignment || {}), wrapText: true, vertical: 'top' };
+  });
+
+  return await writeWorkbook(workbook, mimeType, fileName);
+};
+
+export default {
+  isSpreadsheet,
+  loadWorkbook,
+  extractTextFromSpreadsheet,
+  previewWorkbook,
+  parseQuestionnaire,
+  writeAnswersToWorkbook,
+};
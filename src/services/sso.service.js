@@ -0,0 +1,855 @@
+import { PutCommand, GetCommand, DeleteCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { SAML, ValidateInResponseTo, generateServiceProviderMetadata } from '@node-saml/node-saml';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { docClient, TABLES } from '../config/aws.config.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { companyService } from './company.service.js';
+
+export const SSO_PROTOCOLS = ['oidc', 'saml'];
+
+const DEFAULT_OIDC_SCOPES = 'openid email profile';
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const EMAIL_NAME_ID_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+const getStateExpiry = () => process.env.SSO_STATE_EXPIRES_IN || '10m';
+
+const getEmailDomain = (email) => (String(email || '').split('@')[1] || '').toLowerCase();
+
+const hashBinding = (binding) => crypto.createHash('sha256').update(String(binding || '')).digest('hex');
+
+/**
+ * Public base URL of this API, used in redirect URIs and SAML endpoints (API_BASE_URL when behind a proxy)
+ */
+export const getApiBaseUrl = (req) => (process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// ============================================
+// OIDC
+// ============================================
+
+// Identity provider URLs are set by company admins, so the server only calls public
+// https hosts. The local mock IdP (http on a private address) is allowed wherever it is mounted.
+const allowLocalIdp = () => process.env.SSO_MOCK_IDP_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address, family) => {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they map to
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+
+  return mapped
+    ? blockedAddresses.check(mapped, 'ipv4')
+    : blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * @throws {Error} If the URL is not https or resolves to a private, loopback or link-local address
+ */
+const assertPublicUrl = async (rawUrl) => {
+  const url = new URL(rawUrl);
+
+  if (allowLocalIdp() && ['http:', 'https:'].includes(url.protocol)) {
+    return;
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`${url.origin} is not https`);
+  }
+
+  const addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+
+  if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+    throw new Error(`${url.hostname} resolves to a non-public address`);
+  }
+};
+
+/**
+ * fetch() for identity provider URLs. Redirects are not followed, since they could lead
+ * to an address the URL check would have refused.
+ */
+const fetchFromIdp = async (url, options = {}) => {
+  await assertPublicUrl(url);
+
+  return fetch(url, { ...options, redirect: 'manual', signal: AbortSignal.timeout(10000) });
+};
+
+// Discovery documents and key sets, by URL
+const oidcCache = new Map();
+
+const fetchJson = async (url, { refresh = false } = {}) => {
+  const cached = oidcCache.get(url);
+
+  if (!refresh && cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached.data;
+  }
+
+  const response = await fetchFromIdp(url);
+
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  oidcCache.set(url, { data, fetchedAt: Date.now() });
+  return data;
+};
+
+const getOidcDiscovery = async (discoveryUrl) => {
+  const discovery = await fetchJson(discoveryUrl);
+
+  const missing = ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri'].filter(field => !discovery[field]);
+  if (missing.length > 0) {
+    throw new Error(`Discovery document is missing ${missing.join(', ')}`);
+  }
+
+  return discovery;
+};
+
+/**
+ * Verify an ID token's signature (against the provider's key set), issuer, audience and nonce
+ * @returns {Promise<Object>} Claims
+ */
+const verifyIdToken = async (idToken, discovery, clientId, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const findKey = (jwks) => (jwks.keys || []).find(key => (decoded.header.kid ? key.kid === decoded.header.kid : key.use !== 'enc'));
+
+  // Providers rotate keys; an unknown key ID triggers one refetch
+  let jwk = findKey(await fetchJson(discovery.jwks_uri));
+  if (!jwk) {
+    jwk = findKey(await fetchJson(discovery.jwks_uri, { refresh: true }));
+  }
+  if (!jwk) {
+    throw new Error(`No signing key ${decoded.header.kid || ''} in the provider key set`);
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    audience: clientId,
+    issuer: discovery.issuer,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the sign-in request');
+  }
+
+  return claims;
+};
+
+// ============================================
+// SAML
+// ============================================
+
+const toPem = (certificate) => [
+  '-----BEGIN CERTIFICATE-----',
+  ...certificate.match(/.{1,64}/g),
+  '-----END CERTIFICATE-----',
+].join('\n');
+
+/**
+ * Certificate as bare base64, as it appears in SAML metadata
+ * @throws {AppError} If it is not an X.509 certificate
+ */
+const normalizeCertificate = (certificate) => {
+  const body = String(certificate || '')
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+
+  try {
+    new crypto.X509Certificate(toPem(body));
+  } catch (error) {
+    throw new AppError('saml.certificate is not a valid X.509 certificate', 400);
+  }
+
+  return body;
+};
+
+const readAttribute = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+/**
+ * Entity ID, sign-in URL and signing certificates from IdP metadata
+ * @param {string} xml - EntityDescriptor XML
+ * @returns {Object} { idpEntityId, entryPoint, certificates }
+ * @throws {AppError} If the metadata has no IdP sign-in endpoint or signing certificate
+ */
+export const parseSamlMetadata = (xml) => {
+  const idpEntityId = readAttribute(xml.match(/<(?:[\w-]+:)?EntityDescriptor\b[^>]*>/)?.[0] || '', 'entityID');
+  const descriptor = xml.match(/<(?:[\w-]+:)?IDPSSODescriptor\b[\s\S]*?<\/(?:[\w-]+:)?IDPSSODescriptor>/)?.[0];
+
+  if (!descriptor) {
+    throw new AppError('saml.metadataXml has no IDPSSODescriptor', 400);
+  }
+
+  const services = [...descriptor.matchAll(/<(?:[\w-]+:)?SingleSignOnService\b[^>]*>/g)].map(([tag]) => ({
+    binding: readAttribute(tag, 'Binding') || '',
+    location: readAttribute(tag, 'Location'),
+  }));
+  // Sign-in requests are sent with the HTTP-Redirect binding
+  const entryPoint = services.find(service => service.binding.endsWith('HTTP-Redirect'))?.location;
+
+  const certificates = [...descriptor.matchAll(/<(?:[\w-]+:)?KeyDescriptor\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?KeyDescriptor>/g)]
+    .filter(([, attributes]) => readAttribute(attributes, 'use') !== 'encryption')
+    .map(([, , body]) => body.match(/<(?:[\w-]+:)?X509Certificate>([^<]+)</)?.[1])
+    .filter(Boolean)
+    .map(normalizeCertificate);
+
+  if (!entryPoint) {
+    throw new AppError('saml.metadataXml has no HTTP-Redirect SingleSignOnService', 400);
+  }
+  if (certificates.length === 0) {
+    throw new AppError('saml.metadataXml has no signing certificate', 400);
+  }
+
+  return { idpEntityId: idpEntityId || null, entryPoint, certificates };
+};
+
+/**
+ * Email and name from the attributes IdPs commonly send (Entra ID, Okta, Google, ADFS)
+ */
+const readSamlIdentity = (profile) => {
+  const claim = (name) => profile[`http://schemas.xmlsoap.org/ws/2005/05/identity/claims/${name}`];
+
+  const email = profile.email || profile.mail || claim('emailaddress')
+    || (EMAIL_PATTERN.test(profile.nameID || '') ? profile.nameID : null);
+
+  const name = profile.displayName
+    || profile['http://schemas.microsoft.com/identity/claims/displayname']
+    || [profile.givenName || claim('givenname'), profile.surname || profile.sn || claim('surname')].filter(Boolean).join(' ')
+    || claim('name');
+
+  return { email, name, subject: profile.nameID };
+};
+
+/**
+ * Single sign-on. Each company can connect one identity provider over OIDC
+ * (authorization code flow) or SAML 2.0 (HTTP-Redirect request, HTTP-POST response).
+ * Connections, including OIDC client secrets, live in their own table and are only
+ * shown to admins without the secret.
+ *
+ * IdP users are matched to users by email within the company; unknown users are created
+ * on first sign-in when just-in-time provisioning is on, within the company's maxUsers.
+ * Second factors are left to the IdP.
+ */
+class SsoService {
+  async getConnection(companyId) {
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLES.SSO_CONNECTIONS,
+        Key: { companyId },
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      logger.error('Error getting SSO connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Connections claiming an email domain
+   */
+  async findConnectionsForDomain(domain) {
+    try {
+      const connections = [];
+      let lastKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLES.SSO_CONNECTIONS,
+          FilterExpression: 'contains(domains, :domain)',
+          ExpressionAttributeValues: {
+            ':domain': domain,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        connections.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+      } while (lastKey);
+
+      return connections;
+    } catch (error) {
+      logger.error('Error finding SSO connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enabled connection claiming an email's domain
+   */
+  async findConnectionForEmail(email) {
+    const domain = getEmailDomain(email);
+    if (!domain) return null;
+
+    const connections = await this.findConnectionsForDomain(domain);
+    return connections.find(connection => connection.enabled) || null;
+  }
+
+  async isPasswordLoginDisabled(companyId) {
+    if (!companyId) return false;
+
+    const connection = await this.getConnection(companyId);
+    return Boolean(connection?.enabled && connection.passwordLoginDisabled);
+  }
+
+  /**
+   * URLs to register with the identity provider
+   */
+  getServiceProviderInfo(companyId, baseUrl) {
+    const samlBase = `${baseUrl}/api/v1/auth/sso/saml/${companyId}`;
+
+    return {
+      oidcRedirectUri: `${baseUrl}/api/v1/auth/sso/oidc/callback`,
+      samlEntityId: `${samlBase}/metadata`,
+      samlAcsUrl: `${samlBase}/acs`,
+      samlMetadataUrl: `${samlBase}/metadata`,
+    };
+  }
+
+  /**
+   * Connection as shown to admins (the OIDC client secret is never returned)
+   */
+  toPublicConnection(connection, baseUrl) {
+    const { oidc, ...rest } = connection;
+
+    return {
+      ...rest,
+      ...(oidc && {
+        oidc: {
+          discoveryUrl: oidc.discoveryUrl,
+          clientId: oidc.clientId,
+          scopes: oidc.scopes,
+          clientSecretSet: Boolean(oidc.clientSecret),
+        },
+      }),
+      serviceProvider: this.getServiceProviderInfo(connection.companyId, baseUrl),
+    };
+  }
+
+  /**
+   * Validate and store a company's SSO connection (replaces the previous one;
+   * an omitted OIDC clientSecret keeps the stored secret, omitted domains keep the stored domains)
+   *
+   * Domains route sign-ins and allow just-in-time provisioning, so claiming one is only
+   * allowed after a superadmin has checked the company owns it; company admins can only
+   * keep or remove domains.
+   * @param {string} companyId - Company ID
+   * @param {Object} input - { protocol, enabled, domains, passwordLoginDisabled, jitProvisioning,
+   *                           oidc: { discoveryUrl, clientId, clientSecret, scopes },
+   *                           saml: { metadataXml } or { entryPoint, certificate, idpEntityId } }
+   * @param {string} updatedBy - User ID
+   * @param {Object} options - { canClaimDomains } (true for superadmins)
+   * @returns {Promise<Object>} Connection
+   * @throws {AppError} If the configuration is invalid, 403 for a domain the caller cannot claim
+   */
+  async saveConnection(companyId, input = {}, updatedBy, { canClaimDomains = false } = {}) {
+    const existing = await this.getConnection(companyId);
+    const { protocol, enabled = true, domains = existing?.domains || [], passwordLoginDisabled = false, jitProvisioning = true } = input;
+
+    if (!SSO_PROTOCOLS.includes(protocol)) {
+      throw new AppError(`protocol must be one of ${SSO_PROTOCOLS.join(', ')}`, 400);
+    }
+
+    ['enabled', 'passwordLoginDisabled', 'jitProvisioning'].forEach(field => {
+      if (input[field] !== undefined && typeof input[field] !== 'boolean') {
+        throw new AppError(`${field} must be a boolean`, 400);
+      }
+    });
+
+    if (!Array.isArray(domains) || domains.some(domain => typeof domain !== 'string')) {
+      throw new AppError('domains must be an array of email domains', 400);
+    }
+
+    const normalizedDomains = [...new Set(domains.map(domain => domain.trim().toLowerCase().replace(/^@/, '')))];
+    const invalid = normalizedDomains.filter(domain => !DOMAIN_PATTERN.test(domain));
+
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid domains: ${invalid.join(', ')}`, 400);
+    }
+
+    const claimed = normalizedDomains.filter(domain => !(existing?.domains || []).includes(domain));
+
+    if (claimed.length > 0 && !canClaimDomains) {
+      throw new AppError(`Email domains must be verified by support before they can be added: ${claimed.join(', ')}`, 403);
+    }
+
+    for (const domain of normalizedDomains) {
+      const owners = await this.findConnectionsForDomain(domain);
+      if (owners.some(owner => owner.companyId !== companyId)) {
+        throw new AppError(`Domain ${domain} is already used by another company's SSO`, 409);
+      }
+    }
+
+    const connection = {
+      companyId,
+      protocol,
+      enabled,
+      domains: normalizedDomains,
+      passwordLoginDisabled,
+      jitProvisioning,
+      createdBy: existing?.createdBy || updatedBy,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedBy,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (protocol === 'oidc') {
+      connection.oidc = await this.normalizeOidcConfig(input.oidc, existing?.oidc);
+    } else {
+      connection.saml = this.normalizeSamlConfig(input.saml);
+    }
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.SSO_CONNECTIONS,
+        Item: connection,
+      }));
+
+      logger.info(`SSO connection saved for company ${companyId} (${protocol})`);
+      return connection;
+    } catch (error) {
+      logger.error('Error saving SSO connection:', error);
+      throw error;
+    }
+  }
+
+  async normalizeOidcConfig(oidc, previous) {
+    const { discoveryUrl, clientId, clientSecret, scopes = DEFAULT_OIDC_SCOPES } = oidc || {};
+
+    if (!discoveryUrl || !(allowLocalIdp() ? /^https?:\/\//i : /^https:\/\//i).test(discoveryUrl)) {
+      throw new AppError('oidc.discoveryUrl must be an https URL', 400);
+    }
+    if (!clientId) {
+      throw new AppError('oidc.clientId is required', 400);
+    }
+
+    const secret = clientSecret || (previous?.clientId === clientId ? previous.clientSecret : null);
+    if (!secret) {
+      throw new AppError('oidc.clientSecret is required', 400);
+    }
+
+    if (typeof scopes !== 'string' || !scopes.split(/\s+/).includes('openid')) {
+      throw new AppError('oidc.scopes must be a space-separated string including openid', 400);
+    }
+
+    try {
+      await getOidcDiscovery(discoveryUrl);
+    } catch (error) {
+      // Details stay in the log: the response must not reveal what the server can reach
+      logger.warn(`OIDC discovery failed for ${discoveryUrl}: ${error.message}`);
+      throw new AppError('Could not load the OIDC discovery document', 400);
+    }
+
+    return { discoveryUrl, clientId, clientSecret: secret, scopes };
+  }
+
+  normalizeSamlConfig(saml) {
+    const { metadataXml, entryPoint, certificate, idpEntityId } = saml || {};
+
+    if (metadataXml) {
+      return parseSamlMetadata(metadataXml);
+    }
+
+    if (!entryPoint || !/^https?:\/\//.test(entryPoint)) {
+      throw new AppError('saml.metadataXml, or saml.entryPoint and saml.certificate, are required', 400);
+    }
+
+    return {
+      idpEntityId: idpEntityId || null,
+      entryPoint,
+      certificates: (Array.isArray(certificate) ? certificate : [certificate]).map(normalizeCertificate),
+    };
+  }
+
+  async deleteConnection(companyId) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.SSO_CONNECTIONS,
+        Key: { companyId },
+      }));
+
+      logger.info(`SSO connection deleted for company ${companyId}`);
+    } catch (error) {
+      logger.error('Error deleting SSO connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} connection - SSO connection
+   * @param {string} baseUrl - API base URL
+   * @param {Object} request - { samlRequestId, iat } of the sign-in the response must answer
+   */
+  createSaml(connection, baseUrl, { samlRequestId, iat }) {
+    const { samlEntityId, samlAcsUrl } = this.getServiceProviderInfo(connection.companyId, baseUrl);
+    const issuedAt = new Date(iat * 1000).toISOString();
+
+    return new SAML({
+      entryPoint: connection.saml.entryPoint,
+      issuer: samlEntityId,
+      callbackUrl: samlAcsUrl,
+      audience: samlEntityId,
+      idpCert: connection.saml.certificates.map(toPem),
+      ...(connection.saml.idpEntityId && { idpIssuer: connection.saml.idpEntityId }),
+      identifierFormat: EMAIL_NAME_ID_FORMAT,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      acceptedClockSkewMs: 60000,
+      // The request ID travels in the signed RelayState, so each sign-in only knows its own request
+      validateInResponseTo: ValidateInResponseTo.always,
+      generateUniqueId: () => samlRequestId,
+      cacheProvider: {
+        saveAsync: async (key, value) => ({ value, createdAt: Date.now() }),
+        getAsync: async (key) => (key === samlRequestId ? issuedAt : null),
+        removeAsync: async (key) => (key === samlRequestId ? issuedAt : null),
+      },
+    });
+  }
+
+  /**
+   * SAML service provider metadata to give to the IdP
+   */
+  getSamlMetadata(companyId, baseUrl) {
+    const { samlEntityId, samlAcsUrl } = this.getServiceProviderInfo(companyId, baseUrl);
+
+    return generateServiceProviderMetadata({
+      issuer: samlEntityId,
+      callbackUrl: samlAcsUrl,
+      identifierFormat: EMAIL_NAME_ID_FORMAT,
+      wantAssertionsSigned: true,
+    });
+  }
+
+  /**
+   * URL that sends the browser to the company's IdP. The returned binding must be stored in
+   * the browser (HttpOnly cookie) and passed back on completion, so a sign-in started in one
+   * browser cannot be finished in another.
+   * @param {Object} connection - SSO connection
+   * @param {Object} options - { baseUrl, loginHint, returnTo } (returnTo: frontend path to land on)
+   * @returns {Promise<Object>} { redirectUrl, binding }
+   */
+  async startLogin(connection, { baseUrl, loginHint, returnTo }) {
+    if (!connection?.enabled) {
+      throw new AppError('SSO is not enabled for this company', 400);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const binding = crypto.randomBytes(32).toString('base64url');
+    // Only paths on the frontend, never other sites
+    const safeReturnTo = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : undefined;
+
+    const request = {
+      purpose: 'sso_state',
+      companyId: connection.companyId,
+      nonce,
+      binding: hashBinding(binding),
+      ...(connection.protocol === 'saml' && { samlRequestId: `_${crypto.randomBytes(20).toString('hex')}` }),
+      ...(safeReturnTo && { returnTo: safeReturnTo }),
+      iat: Math.floor(Date.now() / 1000),
+    };
+
+    const state = jwt.sign(request, process.env.JWT_SECRET, { expiresIn: getStateExpiry() });
+
+    try {
+      if (connection.protocol === 'oidc') {
+        const discovery = await getOidcDiscovery(connection.oidc.discoveryUrl);
+        const url = new URL(discovery.authorization_endpoint);
+
+        url.search = new URLSearchParams({
+          ...Object.fromEntries(url.searchParams),
+          response_type: 'code',
+          client_id: connection.oidc.clientId,
+          redirect_uri: this.getServiceProviderInfo(connection.companyId, baseUrl).oidcRedirectUri,
+          scope: connection.oidc.scopes,
+          state,
+          nonce,
+          ...(loginHint && { login_hint: loginHint }),
+        }).toString();
+
+        return { redirectUrl: url.toString(), binding };
+      }
+
+      const redirectUrl = await this.createSaml(connection, baseUrl, request).getAuthorizeUrlAsync(state, undefined, {});
+      return { redirectUrl, binding };
+    } catch (error) {
+      logger.error(`Error starting SSO for company ${connection.companyId}:`, error);
+      throw new AppError('Identity provider is unavailable. Try again later.', 502);
+    }
+  }
+
+  /**
+   * Sign-in request carried through the IdP round trip
+   * @param {string} state - State (OIDC) or RelayState (SAML)
+   * @param {string} binding - Binding from the browser that started the sign-in
+   * @returns {Object} { companyId, nonce, samlRequestId, returnTo, iat }
+   * @throws {AppError} 400 if it is missing, tampered with, expired or from another browser
+   */
+  verifyState(state, binding) {
+    try {
+      const decoded = jwt.verify(state || '', process.env.JWT_SECRET);
+
+      if (decoded.purpose !== 'sso_state') {
+        throw new Error('Wrong state purpose');
+      }
+
+      const expected = Buffer.from(String(decoded.binding || ''), 'hex');
+      const actual = Buffer.from(hashBinding(binding), 'hex');
+
+      if (!binding || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('State was not started in this browser');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new AppError('Invalid or expired SSO request. Please sign in again.', 400);
+    }
+  }
+
+  async getEnabledConnection(companyId, protocol) {
+    const connection = await this.getConnection(companyId);
+
+    if (!connection?.enabled || connection.protocol !== protocol) {
+      throw new AppError('SSO is not enabled for this company', 400);
+    }
+
+    return connection;
+  }
+
+  /**
+   * Handle the OIDC redirect back from the IdP
+   * @param {Object} query - { code, state, error, error_description }
+   * @param {string} baseUrl - API base URL
+   * @param {string} binding - Binding from the browser's cookie
+   * @returns {Promise<Object>} { connection, request, identity: { email, name, subject } }
+   */
+  async completeOidcLogin({ code, state, error, error_description: errorDescription }, baseUrl, binding) {
+    const request = this.verifyState(state, binding);
+
+    if (error) {
+      throw new AppError(`Identity provider error: ${errorDescription || error}`, 401);
+    }
+    if (!code) {
+      throw new AppError('Authorization code is missing', 400);
+    }
+
+    const connection = await this.getEnabledConnection(request.companyId, 'oidc');
+    const { clientId, clientSecret } = connection.oidc;
+
+    let claims;
+
+    try {
+      const discovery = await getOidcDiscovery(connection.oidc.discoveryUrl);
+      const useBasicAuth = !(discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'])
+        .includes('client_secret_post');
+
+      const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getServiceProviderInfo(connection.companyId, baseUrl).oidcRedirectUri,
+        ...(!useBasicAuth && { client_id: clientId, client_secret: clientSecret }),
+      });
+
+      const response = await fetchFromIdp(discovery.token_endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          ...(useBasicAuth && {
+            Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`,
+          }),
+        },
+        body,
+      });
+
+      const tokens = await response.json().catch(() => ({}));
+
+      if (!response.ok || !tokens.id_token) {
+        throw new Error(`Token endpoint returned ${response.status} ${tokens.error || ''}`.trim());
+      }
+
+      claims = await verifyIdToken(tokens.id_token, discovery, clientId, request.nonce);
+    } catch (err) {
+      logger.warn(`OIDC sign-in failed for company ${connection.companyId}: ${err.message}`);
+      throw new AppError('SSO sign-in could not be verified', 401);
+    }
+
+    if (!claims.email || claims.email_verified === false) {
+      throw new AppError('Identity provider did not return a verified email', 401);
+    }
+
+    return {
+      connection,
+      request,
+      identity: { email: claims.email, name: claims.name || '', subject: claims.sub },
+    };
+  }
+
+  /**
+   * Handle the SAML response posted back by the IdP
+   * @param {string} companyId - Company in the ACS URL
+   * @param {Object} body - { SAMLResponse, RelayState }
+   * @param {string} baseUrl - API base URL
+   * @param {string} binding - Binding from the browser's cookie
+   * @returns {Promise<Object>} { connection, request, identity: { email, name, subject } }
+   */
+  async completeSamlLogin(companyId, { SAMLResponse, RelayState }, baseUrl, binding) {
+    // IdP-initiated sign-in is not accepted: every response must answer one of our requests
+    const request = this.verifyState(RelayState, binding);
+
+    if (request.companyId !== companyId || !request.samlRequestId) {
+      throw new AppError('Invalid or expired SSO request. Please sign in again.', 400);
+    }
+    if (!SAMLResponse) {
+      throw new AppError('SAMLResponse is missing', 400);
+    }
+
+    const connection = await this.getEnabledConnection(companyId, 'saml');
+
+    let profile;
+
+    try {
+      ({ profile } = await this.createSaml(connection, baseUrl, request).validatePostResponseAsync({ SAMLResponse }));
+    } catch (err) {
+      logger.warn(`SAML sign-in failed for company ${companyId}: ${err.message}`);
+      throw new AppError('SSO sign-in could not be verified', 401);
+    }
+
+    const identity = readSamlIdentity(profile || {});
+
+    if (!identity.email) {
+      throw new AppError('Identity provider did not return an email', 401);
+    }
+
+    return { connection, request, identity };
+  }
+
+  /**
+   * User an IdP identity signs in as, created on first sign-in if the connection allows it
+   * @param {Object} connection - SSO connection
+   * @param {Object} identity - { email, name, subject }
+   * @returns {Promise<Object>} User record
+   * @throws {AppError} 403 if the email is outside the company or cannot be provisioned
+   */
+  async resolveUser(connection, identity) {
+    const email = identity.email.trim();
+    const domain = getEmailDomain(email);
+
+    if (connection.domains.length > 0 && !connection.domains.includes(domain)) {
+      throw new AppError(`Email domain ${domain} is not allowed for this company's SSO`, 403);
+    }
+
+    let user = await this.getUser(email.toLowerCase()) || (email !== email.toLowerCase() ? await this.getUser(email) : null);
+
+    if (!user) {
+      // Without an approved domain the IdP could create accounts for any email address
+      if (!connection.jitProvisioning || connection.domains.length === 0) {
+        throw new AppError(`No account exists for ${email}. Ask your administrator to add you.`, 403);
+      }
+      user = await this.provisionUser(connection, { ...identity, email: email.toLowerCase() });
+    }
+
+    if (user.role === 'superadmin' || user.companyId !== connection.companyId) {
+      throw new AppError('This account cannot sign in with this company\'s SSO', 403);
+    }
+
+    return user;
+  }
+
+  async getUser(email) {
+    const response = await docClient.send(new GetCommand({
+      TableName: TABLES.USERS,
+      Key: { email },
+    }));
+
+    return response.Item || null;
+  }
+
+  /**
+   * Create a user for an IdP identity, taking one of the company's user slots
+   * @throws {AppError} 403 if the company cannot add users
+   */
+  async provisionUser(connection, identity) {
+    const { companyId } = connection;
+
+    // The slot is reserved first so concurrent sign-ins cannot exceed maxUsers
+    if (!await companyService.reserveUserSlot(companyId)) {
+      throw new AppError('Your company has no user slots left. Contact your administrator.', 403);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      id: uuidv4(),
+      email: identity.email,
+      name: identity.name || identity.email.split('@')[0],
+      password: null,
+      phone: '',
+      role: 'user',
+      companyId,
+
+      loginStatus: 'enabled',
+      isActive: true,
+
+      usage: {
+        totalLogins: 0,
+        totalSearches: 0,
+        totalExports: 0,
+        lastLoginAt: null,
+        lastPasswordResetAt: null,
+      },
+
+      department: '',
+      jobTitle: '',
+
+      authProvider: 'sso',
+      ssoSubject: identity.subject || null,
+
+      createdAt: now,
+      updatedAt: now,
+      createdBy: null,
+
+      resetToken: null,
+      resetTokenExpiry: null,
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLES.USERS,
+        Item: user,
+        ConditionExpression: 'attribute_not_exists(email)',
+      }));
+    } catch (error) {
+      // Another sign-in created the user first; give the slot back
+      await companyService.releaseUserSlot(companyId);
+
+      if (error.name === 'ConditionalCheckFailedException') {
+        return this.getUser(identity.email);
+      }
+      logger.error('Error provisioning SSO user:', error);
+      throw error;
+    }
+
+    logger.info(`SSO user provisioned: ${user.id} in company ${companyId}`);
+    return user;
+  }
+}
+
+export const ssoService = new SsoService();
@@ -0,0 +1,221 @@
+import { logger } from '../utils/logger.js';
+import { tokenize } from '../utils/text.js';
+import { cosineSimilarity } from './embedding.service.js';
+import { searchService } from './search.service.js';
+
+/**
+ * Vector stores hold embedded knowledge chunks
+ * ({ id, companyId, documentId, chunkIndex, title, text, vector }) and expose:
+ *   getIndexedVersions(companyId), markIndexed(companyId, documentId, version), upsert(chunks),
+ *   deleteDocument(companyId, documentId), vectorSearch(companyId, vector, topK), lexicalSearch(companyId, query, topK)
+ * Search results carry a score in [0, 1].
+ */
+
+/**
+ * In-process index, scoped per company. Contents are lost on restart and only reflect
+ * changes made in this process, so the knowledge service syncs it from DynamoDB using
+ * the document versions recorded here.
+ */
+export class LocalVectorIndex {
+  constructor() {
+    this.name = 'local';
+    this.companies = new Map();
+    // companyId -> Map(documentId -> indexed version)
+    this.versions = new Map();
+  }
+
+  getCompanyChunks(companyId) {
+    if (!this.companies.has(companyId)) {
+      this.companies.set(companyId, new Map());
+    }
+    return this.companies.get(companyId);
+  }
+
+  /**
+   * @returns {Promise<Map>} Copy of documentId -> version for the company's indexed documents
+   */
+  async getIndexedVersions(companyId) {
+    return new Map(this.versions.get(companyId));
+  }
+
+  async markIndexed(companyId, documentId, version) {
+    if (!this.versions.has(companyId)) {
+      this.versions.set(companyId, new Map());
+    }
+    this.versions.get(companyId).set(documentId, version);
+  }
+
+  async upsert(chunks) {
+    chunks.forEach(chunk => {
+      this.getCompanyChunks(chunk.companyId).set(chunk.id, {
+        ...chunk,
+        terms: tokenize(`${chunk.title} ${chunk.text}`),
+      });
+    });
+  }
+
+  async deleteDocument(companyId, documentId) {
+    const chunks = this.getCompanyChunks(companyId);
+    for (const [id, chunk] of chunks) {
+      if (chunk.documentId === documentId) chunks.delete(id);
+    }
+    this.versions.get(companyId)?.delete(documentId);
+  }
+
+  async vectorSearch(companyId, vector, topK = 10) {
+    const chunks = [...this.getCompanyChunks(companyId).values()];
+
+    return chunks
+      .map(chunk => ({
+        ...this.toResult(chunk),
+        score: Math.max(0, cosineSimilarity(vector, chunk.vector)),
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * BM25 over the company's chunks
+   */
+  async lexicalSearch(companyId, query, topK = 10) {
+    const chunks = [...this.getCompanyChunks(companyId).values()];
+    const queryTerms = [...new Set(tokenize(query))];
+
+    if (chunks.length === 0 || queryTerms.length === 0) {
+      return [];
+    }
+
+    const k1 = 1.2;
+    const b = 0.75;
+    const avgLength = chunks.reduce((sum, c) => sum + c.terms.length, 0) / chunks.length;
+
+    const documentFrequency = {};
+    queryTerms.forEach(term => {
+      documentFrequency[term] = chunks.filter(c => c.terms.includes(term)).length;
+    });
+
+    const results = chunks.map(chunk => {
+      let score = 0;
+
+      queryTerms.forEach(term => {
+        const tf = chunk.terms.filter(t => t === term).length;
+        if (tf === 0) return;
+
+        const df = documentFrequency[term];
+        const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.terms.length / avgLength));
+      });
+
+      return { ...this.toResult(chunk), score };
+    });
+
+    return normalizeScores(results.filter(r => r.score > 0))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  toResult(chunk) {
+    return {
+      id: chunk.id,
+      documentId: chunk.documentId,
+      chunkIndex: chunk.chunkIndex,
+      title: chunk.title,
+      text: chunk.text,
+    };
+  }
+}
+
+/**
+ * OpenSearch k-NN index (see SearchService chunk index methods)
+ */
+export class OpenSearchVectorIndex {
+  constructor(dimension) {
+    this.name = 'opensearch';
+    this.dimension = dimension;
+    this.ready = null;
+  }
+
+  async ensureIndex() {
+    if (!this.ready) {
+      this.ready = searchService.createChunkIndex(this.dimension).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async getIndexedVersions() {
+    // Chunks are persisted and every process writes them, so the index never needs a sync
+    return null;
+  }
+
+  async markIndexed() {}
+
+  async upsert(chunks) {
+    await this.ensureIndex();
+    await searchService.indexChunks(chunks);
+  }
+
+  async deleteDocument(companyId, documentId) {
+    await this.ensureIndex();
+    await searchService.deleteDocumentChunks(documentId);
+  }
+
+  async vectorSearch(companyId, vector, topK = 10) {
+    await this.ensureIndex();
+    const results = await searchService.knnSearch(companyId, vector, topK);
+
+    // Lucene cosinesimil scores are (1 + cosine) / 2
+    return results.map(r => ({ ...r, score: Math.max(0, 2 * r.score - 1) }));
+  }
+
+  async lexicalSearch(companyId, query, topK = 10) {
+    await this.ensureIndex();
+    return normalizeScores(await searchService.searchChunks(companyId, query, topK));
+  }
+}
+
+/**
+ * Scale scores so that the best result scores 1
+ * @param {Array<Object>} results - Results with a score
+ * @returns {Array<Object>} Results with normalized scores
+ */
+const normalizeScores = (results) => {
+  const maxScore = Math.max(...results.map(r => r.score), 0);
+  return results.map(r => ({ ...r, score: maxScore > 0 ? r.score / maxScore : 0 }));
+};
+
+let store = null;
+
+/**
+ * Get the configured vector store (VECTOR_STORE=local|opensearch)
+ * @param {number} dimension - Embedding dimension (needed to create the OpenSearch index)
+ * @returns {Object} Vector store
+ */
+export const getVectorStore = (dimension) => {
+  if (store) return store;
+
+  store = process.env.VECTOR_STORE === 'opensearch'
+    ? new OpenSearchVectorIndex(dimension)
+    : new LocalVectorIndex();
+
+  logger.info(`Vector store: ${store.name}`);
+  return store;
+};
+
+/**
+ * Replace the vector store (e.g. with a fresh local index in tests)
+ * @param {Object} customStore - Store implementing the vector store interface
+ */
+export const setVectorStore = (customStore) => {
+  store = customStore;
+};
+
+export default {
+  LocalVectorIndex,
+  OpenSearchVectorIndex,
+  getVectorStore,
+  setVectorStore,
+};
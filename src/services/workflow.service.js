@@ -0,0 +1,170 @@
+import { AppError } from '../middleware/error.middleware.js';
+
+/**
+ * Review workflow of proposal questions:
+ *
+ *   pending → drafted → in_review → approved
+ *                ↑          ↓
+ *                └──── rejected
+ *
+ * Any change to an answer sends the question back to drafted, including one
+ * under review (reviewers only approve what they have seen), and a question
+ * under review can be withdrawn to drafted.
+ */
+export const QUESTION_STATUSES = ['pending', 'drafted', 'in_review', 'approved', 'rejected'];
+
+const TRANSITIONS = {
+  pending: ['drafted'],
+  drafted: ['drafted', 'in_review'],
+  in_review: ['approved', 'rejected', 'drafted'],
+  approved: ['drafted'],
+  rejected: ['drafted'],
+};
+
+// Statuses a proposal can only be in once it has been submitted; moving into any of them
+// from another status requires every mandatory question to be approved
+export const PROPOSAL_SUBMIT_STATUSES = ['submitted', 'completed', 'won', 'lost'];
+
+/**
+ * Map legacy status values onto the workflow ('draft' was used for AI drafts)
+ * @param {string} status - Stored question status
+ * @returns {string} Workflow status
+ */
+export const normalizeQuestionStatus = (status) => {
+  if (status === 'draft') return 'drafted';
+  return QUESTION_STATUSES.includes(status) ? status : 'pending';
+};
+
+export const canTransition = (from, to) => {
+  return (TRANSITIONS[normalizeQuestionStatus(from)] || []).includes(to);
+};
+
+/**
+ * Whether a user may approve or reject a question. With requireApproval on,
+ * only the question's reviewer or a company reviewer (settings.reviewerIds) may;
+ * otherwise anyone in the company may.
+ * @param {Object} user - Authenticated user
+ * @param {Object} company - Company record
+ * @param {Object} question - Proposal question
+ * @returns {boolean} True if the user may review the question
+ */
+export const canReview = (user, company, question) => {
+  if (!company?.settings?.requireApproval) {
+    return true;
+  }
+
+  if (question.reviewerId) {
+    return question.reviewerId === user.id;
+  }
+
+  return (company.settings.reviewerIds || []).includes(user.id);
+};
+
+const ADMIN_ROLES = ['admin', 'company_admin', 'superadmin'];
+
+/**
+ * Whether a user may choose the reviewer of a question. With requireApproval on,
+ * only company admins and company reviewers (settings.reviewerIds) may, since the
+ * question's reviewer can approve it; otherwise anyone in the company may.
+ * @param {Object} user - Authenticated user
+ * @param {Object} company - Company record
+ * @returns {boolean} True if the user may set reviewerId
+ */
+export const canAssignReviewer = (user, company) => {
+  if (!company?.settings?.requireApproval) {
+    return true;
+  }
+
+  return ADMIN_ROLES.includes(user.role) || (company.settings.reviewerIds || []).includes(user.id);
+};
+
+/**
+ * Move a question to a new workflow status
+ * @param {Object} question - Proposal question
+ * @param {string} status - Target status
+ * @param {Object} context - { user, company, comment }
+ * @returns {Object} Updated question
+ * @throws {AppError} If the transition is not allowed
+ */
+export const transitionQuestion = (question, status, { user, company, comment } = {}) => {
+  const current = normalizeQuestionStatus(question.status);
+
+  if (!QUESTION_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of ${QUESTION_STATUSES.join(', ')}`, 400);
+  }
+
+  if (!canTransition(current, status)) {
+    throw new AppError(`Cannot move question from ${current} to ${status}`, 400);
+  }
+
+  if (status === 'in_review' && !(question.finalAnswer || question.draftAnswer)) {
+    throw new AppError('Question has no answer to review', 400);
+  }
+
+  if (status === 'approved' || status === 'rejected') {
+    if (!canReview(user, company, question)) {
+      throw new AppError('Only the designated reviewer can approve or reject this question', 403);
+    }
+  }
+
+  if (status === 'approved') {
+    // Reviewers must address every unsupported claim before approving
+    const openClaims = (question.unsupportedClaims || []).filter(c => c.status === 'open');
+
+    if (openClaims.length > 0) {
+      throw new AppError(
+        `${openClaims.length} unsupported claim(s) must be verified or removed before approval`,
+        400
+      );
+    }
+  }
+
+  if (status === 'rejected' && !comment) {
+    throw new AppError('A comment is required when rejecting an answer', 400);
+  }
+
+  const updated = {
+    ...question,
+    status,
+    statusUpdatedAt: new Date().toISOString(),
+    statusUpdatedBy: user?.id || null,
+  };
+
+  if (status === 'approved' || status === 'rejected') {
+    updated.reviewedBy = user.id;
+    updated.reviewedAt = updated.statusUpdatedAt;
+    updated.reviewComment = comment || '';
+  }
+
+  // Approval is the review a carried-over answer or amended question was waiting for
+  if (status === 'approved') {
+    ['carriedOver', 'amendmentReview'].forEach(field => {
+      if (question[field]?.needsReview) {
+        updated[field] = { ...question[field], needsReview: false };
+      }
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Mandatory questions that keep a proposal from being submitted
+ * @param {Object} proposal - Proposal
+ * @returns {Array<Object>} Mandatory questions that are not approved
+ */
+export const getUnapprovedMandatoryQuestions = (proposal) => {
+  return (proposal.questions || []).filter(q =>
+    q.mandatory !== false && normalizeQuestionStatus(q.status) !== 'approved');
+};
+
+export default {
+  QUESTION_STATUSES,
+  PROPOSAL_SUBMIT_STATUSES,
+  normalizeQuestionStatus,
+  canTransition,
+  canReview,
+  canAssignReviewer,
+  transitionQuestion,
+  getUnapprovedMandatoryQuestions,
+};
@@ -0,0 +1,100 @@
+// Largest LCS table computed (changed words in old × changed words in new, ~16 MB);
+// bigger changes are shown as one deleted and one inserted block
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Word-level diff between two texts (longest common subsequence over words,
+ * whitespace kept attached to the preceding word)
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Segments ({ type: 'equal' | 'insert' | 'delete', text })
+ */
+export const diffWords = (oldText = '', newText = '') => {
+  const a = (oldText || '').match(/\S+\s*|\s+/g) || [];
+  const b = (newText || '').match(/\S+\s*|\s+/g) || [];
+  const key = token => token.trim();
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  };
+
+  // Shared start and end need no LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && key(a[start]) === key(b[start])) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && key(a[endA - 1]) === key(b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  for (let k = 0; k < start; k++) push('equal', b[k]);
+
+  const rows = endA - start;
+  const width = endB - start + 1;
+
+  if (rows * (width - 1) > MAX_DIFF_CELLS) {
+    for (let k = start; k < endA; k++) push('delete', a[k]);
+    for (let k = start; k < endB; k++) push('insert', b[k]);
+  } else {
+    // lengths[i][j] = LCS length of the changed parts of a[i..] and b[j..]
+    const lengths = new Uint32Array((rows + 1) * width);
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = width - 2; j >= 0; j--) {
+        lengths[i * width + j] = key(a[start + i]) === key(b[start + j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < width - 1) {
+      if (key(a[start + i]) === key(b[start + j])) {
+        push('equal', b[start + j]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push('delete', a[start + i++]);
+      } else {
+        push('insert', b[start + j++]);
+      }
+    }
+    while (i < rows) push('delete', a[start + i++]);
+    while (j < width - 1) push('insert', b[start + j++]);
+  }
+
+  for (let k = endB; k < b.length; k++) push('equal', b[k]);
+
+  return segments;
+};
+
+/**
+ * Count inserted and deleted words in a diff
+ * @param {Array<Object>} segments - Output of diffWords
+ * @returns {Object} { insertedWords, deletedWords }
+ */
+export const summarizeDiff = (segments) => {
+  const countWords = text => (text.match(/\S+/g) || []).length;
+
+  return segments.reduce((summary, segment) => {
+    if (segment.type === 'insert') summary.insertedWords += countWords(segment.text);
+    if (segment.type === 'delete') summary.deletedWords += countWords(segment.text);
+    return summary;
+  }, { insertedWords: 0, deletedWords: 0 });
+};
+
+export default {
+  diffWords,
+  summarizeDiff,
+};
@@ -1,4 +1,5 @@
 import nodemailer from 'nodemailer';
+import { escapeHtml } from './markdown.js';
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST || 'smtp.hostinger.com',
@@ -69,11 +70,31 @@ export const sendAccountStatusEmail = async (to, userName, status) => {
   });
 };
 
+export const sendDeadlineReminderEmail = async (to, userName, proposalTitle, items, questions = []) => {
+  // Titles, milestone labels and questions come from uploaded RFPs and user input
+  const itemList = items
+    .map(item => `<li>${escapeHtml(item.label)}: ${new Date(item.dueDate).toUTCString()}${item.stage === 'overdue' ? ' <strong>(overdue)</strong>' : ''}</li>`)
+    .join('');
+  const questionList = questions
+    .map(q => `<li>${escapeHtml(q.question)}</li>`)
+    .join('');
+
+  return await sendEmail({
+    to,
+    subject: `Reminder: ${proposalTitle} - ${items.some(i => i.stage === 'overdue') ? 'overdue' : 'due soon'}`,
+    html: `<p>Hi ${escapeHtml(userName)},</p>` +
+      (itemList ? `<p>The following dates for <strong>${escapeHtml(proposalTitle)}</strong> need attention:</p><ul>${itemList}</ul>` : '') +
+      (questionList ? `<p>These questions assigned to you still need an answer:</p><ul>${questionList}</ul>` : '') +
+      '<p>You can turn off reminder emails in your notification settings.</p>',
+  });
+};
+
 export default {
   sendEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
   sendCompanyAdminCreatedEmail,
   sendAccountStatusEmail,
+  sendDeadlineReminderEmail,
   verifyEmailConfig,
 };
\ No newline at end of file
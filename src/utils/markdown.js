@@ -0,0 +1,343 @@
+/**
+ * Rich-text answers use a Markdown subset:
+ *   # headings (levels 1-3), paragraphs, **bold**, *italic*, `code`, [links](https://...),
+ *   bullet (-, *, +) and numbered (1.) lists nested up to 3 levels, | pipe | tables |
+ *   and ``` fenced code blocks.
+ * Anything else (raw HTML, images, unsafe links) is removed by sanitizeMarkdown.
+ */
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const MAX_LIST_LEVEL = 2;
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const INLINE = /\\([\\`*_[\]#|-])|\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+/**
+ * Clean an answer before it is saved
+ * @param {string} text - Answer as typed or generated
+ * @returns {string} Answer restricted to the Markdown subset
+ */
+export const sanitizeMarkdown = (text) => {
+  if (typeof text !== 'string') return text;
+
+  // Code is kept verbatim; it is escaped when rendered
+  const cleaned = text
+    .replace(/\r\n?/g, '\n')
+    .split(/(```[\s\S]*?```|`[^`\n]+`)/)
+    .map((part, i) => (i % 2 ? part : part
+      // Raw HTML is not part of the subset: line breaks are kept, everything else is dropped
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/?[a-zA-Z][\w-]*(\s[^<>]*)?\/?>/g, '')
+      // Images become their alt text, links with other schemes (javascript:, data:) their label
+      .replace(/!\[([^\]]*)\]\(((?:[^()]|\([^()]*\))*)\)/g, '$1')
+      .replace(/\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))*)((?:[^()]|\([^()]*\))*)\)/g, (match, label, url) =>
+        (SAFE_URL.test(url) ? `[${label}](${url})` : label))
+      // Block quotes are not supported
+      .replace(/^\s{0,3}>\s?/gm, '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')))
+    .join('');
+
+  return cleaned
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Split inline Markdown into styled runs
+ * @param {string} text - Inline text
+ * @returns {Array<Object>} Runs ({ text, bold, italic, code, link })
+ */
+export const parseInline = (text, style = {}) => {
+  const runs = [];
+  let last = 0;
+
+  for (const match of (text || '').matchAll(INLINE)) {
+    const [whole, escaped, boldItalic, bold1, bold2, italic1, italic2, code, label, link] = match;
+
+    if (match.index > last) {
+      runs.push({ ...style, text: text.slice(last, match.index) });
+    }
+
+    if (escaped) {
+      runs.push({ ...style, text: escaped });
+    } else if (boldItalic) {
+      runs.push(...parseInline(boldItalic, { ...style, bold: true, italic: true }));
+    } else if (bold1 || bold2) {
+      runs.push(...parseInline(bold1 || bold2, { ...style, bold: true }));
+    } else if (italic1 || italic2) {
+      runs.push(...parseInline(italic1 || italic2, { ...style, italic: true }));
+    } else if (code) {
+      runs.push({ ...style, text: code, code: true });
+    } else {
+      runs.push(...parseInline(label, { ...style, link }));
+    }
+
+    last = match.index + whole.length;
+  }
+
+  if (last < (text || '').length) {
+    runs.push({ ...style, text: text.slice(last) });
+  }
+
+  return runs;
+};
+
+/**
+ * Plain text of inline Markdown (links keep their address)
+ */
+export const inlineToPlainText = (text) => {
+  return parseInline(text)
+    .map(run => (run.link && run.link !== run.text ? `${run.text} (${run.link})` : run.text))
+    .join('');
+};
+
+const splitRow = (line) => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim());
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} text - Markdown
+ * @returns {Array<Object>} Blocks:
+ *   { type: 'heading', level, text } | { type: 'paragraph', text } | { type: 'code', text }
+ *   { type: 'list', items: [{ level, ordered, text }] } | { type: 'table', header, rows }
+ */
+export const parseMarkdown = (text) => {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: Math.min(heading[1].length, 3), text: heading[2] });
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      flush();
+      const header = splitRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes('|'); i++) rows.push(splitRow(lines[i]));
+      i--;
+      blocks.push({
+        type: 'table',
+        header,
+        rows: rows.map(row => header.map((_, c) => row[c] || '')),
+      });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flush();
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    const previous = blocks[blocks.length - 1];
+
+    if (item) {
+      flush();
+
+      // Two spaces (or a tab) per level; a level can only be one deeper than the item before it
+      let level = Math.floor(item[1].replace(/\t/g, '  ').length / 2);
+      if (previous?.type === 'list') {
+        level = Math.min(level, previous.items[previous.items.length - 1].level + 1);
+      } else {
+        level = 0;
+      }
+
+      const entry = { level: Math.min(level, MAX_LIST_LEVEL), ordered: /\d/.test(item[2]), text: item[3] };
+
+      if (previous?.type === 'list') {
+        previous.items.push(entry);
+      } else {
+        blocks.push({ type: 'list', items: [entry] });
+      }
+      continue;
+    }
+
+    // Indented lines right after a list item continue that item
+    if (!paragraph.length && previous?.type === 'list' && /^\s+/.test(line)) {
+      previous.items[previous.items.length - 1].text += ` ${line.trim()}`;
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+
+  flush();
+  return blocks;
+};
+
+/**
+ * Number/bullet markers of list items, restarting per level the way Word and browsers do
+ * @param {Array<Object>} items - List items
+ * @returns {Array<string>} Markers ('•' or '1.')
+ */
+export const getListMarkers = (items) => {
+  const counters = [];
+  const kinds = [];
+
+  return items.map(item => {
+    counters.length = item.level + 1;
+    kinds.length = item.level + 1;
+    if (kinds[item.level] !== item.ordered) counters[item.level] = 0;
+    kinds[item.level] = item.ordered;
+    counters[item.level] = (counters[item.level] || 0) + 1;
+    return item.ordered ? `${counters[item.level]}.` : '•';
+  });
+};
+
+/**
+ * Plain-text rendering of Markdown (TXT exports, spreadsheet cells)
+ */
+export const markdownToPlainText = (text) => {
+  return parseMarkdown(text).map(block => {
+    if (block.type === 'list') {
+      const markers = getListMarkers(block.items).map(marker => (marker === '•' ? '-' : marker));
+      return block.items
+        .map((item, i) => `${'  '.repeat(item.level)}${markers[i]} ${inlineToPlainText(item.text)}`)
+        .join('\n');
+    }
+
+    if (block.type === 'table') {
+      return [block.header, ...block.rows]
+        .map(row => row.map(inlineToPlainText).join(' | '))
+        .join('\n');
+    }
+
+    if (block.type === 'code') return block.text;
+    return inlineToPlainText(block.text);
+  }).join('\n\n');
+};
+
+/**
+ * Move Markdown headings down by some levels (answers embedded below question headings)
+ */
+export const shiftMarkdownHeadings = (text, offset) => {
+  let inCode = false;
+
+  return (text || '').split('\n').map(line => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    if (inCode) return line;
+    return line.replace(/^(\s{0,3})(#{1,6})(?=\s)/, (match, space, hashes) =>
+      `${space}${'#'.repeat(Math.min(hashes.length + offset, 6))}`);
+  }).join('\n');
+};
+
+export const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const inlineToHtml = (text) => parseInline(text).map(run => {
+  let html = escapeHtml(run.text);
+  if (run.code) html = `<code>${html}</code>`;
+  if (run.italic) html = `<em>${html}</em>`;
+  if (run.bold) html = `<strong>${html}</strong>`;
+  if (run.link && SAFE_URL.test(run.link)) html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+  return html;
+}).join('');
+
+const listToHtml = (items) => {
+  let html = '';
+  const open = [];
+
+  items.forEach(item => {
+    const tag = item.ordered ? 'ol' : 'ul';
+
+    if (item.level + 1 > open.length) {
+      while (open.length < item.level + 1) {
+        html += `<${tag}>`;
+        open.push(tag);
+      }
+    } else {
+      while (open.length > item.level + 1) html += `</li></${open.pop()}>`;
+      html += '</li>';
+      if (open[open.length - 1] !== tag) {
+        html += `</${open.pop()}><${tag}>`;
+        open.push(tag);
+      }
+    }
+
+    html += `<li>${inlineToHtml(item.text)}`;
+  });
+
+  while (open.length) html += `</li></${open.pop()}>`;
+  return html;
+};
+
+/**
+ * HTML rendering of Markdown (all text escaped)
+ * @param {string} text - Markdown
+ * @param {Object} options - { headingOffset } added to heading levels (answers sit below question headings)
+ * @returns {string} HTML
+ */
+export const markdownToHtml = (text, { headingOffset = 0 } = {}) => {
+  return parseMarkdown(text).map(block => {
+    if (block.type === 'heading') {
+      const level = Math.min(block.level + headingOffset, 6);
+      return `<h${level}>${inlineToHtml(block.text)}</h${level}>`;
+    }
+
+    if (block.type === 'list') return listToHtml(block.items);
+
+    if (block.type === 'table') {
+      const head = block.header.map(cell => `<th>${inlineToHtml(cell)}</th>`).join('');
+      const body = block.rows
+        .map(row => `<tr>${row.map(cell => `<td>${inlineToHtml(cell)}</td>`).join('')}</tr>`)
+        .join('');
+      return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    if (block.type === 'code') return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    return `<p>${inlineToHtml(block.text)}</p>`;
+  }).join('\n');
+};
+
+export default {
+  sanitizeMarkdown,
+  parseInline,
+  inlineToPlainText,
+  parseMarkdown,
+  getListMarkers,
+  markdownToPlainText,
+  shiftMarkdownHeadings,
+  escapeHtml,
+  markdownToHtml,
+};
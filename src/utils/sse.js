@@ -0,0 +1,56 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch a response to a Server-Sent Events stream
+ * @param {Object} res - Express response
+ * @returns {Object} Stream ({ send(event, data), close(), signal, isClosed() })
+ *
+ * The signal aborts when the client disconnects before close() is called, so
+ * it can be passed on to upstream requests that should be cancelled with it.
+ */
+export const openEventStream = (res) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    isClosed: () => closed,
+
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+};
+
+export default {
+  openEventStream,
+};
@@ -0,0 +1,22 @@
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'our', 'please', 'the',
+  'this', 'to', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with',
+  'you', 'your',
+]);
+
+/**
+ * Split text into lowercase search terms without stop words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Search terms
+ */
+export const tokenize = (text = '') => {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+};
+
+export default {
+  tokenize,
+};
@@ -0,0 +1,23 @@
+import { jobService } from '../services/job.service.js';
+import { bulkExportService } from '../services/bulkExport.service.js';
+
+export const BULK_EXPORT_JOB = 'proposals.bulk_export';
+
+/**
+ * Export many proposals into a ZIP archive stored in S3
+ * @param {Object} job - Job record (payload: { format, proposalIds })
+ * @param {Object} context - { updateProgress }
+ * @returns {Promise<Object>} Archive location and export counts
+ */
+export const processBulkExportJob = async (job, { updateProgress }) => {
+  const { format, proposalIds } = job.payload;
+
+  await updateProgress(5, 'exporting_proposals');
+
+  return bulkExportService.buildArchive(
+    { companyId: job.companyId, format, proposalIds },
+    (done, total) => updateProgress(5 + Math.round((done / total) * 85), 'exporting_proposals')
+  );
+};
+
+jobService.registerHandler(BULK_EXPORT_JOB, processBulkExportJob);
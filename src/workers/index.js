@@ -0,0 +1,7 @@
+// Importing a worker module registers its job handlers with the job service
+import './rfp.worker.js';
+import './reminder.worker.js';
+import './export.worker.js';
+
+export { jobService } from '../services/job.service.js';
+export { startReminderScheduler } from './reminder.worker.js';
@@ -0,0 +1,46 @@
+import { logger } from '../utils/logger.js';
+import { jobService } from '../services/job.service.js';
+import { reminderService } from '../services/reminder.service.js';
+
+export const REMINDER_SCAN_JOB = 'reminders.scan';
+
+/**
+ * Email reminders for approaching and overdue proposal dates
+ * @param {Object} job - Job record
+ * @param {Object} context - { updateProgress }
+ * @returns {Promise<Object>} Reminder run summary
+ */
+export const processReminderJob = async (job, { updateProgress }) => {
+  await updateProgress(10, 'scanning_proposals');
+  return reminderService.runReminders();
+};
+
+/**
+ * Queue a reminder scan every REMINDER_INTERVAL_MINUTES (default 60, 0 disables)
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export const startReminderScheduler = () => {
+  const minutes = parseFloat(process.env.REMINDER_INTERVAL_MINUTES ?? 60);
+
+  if (!minutes || minutes <= 0) {
+    logger.info('Reminder scheduler disabled');
+    return null;
+  }
+
+  const schedule = async () => {
+    try {
+      await jobService.enqueue({
+        type: REMINDER_SCAN_JOB,
+        createdBy: 'scheduler',
+      });
+    } catch (error) {
+      logger.error('Error scheduling reminder scan:', error);
+    }
+  };
+
+  logger.info(`Reminder scheduler: every ${minutes} minutes`);
+  schedule();
+  return setInterval(schedule, minutes * 60 * 1000);
+};
+
+jobService.registerHandler(REMINDER_SCAN_JOB, processReminderJob);
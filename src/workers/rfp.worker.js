@@ -0,0 +1,240 @@
+import { logger } from '../utils/logger.js';
+import { jobService } from '../services/job.service.js';
+import { proposalService, getVersion } from '../services/proposal.service.js';
+import { s3Service } from '../services/s3.service.js';
+import { knowledgeService } from '../services/knowledge.service.js';
+import { extractTextFromFile, extractQuestions } from '../services/document.service.js';
+import { companyService } from '../services/company.service.js';
+import { generateAnswer } from '../services/ai.service.js';
+import { getCompanyModelOptions } from '../services/llm.service.js';
+import { revisionService } from '../services/revision.service.js';
+import { proposalTemplateService } from '../services/proposalTemplate.service.js';
+import { amendmentService } from '../services/amendment.service.js';
+
+export const RFP_PROCESS_JOB = 'rfp.process';
+export const RFP_AMENDMENT_JOB = 'rfp.amendment';
+
+/**
+ * Model options for question extraction. Each AI extraction call counts as one search;
+ * once the company's quota runs out extraction stops (hybrid mode falls back to regex).
+ */
+const chargedExtractionOptions = (modelOptions, companyId) => ({
+  ...modelOptions,
+  beforeModelCall: async () => {
+    if (!await companyService.chargeSearch(companyId)) {
+      throw new Error('Monthly search limit reached during AI question extraction');
+    }
+  },
+});
+
+/**
+ * Extract text and questions from an uploaded RFP, optionally carry answers over from a
+ * prior proposal and pre-draft the rest. Progress is mirrored onto the proposal's processingStatus.
+ * @param {Object} job - Job record (payload: { fileKey, bucket, mimeType, extractionMode, preDraft, carryOverFrom })
+ * @param {Object} context - { updateProgress }
+ * @returns {Promise<Object>} Job result
+ */
+export const processRfpJob = async (job, { updateProgress }) => {
+  const { proposalId } = job;
+  const { fileKey, bucket, mimeType, extractionMode = 'regex', preDraft, carryOverFrom } = job.payload;
+
+  const reportProgress = async (progress, stage) => {
+    await updateProgress(progress, stage);
+    await proposalService.updateProposal(proposalId, {
+      processingStatus: {
+        state: 'processing',
+        jobId: job.id,
+        progress,
+        stage,
+        error: null,
+        updatedAt: new Date().toISOString(),
+      },
+    });
+  };
+
+  try {
+    await reportProgress(5, 'downloading');
+    const buffer = await s3Service.getFileBuffer(fileKey, bucket);
+
+    await reportProgress(20, 'extracting_text');
+    const extractedText = await extractTextFromFile(buffer, mimeType);
+
+    const modelOptions = extractionMode !== 'regex' || preDraft
+      ? getCompanyModelOptions(await companyService.getCompany(job.companyId))
+      : {};
+
+    await reportProgress(40, 'parsing_questions');
+    let questions = await extractQuestions(extractedText, extractionMode, chargedExtractionOptions(modelOptions, job.companyId));
+    let carried = [];
+
+    if (carryOverFrom) {
+      await reportProgress(40, 'carrying_over_answers');
+      const source = await proposalTemplateService.getCarryOverSource(carryOverFrom, job.companyId);
+      ({ questions, carried } = await proposalTemplateService.carryOverAnswers(questions, source));
+    }
+
+    await proposalService.updateProposal(proposalId, {
+      extractedText: extractedText.substring(0, 5000), // Store first 5000 chars
+      questions,
+    });
+
+    for (const index of carried) {
+      await revisionService.recordRevision({
+        proposalId,
+        companyId: job.companyId,
+        previous: null,
+        current: questions[index],
+        source: 'carry_over',
+        authorId: job.createdBy,
+        note: `Carried over from proposal ${carryOverFrom}`,
+      });
+    }
+
+    let drafted = 0;
+    let fallbacks = 0;
+    let notDrafted = 0;
+
+    if (preDraft && questions.length > 0) {
+      const proposal = await proposalService.getProposal(proposalId);
+
+      for (let i = 0; i < questions.length; i++) {
+        // Carried-over answers are kept for review instead of being regenerated
+        if (questions[i].carriedOver) {
+          continue;
+        }
+
+        // Each draft counts against the search quota like bulk generation; stop once it runs out
+        if (!await companyService.chargeSearch(proposal.companyId)) {
+          notDrafted = questions.slice(i).filter(question => !question.carriedOver).length;
+          logger.warn(`Search limit reached, ${notDrafted} questions of proposal ${proposalId} were left undrafted`);
+          break;
+        }
+
+        let saved = false;
+
+        try {
+          const passages = await knowledgeService.retrieveRelevantPassages(proposal.companyId, questions[i].question);
+          const result = await generateAnswer(questions[i].question, passages, modelOptions);
+
+          // Canned fallback text is never saved as a draft
+          if (result.isFallback) {
+            fallbacks++;
+            continue;
+          }
+
+          // Saved one question at a time so edits made while drafting are not overwritten
+          const previous = questions[i];
+          questions[i] = await proposalService.saveQuestion(
+            proposalId,
+            i,
+            proposalService.applyGeneratedAnswer(previous, result),
+            getVersion(previous)
+          );
+          drafted++;
+          saved = true;
+
+          await revisionService.recordRevision({
+            proposalId,
+            companyId: proposal.companyId,
+            previous,
+            current: questions[i],
+            source: 'ai_generate',
+            authorId: job.createdBy,
+          });
+        } catch (error) {
+          logger.warn(`Pre-drafting failed for question ${questions[i].id}: ${error.message}`);
+        } finally {
+          if (!saved) {
+            await companyService.refundSearch(proposal.companyId);
+          }
+          await reportProgress(40 + Math.round(((i + 1) / questions.length) * 55), 'drafting_answers');
+        }
+      }
+
+      if (fallbacks > 0) {
+        logger.warn(`AI model unavailable, ${fallbacks} questions of proposal ${proposalId} were left undrafted`);
+      }
+    }
+
+    await proposalService.updateProposal(proposalId, {
+      processingStatus: {
+        state: 'completed',
+        jobId: job.id,
+        progress: 100,
+        stage: 'completed',
+        error: null,
+        ...(notDrafted > 0 && {
+          warning: `Monthly search limit reached, ${notDrafted} questions were not pre-drafted`,
+        }),
+        updatedAt: new Date().toISOString(),
+      },
+    });
+
+    return {
+      proposalId,
+      questionsExtracted: questions.length,
+      answersCarriedOver: carried.length,
+      answersDrafted: drafted,
+      answersSkipped: fallbacks,
+      answersNotDrafted: notDrafted,
+    };
+  } catch (error) {
+    await proposalService.updateProposal(proposalId, {
+      processingStatus: {
+        state: 'failed',
+        jobId: job.id,
+        progress: 0,
+        stage: 'failed',
+        error: error.message,
+        updatedAt: new Date().toISOString(),
+      },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Extract the questions of a revised RFP or addendum and apply the differences to the proposal
+ * @param {Object} job - Job record (payload: { amendmentId, fileKey, bucket, mimeType, extractionMode })
+ * @param {Object} context - { updateProgress }
+ * @returns {Promise<Object>} Job result
+ */
+export const processAmendmentJob = async (job, { updateProgress }) => {
+  const { proposalId } = job;
+  const { amendmentId, fileKey, bucket, mimeType, extractionMode = 'regex' } = job.payload;
+
+  try {
+    await updateProgress(10, 'downloading');
+    const buffer = await s3Service.getFileBuffer(fileKey, bucket);
+
+    await updateProgress(30, 'extracting_text');
+    const extractedText = await extractTextFromFile(buffer, mimeType);
+
+    const modelOptions = extractionMode !== 'regex'
+      ? getCompanyModelOptions(await companyService.getCompany(job.companyId))
+      : {};
+
+    await updateProgress(50, 'parsing_questions');
+    const questions = await extractQuestions(extractedText, extractionMode, chargedExtractionOptions(modelOptions, job.companyId));
+
+    if (questions.length === 0) {
+      throw new Error('No questions found in the amendment');
+    }
+
+    await updateProgress(75, 'comparing_questions');
+    const amendment = await amendmentService.applyAmendment(proposalId, amendmentId, questions);
+
+    return {
+      proposalId,
+      amendmentId,
+      questionsExtracted: questions.length,
+      ...amendment.summary,
+    };
+  } catch (error) {
+    await amendmentService.failAmendment(proposalId, amendmentId, error.message);
+    throw error;
+  }
+};
+
+jobService.registerHandler(RFP_PROCESS_JOB, processRfpJob);
+jobService.registerHandler(RFP_AMENDMENT_JOB, processAmendmentJob);
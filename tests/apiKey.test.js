@@ -0,0 +1,109 @@
+/**
+ * API key scopes per route and key authentication.
+ */
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const { getRequiredScope, apiKeyService } = await import('../src/services/apiKey.service.js');
+
+const request = (method, baseUrl, path = '/') => ({ method, baseUrl, path });
+
+describe('getRequiredScope', () => {
+  test.each([
+    ['GET', '/api/v1/proposals', '/', 'proposals:read'],
+    ['HEAD', '/api/v1/proposals', '/p1', 'proposals:read'],
+    ['PATCH', '/api/v1/proposals', '/p1', 'proposals:write'],
+    ['POST', '/api/v1/upload', '/rfp', 'proposals:write'],
+    ['POST', '/api/v1/upload', '/knowledge', 'knowledge:write'],
+    ['GET', '/api/v1/knowledge', '/', 'knowledge:read'],
+    ['POST', '/api/v1/knowledge', '/search', 'knowledge:read'],
+    ['DELETE', '/api/v1/knowledge', '/d1', 'knowledge:write'],
+    ['GET', '/api/v1/library', '/', 'library:read'],
+    ['POST', '/api/v1/library', '/match', 'library:read'],
+    ['POST', '/api/v1/library', '/', 'library:write'],
+    ['POST', '/api/v1/ai', '/generate-answer', 'ai:generate'],
+    ['GET', '/api/v1/jobs', '/j1', 'jobs:read'],
+  ])('%s %s%s needs %s', (method, baseUrl, path, scope) => {
+    expect(getRequiredScope(request(method, baseUrl, path))).toBe(scope);
+  });
+
+  test.each([
+    ['GET', '/api/v1/admin'],
+    ['POST', '/api/v1/superadmin'],
+    ['GET', '/api/v1/auth'],
+    ['GET', '/api/v1/user'],
+    ['GET', '/scim/v2'],
+  ])('does not accept API keys for %s %s', (method, baseUrl) => {
+    expect(getRequiredScope(request(method, baseUrl))).toBeNull();
+  });
+});
+
+describe('apiKeyService.authenticate', () => {
+  let originalSend;
+  let record;
+  let key;
+
+  beforeAll(() => {
+    originalSend = docClient.send;
+    docClient.send = async (command) => {
+      if (command.input.TableName !== TABLES.API_KEYS) {
+        throw new Error(`Unexpected table ${command.input.TableName}`);
+      }
+
+      if (command.constructor.name === 'PutCommand') {
+        record = structuredClone(command.input.Item);
+        return {};
+      }
+      if (command.constructor.name === 'QueryCommand') {
+        return { Items: [] };
+      }
+      if (command.constructor.name === 'GetCommand') {
+        return { Item: command.input.Key.id === record?.id ? structuredClone(record) : undefined };
+      }
+      if (command.constructor.name === 'UpdateCommand') {
+        record.lastUsedAt = command.input.ExpressionAttributeValues[':now'];
+        return {};
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    };
+  });
+
+  afterAll(() => {
+    docClient.send = originalSend;
+  });
+
+  beforeEach(async () => {
+    ({ key } = await apiKeyService.createKey('company-1', { name: 'CRM sync', scopes: ['proposals:read'] }, 'admin-1'));
+  });
+
+  test('only stores a hash of the key', () => {
+    expect(JSON.stringify(record)).not.toContain(key.split('.')[1]);
+  });
+
+  test('resolves a valid key to its record and notes its use', async () => {
+    const authenticated = await apiKeyService.authenticate(key, '203.0.113.5');
+
+    expect(authenticated).toMatchObject({ id: record.id, companyId: 'company-1', scopes: ['proposals:read'] });
+    expect(record.lastUsedAt).toEqual(expect.any(String));
+  });
+
+  test('rejects a key with the wrong secret', async () => {
+    const [prefix] = key.split('.');
+
+    await expect(apiKeyService.authenticate(`${prefix}.wrong-secret`)).resolves.toBeNull();
+  });
+
+  test('rejects malformed, revoked and expired keys', async () => {
+    await expect(apiKeyService.authenticate('not-a-key')).resolves.toBeNull();
+
+    record.revokedAt = new Date().toISOString();
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+
+    record.revokedAt = null;
+    record.expiresAt = new Date(Date.now() - 1000).toISOString();
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+  });
+
+  test('refuses unknown scopes', async () => {
+    await expect(apiKeyService.createKey('company-1', { name: 'x', scopes: ['admin:all'] }, 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Filling uploaded DOCX templates: placeholders Word split over several runs, and the
+ * formatting of the runs and paragraphs around them.
+ */
+import JSZip from 'jszip';
+
+const { fillDocxTemplate, listTemplatePlaceholders } = await import('../src/services/branding.service.js');
+
+const BOLD = '<w:rPr><w:b/></w:rPr>';
+const RED = '<w:rPr><w:rFonts w:ascii="Arial"/><w:color w:val="FF0000"/></w:rPr>';
+
+const run = (text, properties = '') => `<w:r>${properties}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+const paragraph = (...runs) => `<w:p>${runs.join('')}</w:p>`;
+
+const docx = async (...paragraphs) => {
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<w:document><w:body>${paragraphs.join('')}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const documentXml = async buffer => (await JSZip.loadAsync(buffer)).file('word/document.xml').async('string');
+
+const fill = async (template, values = {}, content = {}) => documentXml(
+  await fillDocxTemplate(template, values, { executiveSummary: '', sections: [], ...content })
+);
+
+describe('fillDocxTemplate', () => {
+  test('fills a placeholder split over several runs with the formatting of its first run', async () => {
+    const template = await docx(paragraph(
+      run('Prepared for '),
+      run('{{client', BOLD),
+      run('Name}}'),
+      run(' on time', RED)
+    ));
+
+    const xml = await fill(template, { clientName: 'Acme & Co' });
+
+    expect(xml).toContain(paragraph(
+      run('Prepared for '),
+      run('Acme &amp; Co', BOLD),
+      run(''),
+      run(' on time', RED)
+    ));
+  });
+
+  test('keeps the text around placeholders in its own runs', async () => {
+    const template = await docx(paragraph(run('Dear {{'), run('clientName}}, see {{date'), run('}} and {{unknown}}.')));
+
+    const xml = await fill(template, { clientName: 'Acme', date: 'Today' });
+
+    expect(xml).toContain(paragraph(run('Dear Acme'), run(', see Today'), run(' and {{unknown}}.')));
+  });
+
+  test('leaves paragraphs without known placeholders untouched', async () => {
+    const untouched = `<w:p w:rsidR="00A1"><w:pPr><w:jc w:val="center"/></w:pPr>${run('{{', BOLD)}${run('other}}')}</w:p>`;
+
+    expect(await fill(await docx(untouched), { clientName: 'Acme' })).toContain(untouched);
+  });
+
+  test('formats block placeholders like the paragraph they replace', async () => {
+    const properties = '<w:pPr><w:spacing w:after="120"/></w:pPr>';
+    const template = await docx(`<w:p>${properties}${run('{{ques', RED)}${run('tions}}')}</w:p>`);
+
+    const xml = await fill(template, {}, {
+      sections: [['Security', [{ question: 'Do you encrypt data?', finalAnswer: 'Yes' }]]],
+    });
+
+    expect(xml).toContain('<w:p><w:pPr><w:pStyle w:val="Heading2"/></w:pPr>');
+    expect(xml).toContain(`<w:p>${properties}<w:r><w:rPr><w:rFonts w:ascii="Arial"/><w:b/><w:color w:val="FF0000"/></w:rPr>`);
+    expect(xml).toContain(`<w:p>${properties}${run('Yes', RED)}</w:p>`);
+    expect(xml).not.toContain('{{');
+  });
+});
+
+describe('listTemplatePlaceholders', () => {
+  test('finds placeholders split over several runs', async () => {
+    const template = await docx(
+      paragraph(run('{{company'), run('Name}} - {{ date }}')),
+      paragraph(run('{{questions}}'))
+    );
+
+    expect(await listTemplatePlaceholders(template)).toEqual(['companyName', 'date', 'questions']);
+  });
+});
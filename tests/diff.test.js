@@ -0,0 +1,86 @@
+/**
+ * Word-level answer diffs shown in revision history.
+ */
+const { diffWords, summarizeDiff } = await import('../src/utils/diff.js');
+
+// The new text is every segment except deletions, in order
+const newTextOf = segments => segments.filter(s => s.type !== 'delete').map(s => s.text).join('');
+
+describe('diffWords', () => {
+  test('returns one equal segment for identical texts', () => {
+    expect(diffWords('We support SSO.', 'We support SSO.')).toEqual([
+      { type: 'equal', text: 'We support SSO.' },
+    ]);
+  });
+
+  test('returns nothing for two empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords(null, undefined)).toEqual([]);
+  });
+
+  test('marks inserted words', () => {
+    expect(diffWords('We support SSO.', 'We fully support SSO.')).toEqual([
+      { type: 'equal', text: 'We ' },
+      { type: 'insert', text: 'fully ' },
+      { type: 'equal', text: 'support SSO.' },
+    ]);
+  });
+
+  test('marks deleted words', () => {
+    expect(diffWords('We fully support SSO.', 'We support SSO.')).toEqual([
+      { type: 'equal', text: 'We ' },
+      { type: 'delete', text: 'fully ' },
+      { type: 'equal', text: 'support SSO.' },
+    ]);
+  });
+
+  test('marks replaced words as a deletion followed by an insertion', () => {
+    expect(diffWords('Data is kept for 30 days.', 'Data is kept for 90 days.')).toEqual([
+      { type: 'equal', text: 'Data is kept for ' },
+      { type: 'delete', text: '30 ' },
+      { type: 'insert', text: '90 ' },
+      { type: 'equal', text: 'days.' },
+    ]);
+  });
+
+  test('treats everything as inserted when there was no previous answer', () => {
+    expect(diffWords('', 'New answer')).toEqual([{ type: 'insert', text: 'New answer' }]);
+  });
+
+  test('ignores whitespace-only changes between words', () => {
+    const segments = diffWords('One two  three', 'One two three');
+
+    expect(segments.every(s => s.type === 'equal')).toBe(true);
+    expect(newTextOf(segments)).toBe('One two three');
+  });
+
+  test('keeps the new text intact across scattered changes', () => {
+    const oldText = 'The platform encrypts data at rest and in transit using AES-256 and TLS 1.2.';
+    const newText = 'Our platform encrypts all data at rest and in transit with AES-256 and TLS 1.3.';
+
+    expect(newTextOf(diffWords(oldText, newText))).toBe(newText);
+  });
+
+  test('falls back to one deleted and one inserted block for very large changes', () => {
+    const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+    const oldText = `Start ${words('old', 2100)} end`;
+    const newText = `Start ${words('new', 2100)} end`;
+
+    const segments = diffWords(oldText, newText);
+
+    expect(segments.map(s => s.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+    expect(newTextOf(segments)).toBe(newText);
+  });
+});
+
+describe('summarizeDiff', () => {
+  test('counts inserted and deleted words', () => {
+    const segments = diffWords('Data is kept for 30 days.', 'Data is only kept for 90 days.');
+
+    expect(summarizeDiff(segments)).toEqual({ insertedWords: 2, deletedWords: 1 });
+  });
+
+  test('counts nothing for an unchanged answer', () => {
+    expect(summarizeDiff(diffWords('Same', 'Same'))).toEqual({ insertedWords: 0, deletedWords: 0 });
+  });
+});
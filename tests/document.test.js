@@ -0,0 +1,36 @@
+/**
+ * Duplicate detection for extracted requirements (AI chunks overlap, and hybrid
+ * extraction merges regex questions into the model's).
+ */
+const { isSameRequirement } = await import('../src/services/document.service.js');
+
+describe('isSameRequirement', () => {
+  const base = 'Describe your backup, encryption, monitoring and incident response procedures.';
+
+  test('ignores case, punctuation and stop words', () => {
+    expect(isSameRequirement(base, 'describe the Backup / Encryption / Monitoring and incident-response procedures'))
+      .toBe(true);
+  });
+
+  test('treats a requirement cut slightly differently by a chunk boundary as the same', () => {
+    // 7 of 8 terms shared
+    expect(isSameRequirement(base, `${base} Quarterly.`)).toBe(true);
+  });
+
+  test('keeps requirements apart that differ by more than one term', () => {
+    // 7 of 9 terms shared
+    expect(isSameRequirement(base, `${base} Include quarterly reports.`)).toBe(false);
+    expect(isSameRequirement('Describe your disaster recovery plan.', 'Describe your data retention policy.')).toBe(false);
+  });
+
+  test('is symmetric', () => {
+    const other = `${base} Quarterly.`;
+
+    expect(isSameRequirement(other, base)).toBe(isSameRequirement(base, other));
+  });
+
+  test('compares the raw text when a requirement has no search terms', () => {
+    expect(isSameRequirement(' N/A ', 'n/a')).toBe(true);
+    expect(isSameRequirement('?', 'Describe your backup procedures.')).toBe(false);
+  });
+});
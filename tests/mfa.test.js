@@ -0,0 +1,158 @@
+/**
+ * TOTP codes and MFA verification with lockout. The MFA table is an in-memory record
+ * updated the way mfaService's update expressions describe.
+ */
+import crypto from 'crypto';
+
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const { generateCode, verifyCode, getTimeStep, base32Encode } = await import('../src/utils/totp.js');
+const { mfaService } = await import('../src/services/mfa.service.js');
+
+// RFC 6238 appendix B secret (ASCII "12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('matches the RFC 6238 test vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  test('accepts codes of the neighbouring time steps for clock drift', () => {
+    const time = 1111111109 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('mfaService.verify', () => {
+  const secret = base32Encode(Buffer.from('mfa-test-secret-0001'));
+  let record;
+  let originalSend;
+
+  const conditionFailed = () => {
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    throw error;
+  };
+
+  const send = async (command) => {
+    const { TableName, UpdateExpression, ExpressionAttributeValues: values } = command.input;
+
+    if (TableName !== TABLES.USER_MFA) {
+      throw new Error(`Unexpected table ${TableName}`);
+    }
+
+    if (command.constructor.name === 'GetCommand') {
+      return { Item: structuredClone(record) };
+    }
+
+    if (UpdateExpression.startsWith('SET lastUsedStep')) {
+      if (record.lastUsedStep !== null && record.lastUsedStep >= values[':step']) conditionFailed();
+      Object.assign(record, { lastUsedStep: values[':step'], failedAttempts: 0 });
+    } else if (UpdateExpression.startsWith('REMOVE recoveryCodeHashes')) {
+      const index = record.recoveryCodeHashes.indexOf(values[':hash']);
+      if (index === -1) conditionFailed();
+      record.recoveryCodeHashes.splice(index, 1);
+      record.failedAttempts = 0;
+    } else if (UpdateExpression.includes('failedAttempts = if_not_exists')) {
+      record.failedAttempts = (record.failedAttempts || 0) + 1;
+      return { Attributes: structuredClone(record) };
+    } else if (UpdateExpression.includes('lockedUntil')) {
+      Object.assign(record, {
+        failedAttempts: 0,
+        lockedUntil: values[':lockedUntil'],
+        challengesRevokedAt: values[':now'],
+      });
+    } else {
+      throw new Error(`Unexpected update ${UpdateExpression}`);
+    }
+
+    return {};
+  };
+
+  const enrolledRecord = () => {
+    const recoveryCodes = ['aaaaa-bbbbb', 'ccccc-ddddd'];
+    const hash = code => crypto.createHash('sha256').update(code.replace(/[^a-z0-9]/g, '')).digest('hex');
+
+    return {
+      userId: 'user-1',
+      enabled: true,
+      secret,
+      lastUsedStep: null,
+      failedAttempts: 0,
+      recoveryCodeHashes: recoveryCodes.map(hash),
+    };
+  };
+
+  beforeAll(() => {
+    originalSend = docClient.send;
+    docClient.send = send;
+  });
+
+  afterAll(() => {
+    docClient.send = originalSend;
+  });
+
+  beforeEach(() => {
+    record = enrolledRecord();
+  });
+
+  test('accepts a current code only once', async () => {
+    const code = generateCode(secret);
+
+    await expect(mfaService.verify('user-1', { code })).resolves.toMatchObject({ method: 'totp' });
+    await expect(mfaService.verify('user-1', { code })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('uses up recovery codes', async () => {
+    await expect(mfaService.verify('user-1', { recoveryCode: 'AAAAA-BBBBB' }))
+      .resolves.toEqual({ method: 'recovery_code', recoveryCodesRemaining: 1 });
+    await expect(mfaService.verify('user-1', { recoveryCode: 'aaaaa-bbbbb' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid recovery code' });
+  });
+
+  test('resets the failure count after a successful verification', async () => {
+    await expect(mfaService.verify('user-1', { code: '000000' })).rejects.toMatchObject({ statusCode: 401 });
+    expect(record.failedAttempts).toBe(1);
+
+    await mfaService.verify('user-1', { code: generateCode(secret) });
+    expect(record.failedAttempts).toBe(0);
+  });
+
+  test('locks verification after five failures in a row, even for a correct code', async () => {
+    for (let i = 0; i < 5; i++) {
+      await expect(mfaService.verify('user-1', { code: '000000' })).rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    expect(new Date(record.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+    await expect(mfaService.verify('user-1', { code: generateCode(secret) }))
+      .rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('does not accept login challenges issued before the lock once it has expired', async () => {
+    const challengeIssuedAt = new Date(Date.now() - 60000);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(mfaService.verify('user-1', { code: '000000' }, { challengeIssuedAt })).rejects.toBeDefined();
+    }
+    record.lockedUntil = new Date(Date.now() - 1000).toISOString();
+
+    await expect(mfaService.verify('user-1', { code: generateCode(secret) }, { challengeIssuedAt }))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringMatching(/challenge/) });
+    await expect(mfaService.verify('user-1', { code: generateCode(secret) }, { challengeIssuedAt: new Date() }))
+      .resolves.toMatchObject({ method: 'totp' });
+  });
+});
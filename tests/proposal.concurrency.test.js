@@ -0,0 +1,185 @@
+/**
+ * Optimistic concurrency of proposal and question writes. DynamoDB is replaced by a single
+ * in-memory proposal that honours the version conditions proposalService writes.
+ */
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const {
+  proposalService,
+  resolveExpectedVersion,
+  ConflictError,
+} = await import('../src/services/proposal.service.js');
+
+let stored;
+
+const conditionFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  throw error;
+};
+
+const send = async (command) => {
+  const { TableName, ConditionExpression, UpdateExpression, ExpressionAttributeValues: values = {} } = command.input;
+
+  if (TableName !== TABLES.PROPOSALS) {
+    throw new Error(`Unexpected table ${TableName}`);
+  }
+
+  if (command.constructor.name === 'GetCommand') {
+    return { Item: structuredClone(stored) };
+  }
+
+  // saveQuestion: SET #questions[i] = :question, guarded by the question's id and version
+  const questionPath = UpdateExpression.match(/#questions\[(\d+)\]/);
+  if (questionPath) {
+    const current = stored.questions[Number(questionPath[1])];
+    const versionMatches = (current?.version || 0) === values[':expectedVersion']
+      && (current?.version !== undefined || ConditionExpression.includes('attribute_not_exists'));
+
+    if (current?.id !== values[':questionId'] || !versionMatches) conditionFailed();
+
+    stored.questions[Number(questionPath[1])] = structuredClone(values[':question']);
+    return {};
+  }
+
+  // updateProposal: SET #attrN = :valN [, #version = if_not_exists(...) + 1], optionally on :expectedVersion
+  if (ConditionExpression) {
+    const versionMatches = stored.version === values[':expectedVersion']
+      || (stored.version === undefined && ConditionExpression.includes('attribute_not_exists'));
+    if (!versionMatches) conditionFailed();
+  }
+
+  Object.entries(command.input.ExpressionAttributeNames)
+    .filter(([name]) => name.startsWith('#attr'))
+    .forEach(([name, field]) => {
+      stored[field] = values[`:val${name.substring(5)}`];
+    });
+  stored.updatedAt = values[':updatedAt'];
+
+  if (UpdateExpression.includes('if_not_exists(#version')) {
+    stored.version = (stored.version || 0) + 1;
+  }
+
+  return { Attributes: structuredClone(stored) };
+};
+
+describe('proposal optimistic concurrency', () => {
+  let originalSend;
+
+  beforeAll(() => {
+    originalSend = docClient.send;
+    docClient.send = send;
+  });
+
+  afterAll(() => {
+    docClient.send = originalSend;
+  });
+
+  beforeEach(() => {
+    stored = {
+      id: 'p1',
+      title: 'Original',
+      version: 3,
+      questions: [
+        { id: 'q1', question: 'First?', version: 2 },
+        { id: 'q2', question: 'Second?' },
+      ],
+    };
+  });
+
+  describe('resolveExpectedVersion', () => {
+    test('uses the version just read when the client sent none', () => {
+      expect(resolveExpectedVersion(stored)).toBe(3);
+      expect(resolveExpectedVersion(stored, null)).toBe(3);
+    });
+
+    test('counts records written before versioning as version 0', () => {
+      expect(resolveExpectedVersion({ id: 'old' })).toBe(0);
+    });
+
+    test('rejects an outdated client version with the current record', () => {
+      expect(() => resolveExpectedVersion(stored, '2')).toThrow(ConflictError);
+      expect(() => resolveExpectedVersion(stored, 2)).toThrow(expect.objectContaining({
+        statusCode: 409,
+        details: { current: stored },
+      }));
+    });
+  });
+
+  describe('updateProposal', () => {
+    test('increments the version', async () => {
+      const updated = await proposalService.updateProposal('p1', { title: 'Renamed' }, { expectedVersion: 3 });
+
+      expect(updated).toMatchObject({ title: 'Renamed', version: 4 });
+    });
+
+    test('returns 409 with the current proposal when the version is stale', async () => {
+      const update = proposalService.updateProposal('p1', { title: 'Lost update' }, { expectedVersion: 2 });
+
+      await expect(update).rejects.toBeInstanceOf(ConflictError);
+      await expect(update).rejects.toMatchObject({
+        statusCode: 409,
+        details: { current: expect.objectContaining({ title: 'Original', version: 3 }) },
+      });
+      expect(stored.title).toBe('Original');
+    });
+
+    test('accepts version 0 for proposals created before versioning', async () => {
+      delete stored.version;
+
+      const updated = await proposalService.updateProposal('p1', { title: 'Renamed' }, { expectedVersion: 0 });
+
+      expect(updated.version).toBe(1);
+    });
+
+    test('does not version background progress, so clients editing the proposal are not rejected', async () => {
+      const progress = await proposalService.updateProposal('p1', {
+        processingStatus: { state: 'processing', progress: 50 },
+      });
+      expect(progress.version).toBe(3);
+
+      const updated = await proposalService.updateProposal('p1', { title: 'Renamed' }, { expectedVersion: 3 });
+      expect(updated.version).toBe(4);
+    });
+
+    test('versions an update that mixes progress with other fields', async () => {
+      const updated = await proposalService.updateProposal('p1', {
+        processingStatus: { state: 'completed' },
+        questions: [],
+      });
+
+      expect(updated.version).toBe(4);
+    });
+  });
+
+  describe('saveQuestion', () => {
+    test('saves the question with the next version', async () => {
+      const saved = await proposalService.saveQuestion('p1', 0, { ...stored.questions[0], draftAnswer: 'Yes.' }, 2);
+
+      expect(saved).toMatchObject({ draftAnswer: 'Yes.', version: 3 });
+      expect(stored.questions[0].version).toBe(3);
+    });
+
+    test('accepts version 0 for questions written before versioning', async () => {
+      const saved = await proposalService.saveQuestion('p1', 1, { ...stored.questions[1], draftAnswer: 'No.' }, 0);
+
+      expect(saved.version).toBe(1);
+    });
+
+    test('returns 409 with the current question when it changed in the meantime', async () => {
+      await expect(proposalService.saveQuestion('p1', 0, { ...stored.questions[0], draftAnswer: 'Stale' }, 1))
+        .rejects.toMatchObject({
+          statusCode: 409,
+          details: { current: expect.objectContaining({ id: 'q1', version: 2 }) },
+        });
+      expect(stored.questions[0].draftAnswer).toBeUndefined();
+    });
+
+    test('returns 409 when the question was removed or moved', async () => {
+      const question = { ...stored.questions[0] };
+      stored.questions = [stored.questions[1]];
+
+      await expect(proposalService.saveQuestion('p1', 0, question, 2))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Question no longer exists' });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Who gets which deadline reminder, and that each is only sent once per stage.
+ */
+process.env.REMINDER_LEAD_DAYS = '3';
+
+const { reminderService, wantsReminders } = await import('../src/services/reminder.service.js');
+
+const now = new Date('2026-06-10T12:00:00.000Z');
+const inDays = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const itemIds = reminder => reminder.items.map(item => `${item.id}:${item.stage}`);
+
+describe('buildReminders', () => {
+  const proposal = () => ({
+    id: 'p1',
+    userId: 'owner',
+    submissionDeadline: inDays(2),
+    qaCutoff: inDays(-1),
+    milestones: [
+      { id: 'm1', label: 'Pricing review', dueDate: inDays(1), ownerId: 'finance' },
+      { id: 'm2', label: 'Legal review', dueDate: inDays(30), ownerId: 'legal' },
+      { id: 'm3', label: 'Kick-off', dueDate: inDays(-5), ownerId: 'owner', completedAt: inDays(-6) },
+    ],
+    questions: [
+      { id: 'q1', question: 'Pricing?', assigneeId: 'finance', status: 'pending' },
+      { id: 'q2', question: 'SLA?', assigneeId: 'owner', status: 'rejected', draftAnswer: 'Old' },
+      { id: 'q3', question: 'Security?', assigneeId: 'security', status: 'approved', finalAnswer: 'Yes' },
+    ],
+  });
+
+  test('tells the owner about every approaching or overdue date that is not done', () => {
+    const owner = reminderService.buildReminders(proposal(), now).get('owner');
+
+    expect(itemIds(owner)).toEqual(['submission:approaching', 'qa_cutoff:overdue', 'm1:approaching']);
+  });
+
+  test('tells milestone owners about their milestones and assignees about unanswered questions', () => {
+    const reminders = reminderService.buildReminders(proposal(), now);
+
+    expect(itemIds(reminders.get('finance'))).toEqual(['m1:approaching', 'submission:approaching']);
+    expect(reminders.get('finance').questions).toEqual([{ id: 'q1', question: 'Pricing?' }]);
+
+    // Nothing due for the legal milestone yet, and the security question is answered
+    expect(reminders.has('legal')).toBe(false);
+    expect(reminders.has('security')).toBe(false);
+  });
+
+  test('lists an item once for a user who gets it through several roles', () => {
+    const owner = reminderService.buildReminders(proposal(), now).get('owner');
+
+    expect(owner.items.filter(item => item.id === 'submission')).toHaveLength(1);
+    expect(owner.questions).toEqual([{ id: 'q2', question: 'SLA?' }]);
+    expect(owner.keys).toEqual([
+      'submission:submission:approaching:owner',
+      'qa_cutoff:qa_cutoff:overdue:owner',
+      'milestone:m1:approaching:owner',
+      'questions:approaching:owner',
+    ]);
+  });
+
+  test('skips reminders already in the reminder log', () => {
+    const first = reminderService.buildReminders(proposal(), now);
+    const reminderLog = {};
+    first.forEach(reminder => reminder.keys.forEach((key) => { reminderLog[key] = now.toISOString(); }));
+
+    const again = reminderService.buildReminders({ ...proposal(), reminderLog }, now);
+
+    expect(again.size).toBe(0);
+  });
+
+  test('reminds again once an approaching date becomes overdue', () => {
+    const reminderLog = {};
+    reminderService.buildReminders(proposal(), now)
+      .forEach(reminder => reminder.keys.forEach((key) => { reminderLog[key] = now.toISOString(); }));
+
+    const later = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
+    const reminders = reminderService.buildReminders({ ...proposal(), reminderLog }, later);
+
+    expect(itemIds(reminders.get('owner'))).toEqual(['submission:overdue', 'm1:overdue']);
+    expect(reminders.get('finance').questions).toEqual([{ id: 'q1', question: 'Pricing?' }]);
+  });
+
+  test('sends nothing for proposals without dates', () => {
+    expect(reminderService.buildReminders({ id: 'p2', userId: 'owner' }, now).size).toBe(0);
+  });
+});
+
+describe('wantsReminders', () => {
+  test('is on by default for active users and honours the opt-out', () => {
+    expect(wantsReminders({ isActive: true })).toBe(true);
+    expect(wantsReminders({ isActive: true, notificationPreferences: { reminders: false } })).toBe(false);
+    expect(wantsReminders({ isActive: false })).toBe(false);
+    expect(wantsReminders(null)).toBe(false);
+  });
+});
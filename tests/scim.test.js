@@ -0,0 +1,180 @@
+/**
+ * SCIM user filters and userName changes. Users are kept in an in-memory table keyed
+ * by email, like the real one.
+ */
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const { scimService, SCIM_SCHEMAS } = await import('../src/services/scim.service.js');
+
+const BASE_URL = 'https://api.test/scim/v2';
+const users = new Map();
+
+const conditionFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  throw error;
+};
+
+const send = async (command) => {
+  const input = command.input;
+
+  if (input.TableName !== TABLES.USERS) {
+    // No groups, sessions or MFA records in these tests
+    return command.constructor.name === 'QueryCommand' ? { Items: [] } : {};
+  }
+
+  switch (command.constructor.name) {
+    case 'GetCommand':
+      return { Item: structuredClone(users.get(input.Key.email)) };
+
+    case 'QueryCommand': {
+      const values = input.ExpressionAttributeValues;
+      const items = [...users.values()].filter(user => (values[':id'] ? user.id === values[':id'] : user.companyId === values[':companyId']));
+      return { Items: structuredClone(items) };
+    }
+
+    case 'PutCommand':
+      if (input.ConditionExpression === 'attribute_not_exists(email)' && users.has(input.Item.email)) conditionFailed();
+      users.set(input.Item.email, structuredClone(input.Item));
+      return {};
+
+    case 'UpdateCommand': {
+      // SET #name = :value, ...
+      const user = users.get(input.Key.email);
+      input.UpdateExpression.substring(4).split(', ').forEach((assignment) => {
+        const [name, value] = assignment.split(' = ');
+        user[input.ExpressionAttributeNames[name]] = input.ExpressionAttributeValues[value];
+      });
+      return { Attributes: structuredClone(user) };
+    }
+
+    case 'DeleteCommand':
+      users.delete(input.Key.email);
+      return {};
+
+    default:
+      throw new Error(`Unexpected ${command.constructor.name}`);
+  }
+};
+
+const patch = (...Operations) => ({ schemas: [SCIM_SCHEMAS.PATCH_OP], Operations });
+
+describe('SCIM users', () => {
+  let originalSend;
+
+  beforeAll(() => {
+    originalSend = docClient.send;
+    docClient.send = send;
+  });
+
+  afterAll(() => {
+    docClient.send = originalSend;
+  });
+
+  beforeEach(() => {
+    users.clear();
+    [
+      { id: 'u1', email: 'ada@acme.test', name: 'Ada "The Countess" Lovelace', scimExternalId: 'ext-1', password: 'hash-1', resetToken: 'reset-1' },
+      { id: 'u2', email: 'grace@acme.test', name: 'Grace Hopper', scimExternalId: 'ext-2' },
+      { id: 'u3', email: 'linus@other.test', name: 'Linus', companyId: 'company-2' },
+    ].forEach(user => users.set(user.email, {
+      companyId: 'company-1',
+      isActive: true,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      ...user,
+    }));
+  });
+
+  describe('filters', () => {
+    const list = filter => scimService.listUsers('company-1', { filter }, BASE_URL);
+
+    test('lists every company user without a filter', async () => {
+      const response = await list(undefined);
+
+      expect(response.totalResults).toBe(2);
+      expect(response.Resources.map(user => user.userName)).toEqual(['ada@acme.test', 'grace@acme.test']);
+    });
+
+    test('matches userName case-insensitively, attribute and value alike', async () => {
+      const response = await list('UserName eq "ADA@acme.test"');
+
+      expect(response.Resources.map(user => user.id)).toEqual(['u1']);
+    });
+
+    test('matches externalId exactly', async () => {
+      expect((await list('externalId eq "ext-2"')).Resources.map(user => user.id)).toEqual(['u2']);
+      expect((await list('externalId eq "EXT-2"')).totalResults).toBe(0);
+    });
+
+    test('unescapes quotes in filter values', async () => {
+      const response = await list('displayName eq "Ada \\"The Countess\\" Lovelace"');
+
+      expect(response.Resources.map(user => user.id)).toEqual(['u1']);
+    });
+
+    test('does not return users of other companies', async () => {
+      expect((await list('userName eq "linus@other.test"')).totalResults).toBe(0);
+    });
+
+    test.each([
+      'userName co "ada"',
+      'title eq "Engineer"',
+      'userName eq ada@acme.test',
+      'userName eq "a" and active eq "true"',
+    ])('rejects the unsupported filter %s', async (filter) => {
+      await expect(list(filter)).rejects.toMatchObject({ statusCode: 400, details: { scimType: 'invalidFilter' } });
+    });
+  });
+
+  describe('userName changes', () => {
+    test('move the user to the new email and keep their ID and password', async () => {
+      const updated = await scimService.patchUser(
+        'company-1',
+        'u1',
+        patch({ op: 'replace', path: 'userName', value: 'Ada.Lovelace@acme.test' }),
+        BASE_URL
+      );
+
+      expect(updated).toMatchObject({ id: 'u1', userName: 'ada.lovelace@acme.test' });
+      expect(users.has('ada@acme.test')).toBe(false);
+      expect(users.get('ada.lovelace@acme.test')).toMatchObject({
+        id: 'u1',
+        password: 'hash-1',
+        resetToken: null,
+        scimExternalId: 'ext-1',
+      });
+    });
+
+    test('refuse an email that is already taken and leave the user unchanged', async () => {
+      await expect(scimService.patchUser(
+        'company-1',
+        'u1',
+        patch({ op: 'replace', value: { userName: 'grace@acme.test' } }),
+        BASE_URL
+      )).rejects.toMatchObject({ statusCode: 409, details: { scimType: 'uniqueness' } });
+
+      expect(users.get('ada@acme.test').id).toBe('u1');
+      expect(users.get('grace@acme.test').id).toBe('u2');
+    });
+
+    test('refuse a userName that is not an email address', async () => {
+      await expect(scimService.patchUser(
+        'company-1',
+        'u1',
+        patch({ op: 'replace', path: 'userName', value: 'ada' }),
+        BASE_URL
+      )).rejects.toMatchObject({ statusCode: 400, details: { scimType: 'invalidValue' } });
+    });
+  });
+
+  test('deactivates users with the string booleans some directories send', async () => {
+    const updated = await scimService.patchUser(
+      'company-1',
+      'u2',
+      patch({ op: 'replace', path: 'active', value: 'False' }),
+      BASE_URL
+    );
+
+    expect(updated.active).toBe(false);
+    expect(users.get('grace@acme.test').isActive).toBe(false);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Refresh token rotation and reuse detection. Sessions live in an in-memory table that
+ * honours the conditions sessionService writes.
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const { sessionService } = await import('../src/services/session.service.js');
+
+const sessions = new Map();
+
+const conditionFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  throw error;
+};
+
+const send = async (command) => {
+  const input = command.input;
+
+  if (input.TableName !== TABLES.SESSIONS) {
+    throw new Error(`Unexpected table ${input.TableName}`);
+  }
+
+  switch (command.constructor.name) {
+    case 'GetCommand':
+      return { Item: structuredClone(sessions.get(input.Key.id)) };
+
+    case 'PutCommand': {
+      // Rotation: only the current refresh token of an unrevoked session may be replaced
+      const current = sessions.get(input.Item.id);
+      if (input.ConditionExpression
+        && (current.refreshTokenHash !== input.ExpressionAttributeValues[':presented'] || current.revokedAt)) {
+        conditionFailed();
+      }
+      sessions.set(input.Item.id, structuredClone(input.Item));
+      return {};
+    }
+
+    case 'UpdateCommand': {
+      // Revocation
+      const current = sessions.get(input.Key.id);
+      if (!current || current.revokedAt) conditionFailed();
+      Object.assign(current, {
+        revokedAt: input.ExpressionAttributeValues[':now'],
+        revokedReason: input.ExpressionAttributeValues[':reason'],
+      });
+      return {};
+    }
+
+    default:
+      throw new Error(`Unexpected ${command.constructor.name}`);
+  }
+};
+
+const user = { id: 'user-1', email: 'user@acme.test', role: 'user', companyId: 'company-1' };
+const loadUser = async () => user;
+
+describe('refresh tokens', () => {
+  let originalSend;
+
+  beforeAll(() => {
+    originalSend = docClient.send;
+    docClient.send = send;
+  });
+
+  afterAll(() => {
+    docClient.send = originalSend;
+  });
+
+  beforeEach(() => {
+    sessions.clear();
+  });
+
+  test('rotates the refresh token on every refresh', async () => {
+    const { refreshToken, sessionId } = await sessionService.startSession(user);
+
+    const refreshed = await sessionService.refresh(refreshToken, loadUser);
+
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+    expect(refreshed.sessionId).toBe(sessionId);
+    expect(refreshed.token).toEqual(expect.any(String));
+
+    await expect(sessionService.refresh(refreshed.refreshToken, loadUser)).resolves.toMatchObject({ sessionId });
+  });
+
+  test('revokes the session when a rotated refresh token is presented again', async () => {
+    const { refreshToken, sessionId } = await sessionService.startSession(user);
+    const refreshed = await sessionService.refresh(refreshToken, loadUser);
+
+    await expect(sessionService.refresh(refreshToken, loadUser))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringMatching(/already used/) });
+
+    expect(sessions.get(sessionId)).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+
+    // The legitimate holder of the newest token is signed out too
+    await expect(sessionService.refresh(refreshed.refreshToken, loadUser))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringMatching(/revoked/) });
+  });
+
+  test('revokes the session when the same token is refreshed twice at once', async () => {
+    const { refreshToken, sessionId } = await sessionService.startSession(user);
+
+    const results = await Promise.allSettled([
+      sessionService.refresh(refreshToken, loadUser),
+      sessionService.refresh(refreshToken, loadUser),
+    ]);
+
+    expect(results.filter(result => result.status === 'rejected')).toHaveLength(1);
+    expect(sessions.get(sessionId).revokedReason).toBe('refresh_token_reuse');
+  });
+
+  test('rejects unknown tokens without revoking the session', async () => {
+    const { sessionId } = await sessionService.startSession(user);
+
+    await expect(sessionService.refresh(`${sessionId}.not-the-secret`, loadUser))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+    await expect(sessionService.refresh('garbage', loadUser))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(sessions.get(sessionId).revokedAt).toBeNull();
+  });
+
+  test('rejects refresh tokens of expired sessions', async () => {
+    const { refreshToken, sessionId } = await sessionService.startSession(user);
+    sessions.get(sessionId).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+    await expect(sessionService.refresh(refreshToken, loadUser))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringMatching(/expired/) });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * OIDC single sign-on end to end: the API runs on a random port with the mock IdP mounted,
+ * and DynamoDB is replaced by an in-memory store.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.SSO_MOCK_IDP_ENABLED = 'true';
+process.env.FRONTEND_URL = 'http://frontend.test';
+
+const { docClient, TABLES } = await import('../src/config/aws.config.js');
+const { default: app } = await import('../src/index.js');
+const { ssoService } = await import('../src/services/sso.service.js');
+
+const db = new Map();
+const table = (name) => {
+  if (!db.has(name)) db.set(name, new Map());
+  return db.get(name);
+};
+
+const conditionFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  throw error;
+};
+
+// Just enough of DynamoDB for sign-in: users by email, companies, sessions, SSO connections
+const send = async (command) => {
+  const input = command.input;
+  const items = table(input.TableName);
+  const keyOf = (key) => Object.values(key)[0];
+
+  switch (command.constructor.name) {
+    case 'GetCommand':
+      return { Item: structuredClone(items.get(keyOf(input.Key))) };
+
+    case 'PutCommand': {
+      const key = input.TableName === TABLES.USERS ? input.Item.email : input.Item.id || input.Item.companyId;
+      if (input.ConditionExpression === 'attribute_not_exists(email)' && items.has(key)) conditionFailed();
+      items.set(key, structuredClone(input.Item));
+      return {};
+    }
+
+    case 'DeleteCommand':
+      items.delete(keyOf(input.Key));
+      return {};
+
+    case 'ScanCommand':
+      if (input.TableName === TABLES.SSO_CONNECTIONS) {
+        const domain = input.ExpressionAttributeValues[':domain'];
+        return { Items: [...items.values()].filter(connection => connection.domains.includes(domain)) };
+      }
+      return { Items: [] };
+
+    case 'QueryCommand': {
+      const userId = input.ExpressionAttributeValues[':userId'];
+      return { Items: [...items.values()].filter(item => item.userId === userId) };
+    }
+
+    case 'UpdateCommand': {
+      const item = items.get(keyOf(input.Key));
+      const values = input.ExpressionAttributeValues || {};
+
+      if (input.TableName === TABLES.COMPANIES && input.UpdateExpression.includes('usersAdded')) {
+        const releasing = input.UpdateExpression.includes('usersAdded - ');
+        if (!releasing && !(item.limits.usersAdded < item.limits.maxUsers)) conditionFailed();
+        if (releasing && !(item.limits.usersAdded > 0)) conditionFailed();
+        item.limits.usersAdded += releasing ? -1 : 1;
+        return { Attributes: structuredClone(item) };
+      }
+
+      if (input.TableName === TABLES.SESSIONS && values[':now'] && values[':reason']) {
+        if (item.revokedAt) conditionFailed();
+        Object.assign(item, { revokedAt: values[':now'], revokedReason: values[':reason'] });
+      }
+      return {};
+    }
+
+    default:
+      throw new Error(`Unexpected ${command.constructor.name}`);
+  }
+};
+
+describe('OIDC sign-in with the mock IdP', () => {
+  let server;
+  let baseUrl;
+  let originalSend;
+
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    redirect: 'manual',
+  });
+
+  /**
+   * Follow the browser round trip: /sso/start -> /sso/authorize -> IdP -> callback -> frontend
+   * @returns {Promise<URLSearchParams>} Parameters in the frontend URL fragment
+   */
+  const signIn = async (email, { withCookie = true } = {}) => {
+    const start = await (await post('/api/v1/auth/sso/start', { email, returnTo: '/proposals' })).json();
+
+    const authorize = await fetch(start.redirectUrl, { redirect: 'manual' });
+    const cookie = authorize.headers.get('set-cookie').split(';')[0];
+
+    const idp = await fetch(authorize.headers.get('location'), { redirect: 'manual' });
+    const callback = await fetch(idp.headers.get('location'), {
+      redirect: 'manual',
+      headers: withCookie ? { Cookie: cookie } : {},
+    });
+
+    const location = new URL(callback.headers.get('location'));
+    expect(location.origin + location.pathname).toBe('http://frontend.test/sso/callback');
+    return new URLSearchParams(location.hash.substring(1));
+  };
+
+  const usersAdded = () => table(TABLES.COMPANIES).get('company-1').limits.usersAdded;
+
+  beforeAll(async () => {
+    originalSend = docClient.send;
+    docClient.send = send;
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.API_BASE_URL = baseUrl;
+
+    table(TABLES.COMPANIES).set('company-1', {
+      id: 'company-1',
+      subscriptionStatus: 'active',
+      limits: { usersAdded: 1, maxUsers: 2, allowAddUser: true },
+      usage: { totalLogins: 0 },
+    });
+
+    // Domains are claimed as a superadmin would after verifying ownership
+    await ssoService.saveConnection('company-1', {
+      protocol: 'oidc',
+      domains: ['acme.test'],
+      oidc: {
+        discoveryUrl: `${baseUrl}/mock-idp/.well-known/openid-configuration`,
+        clientId: 'client-1',
+        clientSecret: 'secret-1',
+      },
+    }, 'superadmin-1', { canClaimDomains: true });
+  });
+
+  afterAll(async () => {
+    docClient.send = originalSend;
+    delete process.env.API_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('provisions a new user on first sign-in and returns a working refresh token', async () => {
+    const fragment = await signIn('new.person@acme.test');
+
+    expect(fragment.get('error')).toBeNull();
+    expect(fragment.get('returnTo')).toBe('/proposals');
+
+    const user = table(TABLES.USERS).get('new.person@acme.test');
+    expect(user).toMatchObject({ companyId: 'company-1', role: 'user', authProvider: 'sso' });
+    expect(usersAdded()).toBe(2);
+
+    const refresh = await post('/api/v1/auth/refresh', { refreshToken: fragment.get('refreshToken') });
+    expect(refresh.status).toBe(200);
+    expect((await refresh.json()).token).toEqual(expect.any(String));
+  });
+
+  test('refuses just-in-time provisioning once the company is at maxUsers', async () => {
+    const fragment = await signIn('another.person@acme.test');
+
+    expect(fragment.get('refreshToken')).toBeNull();
+    expect(fragment.get('error')).toMatch(/no user slots left/);
+    expect(table(TABLES.USERS).has('another.person@acme.test')).toBe(false);
+    expect(usersAdded()).toBe(2);
+  });
+
+  test('signs existing users in at maxUsers without taking a slot', async () => {
+    const fragment = await signIn('new.person@acme.test');
+
+    expect(fragment.get('refreshToken')).toEqual(expect.any(String));
+    expect(usersAdded()).toBe(2);
+  });
+
+  test('rejects a callback from a browser that did not start the sign-in', async () => {
+    const fragment = await signIn('new.person@acme.test', { withCookie: false });
+
+    expect(fragment.get('refreshToken')).toBeNull();
+    expect(fragment.get('error')).toMatch(/Invalid or expired SSO request/);
+  });
+
+  test('asks for the company-required MFA before opening a session', async () => {
+    const company = table(TABLES.COMPANIES).get('company-1');
+    company.settings = { requireMfa: true };
+
+    try {
+      const fragment = await signIn('new.person@acme.test');
+
+      expect(fragment.get('refreshToken')).toBeNull();
+      expect(fragment.get('mfaEnrollmentRequired')).toBe('true');
+      expect(fragment.get('challengeToken')).toEqual(expect.any(String));
+      expect(fragment.get('returnTo')).toBe('/proposals');
+    } finally {
+      delete company.settings;
+    }
+  });
+
+  test('does not let company admins claim email domains', async () => {
+    await expect(ssoService.saveConnection('company-2', {
+      protocol: 'oidc',
+      domains: ['victim.test'],
+      oidc: {
+        discoveryUrl: `${baseUrl}/mock-idp/.well-known/openid-configuration`,
+        clientId: 'client-2',
+        clientSecret: 'secret-2',
+      },
+    }, 'admin-2')).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('does not fetch discovery documents from private addresses outside mock IdP setups', async () => {
+    process.env.SSO_MOCK_IDP_ENABLED = 'false';
+
+    try {
+      await expect(ssoService.saveConnection('company-2', {
+        protocol: 'oidc',
+        oidc: { discoveryUrl: 'https://127.0.0.1/.well-known/openid-configuration', clientId: 'c', clientSecret: 's' },
+      }, 'admin-2')).rejects.toMatchObject({ statusCode: 400, message: 'Could not load the OIDC discovery document' });
+    } finally {
+      process.env.SSO_MOCK_IDP_ENABLED = 'true';
+    }
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Question review workflow: allowed transitions and who may review or pick reviewers.
+ */
+const {
+  canTransition,
+  canReview,
+  canAssignReviewer,
+  transitionQuestion,
+  normalizeQuestionStatus,
+} = await import('../src/services/workflow.service.js');
+
+const strictCompany = { settings: { requireApproval: true, reviewerIds: ['reviewer-1'] } };
+const openCompany = { settings: { requireApproval: false } };
+
+const member = { id: 'user-1', role: 'user' };
+const reviewer = { id: 'reviewer-1', role: 'user' };
+const admin = { id: 'admin-1', role: 'company_admin' };
+
+describe('canTransition', () => {
+  test.each([
+    ['pending', 'drafted', true],
+    ['pending', 'in_review', false],
+    ['pending', 'approved', false],
+    ['drafted', 'in_review', true],
+    ['drafted', 'approved', false],
+    ['in_review', 'approved', true],
+    ['in_review', 'rejected', true],
+    ['in_review', 'drafted', true],
+    ['approved', 'drafted', true],
+    ['approved', 'rejected', false],
+    ['rejected', 'drafted', true],
+    ['rejected', 'approved', false],
+  ])('%s -> %s is %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  test('treats the legacy draft status as drafted', () => {
+    expect(normalizeQuestionStatus('draft')).toBe('drafted');
+    expect(canTransition('draft', 'in_review')).toBe(true);
+  });
+});
+
+describe('canReview', () => {
+  test('lets anyone in the company review when approval is not required', () => {
+    expect(canReview(member, openCompany, { reviewerId: 'someone-else' })).toBe(true);
+  });
+
+  test('only lets the question reviewer review when one is set', () => {
+    const question = { reviewerId: 'user-1' };
+
+    expect(canReview(member, strictCompany, question)).toBe(true);
+    expect(canReview(reviewer, strictCompany, question)).toBe(false);
+  });
+
+  test('falls back to company reviewers when the question has no reviewer', () => {
+    expect(canReview(reviewer, strictCompany, {})).toBe(true);
+    expect(canReview(member, strictCompany, {})).toBe(false);
+  });
+});
+
+describe('canAssignReviewer', () => {
+  test('lets anyone pick a reviewer when approval is not required', () => {
+    expect(canAssignReviewer(member, openCompany)).toBe(true);
+  });
+
+  test('only lets admins and company reviewers pick a reviewer when approval is required', () => {
+    expect(canAssignReviewer(admin, strictCompany)).toBe(true);
+    expect(canAssignReviewer(reviewer, strictCompany)).toBe(true);
+    expect(canAssignReviewer(member, strictCompany)).toBe(false);
+  });
+});
+
+describe('transitionQuestion', () => {
+  const inReview = { id: 'q1', status: 'in_review', draftAnswer: 'We comply.' };
+
+  test('refuses approval from someone who is not the reviewer', () => {
+    expect(() => transitionQuestion(inReview, 'approved', { user: member, company: strictCompany }))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('records who approved the question', () => {
+    const approved = transitionQuestion(inReview, 'approved', { user: reviewer, company: strictCompany });
+
+    expect(approved).toMatchObject({ status: 'approved', reviewedBy: 'reviewer-1' });
+  });
+
+  test('requires a comment to reject', () => {
+    expect(() => transitionQuestion(inReview, 'rejected', { user: reviewer, company: strictCompany }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('refuses approval while unsupported claims are open', () => {
+    const question = { ...inReview, unsupportedClaims: [{ id: 'c1', status: 'open' }] };
+
+    expect(() => transitionQuestion(question, 'approved', { user: reviewer, company: strictCompany }))
+      .toThrow(/unsupported claim/);
+  });
+
+  test('refuses review of a question without an answer', () => {
+    expect(() => transitionQuestion({ id: 'q1', status: 'drafted' }, 'in_review', { user: member }))
+      .toThrow(/no answer to review/);
+  });
+});